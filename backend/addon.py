@@ -12,6 +12,7 @@ import traceback
 import os
 import shutil
 import zipfile
+import fnmatch
 from bpy.props import StringProperty, IntProperty, BoolProperty, EnumProperty
 import io
 from contextlib import redirect_stdout, suppress
@@ -26,6 +27,19 @@ bl_info = {
     "category": "Interface",
 }
 
+# Bridge protocol version reported during the framing handshake
+PROTOCOL_VERSION = 2
+
+# Optional per-object fields for query_scene (name, type and location are always included)
+SCENE_QUERY_FIELDS = (
+    "rotation", "scale", "dimensions", "modifiers", "materials",
+    "parent", "collections", "custom_properties",
+)
+SCENE_QUERY_MAX_LIMIT = 500
+
+# Where save_snapshot writes unless the backend names a directory
+DEFAULT_SNAPSHOT_DIR = os.path.join(tempfile.gettempdir(), "blendermcp_snapshots")
+
 RODIN_FREE_TRIAL_KEY = "k9TcfFoEhNd9cCPP2guHAHHHkctZHIRhZDywZ1euGUXwihbYLpOjQhofby80NJez"
 
 # Secure API Key Storage (Session-only, not saved in .blend files)
@@ -84,6 +98,10 @@ class BlenderMCPServer:
         self.running = False
         self.socket = None
         self.server_thread = None
+        # Directories save_snapshot wrote to; delete_snapshots only removes files in these
+        self.snapshot_dirs = {os.path.realpath(DEFAULT_SNAPSHOT_DIR)}
+        # File the user had open before restore_snapshot opened a snapshot (never written to)
+        self.original_filepath = None
 
     def start(self):
         if self.running:
@@ -169,6 +187,10 @@ class BlenderMCPServer:
         print("Client handler started")
         client.settimeout(None)  # No timeout
         buffer = b''
+        # Per-connection framing: "legacy" (bare JSON objects) until the
+        # backend negotiates newline-delimited JSON
+        conn = {"framing": "legacy"}
+        decoder = json.JSONDecoder()
 
         try:
             while self.running:
@@ -180,38 +202,40 @@ class BlenderMCPServer:
                         break
 
                     buffer += data
-                    try:
-                        # Try to parse command
-                        command = json.loads(buffer.decode('utf-8'))
-                        buffer = b''
-
-                        # Execute command in Blender's main thread
-                        def execute_wrapper():
+                    # Several commands may arrive back to back; handle each
+                    # complete one and leave any partial tail buffered
+                    while True:
+                        if conn["framing"] == "ndjson":
+                            newline = buffer.find(b'\n')
+                            if newline == -1:
+                                break
+                            line = buffer[:newline]
+                            buffer = buffer[newline + 1:]
+                            if not line.strip():
+                                continue
                             try:
-                                response = self.execute_command(command)
-                                response_json = json.dumps(response)
-                                try:
-                                    client.sendall(response_json.encode('utf-8'))
-                                except:
-                                    print("Failed to send response - client disconnected")
-                            except Exception as e:
-                                print(f"Error executing command: {str(e)}")
-                                traceback.print_exc()
-                                try:
-                                    error_response = {
-                                        "status": "error",
-                                        "message": str(e)
-                                    }
-                                    client.sendall(json.dumps(error_response).encode('utf-8'))
-                                except:
-                                    pass
-                            return None
-
-                        # Schedule execution in main thread
-                        bpy.app.timers.register(execute_wrapper, first_interval=0.0)
-                    except json.JSONDecodeError:
-                        # Incomplete data, wait for more
-                        pass
+                                command = json.loads(line.decode('utf-8'))
+                            except (UnicodeDecodeError, json.JSONDecodeError) as e:
+                                print(f"Dropping malformed command: {str(e)}")
+                                continue
+                        else:
+                            try:
+                                text = buffer.decode('utf-8')
+                            except UnicodeDecodeError:
+                                # A multi-byte character was split across reads
+                                break
+                            remaining = text.lstrip()
+                            if not remaining:
+                                buffer = b''
+                                break
+                            try:
+                                command, end = decoder.raw_decode(remaining)
+                            except json.JSONDecodeError:
+                                # Incomplete data, wait for more
+                                break
+                            buffer = remaining[end:].encode('utf-8')
+
+                        self._dispatch_command(client, conn, command)
                 except Exception as e:
                     print(f"Error receiving data: {str(e)}")
                     break
@@ -224,6 +248,59 @@ class BlenderMCPServer:
                 pass
             print("Client handler stopped")
 
+    def _dispatch_command(self, client, conn, command):
+        """Handle connection-level commands inline, schedule the rest"""
+        if isinstance(command, dict) and command.get("type") == "negotiate_framing":
+            requested = command.get("params", {}).get("framing", [])
+            chosen = "ndjson" if "ndjson" in requested else "legacy"
+            response = {
+                "status": "success",
+                "result": {"framing": chosen, "protocol_version": PROTOCOL_VERSION},
+            }
+            if command.get("id") is not None:
+                response["id"] = command["id"]
+            # The handshake reply still uses the old framing; the switch
+            # applies to everything after it
+            self._send_response(client, conn, response)
+            conn["framing"] = chosen
+            print(f"Message framing set to {chosen}")
+            return
+
+        self._schedule_command(client, conn, command)
+
+    def _send_response(self, client, conn, response):
+        """Serialize a reply using the connection's framing"""
+        payload = json.dumps(response)
+        if conn["framing"] == "ndjson":
+            payload += "\n"
+        client.sendall(payload.encode('utf-8'))
+
+    def _schedule_command(self, client, conn, command):
+        """Run a command on Blender's main thread and send back its reply.
+
+        The reply echoes the command's "id" so the backend can route it to
+        the right caller while other commands are still in flight.
+        """
+        request_id = command.get("id") if isinstance(command, dict) else None
+
+        def execute_wrapper():
+            try:
+                response = self.execute_command(command)
+            except Exception as e:
+                print(f"Error executing command: {str(e)}")
+                traceback.print_exc()
+                response = {"status": "error", "message": str(e)}
+            if request_id is not None:
+                response["id"] = request_id
+            try:
+                self._send_response(client, conn, response)
+            except:
+                print("Failed to send response - client disconnected")
+            return None
+
+        # Schedule execution in main thread
+        bpy.app.timers.register(execute_wrapper, first_interval=0.0)
+
     def execute_command(self, command):
         """Execute a command in the main Blender thread"""
         try:
@@ -245,10 +322,16 @@ class BlenderMCPServer:
 
         # Base handlers that are always available
         handlers = {
+            "get_blender_version": self.get_blender_version,
             "get_scene_info": self.get_scene_info,
+            "get_scene_state": self.get_scene_state,
+            "query_scene": self.query_scene,
             "get_object_info": self.get_object_info,
             "get_viewport_screenshot": self.get_viewport_screenshot,
             "execute_code": self.execute_code,
+            "save_snapshot": self.save_snapshot,
+            "restore_snapshot": self.restore_snapshot,
+            "delete_snapshots": self.delete_snapshots,
             "get_polyhaven_status": self.get_polyhaven_status,
             "get_hyper3d_status": self.get_hyper3d_status,
             "get_sketchfab_status": self.get_sketchfab_status,
@@ -297,6 +380,16 @@ class BlenderMCPServer:
 
 
 
+    def get_blender_version(self):
+        """Version of the running Blender, used to pick the matching API docs"""
+        major, minor, patch = bpy.app.version
+        return {
+            "version": f"{major}.{minor}",
+            "version_string": bpy.app.version_string,
+            "version_tuple": [major, minor, patch],
+            "cycle": bpy.app.version_cycle,
+        }
+
     def get_scene_info(self):
         """Get information about the current Blender scene"""
         try:
@@ -331,6 +424,94 @@ class BlenderMCPServer:
             traceback.print_exc()
             return {"error": str(e)}
 
+    @staticmethod
+    def _property_value(value):
+        """Convert an ID property to something JSON can encode"""
+        if hasattr(value, "to_dict"):
+            return value.to_dict()
+        if hasattr(value, "to_list"):
+            return value.to_list()
+        if isinstance(value, (str, int, float, bool)) or value is None:
+            return value
+        return str(value)
+
+    def _describe_object(self, obj, fields):
+        """Name, type and location of an object plus the requested SCENE_QUERY_FIELDS"""
+        vector = lambda values: [round(float(v), 4) for v in values]
+        info = {"name": obj.name, "type": obj.type, "location": vector(obj.location)}
+        if "rotation" in fields:
+            info["rotation"] = vector(obj.rotation_euler)
+        if "scale" in fields:
+            info["scale"] = vector(obj.scale)
+        if "dimensions" in fields:
+            info["dimensions"] = vector(obj.dimensions)
+        if "modifiers" in fields:
+            info["modifiers"] = [{"name": mod.name, "type": mod.type} for mod in obj.modifiers]
+        if "materials" in fields:
+            info["materials"] = [slot.material.name if slot.material else None for slot in obj.material_slots]
+        if "parent" in fields:
+            info["parent"] = obj.parent.name if obj.parent else None
+        if "collections" in fields:
+            info["collections"] = [collection.name for collection in obj.users_collection]
+        if "custom_properties" in fields:
+            info["custom_properties"] = {
+                key: self._property_value(obj[key]) for key in obj.keys() if not key.startswith("_")
+            }
+        return info
+
+    def get_scene_state(self):
+        """Get the full state of every object in the scene, for diffing before and after a change"""
+        fields = {"rotation", "scale", "modifiers", "materials", "parent"}
+        objects = []
+        for obj in bpy.context.scene.objects:
+            objects.append({
+                # Stable across renames within a session (Blender 4.0+)
+                "uid": getattr(obj, "session_uid", None),
+                "data": obj.data.name if obj.data else None,
+                **self._describe_object(obj, fields),
+            })
+        return {"name": bpy.context.scene.name, "objects": objects}
+
+    def query_scene(self, offset=0, limit=50, object_type=None, collection=None, name=None, material=None, fields=None):
+        """List the scene objects matching the filters, one page at a time.
+
+        Parameters:
+        - offset, limit: Page of the matching objects (limit up to SCENE_QUERY_MAX_LIMIT)
+        - object_type: Object type such as MESH, LIGHT or CAMERA
+        - collection: Name of a collection the object is linked to
+        - name: Glob pattern for the object name, e.g. "Chair*"
+        - material: Name of a material in the object's slots
+        - fields: Extra fields from SCENE_QUERY_FIELDS
+        """
+        fields = set(fields or [])
+        unknown = fields.difference(SCENE_QUERY_FIELDS)
+        if unknown:
+            raise ValueError(f"Unknown fields: {', '.join(sorted(unknown))}")
+        offset = max(0, int(offset))
+        limit = max(1, min(int(limit), SCENE_QUERY_MAX_LIMIT))
+
+        matches = []
+        for obj in bpy.context.scene.objects:
+            if object_type and obj.type != object_type.upper():
+                continue
+            if collection and not any(c.name == collection for c in obj.users_collection):
+                continue
+            if name and not fnmatch.fnmatchcase(obj.name, name):
+                continue
+            if material and not any(slot.material and slot.material.name == material for slot in obj.material_slots):
+                continue
+            matches.append(obj)
+
+        page = matches[offset:offset + limit]
+        end = offset + len(page)
+        return {
+            "total": len(matches),
+            "offset": offset,
+            "limit": limit,
+            "next_offset": end if end < len(matches) else None,
+            "objects": [self._describe_object(obj, fields) for obj in page],
+        }
+
     @staticmethod
     def _get_aabb(obj):
         """ Returns the world-space axis-aligned bounding box (AABB) of an object. """
@@ -465,6 +646,54 @@ class BlenderMCPServer:
             raise Exception(f"Code execution error: {str(e)}")
 
 
+    def save_snapshot(self, snapshot_id, directory=None):
+        """Save a copy of the current scene for undo; the open file stays the same"""
+        directory = directory or DEFAULT_SNAPSHOT_DIR
+        os.makedirs(directory, exist_ok=True)
+        self.snapshot_dirs.add(os.path.realpath(directory))
+        filepath = os.path.join(directory, f"{os.path.basename(snapshot_id)}.blend")
+        bpy.ops.wm.save_as_mainfile(filepath=filepath, copy=True, check_existing=False)
+        return {"filepath": filepath, "size": os.path.getsize(filepath)}
+
+    def restore_snapshot(self, filepath):
+        """Replace the open scene with a snapshot saved by save_snapshot.
+
+        The user's file on disk is never written: the snapshot becomes the open file
+        and the user saves it where they want. The path they had open is only kept
+        in memory and reported, also across repeated restores; delete_snapshots
+        leaves the open snapshot alone.
+        """
+        if not filepath.endswith(".blend") or not os.path.exists(filepath):
+            raise ValueError(f"Snapshot not found: {filepath}")
+        open_file = bpy.data.filepath
+        if not open_file or os.path.dirname(os.path.realpath(open_file)) not in self.snapshot_dirs:
+            self.original_filepath = open_file or None
+        bpy.ops.wm.open_mainfile(filepath=filepath, load_ui=False)
+        return {"restored": True, "filepath": filepath, "original_filepath": self.original_filepath}
+
+    def delete_snapshots(self, filepaths):
+        """Delete snapshot files; missing files are skipped.
+
+        Only .blend files directly inside a snapshot directory are removed (the
+        default one, or one save_snapshot wrote to since Blender started), and
+        never the file that is open; any other path is rejected.
+        """
+        open_file = os.path.realpath(bpy.data.filepath) if bpy.data.filepath else None
+        deleted = 0
+        rejected = []
+        for filepath in filepaths:
+            resolved = os.path.realpath(filepath)
+            if (
+                not resolved.endswith(".blend")
+                or os.path.dirname(resolved) not in self.snapshot_dirs
+                or resolved == open_file
+            ):
+                rejected.append(filepath)
+                continue
+            with suppress(FileNotFoundError):
+                os.remove(resolved)
+                deleted += 1
+        return {"deleted": deleted, "rejected": rejected}
 
     def get_polyhaven_categories(self, asset_type):
         """Get categories for a specific asset type from Polyhaven"""
@@ -42,6 +42,7 @@ function mapConversation(row) {
     createdAt: row.created_at,
     updatedAt: row.updated_at,
     lastSceneContext: row.last_scene_context || null,
+    blenderVersion: row.blender_version || null,
   };
 }
 
@@ -49,6 +50,7 @@ function mapMessage(row) {
   return {
     id: row.id,
     conversationId: row.conversation_id,
+    parentId: row.parent_id || null,
     role: row.role,
     content: row.content,
     provider: row.provider || null,
@@ -59,6 +61,106 @@ function mapMessage(row) {
   };
 }
 
+function mapJob(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    payload: row.payload || {},
+    result: row.result || null,
+    error: row.error || null,
+    progress: row.progress || [],
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runId: row.run_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null,
+  };
+}
+
+// The saved graph state stays server-side; only the plan is exposed
+function mapAgentPlan(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    conversationId: row.conversation_id,
+    status: row.status,
+    prompt: row.prompt,
+    request: row.request || {},
+    plan: row.plan,
+    budgetUsed: row.budget_used || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapSceneSnapshot(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    conversationId: row.conversation_id,
+    runId: row.run_id || null,
+    messageId: row.message_id || null,
+    kind: row.kind,
+    blenderInstance: row.blender_instance,
+    filepath: row.filepath,
+    sizeBytes: row.size_bytes === null ? null : Number(row.size_bytes),
+    createdAt: row.created_at,
+    restoredAt: row.restored_at || null,
+  };
+}
+
+function mapKnowledgeCollection(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    owner: row.team_id ? { type: "team", teamId: row.team_id, teamName: row.team_name || null } : { type: "user", userId: row.user_id },
+    access: row.access || null,
+    documentCount: row.document_count === undefined ? undefined : Number(row.document_count),
+    chunkCount: row.chunk_count === undefined ? undefined : Number(row.chunk_count),
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapKnowledgeDocument(row) {
+  return {
+    id: row.id,
+    collectionId: row.collection_id,
+    name: row.name,
+    format: row.format,
+    contentHash: row.content_hash,
+    sizeBytes: row.size_bytes === null ? null : Number(row.size_bytes),
+    chunkCount: row.chunk_count,
+    uploadedBy: row.uploaded_by || null,
+    createdAt: row.created_at,
+    indexedAt: row.indexed_at || null,
+  };
+}
+
+function mapAgentRun(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    conversationId: row.conversation_id,
+    status: row.status,
+    prompt: row.prompt,
+    request: row.request || {},
+    error: row.error || null,
+    stoppedBy: row.stopped_by || null,
+    pendingConfirmation: row.pending_confirmation || null,
+    budgetUsed: row.budget_used || null,
+    attempts: row.attempts,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at || null,
+  };
+}
+
 async function handleEmbeddingMismatch(client, currentDim, totalRows) {
   // If there's a mismatch in dimensions and we have data
   if (currentDim !== null && currentDim !== EMBEDDING_DIM && totalRows > 0) {
@@ -116,6 +218,11 @@ async function initSchema() {
         );
       `);
 
+    // Quota tier (see middleware/quota.js)
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS tier TEXT NOT NULL DEFAULT 'free';");
+    // Code policy overrides (see utils/code-policy.js)
+    await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS code_policy JSONB;");
+
     await client.query(`
         CREATE TABLE IF NOT EXISTS conversations (
           id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -126,6 +233,8 @@ async function initSchema() {
           last_scene_context JSONB
         );
       `);
+    await client.query("ALTER TABLE conversations ADD COLUMN IF NOT EXISTS code_policy JSONB;");
+    await client.query("ALTER TABLE conversations ADD COLUMN IF NOT EXISTS blender_version TEXT;");
 
     await client.query(`
         CREATE TABLE IF NOT EXISTS messages (
@@ -193,6 +302,33 @@ async function initSchema() {
       }
     }
 
+    // Full-text side of hybrid retrieval (see utils/knowledge-search.js); "." and "_"
+    // are split out so identifiers like bpy.ops.mesh.primitive_torus_add match as phrases
+    for (const table of ["blender_knowledge", "blender_knowledge_new"]) {
+      const { rows: tableRows } = await client.query("SELECT to_regclass($1) IS NOT NULL AS exists", [table]);
+      if (!tableRows[0].exists) continue;
+      await client.query(`
+        ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS search_tsv tsvector
+          GENERATED ALWAYS AS (to_tsvector('english', regexp_replace(content, '[._]+', ' ', 'g'))) STORED;
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_search ON ${table} USING gin (search_tsv);`);
+      // Chunk metadata written by scripts/embed_docs.js; lets retrieval be limited to
+      // a symbol (bpy.types.Modifier and its members), a module or a kind. chunk_key and
+      // content_hash let re-runs skip unchanged chunks
+      await client.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS module_path TEXT,
+          ADD COLUMN IF NOT EXISTS symbol TEXT,
+          ADD COLUMN IF NOT EXISTS kind TEXT,
+          ADD COLUMN IF NOT EXISTS source_url TEXT,
+          ADD COLUMN IF NOT EXISTS blender_version TEXT,
+          ADD COLUMN IF NOT EXISTS chunk_key TEXT,
+          ADD COLUMN IF NOT EXISTS content_hash TEXT;
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_symbol ON ${table} (symbol text_pattern_ops);`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_module ON ${table} (module_path text_pattern_ops);`);
+    }
+
     await client.query(
       "CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations (user_id, updated_at DESC);"
     );
@@ -200,6 +336,27 @@ async function initSchema() {
       "CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (conversation_id, created_at ASC);"
     );
 
+    // Conversations are trees of messages: editing a prompt forks a branch (see utils/message-tree.js)
+    const { rows: parentColumn } = await client.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'messages' AND column_name = 'parent_id';
+    `);
+    if (parentColumn.length === 0) {
+      await client.query("ALTER TABLE messages ADD COLUMN parent_id UUID REFERENCES messages(id) ON DELETE CASCADE;");
+      // Existing conversations become a single branch in creation order
+      const { rowCount } = await client.query(`
+        UPDATE messages m SET parent_id = ordered.previous_id
+        FROM (
+          SELECT id, lag(id) OVER (PARTITION BY conversation_id ORDER BY created_at, id) AS previous_id
+          FROM messages
+        ) ordered
+        WHERE m.id = ordered.id AND ordered.previous_id IS NOT NULL;
+      `);
+      console.log(`[db] Linked ${rowCount} existing messages to their parents.`);
+    }
+    await client.query("CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages (parent_id);");
+    await client.query("ALTER TABLE conversations ADD COLUMN IF NOT EXISTS active_leaf_id UUID REFERENCES messages(id) ON DELETE SET NULL;");
+
     // API usage / cost tracking
     await client.query(`
       CREATE TABLE IF NOT EXISTS api_usage (
@@ -213,6 +370,248 @@ async function initSchema() {
       );
     `);
     await client.query("CREATE INDEX IF NOT EXISTS idx_api_usage_user ON api_usage (user_id, created_at DESC);");
+    // Attribution of LLM calls to the conversation / message they served
+    await client.query("ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;");
+    await client.query("ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS message_id UUID REFERENCES messages(id) ON DELETE SET NULL;");
+    await client.query("ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS operation TEXT;");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_api_usage_conversation ON api_usage (conversation_id, message_id);");
+
+    // One row per generation run, for analytics
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS generation_runs (
+        id bigserial PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        model TEXT,
+        prompt TEXT,
+        success BOOLEAN NOT NULL,
+        error TEXT,
+        duration_ms INTEGER,
+        loop_count INTEGER,
+        tools_used JSONB DEFAULT '[]'::jsonb,
+        integrations_used JSONB DEFAULT '[]'::jsonb,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        total_tokens INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_generation_runs_created ON generation_runs (created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_generation_runs_user ON generation_runs (user_id, created_at DESC);");
+
+    // One row per generation counted against a user's quota
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS generation_usage (
+        id bigserial PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_generation_usage_user ON generation_usage (user_id, created_at DESC);");
+
+    // Background generation jobs (survive restarts)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        result JSONB,
+        error TEXT,
+        progress JSONB DEFAULT '[]'::jsonb,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 2,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_generation_jobs_user ON generation_jobs (user_id, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs (status, created_at ASC);");
+    // Worker running the job and its last heartbeat, so recovery only takes over jobs of dead workers
+    await client.query("ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS locked_by TEXT;");
+    await client.query("ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;");
+
+    // Agent runs paused after decomposition, waiting for the user to approve the plan
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_plans (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        prompt TEXT,
+        request JSONB NOT NULL DEFAULT '{}'::jsonb,
+        plan JSONB NOT NULL,
+        state JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_agent_plans_user ON agent_plans (user_id, created_at DESC);");
+
+    // Agent runs and their LangGraph checkpoints (thread_id = run id), so a run can be inspected and resumed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_runs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        status TEXT NOT NULL DEFAULT 'running'
+          CHECK (status IN ('running', 'completed', 'stopped', 'paused', 'failed', 'interrupted')),
+        prompt TEXT,
+        request JSONB NOT NULL DEFAULT '{}'::jsonb,
+        error TEXT,
+        stopped_by TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_agent_runs_conversation ON agent_runs (conversation_id, created_at DESC);");
+    // Code waiting for the user's confirmation (see utils/code-policy.js)
+    await client.query("ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS pending_confirmation JSONB;");
+    // Budget usage so far ({ tokens, costUsd, elapsedMs }), carried over when a run or plan is resumed
+    await client.query("ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS budget_used JSONB;");
+    // Process executing the run and its last heartbeat, so recovery only marks runs of dead processes
+    await client.query("ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS locked_by TEXT;");
+    await client.query("ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;");
+    // Agent run a job started, continued from its checkpoint when the job is recovered
+    await client.query("ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES agent_runs(id) ON DELETE SET NULL;");
+    await client.query("ALTER TABLE agent_plans ADD COLUMN IF NOT EXISTS budget_used JSONB;");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_checkpoints (
+        thread_id UUID NOT NULL REFERENCES agent_runs(id) ON DELETE CASCADE,
+        checkpoint_ns TEXT NOT NULL DEFAULT '',
+        checkpoint_id TEXT NOT NULL,
+        parent_checkpoint_id TEXT,
+        type TEXT NOT NULL,
+        checkpoint BYTEA NOT NULL,
+        metadata BYTEA NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id)
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_checkpoint_writes (
+        thread_id UUID NOT NULL REFERENCES agent_runs(id) ON DELETE CASCADE,
+        checkpoint_ns TEXT NOT NULL DEFAULT '',
+        checkpoint_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        idx INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value BYTEA NOT NULL,
+        PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id, task_id, idx)
+      );
+    `);
+
+    // .blend snapshots taken before each agent run, for undoing a step (see utils/scene-snapshots.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scene_snapshots (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+        run_id UUID REFERENCES agent_runs(id) ON DELETE SET NULL,
+        message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+        blender_instance TEXT NOT NULL,
+        filepath TEXT NOT NULL,
+        size_bytes BIGINT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        restored_at TIMESTAMPTZ
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_scene_snapshots_conversation ON scene_snapshots (conversation_id, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_scene_snapshots_run ON scene_snapshots (run_id);");
+    // "run": taken before an agent run; "branch": the tip of a branch the user switched away from
+    await client.query("ALTER TABLE scene_snapshots ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'run';");
+
+    // Generated code rejected (or, in audit mode, flagged) by the execute_code sandbox
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sandbox_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+        run_id UUID REFERENCES agent_runs(id) ON DELETE SET NULL,
+        action TEXT NOT NULL CHECK (action IN ('rejected', 'flagged')),
+        code_hash TEXT NOT NULL,
+        code TEXT NOT NULL,
+        violations JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_sandbox_audit_log_user ON sandbox_audit_log (user_id, created_at DESC);");
+
+    // Teams share private knowledge collections; members read and upload, owners manage members
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name TEXT NOT NULL,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS team_members (
+        team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (team_id, user_id)
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_team_members_user ON team_members (user_id);");
+
+    // Private knowledge collections (see utils/knowledge-collections.js), owned by a user or a team.
+    // Documents keep their extracted text so a collection can be re-indexed without re-uploading
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_collections (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        team_id UUID REFERENCES teams(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        CHECK ((user_id IS NULL) <> (team_id IS NULL))
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_knowledge_collections_user ON knowledge_collections (user_id);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_knowledge_collections_team ON knowledge_collections (team_id);");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_documents (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        collection_id UUID NOT NULL REFERENCES knowledge_collections(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        format TEXT NOT NULL CHECK (format IN ('markdown', 'html', 'pdf', 'text')),
+        text TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        size_bytes BIGINT,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        indexed_at TIMESTAMPTZ
+      );
+    `);
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_knowledge_documents_name ON knowledge_documents (collection_id, name);");
+    // Searched per collection, so an exact vector scan stays cheap without an ivfflat index. The
+    // dimension is left open: chunks and queries come from the same local embedding pipeline
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_collection_chunks (
+        id BIGSERIAL PRIMARY KEY,
+        collection_id UUID NOT NULL REFERENCES knowledge_collections(id) ON DELETE CASCADE,
+        document_id UUID NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+        chunk_index INTEGER NOT NULL,
+        title TEXT,
+        content TEXT NOT NULL,
+        embedding vector NOT NULL,
+        search_tsv tsvector GENERATED ALWAYS AS (to_tsvector('english', regexp_replace(content, '[._]+', ' ', 'g'))) STORED
+      );
+    `);
+    await client.query("CREATE INDEX IF NOT EXISTS idx_knowledge_collection_chunks_collection ON knowledge_collection_chunks (collection_id);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_knowledge_collection_chunks_document ON knowledge_collection_chunks (document_id, chunk_index);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_knowledge_collection_chunks_search ON knowledge_collection_chunks USING gin (search_tsv);");
   } finally {
     if (client) {
       client.release();
@@ -236,69 +635,113 @@ async function checkDatabaseHealth() {
   }
 }
 
+// USD per 1000 tokens. A rate is either a flat number (applied to all tokens)
+// or { input, output } priced separately. Override with API_USAGE_RATES, e.g.
+// { "google": { "gemini-2.5-flash": { "input": 0.0003, "output": 0.0025 } }, "default": 0.02 }
+function loadUsageRates() {
+  let rates = {
+    default: Number(process.env.RATE_PER_1K_USD ?? 0.02),
+    openai: { default: Number(process.env.RATE_OPENAI_PER_1K_USD ?? 0.03) },
+    google: {
+      default: Number(process.env.RATE_GOOGLE_PER_1K_USD ?? 0.015),
+      "gemini-2.5-flash": { input: 0.0003, output: 0.0025 },
+      "gemini-2.5-flash-lite": { input: 0.0001, output: 0.0004 },
+    },
+    groq: {
+      default: Number(process.env.RATE_GROQ_PER_1K_USD ?? 0.0008),
+      "llama-3.3-70b-versatile": { input: 0.00059, output: 0.00079 },
+    },
+  };
+
+  const rawRates = process.env.API_USAGE_RATES || null;
+  if (rawRates) {
+    try {
+      const parsed = JSON.parse(rawRates);
+      for (const [key, value] of Object.entries(parsed)) {
+        rates[key] = value && typeof value === 'object' && typeof rates[key] === 'object'
+          ? { ...rates[key], ...value }
+          : value;
+      }
+    } catch (e) {
+      console.warn('[db] Failed to parse API_USAGE_RATES env, using defaults:', e?.message || e);
+    }
+  }
+  return rates;
+}
+
+const USAGE_RATES = loadUsageRates();
+
+// Resolve the rate for a provider+model (model, then provider default, then global default)
+function resolveRate(providerName, modelName) {
+  if (!providerName) return USAGE_RATES.default || 0;
+  const p = USAGE_RATES[providerName.toLowerCase()] || USAGE_RATES[providerName] || null;
+  if (!p) return USAGE_RATES.default || 0;
+  if (typeof p === 'number') return p;
+  if (modelName && (p[modelName] || p[modelName.toLowerCase()])) {
+    return p[modelName] ?? p[modelName.toLowerCase()];
+  }
+  return p.default ?? USAGE_RATES.default ?? 0;
+}
+
+/**
+ * Cost of an LLM call from its token counts and the configured rate table
+ * @param {string|null} provider - Provider name (e.g., 'google', 'groq')
+ * @param {string|null} model - Model name
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {number|null} Cost in USD, null if it could not be computed
+ */
+function computeUsageCost(provider, model, usage = {}) {
+  try {
+    const u = usage || {};
+    const promptTokens = Number(u.prompt_tokens ?? 0) || 0;
+    const completionTokens = Number(u.completion_tokens ?? 0) || 0;
+    const totalTokens = Number(u.total_tokens ?? (promptTokens + completionTokens)) || 0;
+
+    const rate = resolveRate(provider ? provider.toString() : null, model ? model.toString() : null);
+    if (rate && typeof rate === 'object') {
+      const input = Number(rate.input ?? rate.default ?? 0);
+      const output = Number(rate.output ?? rate.input ?? rate.default ?? 0);
+      return Number(((promptTokens / 1000) * input + (completionTokens / 1000) * output).toFixed(6));
+    }
+    return Number(((totalTokens / 1000) * Number(rate || 0)).toFixed(6));
+  } catch (e) {
+    console.warn('[db] Failed to compute cost from usage:', e?.message || e);
+    return null;
+  }
+}
+
 /**
  * Insert API usage record
  * @param {Object} params - Usage parameters
  * @param {string|null} params.userId - User ID (optional)
+ * @param {string|null} params.conversationId - Conversation the call belongs to (optional)
+ * @param {string|null} params.messageId - Message the call produced (optional, see assignUsageToMessage)
+ * @param {string|null} params.operation - What the call was for (e.g., 'agent', 'decompose', 'enhance_prompt')
  * @param {string|null} params.provider - Provider name (e.g., 'openai', 'google')
  * @param {string|null} params.model - Model name
  * @param {Object} params.usage - Token usage data
  * @param {number|null} params.costUsd - Cost in USD (auto-calculated if not provided)
  * @returns {Promise<Object|null>} Inserted record with id and created_at
  */
-async function insertApiUsage({ userId = null, provider = null, model = null, usage = {}, costUsd = null }) {
+async function insertApiUsage({
+  userId = null,
+  conversationId = null,
+  messageId = null,
+  operation = null,
+  provider = null,
+  model = null,
+  usage = {},
+  costUsd = null,
+}) {
   const client = await pool.connect();
   try {
     // If costUsd wasn't provided, compute it using token counts and configured rates
-    let finalCost = costUsd;
-    if (finalCost == null) {
-      try {
-        // Determine token count from usage object
-        const u = usage || {};
-        const totalTokens = Number(u.total_tokens ?? ((u.prompt_tokens ?? 0) + (u.completion_tokens ?? 0)) ?? 0) || 0;
-
-        // Load rate map from env if provided, otherwise use built-in defaults (USD per 1000 tokens)
-        // Expected env format: JSON string, e.g. { "openai": { "gpt-4o": 0.06, "default": 0.03 }, "default": 0.02 }
-        const rawRates = process.env.API_USAGE_RATES || null;
-        let rates = {
-          // USD per 1000 tokens sensible defaults (very small estimates)
-          default: Number(process.env.RATE_PER_1K_USD ?? 0.02),
-          openai: { default: Number(process.env.RATE_OPENAI_PER_1K_USD ?? 0.03) },
-          google: { default: Number(process.env.RATE_GOOGLE_PER_1K_USD ?? 0.015) },
-        };
-
-        if (rawRates) {
-          try {
-            const parsed = JSON.parse(rawRates);
-            rates = Object.assign(rates, parsed);
-          } catch (e) {
-            console.warn('[db] Failed to parse API_USAGE_RATES env, using defaults:', e?.message || e);
-          }
-        }
-
-        // Helper to resolve rate for a provider+model
-        function resolveRate(providerName, modelName) {
-          if (!providerName) return rates.default || 0;
-          const p = rates[providerName.toLowerCase()] || rates[providerName] || null;
-          if (!p) return rates.default || 0;
-          if (modelName && typeof p === 'object' && (p[modelName] || p[modelName.toLowerCase()])) {
-            return p[modelName] ?? p[modelName.toLowerCase()] ?? p.default ?? rates.default ?? 0;
-          }
-          if (typeof p === 'number') return p;
-          return p.default ?? rates.default ?? 0;
-        }
-
-        const per1k = resolveRate(provider ? provider.toString() : null, model ? model.toString() : null);
-        finalCost = Number(((totalTokens / 1000) * per1k).toFixed(6));
-      } catch (e) {
-        console.warn('[db] Failed to compute cost from usage:', e?.message || e);
-        finalCost = null;
-      }
-    }
+    const finalCost = costUsd == null ? computeUsageCost(provider, model, usage) : costUsd;
 
     const { rows } = await client.query(
-      `INSERT INTO api_usage (user_id, provider, model, usage, cost_usd) VALUES ($1, $2, $3, $4, $5) RETURNING id, created_at`,
-      [userId, provider, model, usage ? usage : {}, finalCost]
+      `INSERT INTO api_usage (user_id, conversation_id, message_id, operation, provider, model, usage, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, created_at`,
+      [userId, conversationId, messageId, operation, provider, model, usage ? usage : {}, finalCost]
     );
     return rows[0];
   } catch (err) {
@@ -309,6 +752,59 @@ async function insertApiUsage({ userId = null, provider = null, model = null, us
   }
 }
 
+/**
+ * Attribute already recorded API usage rows to the message they produced
+ * @param {string} messageId - Message ID
+ * @param {Array<number>} usageIds - api_usage ids
+ * @returns {Promise<number>} Rows updated
+ */
+async function assignUsageToMessage(messageId, usageIds = []) {
+  if (!messageId || usageIds.length === 0) return 0;
+  const { rowCount } = await pool.query(
+    "UPDATE api_usage SET message_id = $1 WHERE id = ANY($2::bigint[])",
+    [messageId, usageIds]
+  );
+  return rowCount;
+}
+
+/**
+ * Token and cost totals of a conversation, overall and per message
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<{ total: Object, byMessage: Map<string, Object> }>}
+ */
+async function getConversationCosts(conversationId) {
+  const { rows } = await pool.query(
+    `SELECT message_id,
+            COALESCE(SUM((usage->>'prompt_tokens')::bigint), 0) AS prompt_tokens,
+            COALESCE(SUM((usage->>'completion_tokens')::bigint), 0) AS completion_tokens,
+            COALESCE(SUM((usage->>'total_tokens')::bigint), 0) AS total_tokens,
+            COALESCE(SUM(cost_usd), 0) AS cost_usd,
+            COUNT(1) AS calls
+     FROM api_usage
+     WHERE conversation_id = $1
+     GROUP BY message_id`,
+    [conversationId]
+  );
+
+  const toCost = (row) => ({
+    promptTokens: Number(row.prompt_tokens),
+    completionTokens: Number(row.completion_tokens),
+    totalTokens: Number(row.total_tokens),
+    costUsd: Number(Number(row.cost_usd).toFixed(6)),
+    calls: Number(row.calls),
+  });
+
+  const total = { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, calls: 0 };
+  const byMessage = new Map();
+  for (const row of rows) {
+    const cost = toCost(row);
+    if (row.message_id) byMessage.set(row.message_id, cost);
+    for (const key of Object.keys(total)) total[key] += cost[key];
+  }
+  total.costUsd = Number(total.costUsd.toFixed(6));
+  return { total, byMessage };
+}
+
 /**
  * Get usage summary for a user
  * @param {Object} params - Query parameters
@@ -342,4 +838,1365 @@ async function getUsageSummary({ userId = null, sinceDays = 30 } = {}) {
   }
 }
 
-export { pool, initSchema, mapConversation, mapMessage, checkDatabaseHealth, insertApiUsage, getUsageSummary };
+/**
+ * Record a finished generation run
+ * @param {Object} run
+ * @param {string|null} run.userId - User ID
+ * @param {string|null} run.conversationId - Conversation ID (null if it was never created)
+ * @param {string} run.model - Model key ("gemini", "groq")
+ * @param {string} run.prompt - User prompt (stored truncated)
+ * @param {boolean} run.success - Whether the agent finished the task
+ * @param {string|null} run.error - Failure message
+ * @param {number} run.durationMs - Wall time
+ * @param {number|null} run.loopCount - Agent loop count
+ * @param {Array<{tool: string, success: boolean}>} run.toolsUsed - Tool calls in order
+ * @param {Array<string>} run.integrationsUsed - Asset integrations used
+ * @param {Object} run.usage - { promptTokens, completionTokens, totalTokens }
+ * @returns {Promise<Object|null>} Inserted id and created_at
+ */
+async function insertGenerationRun({
+  userId = null,
+  conversationId = null,
+  model = null,
+  prompt = "",
+  success,
+  error = null,
+  durationMs = null,
+  loopCount = null,
+  toolsUsed = [],
+  integrationsUsed = [],
+  usage = {},
+}) {
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO generation_runs
+         (user_id, conversation_id, model, prompt, success, error, duration_ms, loop_count,
+          tools_used, integrations_used, prompt_tokens, completion_tokens, total_tokens)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING id, created_at`,
+      [
+        userId,
+        conversationId,
+        model,
+        String(prompt || "").slice(0, 1000),
+        !!success,
+        error,
+        durationMs,
+        loopCount,
+        JSON.stringify(toolsUsed),
+        JSON.stringify(integrationsUsed),
+        usage.promptTokens || 0,
+        usage.completionTokens || 0,
+        usage.totalTokens || 0,
+      ]
+    );
+    return rows[0];
+  } catch (err) {
+    console.error('Failed to insert generation run:', err.message || err);
+    return null;
+  }
+}
+
+// Shared WHERE clause for analytics queries ($1 = since, optional $2 = user)
+function analyticsFilter(userId, sinceDays) {
+  const params = [new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString()];
+  let where = "WHERE r.created_at >= $1";
+  if (userId) {
+    params.push(userId);
+    where += ` AND r.user_id = $${params.length}`;
+  }
+  return { where, params };
+}
+
+/**
+ * Totals over a period
+ * @param {Object} params
+ * @param {string|null} params.userId - Restrict to one user (null = everyone)
+ * @param {number} params.sinceDays - Days to look back (default: 30)
+ * @returns {Promise<Object>}
+ */
+async function getGenerationSummary({ userId = null, sinceDays = 30 } = {}) {
+  const { where, params } = analyticsFilter(userId, sinceDays);
+  const { rows } = await pool.query(
+    `SELECT COUNT(1) AS total,
+            COUNT(1) FILTER (WHERE r.success) AS success,
+            COUNT(1) FILTER (WHERE NOT r.success) AS errors,
+            AVG(r.loop_count) AS avg_loops,
+            AVG(r.duration_ms) AS avg_duration_ms,
+            COALESCE(SUM(r.total_tokens), 0) AS total_tokens
+     FROM generation_runs r ${where}`,
+    params
+  );
+  const row = rows[0];
+  return {
+    totalGenerations: Number(row.total),
+    success: Number(row.success),
+    errors: Number(row.errors),
+    avgLoops: Number(row.avg_loops || 0),
+    avgDurationMs: Number(row.avg_duration_ms || 0),
+    totalTokens: Number(row.total_tokens),
+  };
+}
+
+/**
+ * Generation stats grouped by day, model or user
+ * @param {Object} params
+ * @param {"day"|"model"|"user"} params.groupBy - Breakdown dimension
+ * @param {string|null} params.userId - Restrict to one user (null = everyone)
+ * @param {number} params.sinceDays - Days to look back (default: 30)
+ * @returns {Promise<Array>}
+ */
+async function getGenerationBreakdown({ groupBy = "day", userId = null, sinceDays = 30 } = {}) {
+  const keys = {
+    day: "to_char(date_trunc('day', r.created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD')",
+    model: "COALESCE(r.model, 'unknown')",
+    user: "COALESCE(u.email, 'deleted user')",
+  };
+  const key = keys[groupBy];
+  if (!key) throw new Error(`Unsupported breakdown: ${groupBy}`);
+  const { where, params } = analyticsFilter(userId, sinceDays);
+  const { rows } = await pool.query(
+    `SELECT ${key} AS key,
+            COUNT(1) AS total,
+            COUNT(1) FILTER (WHERE r.success) AS success,
+            COUNT(1) FILTER (WHERE NOT r.success) AS errors,
+            AVG(r.duration_ms) AS avg_duration_ms,
+            AVG(r.loop_count) AS avg_loops,
+            COALESCE(SUM(r.total_tokens), 0) AS total_tokens
+     FROM generation_runs r
+     LEFT JOIN users u ON u.id = r.user_id
+     ${where}
+     GROUP BY 1
+     ORDER BY 1 ${groupBy === "day" ? "ASC" : "DESC"}`,
+    params
+  );
+  return rows.map((row) => ({
+    key: row.key,
+    total: Number(row.total),
+    success: Number(row.success),
+    errors: Number(row.errors),
+    avgDurationMs: Number(row.avg_duration_ms || 0),
+    avgLoops: Number(row.avg_loops || 0),
+    totalTokens: Number(row.total_tokens),
+  }));
+}
+
+/**
+ * Which tools, integrations and prompts fail most
+ * @param {Object} params
+ * @param {string|null} params.userId - Restrict to one user (null = everyone)
+ * @param {number} params.sinceDays - Days to look back (default: 30)
+ * @param {number} params.limit - Max failing prompts (default: 20)
+ * @returns {Promise<{ tools: Array, integrations: Array, prompts: Array }>}
+ */
+async function getGenerationFailures({ userId = null, sinceDays = 30, limit = 20 } = {}) {
+  const { where, params } = analyticsFilter(userId, sinceDays);
+  const { rows: tools } = await pool.query(
+    `SELECT t->>'tool' AS tool,
+            COUNT(1) AS calls,
+            COUNT(1) FILTER (WHERE (t->>'success')::boolean IS NOT TRUE) AS failures
+     FROM generation_runs r, jsonb_array_elements(r.tools_used) t
+     ${where}
+     GROUP BY 1
+     ORDER BY failures DESC, calls DESC`,
+    params
+  );
+  const { rows: integrations } = await pool.query(
+    `SELECT i AS integration,
+            COUNT(1) AS runs,
+            COUNT(1) FILTER (WHERE NOT r.success) AS failures
+     FROM generation_runs r, jsonb_array_elements_text(r.integrations_used) i
+     ${where}
+     GROUP BY 1
+     ORDER BY failures DESC, runs DESC`,
+    params
+  );
+  params.push(limit);
+  const { rows: prompts } = await pool.query(
+    `SELECT r.prompt,
+            COUNT(1) AS failures,
+            MAX(r.created_at) AS last_failed_at,
+            (ARRAY_AGG(r.error ORDER BY r.created_at DESC))[1] AS last_error
+     FROM generation_runs r
+     ${where} AND NOT r.success
+     GROUP BY r.prompt
+     ORDER BY failures DESC, last_failed_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return {
+    tools: tools.map((row) => ({ tool: row.tool, calls: Number(row.calls), failures: Number(row.failures) })),
+    integrations: integrations.map((row) => ({ integration: row.integration, runs: Number(row.runs), failures: Number(row.failures) })),
+    prompts: prompts.map((row) => ({ prompt: row.prompt, failures: Number(row.failures), lastError: row.last_error, lastFailedAt: row.last_failed_at })),
+  };
+}
+
+// Quota periods are calendar days / months in UTC
+const USAGE_COUNTS_SQL = `
+  SELECT
+    COUNT(1) FILTER (WHERE created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC') AS daily_used,
+    COUNT(1) AS monthly_used
+  FROM generation_usage
+  WHERE user_id = $1 AND created_at >= date_trunc('month', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+`;
+
+/**
+ * Record one generation if the user is within their quotas
+ * @param {string} userId - User ID
+ * @param {Object} limits
+ * @param {number|null} limits.daily - Daily generation limit (null = unlimited)
+ * @param {number|null} limits.monthly - Monthly generation limit (null = unlimited)
+ * @returns {Promise<{ consumed: boolean, dailyUsed: number, monthlyUsed: number }>} Usage including this generation when consumed
+ */
+async function consumeGenerationQuota(userId, { daily = null, monthly = null } = {}) {
+  const client = await pool.connect();
+  let rows;
+  try {
+    await client.query("BEGIN");
+    // Under READ COMMITTED two requests could both count the same usage and both
+    // insert; the per-user lock makes the count and the insert one step
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1::text))", [userId]);
+    ({ rows } = await client.query(
+      `WITH usage AS (${USAGE_COUNTS_SQL}),
+       inserted AS (
+         INSERT INTO generation_usage (user_id)
+         SELECT $1 FROM usage
+         WHERE ($2::int IS NULL OR daily_used < $2) AND ($3::int IS NULL OR monthly_used < $3)
+         RETURNING 1
+       )
+       SELECT daily_used, monthly_used, (SELECT COUNT(1) FROM inserted) AS consumed FROM usage`,
+      [userId, daily, monthly]
+    ));
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  const consumed = Number(rows[0].consumed) > 0;
+  const extra = consumed ? 1 : 0;
+  return {
+    consumed,
+    dailyUsed: Number(rows[0].daily_used) + extra,
+    monthlyUsed: Number(rows[0].monthly_used) + extra,
+  };
+}
+
+/**
+ * Generations counted against a user's quota this UTC day and month
+ * @param {string} userId - User ID
+ * @returns {Promise<{ dailyUsed: number, monthlyUsed: number }>}
+ */
+async function getGenerationUsage(userId) {
+  const { rows } = await pool.query(USAGE_COUNTS_SQL, [userId]);
+  return { dailyUsed: Number(rows[0].daily_used), monthlyUsed: Number(rows[0].monthly_used) };
+}
+
+/**
+ * Queue a generation job
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {Object} params.payload - Body for runGenerationCore
+ * @param {number} [params.maxAttempts] - Runs allowed, counting restarts mid-run
+ * @returns {Promise<Object>} The queued job
+ */
+async function insertJob({ userId, payload = {}, maxAttempts = 2 }) {
+  const { rows } = await pool.query(
+    `INSERT INTO generation_jobs (user_id, payload, max_attempts) VALUES ($1, $2, $3) RETURNING *`,
+    [userId, payload, maxAttempts]
+  );
+  return mapJob(rows[0]);
+}
+
+/**
+ * Atomically move the oldest queued job to running.
+ * SKIP LOCKED keeps two workers from claiming the same job.
+ * @param {string|null} [workerId] - Worker claiming the job (see heartbeatJob)
+ * @returns {Promise<Object|null>} The claimed job, or null if the queue is empty
+ */
+async function claimNextJob(workerId = null) {
+  const { rows } = await pool.query(
+    `UPDATE generation_jobs
+     SET status = 'running', attempts = attempts + 1, locked_by = $1, heartbeat_at = now(), started_at = now(), updated_at = now()
+     WHERE id = (
+       SELECT id FROM generation_jobs
+       WHERE status = 'queued'
+       ORDER BY created_at ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`,
+    [workerId]
+  );
+  return rows[0] ? mapJob(rows[0]) : null;
+}
+
+/**
+ * Link a job to the agent run it started
+ * @param {string} jobId - Job id
+ * @param {string} runId - Agent run id
+ * @returns {Promise<void>}
+ */
+async function setJobRun(jobId, runId) {
+  await pool.query(`UPDATE generation_jobs SET run_id = $2, updated_at = now() WHERE id = $1`, [jobId, runId]);
+}
+
+/**
+ * Record that a worker is still running a job
+ * @param {string} jobId - Job id
+ * @param {string} workerId - Worker that claimed the job
+ * @returns {Promise<boolean>} False once the job was cancelled or taken over by another worker
+ */
+async function heartbeatJob(jobId, workerId) {
+  const { rowCount } = await pool.query(
+    `UPDATE generation_jobs SET heartbeat_at = now()
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [jobId, workerId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Record the outcome of a running job.
+ * Only applies while the job is still running (and, given a worker, still held by it),
+ * so a cancel or a run of the worker that took the job over is never overwritten.
+ * @param {string} jobId - Job id
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'succeeded' or 'failed'
+ * @param {Object|null} [outcome.result] - Generation result
+ * @param {string|null} [outcome.error] - Failure message
+ * @param {Array} [outcome.progress] - Progress steps
+ * @param {string|null} [outcome.workerId] - Worker that claimed the job
+ * @returns {Promise<boolean>} True if the job was updated
+ */
+async function completeJob(jobId, { status, result = null, error = null, progress = [], workerId = null }) {
+  const { rowCount } = await pool.query(
+    `UPDATE generation_jobs
+     SET status = $2, result = $3, error = $4, progress = $5, finished_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'running' AND ($6::text IS NULL OR locked_by = $6)`,
+    [jobId, status, result, error, JSON.stringify(progress), workerId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Get a job owned by a user
+ * @param {string} userId - Owner
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>}
+ */
+async function getJobForUser(userId, jobId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM generation_jobs WHERE id = $1 AND user_id = $2`,
+    [jobId, userId]
+  );
+  return rows[0] ? mapJob(rows[0]) : null;
+}
+
+/**
+ * List a user's jobs, newest first (without the full result payload)
+ * @param {string} userId - Owner
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max rows (default 50)
+ * @param {string|null} [options.status] - Filter by status
+ * @returns {Promise<Array>}
+ */
+async function listJobsForUser(userId, { limit = 50, status = null } = {}) {
+  const params = [userId];
+  let where = "WHERE user_id = $1";
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+  params.push(limit);
+  const { rows } = await pool.query(
+    `SELECT id, user_id, status, payload, error, attempts, max_attempts, created_at, updated_at, started_at, finished_at
+     FROM generation_jobs ${where}
+     ORDER BY created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows.map(mapJob);
+}
+
+/**
+ * Cancel a queued or running job owned by a user.
+ * The worker running it sees the cancel on its next heartbeat and aborts the run.
+ * @param {string} userId - Owner
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} The cancelled job, or null if it was not cancellable
+ */
+async function cancelJob(userId, jobId) {
+  const { rows } = await pool.query(
+    `UPDATE generation_jobs
+     SET status = 'cancelled', finished_at = now(), updated_at = now()
+     WHERE id = $1 AND user_id = $2 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [jobId, userId]
+  );
+  return rows[0] ? mapJob(rows[0]) : null;
+}
+
+/**
+ * Recover jobs whose worker died: running jobs without a heartbeat for staleAfterMs.
+ * Jobs of live workers (this or another process) are left alone.
+ * Their agent runs are marked interrupted, so the next attempt continues them;
+ * jobs with attempts left go back to the queue, the rest are marked failed.
+ * @param {Object} [options]
+ * @param {number} [options.staleAfterMs] - Heartbeat age after which a worker counts as dead (default 60s)
+ * @returns {Promise<{ requeued: number, failed: number }>}
+ */
+async function recoverInterruptedJobs({ staleAfterMs = 60000 } = {}) {
+  const stale = `status = 'running' AND COALESCE(heartbeat_at, started_at, updated_at) < now() - $1::double precision * interval '1 millisecond'`;
+  await pool.query(
+    `UPDATE agent_runs
+     SET status = 'interrupted', error = 'Interrupted: the worker running its job stopped', finished_at = now(), updated_at = now()
+     WHERE status = 'running' AND id IN (SELECT run_id FROM generation_jobs WHERE ${stale})`,
+    [staleAfterMs]
+  );
+  const requeued = await pool.query(
+    `UPDATE generation_jobs SET status = 'queued', locked_by = NULL, updated_at = now()
+     WHERE ${stale} AND attempts < max_attempts`,
+    [staleAfterMs]
+  );
+  const failed = await pool.query(
+    `UPDATE generation_jobs
+     SET status = 'failed', error = 'Interrupted: the worker running it stopped', finished_at = now(), updated_at = now()
+     WHERE ${stale}`,
+    [staleAfterMs]
+  );
+  return { requeued: requeued.rowCount, failed: failed.rowCount };
+}
+
+/**
+ * Save an agent run paused for plan approval
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.conversationId - Conversation of the run
+ * @param {string} params.prompt - Original prompt
+ * @param {Object} params.request - Generation options to reuse on resume (model, captureScreenshot, budget, ...)
+ * @param {Object} params.plan - Task decomposition ({ mainTask, subtasks })
+ * @param {Object} params.state - Serialized agent graph state
+ * @param {Object|null} [params.budgetUsed] - Budget usage up to the pause ({ tokens, costUsd, elapsedMs })
+ * @returns {Promise<Object>} The plan record
+ */
+async function insertAgentPlan({ userId, conversationId, prompt, request = {}, plan, state, budgetUsed = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO agent_plans (user_id, conversation_id, prompt, request, plan, state, budget_used)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [userId, conversationId, prompt, request, plan, JSON.stringify(state), budgetUsed]
+  );
+  return mapAgentPlan(rows[0]);
+}
+
+/**
+ * Plan owned by a user
+ * @param {string} userId - Owner
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAgentPlanForUser(userId, planId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM agent_plans WHERE id = $1 AND user_id = $2`,
+    [planId, userId]
+  );
+  return rows[0] ? mapAgentPlan(rows[0]) : null;
+}
+
+/**
+ * Approve a pending plan (only once) and return it with its saved graph state
+ * @param {string} userId - Owner
+ * @param {string} planId - Plan ID
+ * @param {Object} plan - The approved, possibly edited plan
+ * @returns {Promise<{ plan: Object, state: Object }|null>} null if not found or no longer pending
+ */
+async function approveAgentPlan(userId, planId, plan) {
+  const { rows } = await pool.query(
+    `UPDATE agent_plans
+     SET status = 'approved', plan = $3, updated_at = now()
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [planId, userId, plan]
+  );
+  return rows[0] ? { plan: mapAgentPlan(rows[0]), state: rows[0].state } : null;
+}
+
+/**
+ * Reject a pending plan
+ * @param {string} userId - Owner
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Object|null>} null if not found or no longer pending
+ */
+async function rejectAgentPlan(userId, planId) {
+  const { rows } = await pool.query(
+    `UPDATE agent_plans SET status = 'rejected', updated_at = now()
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [planId, userId]
+  );
+  return rows[0] ? mapAgentPlan(rows[0]) : null;
+}
+
+/**
+ * Start tracking an agent run (its id is the LangGraph thread id of its checkpoints)
+ * @param {Object} params
+ * @param {string} params.userId - Owner
+ * @param {string} params.conversationId - Conversation of the run
+ * @param {string} params.prompt - Prompt of the run
+ * @param {Object} params.request - Generation options to reuse on resume (model, captureScreenshot, budget, ...)
+ * @param {string|null} [params.workerId] - Process executing the run (see heartbeatAgentRun)
+ * @returns {Promise<Object>} The run record
+ */
+async function insertAgentRun({ userId, conversationId, prompt, request = {}, workerId = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO agent_runs (user_id, conversation_id, prompt, request, locked_by, heartbeat_at)
+     VALUES ($1, $2, $3, $4, $5, now()) RETURNING *`,
+    [userId, conversationId, prompt, request, workerId]
+  );
+  return mapAgentRun(rows[0]);
+}
+
+/**
+ * Run owned by a user
+ * @param {string} userId - Owner
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object|null>}
+ */
+async function getAgentRunForUser(userId, runId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM agent_runs WHERE id = $1 AND user_id = $2`,
+    [runId, userId]
+  );
+  return rows[0] ? mapAgentRun(rows[0]) : null;
+}
+
+/**
+ * Runs of a conversation, newest first
+ * @param {string} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ * @param {number} [limit=20] - Max runs
+ * @returns {Promise<Array<Object>>}
+ */
+async function listAgentRunsForConversation(userId, conversationId, limit = 20) {
+  const { rows } = await pool.query(
+    `SELECT * FROM agent_runs WHERE conversation_id = $1 AND user_id = $2
+     ORDER BY created_at DESC LIMIT $3`,
+    [conversationId, userId, limit]
+  );
+  return rows.map(mapAgentRun);
+}
+
+/**
+ * Record how a run ended
+ * @param {string} runId - Run ID
+ * @param {Object} outcome
+ * @param {string} outcome.status - "completed" | "stopped" | "paused" | "failed"
+ * @param {string|null} [outcome.error] - Failure message
+ * @param {string|null} [outcome.stoppedBy] - "tokens" | "cost" | "time" | "max_loops"
+ * @param {Object|null} [outcome.pendingConfirmation] - Code a paused run waits on ({ codeHash, category, findings, code })
+ * @param {Object|null} [outcome.budgetUsed] - Budget usage including earlier resumes ({ tokens, costUsd, elapsedMs }); kept when null
+ * @returns {Promise<Object|null>}
+ */
+async function finishAgentRun(runId, { status, error = null, stoppedBy = null, pendingConfirmation = null, budgetUsed = null }) {
+  const { rows } = await pool.query(
+    `UPDATE agent_runs
+     SET status = $2, error = $3, stopped_by = $4, pending_confirmation = $5,
+         budget_used = COALESCE($6, budget_used), finished_at = now(), updated_at = now()
+     WHERE id = $1 RETURNING *`,
+    [runId, status, error, stoppedBy, pendingConfirmation, budgetUsed]
+  );
+  return rows[0] ? mapAgentRun(rows[0]) : null;
+}
+
+/**
+ * Claim a failed, stopped or interrupted run to resume it from its last checkpoint (only once)
+ * @param {string} userId - Owner
+ * @param {string} runId - Run ID
+ * @param {string|null} [workerId] - Process executing the run
+ * @returns {Promise<Object|null>} null if not found or not resumable
+ */
+async function claimAgentRunForResume(userId, runId, workerId = null) {
+  const { rows } = await pool.query(
+    `UPDATE agent_runs
+     SET status = 'running', attempts = attempts + 1, error = NULL, stopped_by = NULL,
+         locked_by = $3, heartbeat_at = now(), finished_at = NULL, updated_at = now()
+     WHERE id = $1 AND user_id = $2 AND status IN ('failed', 'stopped', 'interrupted')
+     RETURNING *`,
+    [runId, userId, workerId]
+  );
+  return rows[0] ? mapAgentRun(rows[0]) : null;
+}
+
+/**
+ * Claim a run paused for code confirmation to resume it with the user's decision (only once)
+ * @param {string} userId - Owner
+ * @param {string} runId - Run ID
+ * @param {string|null} [workerId] - Process executing the run
+ * @returns {Promise<Object|null>} null if not found or not waiting for confirmation
+ */
+async function claimAgentRunForConfirmation(userId, runId, workerId = null) {
+  const { rows } = await pool.query(
+    `UPDATE agent_runs
+     SET status = 'running', attempts = attempts + 1, pending_confirmation = NULL,
+         locked_by = $3, heartbeat_at = now(), finished_at = NULL, updated_at = now()
+     WHERE id = $1 AND user_id = $2 AND status = 'paused' AND pending_confirmation IS NOT NULL
+     RETURNING *`,
+    [runId, userId, workerId]
+  );
+  return rows[0] ? mapAgentRun(rows[0]) : null;
+}
+
+/**
+ * Record that a process is still executing a run
+ * @param {string} runId - Run ID
+ * @param {string} workerId - Process that started or claimed the run
+ * @returns {Promise<boolean>} False once the run ended or another process claimed it
+ */
+async function heartbeatAgentRun(runId, workerId) {
+  const { rowCount } = await pool.query(
+    `UPDATE agent_runs SET heartbeat_at = now()
+     WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+    [runId, workerId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Mark runs whose process died (running without a heartbeat for staleAfterMs) as interrupted (resumable).
+ * Runs other live processes are executing are left alone.
+ * @param {Object} [options]
+ * @param {number} [options.staleAfterMs] - Heartbeat age after which the process counts as dead (default 60s)
+ * @returns {Promise<number>} Number of runs marked
+ */
+async function recoverInterruptedAgentRuns({ staleAfterMs = 60000 } = {}) {
+  const { rowCount } = await pool.query(
+    `UPDATE agent_runs
+     SET status = 'interrupted', error = 'Interrupted: the server running it stopped', finished_at = now(), updated_at = now()
+     WHERE status = 'running'
+       AND COALESCE(heartbeat_at, updated_at) < now() - $1::double precision * interval '1 millisecond'`,
+    [staleAfterMs]
+  );
+  return rowCount;
+}
+
+/**
+ * Save a serialized LangGraph checkpoint
+ * @param {Object} params
+ * @param {string} params.threadId - Run ID
+ * @param {string} params.checkpointNs - Checkpoint namespace ("" for the root graph)
+ * @param {string} params.checkpointId - Checkpoint ID
+ * @param {string|null} params.parentCheckpointId - Previous checkpoint ID
+ * @param {string} params.type - Serializer type
+ * @param {Uint8Array} params.checkpoint - Serialized checkpoint
+ * @param {Uint8Array} params.metadata - Serialized metadata
+ */
+async function putAgentCheckpoint({ threadId, checkpointNs, checkpointId, parentCheckpointId, type, checkpoint, metadata }) {
+  await pool.query(
+    `INSERT INTO agent_checkpoints (thread_id, checkpoint_ns, checkpoint_id, parent_checkpoint_id, type, checkpoint, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (thread_id, checkpoint_ns, checkpoint_id)
+     DO UPDATE SET checkpoint = EXCLUDED.checkpoint, metadata = EXCLUDED.metadata`,
+    [threadId, checkpointNs, checkpointId, parentCheckpointId, type, Buffer.from(checkpoint), Buffer.from(metadata)]
+  );
+}
+
+/**
+ * Serialized checkpoints of a thread, newest first
+ * @param {string} threadId - Run ID
+ * @param {Object} [options]
+ * @param {string} [options.checkpointNs] - Only this namespace
+ * @param {string} [options.checkpointId] - Only this checkpoint
+ * @param {string} [options.before] - Only checkpoints older than this checkpoint ID
+ * @param {number} [options.limit] - Max checkpoints
+ * @returns {Promise<Array<Object>>} Raw rows
+ */
+async function listAgentCheckpoints(threadId, { checkpointNs, checkpointId, before, limit } = {}) {
+  const conditions = ["thread_id = $1"];
+  const params = [threadId];
+  if (checkpointNs !== undefined) {
+    params.push(checkpointNs);
+    conditions.push(`checkpoint_ns = $${params.length}`);
+  }
+  if (checkpointId) {
+    params.push(checkpointId);
+    conditions.push(`checkpoint_id = $${params.length}`);
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`checkpoint_id < $${params.length}`);
+  }
+  let sql = `SELECT * FROM agent_checkpoints WHERE ${conditions.join(" AND ")} ORDER BY checkpoint_id DESC`;
+  if (limit) {
+    params.push(limit);
+    sql += ` LIMIT $${params.length}`;
+  }
+  const { rows } = await pool.query(sql, params);
+  return rows;
+}
+
+/**
+ * Save the pending writes of a task against a checkpoint.
+ * Writes with a non-negative idx are kept if already saved; special writes (errors, interrupts) are replaced.
+ * @param {Array<Object>} writes - [{ threadId, checkpointNs, checkpointId, taskId, idx, channel, type, value }]
+ */
+async function putAgentCheckpointWrites(writes) {
+  for (const write of writes) {
+    await pool.query(
+      `INSERT INTO agent_checkpoint_writes (thread_id, checkpoint_ns, checkpoint_id, task_id, idx, channel, type, value)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (thread_id, checkpoint_ns, checkpoint_id, task_id, idx)
+       DO ${write.idx < 0 ? "UPDATE SET channel = EXCLUDED.channel, type = EXCLUDED.type, value = EXCLUDED.value" : "NOTHING"}`,
+      [write.threadId, write.checkpointNs, write.checkpointId, write.taskId, write.idx, write.channel, write.type, Buffer.from(write.value)]
+    );
+  }
+}
+
+/**
+ * Pending writes saved against a checkpoint
+ * @param {string} threadId - Run ID
+ * @param {string} checkpointNs - Checkpoint namespace
+ * @param {string} checkpointId - Checkpoint ID
+ * @returns {Promise<Array<Object>>} Raw rows
+ */
+async function getAgentCheckpointWrites(threadId, checkpointNs, checkpointId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM agent_checkpoint_writes
+     WHERE thread_id = $1 AND checkpoint_ns = $2 AND checkpoint_id = $3
+     ORDER BY task_id, idx`,
+    [threadId, checkpointNs, checkpointId]
+  );
+  return rows;
+}
+
+/**
+ * Delete every checkpoint and pending write of a thread
+ * @param {string} threadId - Run ID
+ */
+async function deleteAgentCheckpoints(threadId) {
+  await pool.query("DELETE FROM agent_checkpoint_writes WHERE thread_id = $1", [threadId]);
+  await pool.query("DELETE FROM agent_checkpoints WHERE thread_id = $1", [threadId]);
+}
+
+/**
+ * Stored code policy overrides of a user and (optionally) one of their conversations
+ * @param {string} userId - Owner
+ * @param {string|null} [conversationId] - Conversation ID
+ * @returns {Promise<{ user: Object|null, conversation: Object|null }>}
+ */
+async function getCodePolicies(userId, conversationId = null) {
+  const { rows } = await pool.query(
+    `SELECT u.code_policy AS user_policy, c.code_policy AS conversation_policy
+     FROM users u
+     LEFT JOIN conversations c ON c.id = $2 AND c.user_id = u.id
+     WHERE u.id = $1`,
+    [userId, conversationId]
+  );
+  return { user: rows[0]?.user_policy || null, conversation: rows[0]?.conversation_policy || null };
+}
+
+/**
+ * Set (or clear, with null) a user's code policy overrides
+ * @param {string} userId - User ID
+ * @param {Object|null} policy - Validated policy layer
+ */
+async function setUserCodePolicy(userId, policy) {
+  await pool.query("UPDATE users SET code_policy = $2 WHERE id = $1", [userId, policy]);
+}
+
+/**
+ * Set (or clear, with null) a conversation's code policy overrides
+ * @param {string} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} policy - Validated policy layer
+ * @returns {Promise<boolean>} false if the conversation was not found
+ */
+async function setConversationCodePolicy(userId, conversationId, policy) {
+  const { rowCount } = await pool.query(
+    "UPDATE conversations SET code_policy = $3 WHERE id = $1 AND user_id = $2",
+    [conversationId, userId, policy]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Set (or clear, with null) the Blender version a conversation targets
+ * @param {string} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ * @param {string|null} version - "major.minor"; null follows the connected Blender
+ * @returns {Promise<boolean>} false if the conversation was not found
+ */
+async function setConversationBlenderVersion(userId, conversationId, version) {
+  const { rowCount } = await pool.query(
+    "UPDATE conversations SET blender_version = $3 WHERE id = $1 AND user_id = $2",
+    [conversationId, userId, version]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Record a scene snapshot taken before an agent run, or at the tip of a branch
+ * @param {Object} snapshot
+ * @param {string} snapshot.userId - Owner
+ * @param {string} snapshot.conversationId - Conversation ID
+ * @param {string|null} snapshot.runId - Agent run ID
+ * @param {string|null} snapshot.messageId - Leaf message of the branch, for "branch" snapshots
+ * @param {string} snapshot.kind - "run" | "branch"
+ * @param {string} snapshot.blenderInstance - Instance holding the file
+ * @param {string} snapshot.filepath - Path of the .blend on the Blender host
+ * @param {number|null} snapshot.sizeBytes - File size
+ * @returns {Promise<Object>}
+ */
+async function insertSceneSnapshot({ userId, conversationId, runId = null, messageId = null, kind = "run", blenderInstance, filepath, sizeBytes = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO scene_snapshots (user_id, conversation_id, run_id, message_id, kind, blender_instance, filepath, size_bytes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [userId, conversationId, runId, messageId, kind, blenderInstance, filepath, sizeBytes]
+  );
+  return mapSceneSnapshot(rows[0]);
+}
+
+/**
+ * Snapshot taken before a run (a resumed run keeps the one from its first attempt)
+ * @param {string} runId - Agent run ID
+ * @returns {Promise<Object|null>}
+ */
+async function getSceneSnapshotForRun(runId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scene_snapshots WHERE run_id = $1 AND kind = 'run' ORDER BY created_at ASC LIMIT 1`,
+    [runId]
+  );
+  return rows[0] ? mapSceneSnapshot(rows[0]) : null;
+}
+
+/**
+ * Link a snapshot to the assistant message its run produced
+ * @param {string} snapshotId - Snapshot ID
+ * @param {string} messageId - Assistant message ID
+ */
+async function attachSceneSnapshotToMessage(snapshotId, messageId) {
+  await pool.query("UPDATE scene_snapshots SET message_id = $2 WHERE id = $1", [snapshotId, messageId]);
+}
+
+/**
+ * Snapshot of the scene as it was before a message: the one taken for an
+ * assistant reply (metadata.snapshotId), or for a user prompt the one taken for
+ * its reply, falling back to the one its run took without saving a reply (taken
+ * after the prompt and before any later prompt, so never another branch's)
+ * @param {string} userId - Owner
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>}
+ */
+async function getSceneSnapshotBeforeMessage(userId, messageId) {
+  const { rows } = await pool.query(
+    `SELECT s.* FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id AND c.user_id = $2
+     JOIN scene_snapshots s ON s.conversation_id = m.conversation_id AND s.kind = 'run'
+     LEFT JOIN messages reply ON reply.id = s.message_id AND reply.parent_id = m.id
+     WHERE m.id = $1 AND (
+       s.message_id = m.id
+       OR s.id::text = m.metadata->>'snapshotId'
+       OR reply.id IS NOT NULL
+       OR (
+         m.role = 'user' AND s.message_id IS NULL AND s.created_at >= m.created_at
+         AND NOT EXISTS (
+           SELECT 1 FROM messages later
+           WHERE later.conversation_id = m.conversation_id AND later.role = 'user'
+             AND later.created_at > m.created_at AND later.created_at <= s.created_at
+         )
+       )
+     )
+     ORDER BY (s.message_id IS NOT DISTINCT FROM m.id OR s.id::text IS NOT DISTINCT FROM m.metadata->>'snapshotId' OR reply.id IS NOT NULL) DESC, s.created_at ASC
+     LIMIT 1`,
+    [messageId, userId]
+  );
+  return rows[0] ? mapSceneSnapshot(rows[0]) : null;
+}
+
+/**
+ * Latest snapshot of the scene at the tip of a branch, saved when the user switched away from it
+ * @param {string} conversationId - Conversation ID
+ * @param {string} leafId - Leaf message of the branch
+ * @returns {Promise<Object|null>}
+ */
+async function getBranchSceneSnapshot(conversationId, leafId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scene_snapshots
+     WHERE conversation_id = $1 AND message_id = $2 AND kind = 'branch'
+     ORDER BY created_at DESC LIMIT 1`,
+    [conversationId, leafId]
+  );
+  return rows[0] ? mapSceneSnapshot(rows[0]) : null;
+}
+
+/**
+ * Snapshots of a conversation, newest first
+ * @param {string} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSceneSnapshotsForConversation(userId, conversationId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM scene_snapshots WHERE conversation_id = $1 AND user_id = $2 ORDER BY created_at DESC`,
+    [conversationId, userId]
+  );
+  return rows.map(mapSceneSnapshot);
+}
+
+/**
+ * Snapshots past the retention limits: older than maxAgeDays, or beyond the
+ * newest maxPerConversation run snapshots of their conversation. Branch snapshots
+ * only expire by age: switching back to a branch needs its snapshot however many runs followed
+ * @param {Object} limits
+ * @param {number} limits.maxAgeDays
+ * @param {number} limits.maxPerConversation
+ * @returns {Promise<Array<Object>>}
+ */
+async function listExpiredSceneSnapshots({ maxAgeDays, maxPerConversation }) {
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+       SELECT *, row_number() OVER (PARTITION BY conversation_id, kind ORDER BY created_at DESC) AS position
+       FROM scene_snapshots
+     ) ranked
+     WHERE created_at < now() - make_interval(days => $1) OR (kind <> 'branch' AND position > $2)`,
+    [maxAgeDays, maxPerConversation]
+  );
+  return rows.map(mapSceneSnapshot);
+}
+
+/**
+ * Mark a snapshot as restored
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object|null>}
+ */
+async function markSceneSnapshotRestored(snapshotId) {
+  const { rows } = await pool.query(
+    "UPDATE scene_snapshots SET restored_at = now() WHERE id = $1 RETURNING *",
+    [snapshotId]
+  );
+  return rows[0] ? mapSceneSnapshot(rows[0]) : null;
+}
+
+/**
+ * Forget snapshots whose files have been deleted
+ * @param {Array<string>} snapshotIds - Snapshot IDs
+ */
+async function deleteSceneSnapshots(snapshotIds) {
+  if (snapshotIds.length === 0) return;
+  await pool.query("DELETE FROM scene_snapshots WHERE id = ANY($1::uuid[])", [snapshotIds]);
+}
+
+/**
+ * Create a team with its creator as owner
+ * @param {string} userId - Creator
+ * @param {string} name - Team name
+ * @returns {Promise<{ id: string, name: string, role: string, createdAt: string }>}
+ */
+async function createTeam(userId, name) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      "INSERT INTO teams (name, created_by) VALUES ($1, $2) RETURNING id, name, created_at",
+      [name, userId]
+    );
+    await client.query("INSERT INTO team_members (team_id, user_id, role) VALUES ($1, $2, 'owner')", [rows[0].id, userId]);
+    await client.query("COMMIT");
+    return { id: rows[0].id, name: rows[0].name, role: "owner", createdAt: rows[0].created_at };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Teams a user belongs to, with their role
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{ id: string, name: string, role: string, memberCount: number, createdAt: string }>>}
+ */
+async function listTeamsForUser(userId) {
+  const { rows } = await pool.query(
+    `SELECT t.id, t.name, t.created_at, m.role,
+            (SELECT COUNT(*) FROM team_members WHERE team_id = t.id) AS member_count
+     FROM team_members m JOIN teams t ON t.id = m.team_id
+     WHERE m.user_id = $1
+     ORDER BY t.name`,
+    [userId]
+  );
+  return rows.map((row) => ({ id: row.id, name: row.name, role: row.role, memberCount: Number(row.member_count), createdAt: row.created_at }));
+}
+
+/**
+ * A user's role in a team
+ * @param {string} userId - User ID
+ * @param {string} teamId - Team ID
+ * @returns {Promise<string|null>} "owner" | "member", null if not a member (or no such team)
+ */
+async function getTeamRole(userId, teamId) {
+  const { rows } = await pool.query("SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2", [teamId, userId]);
+  return rows[0]?.role || null;
+}
+
+/**
+ * Members of a team
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array<{ userId: string, email: string, displayName: string|null, role: string, joinedAt: string }>>}
+ */
+async function listTeamMembers(teamId) {
+  const { rows } = await pool.query(
+    `SELECT u.id, u.email, u.display_name, m.role, m.created_at
+     FROM team_members m JOIN users u ON u.id = m.user_id
+     WHERE m.team_id = $1
+     ORDER BY m.created_at`,
+    [teamId]
+  );
+  return rows.map((row) => ({ userId: row.id, email: row.email, displayName: row.display_name || null, role: row.role, joinedAt: row.created_at }));
+}
+
+/**
+ * Add a user to a team by email, or change their role; the last owner cannot be demoted
+ * @param {string} teamId - Team ID
+ * @param {string} email - Email of an existing user
+ * @param {string} role - "owner" | "member"
+ * @returns {Promise<{ userId: string, email: string, role: string }|"not_found"|"last_owner">} "not_found" if no user has that email
+ */
+async function upsertTeamMember(teamId, email, role) {
+  const { rows } = await pool.query(
+    `INSERT INTO team_members AS m (team_id, user_id, role)
+     SELECT $1, id, $3 FROM users WHERE lower(email) = lower($2)
+     ON CONFLICT (team_id, user_id) DO UPDATE SET role = EXCLUDED.role
+     WHERE m.role <> 'owner' OR EXCLUDED.role = 'owner' OR EXISTS (
+       SELECT 1 FROM team_members o WHERE o.team_id = $1 AND o.role = 'owner' AND o.user_id <> m.user_id)
+     RETURNING user_id, role`,
+    [teamId, email, role]
+  );
+  if (rows[0]) return { userId: rows[0].user_id, email, role: rows[0].role };
+  const { rowCount } = await pool.query(`SELECT 1 FROM users WHERE lower(email) = lower($1)`, [email]);
+  return rowCount > 0 ? "last_owner" : "not_found";
+}
+
+/**
+ * Remove a user from a team; the last owner cannot leave
+ * @param {string} teamId - Team ID
+ * @param {string} userId - Member to remove
+ * @returns {Promise<"removed"|"not_found"|"last_owner">}
+ */
+async function removeTeamMember(teamId, userId) {
+  const { rows } = await pool.query(
+    `DELETE FROM team_members m
+     WHERE m.team_id = $1 AND m.user_id = $2
+       AND (m.role <> 'owner' OR EXISTS (
+         SELECT 1 FROM team_members o WHERE o.team_id = $1 AND o.role = 'owner' AND o.user_id <> $2))
+     RETURNING m.user_id`,
+    [teamId, userId]
+  );
+  if (rows.length > 0) return "removed";
+  return (await getTeamRole(userId, teamId)) ? "last_owner" : "not_found";
+}
+
+// Access of $1 (a user) to collection c: "owner" for their own collections and as
+// team owner, "member" as team member, NULL otherwise
+const COLLECTION_ACCESS_SQL = `
+  CASE WHEN c.user_id = $1 THEN 'owner'
+       ELSE (SELECT m.role FROM team_members m WHERE m.team_id = c.team_id AND m.user_id = $1) END`;
+
+/**
+ * Create a knowledge collection owned by a user, or by a team when teamId is given
+ * @param {Object} collection
+ * @param {string} collection.userId - Creator
+ * @param {string|null} [collection.teamId] - Owning team (the creator must be a member)
+ * @param {string} collection.name - Name
+ * @param {string|null} [collection.description] - Description
+ * @returns {Promise<Object>}
+ */
+async function insertKnowledgeCollection({ userId, teamId = null, name, description = null }) {
+  const { rows } = await pool.query(
+    `INSERT INTO knowledge_collections (user_id, team_id, name, description, created_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [teamId ? null : userId, teamId, name, description, userId]
+  );
+  return mapKnowledgeCollection({ ...rows[0], document_count: 0, chunk_count: 0 });
+}
+
+/**
+ * Collections a user can read: their own and their teams'
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - with access, documentCount and chunkCount
+ */
+async function listKnowledgeCollectionsForUser(userId) {
+  const { rows } = await pool.query(
+    `SELECT c.*, t.name AS team_name, ${COLLECTION_ACCESS_SQL} AS access,
+            (SELECT COUNT(*) FROM knowledge_documents d WHERE d.collection_id = c.id) AS document_count,
+            (SELECT COALESCE(SUM(d.chunk_count), 0) FROM knowledge_documents d WHERE d.collection_id = c.id) AS chunk_count
+     FROM knowledge_collections c LEFT JOIN teams t ON t.id = c.team_id
+     WHERE c.user_id = $1 OR c.team_id IN (SELECT team_id FROM team_members WHERE user_id = $1)
+     ORDER BY c.name`,
+    [userId]
+  );
+  return rows.map(mapKnowledgeCollection);
+}
+
+/**
+ * A collection the user can read
+ * @param {string} userId - User ID
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Object|null>} - with access; null if missing or not visible to the user
+ */
+async function getKnowledgeCollectionForUser(userId, collectionId) {
+  const { rows } = await pool.query(
+    `SELECT c.*, t.name AS team_name, ${COLLECTION_ACCESS_SQL} AS access
+     FROM knowledge_collections c LEFT JOIN teams t ON t.id = c.team_id
+     WHERE c.id = $2`,
+    [userId, collectionId]
+  );
+  return rows[0]?.access ? mapKnowledgeCollection(rows[0]) : null;
+}
+
+/**
+ * IDs of the collections a user can read, for retrieval
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+async function listReadableCollectionIds(userId) {
+  const { rows } = await pool.query(
+    `SELECT c.id FROM knowledge_collections c
+     WHERE c.user_id = $1 OR c.team_id IN (SELECT team_id FROM team_members WHERE user_id = $1)`,
+    [userId]
+  );
+  return rows.map((row) => row.id);
+}
+
+/**
+ * Delete a collection with its documents and chunks
+ * @param {string} collectionId - Collection ID
+ */
+async function deleteKnowledgeCollection(collectionId) {
+  await pool.query("DELETE FROM knowledge_collections WHERE id = $1", [collectionId]);
+}
+
+/**
+ * Documents of a collection (without their text)
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listKnowledgeDocuments(collectionId) {
+  const { rows } = await pool.query(
+    `SELECT id, collection_id, name, format, content_hash, size_bytes, chunk_count, uploaded_by, created_at, indexed_at
+     FROM knowledge_documents WHERE collection_id = $1 ORDER BY name`,
+    [collectionId]
+  );
+  return rows.map(mapKnowledgeDocument);
+}
+
+/**
+ * Documents of a collection with their extracted text, for re-indexing
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<Array<{ id: string, name: string, format: string, text: string }>>}
+ */
+async function listKnowledgeDocumentTexts(collectionId) {
+  const { rows } = await pool.query(
+    "SELECT id, name, format, text FROM knowledge_documents WHERE collection_id = $1 ORDER BY name",
+    [collectionId]
+  );
+  return rows;
+}
+
+/**
+ * Content hash of a collection's document, to skip re-embedding unchanged uploads
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - Document name
+ * @returns {Promise<string|null>}
+ */
+async function getKnowledgeDocumentHash(collectionId, name) {
+  const { rows } = await pool.query(
+    "SELECT content_hash FROM knowledge_documents WHERE collection_id = $1 AND name = $2",
+    [collectionId, name]
+  );
+  return rows[0]?.content_hash || null;
+}
+
+/**
+ * Store a document and replace its chunks in one transaction; a document with
+ * the same name in the collection is replaced
+ * @param {Object} document
+ * @param {string} document.collectionId - Collection ID
+ * @param {string} document.name - Document name (unique per collection)
+ * @param {string} document.format - "markdown" | "html" | "pdf" | "text"
+ * @param {string} document.text - Extracted text
+ * @param {string} document.contentHash - Hash of the text
+ * @param {number|null} document.sizeBytes - Size of the upload
+ * @param {string|null} document.uploadedBy - User ID
+ * @param {Array<{ title: string|null, content: string, embedding: string }>} document.chunks - embedding in pgvector SQL form
+ * @returns {Promise<Object>} - The document (mapKnowledgeDocument)
+ */
+async function saveKnowledgeDocument({ collectionId, name, format, text, contentHash, sizeBytes = null, uploadedBy = null, chunks }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `INSERT INTO knowledge_documents (collection_id, name, format, text, content_hash, size_bytes, chunk_count, uploaded_by, indexed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+       ON CONFLICT (collection_id, name) DO UPDATE SET
+         format = EXCLUDED.format, text = EXCLUDED.text, content_hash = EXCLUDED.content_hash,
+         size_bytes = COALESCE(EXCLUDED.size_bytes, knowledge_documents.size_bytes),
+         chunk_count = EXCLUDED.chunk_count, uploaded_by = COALESCE(EXCLUDED.uploaded_by, knowledge_documents.uploaded_by),
+         indexed_at = now()
+       RETURNING id, collection_id, name, format, content_hash, size_bytes, chunk_count, uploaded_by, created_at, indexed_at`,
+      [collectionId, name, format, text, contentHash, sizeBytes, chunks.length, uploadedBy]
+    );
+    const documentId = rows[0].id;
+    await client.query("DELETE FROM knowledge_collection_chunks WHERE document_id = $1", [documentId]);
+    for (const [index, chunk] of chunks.entries()) {
+      await client.query(
+        `INSERT INTO knowledge_collection_chunks (collection_id, document_id, chunk_index, title, content, embedding)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [collectionId, documentId, index, chunk.title, chunk.content, chunk.embedding]
+      );
+    }
+    await client.query("UPDATE knowledge_collections SET updated_at = now() WHERE id = $1", [collectionId]);
+    await client.query("COMMIT");
+    return mapKnowledgeDocument(rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a document and its chunks
+ * @param {string} collectionId - Collection ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<boolean>} false if the document is not in the collection
+ */
+async function deleteKnowledgeDocument(collectionId, documentId) {
+  const { rowCount } = await pool.query(
+    "DELETE FROM knowledge_documents WHERE id = $1 AND collection_id = $2",
+    [documentId, collectionId]
+  );
+  if (rowCount > 0) await pool.query("UPDATE knowledge_collections SET updated_at = now() WHERE id = $1", [collectionId]);
+  return rowCount > 0;
+}
+
+/**
+ * Record code the sandbox rejected or flagged
+ * @param {Object} entry
+ * @param {string|null} entry.userId - User whose run produced the code
+ * @param {string|null} entry.conversationId - Conversation ID
+ * @param {string|null} entry.runId - Agent run ID
+ * @param {string} entry.action - "rejected" | "flagged"
+ * @param {string} entry.codeHash - Hash of the code
+ * @param {string} entry.code - The code
+ * @param {Array<Object>} entry.violations - Sandbox violations
+ */
+async function insertSandboxAuditEntry({ userId = null, conversationId = null, runId = null, action, codeHash, code, violations }) {
+  await pool.query(
+    `INSERT INTO sandbox_audit_log (user_id, conversation_id, run_id, action, code_hash, code, violations)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [userId, conversationId, runId, action, codeHash, code, JSON.stringify(violations)]
+  );
+}
+
+/**
+ * A user's sandbox audit entries, newest first
+ * @param {string} userId - Owner
+ * @param {number} [limit=50] - Max entries
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSandboxAuditEntries(userId, limit = 50) {
+  const { rows } = await pool.query(
+    `SELECT * FROM sandbox_audit_log WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    conversationId: row.conversation_id,
+    runId: row.run_id,
+    action: row.action,
+    codeHash: row.code_hash,
+    code: row.code,
+    violations: row.violations,
+    createdAt: row.created_at,
+  }));
+}
+
+export {
+  pool,
+  initSchema,
+  mapConversation,
+  mapMessage,
+  mapJob,
+  mapKnowledgeDocument,
+  checkDatabaseHealth,
+  insertApiUsage,
+  computeUsageCost,
+  assignUsageToMessage,
+  getConversationCosts,
+  getUsageSummary,
+  insertGenerationRun,
+  getGenerationSummary,
+  getGenerationBreakdown,
+  getGenerationFailures,
+  consumeGenerationQuota,
+  getGenerationUsage,
+  insertJob,
+  claimNextJob,
+  setJobRun,
+  heartbeatJob,
+  completeJob,
+  getJobForUser,
+  listJobsForUser,
+  cancelJob,
+  recoverInterruptedJobs,
+  insertAgentPlan,
+  getAgentPlanForUser,
+  approveAgentPlan,
+  rejectAgentPlan,
+  insertAgentRun,
+  getAgentRunForUser,
+  listAgentRunsForConversation,
+  finishAgentRun,
+  claimAgentRunForResume,
+  claimAgentRunForConfirmation,
+  heartbeatAgentRun,
+  recoverInterruptedAgentRuns,
+  putAgentCheckpoint,
+  listAgentCheckpoints,
+  putAgentCheckpointWrites,
+  getAgentCheckpointWrites,
+  deleteAgentCheckpoints,
+  getCodePolicies,
+  setUserCodePolicy,
+  setConversationCodePolicy,
+  setConversationBlenderVersion,
+  insertSandboxAuditEntry,
+  listSandboxAuditEntries,
+  insertSceneSnapshot,
+  getSceneSnapshotForRun,
+  attachSceneSnapshotToMessage,
+  getSceneSnapshotBeforeMessage,
+  getBranchSceneSnapshot,
+  listSceneSnapshotsForConversation,
+  listExpiredSceneSnapshots,
+  markSceneSnapshotRestored,
+  deleteSceneSnapshots,
+  createTeam,
+  listTeamsForUser,
+  getTeamRole,
+  listTeamMembers,
+  upsertTeamMember,
+  removeTeamMember,
+  insertKnowledgeCollection,
+  listKnowledgeCollectionsForUser,
+  getKnowledgeCollectionForUser,
+  listReadableCollectionIds,
+  deleteKnowledgeCollection,
+  listKnowledgeDocuments,
+  listKnowledgeDocumentTexts,
+  getKnowledgeDocumentHash,
+  saveKnowledgeDocument,
+  deleteKnowledgeDocument,
+};
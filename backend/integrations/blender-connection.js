@@ -0,0 +1,511 @@
+/*
+ * blender-connection.js
+ *
+ * TCP transport for a single Blender instance running addon.py.
+ * Owns the socket, the framing negotiation, the command queue and the
+ * correlation-id routing of replies. The integrations index keeps one of
+ * these per registered Blender instance.
+ */
+
+import net from 'net';
+import { randomUUID } from 'crypto';
+import { StringDecoder } from 'string_decoder';
+import logger from '../utils/logger.js';
+
+const FRAMING_HANDSHAKE_TIMEOUT_MS = 3000;
+const VERSION_PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Pick a reply timeout for a command type
+ * @param {string} commandType - The command type
+ * @returns {number} - Timeout in milliseconds
+ */
+function timeoutForCommand(commandType) {
+  if (commandType === 'download_sketchfab_model') {
+    return 120000; // 120s (2 minutes) for Sketchfab downloads (can be large files)
+  } else if (commandType.startsWith('download_') || commandType.includes('download')) {
+    return 60000; // 60s for other downloads
+  } else if (commandType.startsWith('create_rodin_job')) {
+    return 30000; // 30s for job creation
+  } else if (commandType.startsWith('search_')) {
+    return 30000; // 30s for searches
+  } else if (commandType.endsWith('_snapshot')) {
+    return 60000; // 60s to save or load a whole .blend
+  }
+  return 15000; // Default 15s
+}
+
+/**
+ * Create a connection to one Blender instance
+ * @param {Object} options - Connection options
+ * @param {string} options.id - Instance id used in logs
+ * @param {string} options.host - Blender TCP host
+ * @param {number} options.port - Blender TCP port
+ * @param {number} options.maxInFlight - Max concurrent commands on the socket once
+ *   NDJSON is negotiated (legacy framing always sends one command at a time)
+ * @param {string} options.framingMode - "auto" (negotiate NDJSON) or "legacy"
+ * @param {number|null} [options.commandTimeoutMs] - Reply timeout for every command
+ *   (defaults to a per-command timeout, see timeoutForCommand)
+ * @returns {Object} - Connection API
+ */
+export function createBlenderConnection({ id, host, port, maxInFlight = 8, framingMode = 'auto', commandTimeoutMs = null }) {
+  let client = null;
+  let buffer = '';
+  let decoder = new StringDecoder('utf8');
+  let connected = false;
+  let connecting = null;
+
+  // Framing negotiated for the current socket ("legacy" or "ndjson")
+  let framing = 'legacy';
+  // Set while the framing handshake and version probe run; queued commands wait
+  let handshakeInFlight = false;
+
+  // Queue for commands waiting for a free in-flight slot
+  let commandQueue = [];
+  // In-flight requests keyed by correlation id (insertion order = send order)
+  const pendingRequests = new Map();
+
+  // Reply to get_blender_version for the current socket; null until known and on
+  // addon builds without the command
+  let blenderVersion = null;
+  let versionRequest = null;
+
+  /**
+   * Open the TCP connection (no-op if already connected)
+   * @returns {Promise<void>}
+   */
+  function connect() {
+    if (client && connected) return Promise.resolve();
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve, reject) => {
+      let resolved = false;
+      const socket = new net.Socket();
+      client = socket;
+
+      // Setup event handlers; ignore events from a socket that was replaced
+      socket.on('data', (chunk) => {
+        if (socket === client) handleData(chunk);
+      });
+      socket.on('error', (err) => {
+        if (socket === client) handleError(err);
+        // Reject only once
+        if (!resolved) {
+          resolved = true;
+          reject(err);
+        }
+      });
+      socket.on('close', () => {
+        if (socket === client) handleClose();
+        // Only reject if not already resolved/rejected
+        if (!resolved) {
+          resolved = true;
+          reject(new Error("Connection closed before establishing"));
+        }
+      });
+      socket.on('connect', async () => {
+        connected = true;
+        buffer = '';
+        decoder = new StringDecoder('utf8');
+        framing = 'legacy';
+        logger.info(`Connected to Blender TCP server`, { instance: id, host, port });
+        handshakeInFlight = true;
+        await negotiateFraming();
+        await detectBlenderVersion();
+        handshakeInFlight = false;
+        process.nextTick(processCommandQueue);
+        if (!resolved) {
+          resolved = true;
+          resolve();
+        }
+      });
+
+      try {
+        socket.connect(port, host);
+      } catch (err) {
+        if (!resolved) {
+          resolved = true;
+          reject(err);
+        }
+      }
+    }).finally(() => {
+      connecting = null;
+    });
+
+    return connecting;
+  }
+
+  function handleData(chunk) {
+    // StringDecoder keeps multi-byte characters that straddle chunks intact
+    buffer += decoder.write(chunk);
+    parseBuffer();
+  }
+
+  function handleError(err) {
+    logger.error('Blender Connection Error', { instance: id, error: err.message });
+    connected = false;
+    forgetBlenderVersion();
+    rejectAllPending(new Error("Blender Connection Error"));
+  }
+
+  function handleClose() {
+    logger.info('Blender Connection closed', { instance: id });
+    connected = false;
+    forgetBlenderVersion();
+    rejectAllPending(new Error("Connection closed"));
+  }
+
+  /**
+   * Reject every in-flight and queued command (used when the socket goes away)
+   * @param {Error} err - The error passed to each waiting caller
+   */
+  function rejectAllPending(err) {
+    for (const request of pendingRequests.values()) {
+      clearTimeout(request.timeout);
+      try { request.reject(err); } catch (e) {}
+    }
+    pendingRequests.clear();
+    commandQueue.forEach(cmd => cmd.reject(err));
+    commandQueue = [];
+  }
+
+  /**
+   * Send a command ahead of the queue (used while handshakeInFlight holds it)
+   * @param {string} commandType - The command type
+   * @param {object} params - The command parameters
+   * @param {number} timeoutMs - Reply timeout
+   * @returns {Promise<object>} - The command result
+   */
+  function sendDirect(commandType, params, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const requestId = randomUUID();
+      pendingRequests.set(requestId, {
+        id: requestId,
+        commandType,
+        resolve,
+        reject,
+        timeout: setTimeout(() => {
+          settleRequest(requestId, new Error(`Timeout: No response for ${commandType} after ${timeoutMs / 1000}s.`));
+        }, timeoutMs),
+      });
+      try {
+        client.write(encodeMessage({ id: requestId, type: commandType, params }));
+      } catch (err) {
+        settleRequest(requestId, err);
+      }
+    });
+  }
+
+  /**
+   * Ask the addon to switch this connection to newline-delimited JSON.
+   * Older addon builds answer "Unknown command type" (or nothing at all),
+   * in which case the connection stays on the legacy brace-counting framing.
+   * @returns {Promise<void>}
+   */
+  async function negotiateFraming() {
+    if (framingMode === 'legacy') {
+      logger.info('Blender message framing forced to legacy', { instance: id });
+      return;
+    }
+
+    const negotiated = await sendDirect('negotiate_framing', { framing: ['ndjson'] }, FRAMING_HANDSHAKE_TIMEOUT_MS)
+      .then((result) => (result?.framing === 'ndjson' ? 'ndjson' : 'legacy'), () => 'legacy');
+    framing = negotiated;
+    logger.info('Blender message framing negotiated', { instance: id, framing });
+  }
+
+  /**
+   * Ask the addon which Blender version it runs in, once per socket. Runs on
+   * connect before queued commands; addon builds without the framing handshake
+   * do not know the command either, so legacy framing is not probed.
+   * @returns {Promise<Object|null>} - { version: "4.2", version_string, version_tuple, cycle },
+   *   null when disconnected or the addon does not know the command
+   */
+  function detectBlenderVersion() {
+    if (versionRequest) return versionRequest;
+    if (!connected || framing !== 'ndjson') return Promise.resolve(null);
+    const request = handshakeInFlight
+      ? sendDirect('get_blender_version', {}, VERSION_PROBE_TIMEOUT_MS)
+      : sendCommand('get_blender_version', {});
+    versionRequest = request
+      .then((result) => {
+        blenderVersion = result?.version ? result : null;
+        logger.info('Blender version detected', { instance: id, version: blenderVersion?.version_string || null });
+        return blenderVersion;
+      })
+      .catch((err) => {
+        logger.warn('Blender version unavailable', { instance: id, error: err.message });
+        return null;
+      });
+    return versionRequest;
+  }
+
+  function forgetBlenderVersion() {
+    blenderVersion = null;
+    versionRequest = null;
+  }
+
+  /**
+   * Serialize an outgoing message using the connection's framing
+   * @param {object} message - Command envelope
+   * @returns {string} - Wire representation
+   */
+  function encodeMessage(message) {
+    const json = JSON.stringify(message);
+    return framing === 'ndjson' ? `${json}\n` : json;
+  }
+
+  /**
+   * Extract every complete message from the buffer and route it by id.
+   * Unmatched replies (e.g. late ones after a timeout) are dropped by
+   * routeResponse, so the buffer is parsed even with nothing in flight.
+   */
+  function parseBuffer() {
+    if (framing === 'ndjson') {
+      parseNdjsonBuffer();
+    } else {
+      parseLegacyBuffer();
+    }
+  }
+
+  /**
+   * NDJSON framing: one JSON document per line. A malformed line is dropped
+   * on its own without discarding the rest of the stream.
+   */
+  function parseNdjsonBuffer() {
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (err) {
+        logger.error('Dropping malformed Blender message', { instance: id, error: err.message, preview: line.slice(0, 200) });
+        continue;
+      }
+      routeResponse(parsed);
+    }
+  }
+
+  /**
+   * Legacy framing for addon builds without the handshake: message boundaries
+   * are found by counting braces outside of strings.
+   */
+  function parseLegacyBuffer() {
+    try {
+      while (buffer.length > 0) {
+        // Skip anything before the first object (stray output between replies)
+        const firstBrace = buffer.indexOf('{');
+        if (firstBrace === -1) {
+          buffer = '';
+          return;
+        }
+        if (firstBrace > 0) buffer = buffer.slice(firstBrace);
+
+        let braceCount = 0;
+        let jsonEnd = -1, inString = false, escapeNext = false;
+
+        for (let i = 0; i < buffer.length; i++) {
+          const char = buffer[i];
+          if (escapeNext) { escapeNext = false; continue; }
+          if (char === "\\") { escapeNext = true; continue; }
+          if (char === '"') { inString = !inString; continue; }
+          if (inString) continue;
+
+          if (char === "{") {
+            braceCount++;
+          } else if (char === "}") {
+            braceCount--;
+            if (braceCount === 0) {
+              jsonEnd = i + 1;
+              break;
+            }
+          }
+        }
+
+        if (jsonEnd === -1) return; // Not a full message yet
+
+        const jsonStr = buffer.slice(0, jsonEnd);
+        buffer = buffer.slice(jsonEnd).trim();
+        routeResponse(JSON.parse(jsonStr));
+      }
+    } catch (err) {
+      console.error("❌ Parse Error:", err.message, "Buffer:", buffer.slice(0, 500));
+      buffer = ""; // Clear a bad buffer
+      // Without a parseable id we cannot tell which request the garbage
+      // belonged to, so fail the oldest one (the legacy behaviour).
+      const oldest = pendingRequests.values().next().value;
+      if (oldest) settleRequest(oldest.id, err);
+    }
+  }
+
+  /**
+   * Hand a parsed response to the request it belongs to.
+   * Replies from older addon builds carry no id; those only arrive over legacy
+   * framing, where a single command is in flight, so they belong to it.
+   * @param {object} parsed - Parsed JSON reply from Blender
+   */
+  function routeResponse(parsed) {
+    let requestId = parsed.id;
+    if ((requestId === undefined || requestId === null) && framing === 'legacy') {
+      requestId = pendingRequests.keys().next().value;
+    }
+    if (requestId === undefined || !pendingRequests.has(requestId)) {
+      logger.warn('Dropping Blender reply with no matching request', { instance: id, id: parsed.id ?? null });
+      return;
+    }
+
+    if (parsed.status === 'error') {
+      settleRequest(requestId, new Error(parsed.message || 'Unknown Blender error'));
+    } else {
+      settleRequest(requestId, null, parsed.result || parsed);
+    }
+  }
+
+  /**
+   * Resolve or reject an in-flight request and free its slot
+   * @param {string} requestId - Correlation id
+   * @param {Error|null} err - Error to reject with, or null to resolve
+   * @param {any} result - Result to resolve with
+   */
+  function settleRequest(requestId, err, result) {
+    const request = pendingRequests.get(requestId);
+    if (!request) return;
+    pendingRequests.delete(requestId);
+    clearTimeout(request.timeout);
+    if (err) request.reject(err);
+    else request.resolve(result);
+    process.nextTick(processCommandQueue);
+  }
+
+  /**
+   * Send a command to this Blender instance, reconnecting if needed
+   * @param {string} commandType - The command type
+   * @param {object} params - The command parameters
+   * @returns {Promise<object>} - The command result
+   */
+  function sendCommand(commandType, params = {}) {
+    return new Promise((resolve, reject) => {
+      if (!client || !connected) {
+        // Try to reconnect if connection is lost
+        console.warn(`Not connected to Blender instance ${id}. Attempting to reconnect...`);
+        connect().then(() => {
+           enqueueCommand(commandType, params, resolve, reject);
+        }).catch(err => {
+           reject(new Error(`Not connected to Blender TCP server: ${err.message}`));
+        });
+      } else {
+         enqueueCommand(commandType, params, resolve, reject);
+      }
+    });
+  }
+
+  function enqueueCommand(commandType, params, resolve, reject) {
+    commandQueue.push({
+      id: randomUUID(),
+      commandType,
+      params,
+      resolve,
+      reject,
+      timeoutMs: commandTimeoutMs ?? timeoutForCommand(commandType)
+    });
+
+    process.nextTick(processCommandQueue);
+  }
+
+  /**
+   * Commands allowed in flight on the current socket. Addon builds without the
+   * handshake json.loads their whole receive buffer, so two commands sent back
+   * to back never parse there; legacy framing gets one command at a time.
+   * @returns {number}
+   */
+  function inFlightLimit() {
+    return framing === 'legacy' ? 1 : maxInFlight;
+  }
+
+  /**
+   * Dispatch queued commands until the in-flight limit is reached
+   */
+  function processCommandQueue() {
+    // Hold everything back until the framing handshake has settled
+    if (handshakeInFlight || !client || !connected) return;
+
+    while (commandQueue.length > 0 && pendingRequests.size < inFlightLimit()) {
+      const command = commandQueue.shift();
+
+      try {
+        // The timeout only frees this request's slot; a late reply carrying
+        // this id is dropped by routeResponse instead of hitting another command.
+        // Legacy replies may have no id, so there the socket is replaced instead.
+        const timeout = setTimeout(() => {
+          if (framing === 'legacy') replaceSocket();
+          settleRequest(command.id, new Error(`Timeout: No response for ${command.commandType} after ${command.timeoutMs / 1000}s.`));
+        }, command.timeoutMs);
+
+        pendingRequests.set(command.id, {
+          id: command.id,
+          commandType: command.commandType,
+          resolve: command.resolve,
+          reject: command.reject,
+          timeout
+        });
+
+        console.log(`[TCP] Sending command to ${id}: ${command.commandType} (${command.id})`);
+        client.write(encodeMessage({ id: command.id, type: command.commandType, params: command.params }));
+      } catch (err) {
+        if (pendingRequests.has(command.id)) {
+          settleRequest(command.id, err);
+        } else {
+          command.reject(err);
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop the socket without failing queued commands and reconnect; they are sent
+   * on the new socket, where a late reply to a timed-out command cannot arrive
+   */
+  function replaceSocket() {
+    const socket = client;
+    if (!socket) return;
+    logger.warn('Reconnecting to Blender after a timeout over legacy framing', { instance: id });
+    client = null;
+    connected = false;
+    forgetBlenderVersion();
+    socket.destroy();
+    connect().catch((err) => {
+      rejectAllPending(new Error(`Not connected to Blender TCP server: ${err.message}`));
+    });
+  }
+
+  /**
+   * Close the connection and fail anything still waiting
+   */
+  function close() {
+    if (client) {
+      const socket = client;
+      client = null;
+      connected = false;
+      forgetBlenderVersion();
+      socket.end();
+      rejectAllPending(new Error("Connection closed"));
+    }
+  }
+
+  return {
+    id,
+    host,
+    port,
+    connect,
+    sendCommand,
+    close,
+    isConnected: () => connected,
+    detectBlenderVersion,
+    getBlenderVersion: () => blenderVersion,
+    getStats: () => ({ inFlight: pendingRequests.size, queued: commandQueue.length, maxInFlight: inFlightLimit(), framing }),
+  };
+}
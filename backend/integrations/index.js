@@ -2,32 +2,56 @@
  * Integrations module - Central entry point for all Blender integrations
  *
  * This file is the "smart core" of the integration system.
- * 1. It creates and manages the SINGLE TCP connection to Blender.
- * 2. It handles the sendCommand queue.
+ * 1. It keeps a pool of TCP connections, one per registered Blender instance
+ *    (see blender-connection.js for the per-socket transport).
+ * 2. It routes sendCommand to the instance that owns the current conversation
+ *    or user, using an AsyncLocalStorage context set by runWithBlenderInstance.
+ *    Commands can be recorded to a session file and replayed offline
+ *    (BLENDER_RECORD_DIR / BLENDER_REPLAY_FILE, see session-recorder.js).
  * 3. It imports logic from the "dumb" module files (hyper3d, sketchfab, polyhaven).
  * 4. It passes its own 'sendCommand' function to those modules.
  */
 
-import net from 'net';
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
 import * as hyper3d from './hyper3d.js';
 import * as sketchfab from './sketchfab.js';
 import * as polyhaven from './polyhaven.js';
 import { createCircuitBreaker } from './circuit-breaker.js';
+import { createBlenderConnection } from './blender-connection.js';
+import { createSessionRecorder, createSessionReplayer } from './session-recorder.js';
 import logger from '../utils/logger.js';
 
 // Default TCP connection settings
 const PORT = parseInt(process.env.BLENDER_TCP_PORT || "9876", 10);
 const HOST = process.env.BLENDER_TCP_HOST || "127.0.0.1";
 
-// Connection tracking
-let client = null;
-let buffer = '';
-let isConnected = false;
+// Maximum number of commands allowed in flight on a socket that negotiated NDJSON
+// (and so gets request ids echoed back). Legacy framing always sends one at a time.
+const MAX_IN_FLIGHT = Math.max(1, parseInt(process.env.BLENDER_MAX_IN_FLIGHT || "8", 10));
 
-// Queue for managing multiple TCP commands
-let commandQueue = [];
-let isProcessingQueue = false;
-let pendingRequest = null;
+// Message framing: "auto" negotiates NDJSON on connect and falls back to the
+// legacy brace-counting parser when the addon does not understand the handshake.
+const FRAMING_MODE = (process.env.BLENDER_FRAMING || "auto").toLowerCase();
+
+// How often disconnected instances are probed (0 disables probing)
+const PROBE_INTERVAL_MS = parseInt(process.env.BLENDER_PROBE_INTERVAL_MS || "30000", 10);
+
+const DEFAULT_INSTANCE_ID = 'default';
+
+// Registered instances keyed by id
+const instances = new Map();
+// Pins from "conversation:<id>" / "user:<id>" to an instance id; in memory only, so
+// they reset on restart, and conversation pins go when the conversation is deleted
+const assignments = new Map();
+// Instance id for the code path currently running (set by runWithBlenderInstance)
+const instanceContext = new AsyncLocalStorage();
+
+let probeTimer = null;
+
+// Opt-in session recording / replay (replay bypasses every socket)
+let sessionRecorder = null;
+let sessionReplayer = null;
 
 // Circuit breakers for each integration type
 const hyper3dCircuitBreaker = createCircuitBreaker({ threshold: 3, timeout: 30000 });
@@ -35,271 +59,323 @@ const sketchfabCircuitBreaker = createCircuitBreaker({ threshold: 3, timeout: 30
 const polyhavenCircuitBreaker = createCircuitBreaker({ threshold: 3, timeout: 30000 }); 
 
 /**
- * Initialize the TCP connection to Blender
- * @returns {Promise<void>}
+ * Parse BLENDER_INSTANCES ("id=host:port,id2=host:port") into instance specs
+ * @param {string} value - Raw env value
+ * @returns {Array<{id: string, host: string, port: number}>}
  */
-export function initBlenderConnection() {
-  return new Promise((resolve, reject) => {
-    if (client && isConnected) {
-        logger.info("Blender connection already active");
-        return resolve();
-    }
-    
-    let resolved = false;
-    
-    try {
-      client = new net.Socket();
-      
-      // Setup event handlers
-      client.on('data', handleData);
-      client.on('error', (err) => {
-        handleError(err);
-        // Reject only once
-        if (!resolved) {
-          resolved = true;
-          reject(err);
-        }
-      });
-      client.on('close', () => {
-        handleClose();
-        // Only reject if not already resolved/rejected
-        if (!resolved) {
-          resolved = true;
-          reject(new Error("Connection closed before establishing"));
-        }
-      });
-      client.on('connect', () => {
-        isConnected = true;
-        logger.info(`Connected to Blender TCP server`, { host: HOST, port: PORT });
-        if (!resolved) {
-          resolved = true;
-          resolve();
-        }
-      });
-      
-      // Initiate connection
-      client.connect(PORT, HOST, () => {
-        // Connection listener above will handle resolve
-      });
+function parseInstanceList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, address] = entry.includes('=') ? entry.split('=') : [null, entry];
+      const [host, port] = address.split(':');
+      return { id: (id || `${host}:${port}`).trim(), host: host.trim(), port: parseInt(port, 10) };
+    })
+    .filter(spec => spec.host && Number.isFinite(spec.port));
+}
 
-    } catch (err) {
-      if (!resolved) {
-        resolved = true;
-        reject(err);
-      }
-    }
+/**
+ * Register (or replace) a Blender instance in the pool
+ * @param {Object} spec - Instance spec
+ * @param {string} spec.id - Unique instance id
+ * @param {string} spec.host - TCP host
+ * @param {number} spec.port - TCP port
+ * @returns {Object} - Public instance summary
+ */
+export function registerBlenderInstance({ id, host, port }) {
+  if (!id || !host || !Number.isFinite(Number(port))) {
+    throw new Error("Blender instance requires id, host and port");
+  }
+  const existing = instances.get(id);
+  if (existing) existing.close();
+
+  const connection = createBlenderConnection({
+    id,
+    host,
+    port: Number(port),
+    maxInFlight: MAX_IN_FLIGHT,
+    framingMode: FRAMING_MODE,
   });
+  instances.set(id, connection);
+  logger.info('Registered Blender instance', { instance: id, host, port: Number(port) });
+  return describeInstance(connection);
 }
 
-// Connection handler functions
-function handleData(chunk) {
-  buffer += chunk.toString('utf8');
-  parseBuffer();
+// Seed the pool from the environment
+registerBlenderInstance({ id: DEFAULT_INSTANCE_ID, host: HOST, port: PORT });
+for (const spec of parseInstanceList(process.env.BLENDER_INSTANCES)) {
+  registerBlenderInstance(spec);
 }
 
-function handleError(err) {
-  logger.error('Blender Connection Error', { error: err.message });
-  isConnected = false;
-  if (pendingRequest) {
-    try { pendingRequest.reject(err); } catch(e) {}
-    pendingRequest = null;
+function describeInstance(connection) {
+  const assigned = [];
+  for (const [key, instanceId] of assignments) {
+    if (instanceId === connection.id) assigned.push(key);
   }
-  // Reject all pending commands in the queue
-  commandQueue.forEach(cmd => cmd.reject(new Error("Blender Connection Error")));
-  commandQueue = [];
-  isProcessingQueue = false;
+  return {
+    id: connection.id,
+    host: connection.host,
+    port: connection.port,
+    connected: connection.isConnected(),
+    blenderVersion: connection.getBlenderVersion()?.version_string || null,
+    assigned,
+    ...connection.getStats(),
+  };
 }
 
-function handleClose() {
-  logger.info('Blender Connection closed');
-  isConnected = false;
-  handleError(new Error("Connection closed"));
+/**
+ * List every registered instance with its connection state and pins
+ * @returns {Array<Object>}
+ */
+export function listBlenderInstances() {
+  return Array.from(instances.values()).map(describeInstance);
 }
 
 /**
- * Simplified JSON message parser
+ * Pin a conversation or user to an instance
+ * @param {string} instanceId - Target instance id
+ * @param {Object} target - What to pin
+ * @param {string} [target.conversationId] - Conversation to pin
+ * @param {string} [target.userId] - User to pin
  */
-function parseBuffer() {
-  if (!pendingRequest) {
-    if (buffer.length > 2048) buffer = ""; // Safety clear
-    return;
+export function attachBlenderInstance(instanceId, { conversationId, userId } = {}) {
+  if (!instances.has(instanceId)) {
+    throw new Error(`Unknown Blender instance: ${instanceId}`);
   }
-  
-  try {
-    let braceCount = 0;
-    let jsonStart = -1, jsonEnd = -1, inString = false, escapeNext = false;
-
-    for (let i = 0; i < buffer.length; i++) {
-      const char = buffer[i];
-      if (escapeNext) { escapeNext = false; continue; }
-      if (char === "\\") { escapeNext = true; continue; }
-      if (char === '"') { inString = !inString; continue; }
-      if (inString) continue;
-
-      if (char === "{") {
-        if (jsonStart === -1) jsonStart = i;
-        braceCount++;
-      } else if (char === "}") {
-        braceCount--;
-        if (braceCount === 0 && jsonStart !== -1) {
-          jsonEnd = i + 1;
-          break;
-        }
-      }
-    }
+  if (!conversationId && !userId) {
+    throw new Error("conversationId or userId is required");
+  }
+  if (conversationId) assignments.set(`conversation:${conversationId}`, instanceId);
+  if (userId) assignments.set(`user:${userId}`, instanceId);
+  logger.info('Attached Blender instance', { instance: instanceId, conversationId, userId });
+}
 
-    if (jsonEnd === -1) return; // Not a full message yet
+/**
+ * Drop the pins of a conversation or user (e.g. when the conversation is deleted)
+ * @param {Object} target - What to unpin
+ * @param {string} [target.conversationId] - Conversation to unpin
+ * @param {string} [target.userId] - User to unpin
+ */
+export function detachBlenderInstance({ conversationId, userId } = {}) {
+  if (conversationId) assignments.delete(`conversation:${conversationId}`);
+  if (userId) assignments.delete(`user:${userId}`);
+}
 
-    const jsonStr = buffer.slice(jsonStart, jsonEnd);
-    const parsed = JSON.parse(jsonStr);
-    buffer = buffer.slice(jsonEnd).trim();
+/**
+ * Pick the instance for a conversation/user.
+ * Order: conversation pin, user pin, then the least-loaded connected instance
+ * (pinned to the conversation so follow-up turns land on the same scene),
+ * falling back to the default instance.
+ * @param {Object} [target]
+ * @param {string} [target.conversationId]
+ * @param {string} [target.userId]
+ * @returns {string} - Instance id
+ */
+export function resolveBlenderInstance({ conversationId, userId } = {}) {
+  const conversationPin = conversationId && assignments.get(`conversation:${conversationId}`);
+  if (conversationPin && instances.has(conversationPin)) return conversationPin;
 
-    if (pendingRequest) {
-      clearTimeout(pendingRequest.timeout);
-      if (parsed.status === 'error') {
-        pendingRequest.reject(new Error(parsed.message || 'Unknown Blender error'));
-      } else {
-        pendingRequest.resolve(parsed.result || parsed);
-      }
-      pendingRequest = null;
-    }
-    
-    if (buffer.length > 0) process.nextTick(parseBuffer);
-    process.nextTick(processCommandQueue); // Try to process next command
+  const userPin = userId && assignments.get(`user:${userId}`);
+  if (userPin && instances.has(userPin)) return userPin;
 
-  } catch (err) {
-    console.error("❌ Parse Error:", err.message, "Buffer:", buffer);
-    buffer = ""; // Clear a bad buffer
-    if (pendingRequest) {
-      pendingRequest.reject(err);
-      pendingRequest = null;
-    }
-    process.nextTick(processCommandQueue);
+  if (instances.size === 1) return DEFAULT_INSTANCE_ID;
+
+  const load = new Map();
+  for (const instanceId of assignments.values()) {
+    load.set(instanceId, (load.get(instanceId) || 0) + 1);
   }
+  const candidates = Array.from(instances.values()).filter(c => c.isConnected());
+  if (candidates.length === 0) return DEFAULT_INSTANCE_ID;
+
+  candidates.sort((a, b) => (load.get(a.id) || 0) - (load.get(b.id) || 0));
+  const chosen = candidates[0].id;
+  if (conversationId) assignments.set(`conversation:${conversationId}`, chosen);
+  return chosen;
 }
 
 /**
- * Send a command to the Blender TCP server with queue management
- * @param {string} commandType - The command type 
- * @param {object} params - The command parameters
- * @returns {Promise<object>} - The command result
+ * Run fn with every sendCommand/isBlenderConnected call inside it routed to
+ * the given instance (including calls made deep inside the agent tools)
+ * @param {string} instanceId - Instance id
+ * @param {Function} fn - Work to run
+ * @returns {any} - Whatever fn returns
  */
-export function sendCommand(commandType, params = {}) {
-  return new Promise((resolve, reject) => {
-    if (!client || !isConnected) {
-      // Try to reconnect if connection is lost
-      console.warn("Not connected. Attempting to reconnect...");
-      initBlenderConnection().then(() => {
-         enqueueCommand(commandType, params, resolve, reject);
-      }).catch(err => {
-         reject(new Error(`Not connected to Blender TCP server: ${err.message}`));
-      });
-    } else {
-       enqueueCommand(commandType, params, resolve, reject);
-    }
-  });
+export function runWithBlenderInstance(instanceId, fn) {
+  return instanceContext.run(instanceId, fn);
 }
 
-function enqueueCommand(commandType, params, resolve, reject) {
-    // Determine timeout based on command type
-    let timeoutMs = 15000; // Default 15s
-    if (commandType === 'download_sketchfab_model') {
-      timeoutMs = 120000; // 120s (2 minutes) for Sketchfab downloads (can be large files)
-    } else if (commandType.startsWith('download_') || commandType.includes('download')) {
-      timeoutMs = 60000; // 60s for other downloads
-    } else if (commandType.startsWith('create_rodin_job')) {
-      timeoutMs = 30000; // 30s for job creation
-    } else if (commandType.startsWith('search_')) {
-      timeoutMs = 30000; // 30s for searches
-    }
+/**
+ * Instance id of the current context (runWithBlenderInstance), else the default instance
+ * @returns {string}
+ */
+export function getCurrentBlenderInstance() {
+  return instanceContext.getStore() || DEFAULT_INSTANCE_ID;
+}
 
-    // Add command to queue
-    commandQueue.push({
-      commandType,
-      params,
-      resolve,
-      reject,
-      timeoutMs
-    });
-    
-    // Process queue if not already processing
-    if (!isProcessingQueue) {
-      process.nextTick(processCommandQueue);
+function currentConnection() {
+  const instanceId = getCurrentBlenderInstance();
+  const connection = instances.get(instanceId);
+  if (!connection) throw new Error(`Unknown Blender instance: ${instanceId}`);
+  return connection;
+}
+
+/**
+ * Reconnect any instance that is down; runs on an interval once started
+ */
+async function probeInstances() {
+  for (const connection of instances.values()) {
+    if (connection.isConnected()) continue;
+    try {
+      await connection.connect();
+    } catch (err) {
+      logger.warn('Blender instance probe failed', { instance: connection.id, error: err.message });
     }
+  }
 }
 
 /**
- * Process the command queue one at a time
+ * Initialize the TCP connection to Blender.
+ * Connects the default instance (rejecting if it is unreachable), tries the
+ * rest of the pool in the background and starts health probing.
+ * @returns {Promise<void>}
  */
-async function processCommandQueue() {
-  // Single atomic check and lock - prevents race condition
-  if (isProcessingQueue || commandQueue.length === 0 || pendingRequest) {
+export async function initBlenderConnection() {
+  if (sessionReplayer) {
+    logger.info("Blender replay active; skipping TCP connection", { file: sessionReplayer.filePath });
     return;
   }
-  
-  isProcessingQueue = true;
-  const command = commandQueue.shift();
-  
-  if (!command) {
-    isProcessingQueue = false;
+
+  if (!probeTimer && PROBE_INTERVAL_MS > 0) {
+    probeTimer = setInterval(() => { probeInstances(); }, PROBE_INTERVAL_MS);
+    probeTimer.unref();
+  }
+
+  for (const connection of instances.values()) {
+    if (connection.id === DEFAULT_INSTANCE_ID || connection.isConnected()) continue;
+    connection.connect().catch(err => {
+      logger.warn('Blender instance unavailable', { instance: connection.id, error: err.message });
+    });
+  }
+
+  const defaultConnection = instances.get(DEFAULT_INSTANCE_ID);
+  if (defaultConnection.isConnected()) {
+    logger.info("Blender connection already active");
     return;
   }
-  
+  await defaultConnection.connect();
+}
+
+/**
+ * Send a command to the Blender instance for the current context
+ * @param {string} commandType - The command type 
+ * @param {object} params - The command parameters
+ * @returns {Promise<object>} - The command result
+ */
+export function sendCommand(commandType, params = {}) {
+  if (sessionReplayer) return sessionReplayer.sendCommand(commandType, params);
   try {
-    const timeout = setTimeout(() => {
-      pendingRequest = null;
-      command.reject(new Error(`Timeout: No response for ${command.commandType} after ${command.timeoutMs / 1000}s.`));
-      isProcessingQueue = false;
-      process.nextTick(processCommandQueue); // Continue processing queue
-    }, command.timeoutMs);
-
-    pendingRequest = { 
-      resolve: (result) => {
-        command.resolve(result);
-        clearTimeout(timeout);
-        pendingRequest = null;
-        isProcessingQueue = false;
-        process.nextTick(processCommandQueue); // Continue processing queue
-      },
-      reject: (error) => {
-        command.reject(error);
-        clearTimeout(timeout);
-        pendingRequest = null;
-        isProcessingQueue = false;
-        process.nextTick(processCommandQueue); // Continue processing queue
-      }, 
-      timeout 
-    };
-
-    console.log(`[TCP] Sending command: ${command.commandType}`);
-    const json = JSON.stringify({ type: command.commandType, params: command.params });
-    client.write(json);
+    const connection = currentConnection();
+    if (sessionRecorder) {
+      return sessionRecorder.record(connection.id, commandType, params, () => connection.sendCommand(commandType, params));
+    }
+    return connection.sendCommand(commandType, params);
   } catch (err) {
-    command.reject(err);
-    pendingRequest = null;
-    isProcessingQueue = false;
-    process.nextTick(processCommandQueue); // Continue processing queue
+    return Promise.reject(err);
   }
 }
 
 /**
- * Check if the connection to Blender is active
+ * Check if the connection to Blender is active (for the current context)
  * @returns {boolean} - True if connected
  */
 export function isBlenderConnected() {
-  return isConnected;
+  if (sessionReplayer) return true;
+  const connection = instances.get(instanceContext.getStore() || DEFAULT_INSTANCE_ID);
+  return connection ? connection.isConnected() : false;
+}
+
+/**
+ * Blender version of the instance for the current context (asked once per connection)
+ * @returns {Promise<string|null>} - "major.minor", e.g. "4.2"; null if disconnected,
+ *   replaying a session or the addon predates get_blender_version
+ */
+export async function getConnectedBlenderVersion() {
+  if (sessionReplayer) return null;
+  const connection = instances.get(instanceContext.getStore() || DEFAULT_INSTANCE_ID);
+  if (!connection?.isConnected()) return null;
+  const info = await connection.detectBlenderVersion();
+  return info?.version || null;
+}
+
+/**
+ * Number of commands currently awaiting a reply and waiting for a slot
+ * on the instance for the current context
+ * @returns {{ inFlight: number, queued: number, maxInFlight: number, framing: string }}
+ */
+export function getBridgeStats() {
+  return currentConnection().getStats();
+}
+
+/**
+ * Start writing every command/response pair to a session file
+ * @param {string} filePath - NDJSON session file
+ * @returns {string} - The session file path
+ */
+export function startSessionRecording(filePath) {
+  if (sessionRecorder) sessionRecorder.close();
+  sessionRecorder = createSessionRecorder(filePath);
+  return sessionRecorder.filePath;
+}
+
+/**
+ * Stop recording and flush the session file
+ * @returns {Promise<void>}
+ */
+export async function stopSessionRecording() {
+  if (!sessionRecorder) return;
+  const recorder = sessionRecorder;
+  sessionRecorder = null;
+  await recorder.close();
+}
+
+/**
+ * Serve every sendCommand from a recorded session instead of Blender
+ * @param {string} filePath - Session file to replay
+ * @param {Object} [options]
+ * @param {boolean} [options.realTiming] - Wait the recorded duration per command
+ */
+export function startSessionReplay(filePath, options = {}) {
+  sessionReplayer = createSessionReplayer(filePath, options);
+}
+
+/**
+ * Go back to talking to Blender
+ */
+export function stopSessionReplay() {
+  sessionReplayer = null;
+}
+
+if (process.env.BLENDER_REPLAY_FILE) {
+  startSessionReplay(process.env.BLENDER_REPLAY_FILE, {
+    realTiming: (process.env.BLENDER_REPLAY_TIMING || '').toLowerCase() === 'recorded',
+  });
+} else if (process.env.BLENDER_RECORD_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  startSessionRecording(path.join(process.env.BLENDER_RECORD_DIR, `blender-session-${stamp}.ndjson`));
 }
 
 /**
- * Close the connection to Blender
+ * Close every connection in the pool
  */
 export function closeConnection() {
-  if (client) {
-    client.end();
-    client = null;
-    isConnected = false;
-    commandQueue = [];
-    pendingRequest = null;
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+  for (const connection of instances.values()) {
+    connection.close();
   }
 }
 
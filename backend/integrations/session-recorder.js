@@ -0,0 +1,133 @@
+/*
+ * session-recorder.js
+ *
+ * Record-and-replay for Blender bridge sessions.
+ * The recorder appends every command/response pair (with timing) to an NDJSON
+ * session file; the replayer serves those responses back in order so an agent
+ * run can be reproduced offline. The integrations index decides when to use them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// Commands whose result points at a file Blender wrote; the file is embedded
+// in the recording so replay can recreate it at the newly requested path.
+const FILE_RESULT_COMMANDS = new Set(['get_viewport_screenshot']);
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Create a recorder writing to an NDJSON session file
+ * @param {string} filePath - Session file (created, appended to if it exists)
+ * @returns {Object} - Recorder API
+ */
+export function createSessionRecorder(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  let seq = 0;
+
+  stream.write(`${JSON.stringify({ kind: 'session', version: 1, startedAt: new Date().toISOString() })}\n`);
+  logger.info('Recording Blender bridge session', { file: filePath });
+
+  /**
+   * Wrap a sendCommand call so its outcome is recorded
+   * @param {string} instance - Instance id the command went to
+   * @param {string} commandType - The command type
+   * @param {object} params - The command parameters
+   * @param {Function} send - Performs the real call
+   * @returns {Promise<object>}
+   */
+  async function record(instance, commandType, params, send) {
+    const entry = { kind: 'command', seq: ++seq, instance, type: commandType, params, startedAt: Date.now() };
+    try {
+      const result = await send();
+      entry.status = 'success';
+      entry.result = result;
+      if (FILE_RESULT_COMMANDS.has(commandType) && result?.filepath && fs.existsSync(result.filepath)) {
+        entry.file = fs.readFileSync(result.filepath).toString('base64');
+      }
+      return result;
+    } catch (err) {
+      entry.status = 'error';
+      entry.error = err.message;
+      throw err;
+    } finally {
+      entry.durationMs = Date.now() - entry.startedAt;
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  return {
+    filePath,
+    record,
+    close: () => new Promise(resolve => stream.end(resolve)),
+  };
+}
+
+/**
+ * Create a replayer serving responses from a recorded session file.
+ * Responses are matched by command type in recorded order; a params mismatch
+ * is logged but still served, so small prompt differences do not break a replay.
+ * @param {string} filePath - Session file written by createSessionRecorder
+ * @param {Object} [options]
+ * @param {boolean} [options.realTiming] - Wait the recorded duration before answering
+ * @returns {Object} - Replayer API
+ */
+export function createSessionReplayer(filePath, { realTiming = false } = {}) {
+  const queues = new Map();
+  let total = 0;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.kind !== 'command') continue;
+    if (!queues.has(entry.type)) queues.set(entry.type, []);
+    queues.get(entry.type).push(entry);
+    total++;
+  }
+  logger.info('Replaying Blender bridge session', { file: filePath, commands: total });
+
+  /**
+   * Serve the next recorded response for a command type
+   * @param {string} commandType - The command type
+   * @param {object} params - The command parameters
+   * @returns {Promise<object>}
+   */
+  async function sendCommand(commandType, params = {}) {
+    const entry = queues.get(commandType)?.shift();
+    if (!entry) {
+      throw new Error(`Replay: no recorded response left for ${commandType}`);
+    }
+
+    const { filepath, ...comparable } = params || {};
+    const { filepath: recordedPath, ...recordedComparable } = entry.params || {};
+    if (stableStringify(comparable) !== stableStringify(recordedComparable)) {
+      logger.warn('Replay params differ from recording', { type: commandType, seq: entry.seq });
+    }
+
+    if (realTiming && entry.durationMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, entry.durationMs));
+    }
+
+    if (entry.status === 'error') throw new Error(entry.error);
+
+    if (entry.file && filepath) {
+      fs.writeFileSync(filepath, Buffer.from(entry.file, 'base64'));
+      return { ...entry.result, filepath };
+    }
+    return entry.result;
+  }
+
+  return {
+    filePath,
+    sendCommand,
+    remaining: () => Array.from(queues.values()).reduce((n, q) => n + q.length, 0),
+  };
+}
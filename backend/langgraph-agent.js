@@ -5,12 +5,18 @@ import { tool } from "@langchain/core/tools";
 import { z } from "zod";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import Groq from "groq-sdk";
-import pgvector from "pgvector/pg";
-import { pipeline } from "@xenova/transformers";
 import { getRandomGeminiKey } from './utils/simple-api-keys.js';
 import { integrationModules, sendCommand, isBlenderConnected } from './integrations/index.js';
 import logger from './utils/logger.js';
-import { pool } from "./db.js";
+import { createUsageTracker, runWithUsageTracker, getCurrentUsageTracker, recordLLMUsage, geminiUsage, groqUsage } from './utils/llm-usage.js';
+import { createBudget } from './utils/budget.js';
+import { agentCheckpointer } from './utils/checkpointer.js';
+import { runWithCodePolicy, reviewBlenderCode } from './utils/code-policy.js';
+import { analyzeBlenderCode, sanitizeBlenderCode, formatDiagnostics } from './utils/python-analyzer.js';
+import { enforceSandbox, runWithSandboxContext } from './utils/sandbox.js';
+import { parseSceneQuery, queryScene, SCENE_QUERY_FIELDS } from './utils/scene-query.js';
+import { searchKnowledgeBase, runWithKnowledgeUser, KNOWLEDGE_KINDS, KNOWLEDGE_SOURCES } from './utils/knowledge-search.js';
+import { runWithBlenderVersion, getBlenderVersion } from './utils/blender-version.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -29,117 +35,6 @@ const MODEL_CONFIGS = {
   gemini: { name: "gemini-2.5-flash", displayName: "Gemini 2.5 Flash" },
   groq: { name: "llama-3.3-70b-versatile", displayName: "Llama 3.3 70B (Groq)" },
 };
-const EMBEDDING_MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
-const EXPECTED_EMBEDDING_DIM = 380;
-
-let embedderPromise = null;
-async function getEmbedder() {
-  if (embedderPromise === null) {
-    logger.info("Loading local embedding model", { model: EMBEDDING_MODEL_NAME });
-    embedderPromise = pipeline("feature-extraction", EMBEDDING_MODEL_NAME);
-  }
-  return embedderPromise;
-}
-
-async function embedQuery(text) {
-  const embedder = await getEmbedder();
-  const embedding = await embedder(text, { pooling: "mean", normalize: true });
-  const data = embedding.data;
-  const arr = Array.isArray(data) ? data : Array.from(data);
-  return arr;
-}
-
-// Import database pool from server.js
-// Note: pool is already imported above
-
-async function tableExists(tableName) {
-  try {
-    const { rows } = await pool.query(
-      "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = $1)",
-      [tableName]
-    );
-    return rows[0].exists;
-  } catch (error) {
-    logger.error("Error checking if table exists", { table: tableName, error: error.message });
-    return false;
-  }
-}
-
-// Helper function for Levenshtein distance calculation
-function levenshteinDistance(str1, str2) {
-  const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(0));
-  for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
-  for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
-  
-  for (let j = 1; j <= str2.length; j++) {
-    for (let i = 1; i <= str1.length; i++) {
-      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1,
-        matrix[j - 1][i] + 1,
-        matrix[j - 1][i - 1] + cost
-      );
-    }
-  }
-  return matrix[str2.length][str1.length];
-}
-
-// Helper function for string similarity calculation
-function similarity(str1, str2) {
-  const len1 = str1.length;
-  const len2 = str2.length;
-  const maxLen = Math.max(len1, len2);
-  if (maxLen === 0) return 1.0;
-  const distance = levenshteinDistance(str1, str2);
-  return 1 - distance / maxLen;
-}
-
-// Helper function to deduplicate search results
-function deduplicateResults(rows, similarityThreshold = 0.95) {
-  const unique = [];
-  for (const row of rows) {
-    const isDuplicate = unique.some(existing => 
-      similarity(existing.content, row.content) > similarityThreshold
-    );
-    if (!isDuplicate) {
-      unique.push(row);
-    }
-  }
-  return unique;
-}
-
-async function searchKnowledgeBase(queryText, limit = 5) {
-  logger.info(`[RAG] Searching knowledge base`, { query: String(queryText).slice(0, 100), limit });
-  try {
-    const queryEmbedding = await embedQuery(queryText);
-    const vectorString = pgvector.toSql(queryEmbedding);
-    
-    const MIN_SIMILARITY = 0.3; // Add threshold for better quality results
-    const hasNewTable = await tableExists("blender_knowledge_new");
-    
-    const tableName = hasNewTable ? "blender_knowledge_new" : "blender_knowledge";
-    const query = `
-      SELECT content, 1 - (embedding <=> $1) AS similarity
-      FROM ${tableName}
-      WHERE 1 - (embedding <=> $1) > $2
-      ORDER BY similarity DESC
-      LIMIT $3
-    `;
-    const { rows } = await pool.query(query, [vectorString, MIN_SIMILARITY, limit]);
-    
-    // Deduplicate similar results
-    const uniqueResults = deduplicateResults(rows);
-    
-    logger.info(`[RAG] Found ${uniqueResults.length} relevant documents`, { similarity: MIN_SIMILARITY });
-    return uniqueResults.map((r) => ({
-      content: r.content,
-      similarity: r.similarity
-    }));
-  } catch (error) {
-    logger.error(`[RAG] Knowledge base search failed`, { error: error?.message || error });
-    return [];
-  }
-}
 
 // Define the agent state using LangGraph's Annotation system
 const AgentStateAnnotation = Annotation.Root({
@@ -214,24 +109,42 @@ const AgentStateAnnotation = Annotation.Root({
   autoValidateNext: Annotation({
     default: () => false,
   }),
+  budgetExceeded: Annotation({
+    default: () => null, // { limit, label, used, max } once a budget limit stops the run
+  }),
+  awaitingApproval: Annotation({
+    default: () => false, // true when the run paused after decomposition for plan approval
+  }),
+  awaitingConfirmation: Annotation({
+    default: () => null, // { codeHash, category, findings, code, subtaskId } while code waits for the user's confirmation
+  }),
+  codeDecisions: Annotation({
+    default: () => ({}), // { [codeHash]: "approved" | "declined" } given by the user during this run
+  }),
 });
 
 // Tool definitions using LangGraph's tool decorator
 const searchKnowledgeBaseTool = tool(
-  async ({ query }) => {
-    logger.info(`🔍 [RAG] Searching knowledge base`, { query: query.slice(0, 100) });
+  async ({ query, symbol, module, kind, source }) => {
+    logger.info(`🔍 [RAG] Searching knowledge base`, { query: query.slice(0, 100), symbol, module, kind, source });
     
     return retryOperation(
       async () => {
-        const results = await searchKnowledgeBase(query, 5);
+        const results = await searchKnowledgeBase(query, { limit: 5, filter: { symbol, module, kind }, source });
         
         // Extract content for ragContext (backward compatibility)
         const docs = results.map(r => r.content || r);
         
-        // Provide detailed results with similarity scores
+        // Provide detailed results with similarity and hybrid score breakdown
         const detailedResults = results.map(r => ({
           content: r.content || r,
-          similarity: r.similarity || 0
+          symbol: r.symbol,
+          kind: r.kind,
+          sourceUrl: r.sourceUrl,
+          collection: r.collection,
+          similarity: r.similarity || 0,
+          score: r.score,
+          scores: r.scores,
         }));
         
         const resultEmoji = docs.length > 0 ? '✅' : '⚠️';
@@ -253,9 +166,13 @@ const searchKnowledgeBaseTool = tool(
   },
   {
     name: "search_knowledge_base",
-    description: "Searches the Blender 4.x API documentation for a specific query. Use this before execute_blender_code.",
+    description: "Searches the Blender API documentation of the target Blender version, and the user's private knowledge collections (studio conventions, rig docs, in-house add-on APIs), for a specific query. Use this before execute_blender_code. Optionally limit the search to a symbol, a module or a kind of documentation, or to one source.",
     schema: z.object({
       query: z.string().describe("The search query for the knowledge base"),
+      symbol: z.string().optional().describe("Only docs of this symbol and its members, e.g. bpy.types.Modifier"),
+      module: z.string().optional().describe("Only docs of this module and its submodules, e.g. bpy.ops.mesh"),
+      kind: z.enum(KNOWLEDGE_KINDS).optional().describe("Only this kind of documentation"),
+      source: z.enum(KNOWLEDGE_SOURCES).optional().describe("\"docs\" for the Blender docs only, \"collections\" for the user's private collections only"),
     }),
   }
 );
@@ -300,6 +217,53 @@ const getSceneInfoTool = tool(
   }
 );
 
+const querySceneTool = tool(
+  async (input) => {
+    if (!isBlenderConnected()) {
+      return {
+        success: false,
+        error: "Blender is not connected. Cannot query the scene.",
+      };
+    }
+
+    const { valid, errors, query } = parseSceneQuery(input || {});
+    if (!valid) {
+      return { success: false, error: `Invalid scene query: ${errors.join("; ")}` };
+    }
+
+    try {
+      const result = await queryScene(query);
+      const shown = result.objects.length;
+      return {
+        success: true,
+        query,
+        result,
+        message: shown > 0
+          ? `Found ${result.total} matching object${result.total !== 1 ? "s" : ""} (showing ${result.offset + 1}-${result.offset + shown}): ${result.objects.map((obj) => obj.name).join(", ")}`
+          : `Found ${result.total} matching objects`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to query scene: ${error.message}`,
+      };
+    }
+  },
+  {
+    name: "query_scene",
+    description: "Lists scene objects page by page, filtered by type, collection, name glob or material, with optional extra fields. Use it instead of get_scene_info when the scene has many objects or you need transforms, materials or modifiers.",
+    schema: z.object({
+      type: z.string().optional().describe("Object type, e.g. MESH, LIGHT, CAMERA, EMPTY"),
+      collection: z.string().optional().describe("Collection the objects are linked to"),
+      name: z.string().optional().describe("Glob pattern for object names, e.g. \"Chair*\""),
+      material: z.string().optional().describe("Material assigned to the objects"),
+      fields: z.array(z.enum(SCENE_QUERY_FIELDS)).optional().describe("Extra fields to return besides name, type and location"),
+      offset: z.number().int().optional().describe("Index of the first object to return"),
+      limit: z.number().int().optional().describe("Maximum number of objects to return (default 50)"),
+    }),
+  }
+);
+
 // Generic retry wrapper with exponential backoff
 async function retryOperation(operation, options = {}) {
   const {
@@ -392,12 +356,67 @@ async function autoFixBlenderCode(code, error) {
   return fixedCode;
 }
 
-// Retry logic for Blender code execution
+// The auto-fixes re-indent code, so keep the previous version if they break it
+async function autoFixWithoutSyntaxErrors(code, error) {
+  const fixedCode = await autoFixBlenderCode(code, error);
+  if (fixedCode === code || !analyzeBlenderCode(fixedCode).diagnostics.some(d => d.rule === "syntax")) return fixedCode;
+  logger.warn("[Analyzer] Auto-fix produced invalid code, keeping the previous version");
+  return code;
+}
+
+// Checks every code string passes before it is sent to execute_code (sandbox, then
+// code policy); returns the tool result that stops it, or null if it may run
+async function gateBlenderCode(code) {
+  // Sandbox: model output is untrusted and addon.py runs it with full builtins
+  const sandbox = await enforceSandbox(code);
+  if (!sandbox.allowed) {
+    return { success: false, error: sandbox.error, sandbox: { violations: sandbox.violations } };
+  }
+
+  // Code policy: destructive code needs the user's confirmation or is blocked outright.
+  // Decisions are per code hash, so a rewrite of approved code is reviewed afresh
+  const review = reviewBlenderCode(code);
+  const flagged = [...new Set(review.findings.map(finding => finding.description))].join(", ");
+  if (review.action === "block") {
+    logger.warn(`[Policy] Blocked ${review.category} Blender code`, { findings: review.findings });
+    return {
+      success: false,
+      error: `Blocked by code policy: this code ${flagged}.`,
+      policy: { action: review.action, category: review.category, findings: review.findings },
+    };
+  }
+  if (review.action === "confirm" && review.decision !== "approved") {
+    if (review.decision === "declined") {
+      return { success: false, declined: true, error: `Skipped: you declined code that ${flagged}.` };
+    }
+    logger.info(`[Policy] ${review.category} Blender code needs confirmation`, { codeHash: review.codeHash, findings: review.findings });
+    return {
+      success: false,
+      confirmationRequired: true,
+      error: `This code ${flagged} and needs your confirmation.`,
+      confirmation: { codeHash: review.codeHash, category: review.category, findings: review.findings, code },
+    };
+  }
+  return null;
+}
+
+// Retry logic for Blender code execution. code must already have passed
+// gateBlenderCode; auto-fixed rewrites are gated again and a stop is returned as
+// { success: false, gated: <tool result> }
 async function executeBlenderCodeWithRetry(code, maxRetries = 3) {
   let lastError = null;
   let lastResult = null;
+  let gatedCode = code;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    if (code !== gatedCode) {
+      const stop = await gateBlenderCode(code);
+      if (stop) {
+        logger.warn(`[Retry ${attempt}/${maxRetries}] Auto-fixed Blender code did not pass the checks, not running it`);
+        return { success: false, gated: stop, error: stop.error, result: lastResult, code };
+      }
+      gatedCode = code;
+    }
     try {
       const result = await sendCommand("execute_code", { code });
       
@@ -408,7 +427,7 @@ async function executeBlenderCodeWithRetry(code, maxRetries = 3) {
         // If execution failed and we have retries left, try to fix the code
         if (attempt < maxRetries) {
           logger.warn(`[Retry ${attempt}/${maxRetries}] Blender code execution failed, attempting auto-fix`, { error: lastError });
-          code = await autoFixBlenderCode(code, lastError);
+          code = await autoFixWithoutSyntaxErrors(code, lastError);
           // Wait before retry (exponential backoff)
           await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
           continue;
@@ -428,7 +447,7 @@ async function executeBlenderCodeWithRetry(code, maxRetries = 3) {
       // If we have retries left, try to fix and retry
       if (attempt < maxRetries) {
         logger.warn(`[Retry ${attempt}/${maxRetries}] Blender code execution error, attempting auto-fix`, { error: lastError });
-        code = await autoFixBlenderCode(code, lastError);
+        code = await autoFixWithoutSyntaxErrors(code, lastError);
         await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
         continue;
       }
@@ -444,6 +463,36 @@ async function executeBlenderCodeWithRetry(code, maxRetries = 3) {
   };
 }
 
+const MAX_STATIC_FIX_ATTEMPTS = 2;
+
+// Ask the model to fix code that failed static analysis; null if the call fails
+async function repairBlenderCode(code, diagnostics) {
+  const messages = [
+    new SystemMessage(`You fix Blender Python (bpy) code for Blender ${getBlenderVersion() || "4.x"}. Return ONLY the corrected Python code, no explanations.`),
+    new HumanMessage(`This code failed static analysis:\n${formatDiagnostics(diagnostics)}\n\nCode:\n${code}`),
+  ];
+  try {
+    return await callAgentLLM(messages, "gemini", "code_fix");
+  } catch (error) {
+    logger.warn("[Analyzer] Code fix request failed", { error: error.message });
+    return null;
+  }
+}
+
+// Sanitize and statically check code, letting the model fix errors a few times
+async function prepareBlenderCode(code) {
+  let current = sanitizeBlenderCode(code);
+  let analysis = analyzeBlenderCode(current);
+  for (let attempt = 1; !analysis.ok && attempt <= MAX_STATIC_FIX_ATTEMPTS; attempt++) {
+    logger.warn(`[Analyzer] Static check failed (fix ${attempt}/${MAX_STATIC_FIX_ATTEMPTS})`, { diagnostics: analysis.diagnostics });
+    const repaired = await repairBlenderCode(current, analysis.diagnostics);
+    if (!repaired) break;
+    current = sanitizeBlenderCode(repaired);
+    analysis = analyzeBlenderCode(current);
+  }
+  return { ok: analysis.ok, code: current, diagnostics: analysis.diagnostics };
+}
+
 const executeBlenderCodeTool = tool(
   async ({ code }) => {
     if (!isBlenderConnected()) {
@@ -453,39 +502,24 @@ const executeBlenderCodeTool = tool(
       };
     }
 
-    // Sanitize code (reuse from server.js)
-    function sanitizeBlenderCode(code) {
-      if (typeof code !== "string") return "";
-      code = code.replace(/^\s*python\s*\n/i, "");
-      code = code.replace(/```(?:python|py)?\n?|```/gi, "");
-      code = code.replace(/,\s*use_undo\s*=\s*(True|False)/gi, "");
-      code = code.replace(/\buse_undo\s*=\s*(True|False)\s*,?\s*/gi, "");
-      code = code.replace(/,\s*use_global\s*=\s*(True|False)/gi, "");
-      code = code.replace(/\buse_global\s*=\s*(True|False)\s*,?\s*/gi, "");
-      code = code.replace(/,\s*constraint_axis\s*=\s*\[[^\]]+\]/gi, "");
-      code = code.replace(/\bconstraint_axis\s*=\s*\[[^\]]+\]\s*,?\s*/gi, "");
-      code = code.replace(/,\s*,/g, ",");
-      code = code.replace(/bpy\.ops\.wm\.obj_delete_all\s*\(\)/gi, `if bpy.data.objects:\n    bpy.ops.object.select_all(action='SELECT')\n    bpy.ops.object.delete()`);
-      code = code.replace(/^\s*bpy\.ops\.preferences\.addon_enable\([^)]*\)\s*$/gmi, "");
-      code = code.replace(/bpy\.ops\.mesh\.loopcut_and_slide\s*\(([^)]*)\)/gi, (m, inner) => {
-        const numMatch = inner.match(/number_cuts"?\s*:?\s*(\d+)/i);
-        const cuts = numMatch ? numMatch[1] : "1";
-        return `bpy.ops.mesh.loopcut(number_cuts=${cuts})`;
-      });
-      if (/\bbmesh\b/.test(code) && !/mode_set\s*\(\s*mode\s*=\s*['"]EDIT['"]\s*\)/.test(code)) {
-        code = "if bpy.context.object and bpy.context.object.mode != 'EDIT':\n    bpy.ops.object.mode_set(mode='EDIT')\n" + code;
-      }
-      if (!/\bimport\s+bpy\b/.test(code)) {
-        code = "import bpy\n" + code;
-      }
-      code = code.replace(/\r/g, "");
-      return code;
+    // Static analysis before anything reaches Blender; errors go back to the model first
+    const prepared = await prepareBlenderCode(code);
+    if (!prepared.ok) {
+      return {
+        success: false,
+        error: `Code failed static analysis:\n${formatDiagnostics(prepared.diagnostics)}`,
+        diagnostics: prepared.diagnostics,
+      };
     }
+    const sanitizedCode = prepared.code;
 
-    const sanitizedCode = sanitizeBlenderCode(code);
+    // Sandbox and code policy
+    const stop = await gateBlenderCode(sanitizedCode);
+    if (stop) return stop;
     
     // Execute with retry logic
     const retryResult = await executeBlenderCodeWithRetry(sanitizedCode, 3);
+    if (retryResult.gated) return retryResult.gated;
     
     if (retryResult.success) {
       return {
@@ -524,10 +558,11 @@ const assetSearchAndImportTool = tool(
 
     return retryOperation(
       async (attempt) => {
+        let assetIntent = null;
         try {
           // Check integration status
           const integrationStatus = await integrationModules.checkIntegrationStatus();
-          const assetIntent = integrationModules.detectAssetIntent(prompt, integrationStatus);
+          assetIntent = integrationModules.detectAssetIntent(prompt, integrationStatus);
           
           if (assetIntent.type === "none" || !integrationStatus[assetIntent.type]) {
             return {
@@ -556,11 +591,13 @@ const assetSearchAndImportTool = tool(
           return {
             success: true,
             assetResult,
+            integration: assetIntent.type,
             message: `Successfully imported asset: ${assetResult.name} via ${assetIntent.type}`,
           };
         } catch (error) {
           return {
             success: false,
+            integration: assetIntent?.type || null,
             error: `Asset import failed: ${error.message}`,
           };
         }
@@ -644,6 +681,7 @@ Provide a detailed description that would help someone recreate this as a 3D mod
       ];
       
       const result = await visionModel.generateContent(visionRequest);
+      recordLLMUsage({ provider: "google", model: "gemini-2.5-flash", operation: "vision_analysis", ...geminiUsage(result) });
       const analysis = await result.response.text();
       
       logger.info(`[Gemini Vision] Image analysis completed`, { preview: analysis.substring(0, 100) });
@@ -803,6 +841,7 @@ Analyze the screenshot and evaluate if it matches the expected outcome. Provide
       ];
 
       const result = await visionModel.generateContent(visionRequest);
+      recordLLMUsage({ provider: "google", model: "gemini-2.5-flash", operation: "vision_validation", ...geminiUsage(result) });
       const responseText = await result.response.text();
       
       // Parse JSON response (handle potential markdown wrapping)
@@ -1058,6 +1097,10 @@ const createAnimationTool = tool(
               throw new Error(`Unknown animation type: ${animationType}`);
           }
           
+          // targetObject comes from the model and ends up in the code
+          const stop = await gateBlenderCode(animationCode);
+          if (stop) return stop;
+
           const result = await sendCommand("execute_code", { code: animationCode });
           
           if (result?.status === "error" || result?.executed === false) {
@@ -1143,6 +1186,7 @@ const tools = [
   decomposeTaskTool,
   searchKnowledgeBaseTool,
   getSceneInfoTool,
+  querySceneTool,
   executeBlenderCodeTool,
   assetSearchAndImportTool,
   analyzeImageTool,
@@ -1152,7 +1196,7 @@ const tools = [
 ];
 
 // LLM caller for LangGraph agent
-async function callAgentLLM(messages, model = "gemini") {
+async function callAgentLLM(messages, model = "gemini", operation = "agent") {
   let response;
 
   switch (model) {
@@ -1189,6 +1233,7 @@ async function callAgentLLM(messages, model = "gemini") {
       // Generate content with the parts
       const result = await modelClient.generateContent(contentParts);
       response = await result.response.text();
+      recordLLMUsage({ provider: "google", model: MODEL_CONFIGS.gemini.name, operation, ...geminiUsage(result) });
       break;
     }
     case "groq": {
@@ -1203,6 +1248,7 @@ async function callAgentLLM(messages, model = "gemini") {
         temperature: 0.3,
       });
       response = groqResponse.choices[0].message.content;
+      recordLLMUsage({ provider: "groq", model: MODEL_CONFIGS.groq.name, operation, ...groqUsage(groqResponse) });
       break;
     }
     default:
@@ -1256,8 +1302,8 @@ ${failureContext.map(f => `- ${f.description} (${f.tool}): ${f.error}`).join('\n
 
 ${attachments && attachments.length > 0 ? `ATTACHMENTS: ${attachments.length} file(s) available` : ''}
 
-Available tools: search_knowledge_base, get_scene_info, execute_blender_code, asset_search_and_import, analyze_image, create_animation, finish_task
-
+Available tools: search_knowledge_base, get_scene_info, query_scene, execute_blender_code, asset_search_and_import, analyze_image, create_animation, finish_task
+${getBlenderVersion() ? `\nTarget Blender version: ${getBlenderVersion()} (generated code must use the API of this version)\n` : ''}
 INSTRUCTIONS:
 1. Analyze WHY the subtasks failed (e.g., integration unavailable, invalid code, connection issues)
 2. Generate an ALTERNATIVE approach that avoids the same failure modes
@@ -1282,7 +1328,7 @@ IMPORTANT: Ensure the new plan has a different strategy than the failed one!`;
     const response = await callAgentLLM([
       new SystemMessage("You are a task re-planning expert. Always return valid JSON with alternative strategies."),
       new HumanMessage(replanPrompt)
-    ], "gemini");
+    ], "gemini", "replan");
     
     logger.info('[Dynamic Replan] Received re-plan response from LLM');
     
@@ -1365,7 +1411,11 @@ User Request: "${enhancedRequest}"
 
 ${attachments && attachments.length > 0 ? `ATTACHMENTS: ${attachments.length} file(s) uploaded` : ''}
 
-Available tools: search_knowledge_base, get_scene_info, execute_blender_code, asset_search_and_import, analyze_image, create_animation, finish_task
+Available tools: search_knowledge_base, get_scene_info, query_scene, execute_blender_code, asset_search_and_import, analyze_image, create_animation, finish_task
+${getBlenderVersion() ? `\nTarget Blender version: ${getBlenderVersion()} (generated code must use the API of this version)\n` : ''}
+search_knowledge_base takes "query" and optionally "symbol" (e.g. "bpy.types.Modifier" for that class and its members), "module" (e.g. "bpy.ops.mesh") and "kind" (${KNOWLEDGE_KINDS.join(", ")}) to narrow the docs searched. It also searches the user's private collections (studio naming conventions, rigs, in-house add-ons); "source": "collections" searches only those.
+
+query_scene lists existing objects page by page. Parameters (all optional): "type" (MESH, LIGHT, ...), "collection", "name" (glob such as "Chair*"), "material", "fields" (any of ${SCENE_QUERY_FIELDS.join(", ")}), "offset", "limit". Use it when the request refers to objects already in the scene.
 
 ${attachments && attachments.length > 0 ? 'IMPORTANT: Start with analyze_image tool since images are attached. Then try asset_search_and_import (Hyper3D/Sketchfab) for 3D generation before falling back to execute_blender_code!' : ''}
 
@@ -1395,7 +1445,7 @@ IMPORTANT: For image-based requests, ALWAYS try asset_search_and_import (Hyper3D
     const response = await callAgentLLM([
       new SystemMessage("You are a task decomposition expert. Always return valid JSON."),
       new HumanMessage(prompt)
-    ], "gemini");
+    ], "gemini", "decompose");
     
     console.log(`🤖 [AI Decompose] Raw response from Gemini:`, response.substring(0, 200) + '...');
     
@@ -1784,6 +1834,9 @@ async function executeSubtaskWithTimeout(subtask, state, timeout = 60000) {
         case "get_scene_info":
           toolResult = await getSceneInfoTool.invoke(toolInput);
           break;
+        case "query_scene":
+          toolResult = await querySceneTool.invoke(toolInput);
+          break;
         case "execute_blender_code":
           toolResult = await executeBlenderCodeTool.invoke(toolInput);
           break;
@@ -1853,18 +1906,90 @@ function createAgentStateUpdate(state, updates = {}) {
   };
 }
 
+// Format a budget amount for users ("12,000 tokens", "$0.52", "95s")
+function formatBudgetAmount(limit, value) {
+  if (limit === "cost") return `$${Number(value).toFixed(4)}`;
+  if (limit === "time") return `${Math.round(value / 1000)}s`;
+  return `${Math.round(value).toLocaleString("en-US")} tokens`;
+}
+
+// Stop the run because a budget limit was reached, summarizing what got done
+function stopForBudget(state, exceeded, progress) {
+  const { taskDecomposition, subtaskResults = {} } = state;
+  const lines = [
+    `⏸️ I stopped before finishing because the ${exceeded.label} was reached (${formatBudgetAmount(exceeded.limit, exceeded.used)} of ${formatBudgetAmount(exceeded.limit, exceeded.max)}).`,
+  ];
+
+  const subtasks = (taskDecomposition?.subtasks || []).filter(subtask => subtask.tool !== 'finish_task');
+  if (subtasks.length > 0) {
+    const done = subtasks.filter(subtask => subtaskResults[subtask.id] && !subtaskResults[subtask.id].skipped);
+    const pending = subtasks.filter(subtask => !subtaskResults[subtask.id]);
+    lines.push("", `Completed ${done.length} of ${subtasks.length} steps:`);
+    for (const subtask of done) {
+      lines.push(`${subtaskResults[subtask.id].success ? '✓' : '✗'} ${subtask.description}`);
+    }
+    if (pending.length > 0) {
+      lines.push("", `Not started: ${pending.map(subtask => subtask.description).join("; ")}`);
+    }
+  } else {
+    lines.push("", "No steps were completed yet.");
+  }
+  lines.push("", "Raise the budget or send a follow-up prompt to continue from here.");
+
+  logger.warn(`[Budget] Run stopped: ${exceeded.label} reached`, exceeded);
+  progress?.add("budget_exceeded", `Stopped: ${exceeded.label} reached`, exceeded);
+
+  return {
+    ...createAgentStateUpdate(state, {
+      messages: [new AIMessage(lines.join("\n"))],
+      finished: true,
+    }),
+    budgetExceeded: exceeded,
+  };
+}
+
+// Pause the run until the user confirms (or declines) code the policy flagged.
+// The subtask is not marked completed, so it is dispatched again when the run resumes.
+function pauseForConfirmation(state, confirmation, progress) {
+  const actions = [...new Set(confirmation.findings.map(finding => finding.description))];
+  const lines = [
+    `⚠️ The next step ${actions.join(", ")}, so I paused before running it.`,
+    "",
+    ...confirmation.findings.map(finding => `Line ${finding.line}: ${finding.snippet}`),
+    "",
+    "Confirm to run it, or decline to skip this step and continue.",
+  ];
+
+  progress?.add("confirmation_required", "Waiting for confirmation of destructive code", {
+    codeHash: confirmation.codeHash,
+    category: confirmation.category,
+  });
+
+  return {
+    ...createAgentStateUpdate(state, {
+      messages: [new AIMessage(lines.join("\n"))],
+      finished: true,
+    }),
+    awaitingConfirmation: confirmation,
+  };
+}
+
 // Helper function to process parallel execution results
-function processParallelResults(state, results, executedSubtasks) {
+function processParallelResults(state, results, executedSubtasks, progress) {
   const newCompletedSubtasks = [...state.completedSubtasks];
   const newSubtaskResults = { ...state.subtaskResults };
   const messages = [];
   let anySuccessful = false;
   let allSuccessful = true;
+  let confirmation = null;
   
   results.forEach((result, index) => {
     const subtask = executedSubtasks[index];
     
-    if (result.status === 'fulfilled') {
+    if (result.status === 'fulfilled' && result.value.confirmationRequired) {
+      // Left incomplete; it runs again once the user confirms it
+      confirmation = confirmation || { ...result.value.confirmation, subtaskId: subtask.id };
+    } else if (result.status === 'fulfilled') {
       const toolResult = result.value;
       newCompletedSubtasks.push(toolResult.subtaskId);
       newSubtaskResults[toolResult.subtaskId] = toolResult;
@@ -1896,6 +2021,18 @@ function processParallelResults(state, results, executedSubtasks) {
   
   const summaryMessage = `Parallel execution completed: ${executedSubtasks.length} subtasks executed (${anySuccessful ? 'some' : 'none'} successful)`;
   messages.unshift(summaryMessage);
+
+  if (confirmation) {
+    const paused = pauseForConfirmation(state, confirmation, progress);
+    return {
+      ...paused,
+      messages: [new AIMessage(messages.join('\n')), ...paused.messages],
+      currentSubtaskIndex: newCurrentSubtaskIndex,
+      completedSubtasks: newCompletedSubtasks,
+      subtaskResults: newSubtaskResults,
+      loopCount: state.loopCount + 1,
+    };
+  }
   
   // Return complete state using helper function
   return createAgentStateUpdate(state, {
@@ -1933,15 +2070,21 @@ async function agentNode(state, config) {
   console.log(`📋 Task Status: Decomposed=${!!taskDecomposition}, Current Index=${currentSubtaskIndex}, Completed=${completedSubtasks.length}`);
   console.log(`📎 Agent Node received ${attachments?.length || 0} attachments`);
 
-  // Check if task is already finished
+  // Check if task is already finished (a paused or budget-stopped run has already said why)
   if (state.finished) {
     return createAgentStateUpdate(state, {
-      messages: [new AIMessage("Task already completed.")],
+      messages: state.awaitingApproval || state.awaitingConfirmation || state.budgetExceeded ? [] : [new AIMessage("Task already completed.")],
       finished: true,
       loopCount: loopCount + 1,
     });
   }
 
+  // Check the token / cost / time budget before planning or executing anything else
+  const exceeded = config?.configurable?.budget?.check();
+  if (exceeded) {
+    return stopForBudget(state, exceeded, config?.configurable?.progress);
+  }
+
   if (loopCount >= maxLoops) {
     return createAgentStateUpdate(state, {
       messages: [new AIMessage("Task completed or reached maximum steps. All possible subtasks have been executed.")],
@@ -2085,7 +2228,7 @@ async function agentNode(state, config) {
     );
     
     // Process results and update state
-    return processParallelResults(state, results, readySubtasks);
+    return processParallelResults(state, results, readySubtasks, config?.configurable?.progress);
   }
 
   // Step 3: Execute current subtask if available (sequential fallback)
@@ -2175,8 +2318,9 @@ async function agentNode(state, config) {
 }
 
 // Tool node
-async function toolNode(state) {
+async function toolNode(state, config) {
   const { toolName, toolInput, ragContext, taskDecomposition, currentSubtaskIndex, completedSubtasks, subtaskResults, attachments } = state;
+  const progress = config?.configurable?.progress;
   
   if (!toolName) {
     return {
@@ -2186,8 +2330,15 @@ async function toolNode(state) {
     };
   }
 
+  // finish_task makes no LLM calls, so it may still run to write the final summary
+  const exceeded = toolName !== "finish_task" ? config?.configurable?.budget?.check() : null;
+  if (exceeded) {
+    return stopForBudget(state, exceeded, progress);
+  }
+
   logger.info(`⚙️ [LangGraph] Executing tool: ${toolName}`, { toolName });
   logger.debug(`Tool input`, toolInput);
+  progress?.emit("tool_call", { tool: toolName, subtaskIndex: currentSubtaskIndex, input: summarizeToolInput(toolInput) });
 
   try {
     let toolResult;
@@ -2210,6 +2361,9 @@ async function toolNode(state) {
       case "get_scene_info":
         toolResult = await getSceneInfoTool.invoke(toolInput);
         break;
+      case "query_scene":
+        toolResult = await querySceneTool.invoke(toolInput);
+        break;
       case "execute_blender_code":
         toolResult = await executeBlenderCodeTool.invoke(toolInput);
         break;
@@ -2300,6 +2454,11 @@ async function toolNode(state) {
     const resultEmoji = toolResult.success ? '✅' : '❌';
     logger.info(`${resultEmoji} [LangGraph] Tool result: ${toolName}`, { toolName, success: toolResult.success });
 
+    if (toolResult?.confirmationRequired) {
+      const subtaskId = taskDecomposition?.subtasks[currentSubtaskIndex]?.id ?? null;
+      return pauseForConfirmation(state, { ...toolResult.confirmation, subtaskId }, progress);
+    }
+
     // Get user request from first human message
     const userRequest = state.messages.filter(msg => msg instanceof HumanMessage)[0]?.content || "";
     
@@ -2389,6 +2548,20 @@ async function toolNode(state) {
     
     // Only add message if there's something to show the user
     const messagesToAdd = responseMessage ? [new AIMessage(responseMessage)] : [];
+
+    // Plan approval mode: stop after decomposition so the plan can be reviewed
+    const pauseForApproval = toolName === "decompose_task" && toolResult.success && !!config?.configurable?.approvePlan;
+    if (pauseForApproval) {
+      messagesToAdd.push(new AIMessage("📝 Here's my plan. Review, edit or reorder the steps, then approve it to continue."));
+    }
+
+    progress?.emit("tool_result", {
+      tool: toolName,
+      success: !!toolResult?.success,
+      integration: toolResult?.integration || null,
+      message: responseMessage || toolResult?.message || null,
+      error: toolResult?.success ? null : (toolResult?.error || null),
+    });
     
     return {
       messages: messagesToAdd,
@@ -2404,9 +2577,11 @@ async function toolNode(state) {
       completedSubtasks: newCompletedSubtasks,
       subtaskResults: newSubtaskResults,
       attachments: state.attachments, // Preserve attachments in state
+      ...(pauseForApproval ? { finished: true, awaitingApproval: true } : {}),
     };
   } catch (error) {
     logger.error(`[LangGraph] Tool execution error`, { error: error.message, stack: error.stack });
+    progress?.emit("tool_result", { tool: toolName, success: false, message: null, error: error.message });
     return {
       messages: [new AIMessage(`Tool execution failed: ${error.message}`)],
       finished: false,
@@ -2434,6 +2609,11 @@ function generateFriendlyResponse(toolName, toolResult, state, userRequest) {
     return `I can see you have ${objCount} object${objCount !== 1 ? 's' : ''} in your scene. Let me work on enhancing ${objCount > 0 ? 'them' : 'your scene'}! ✨`;
   }
   
+  if (toolName === "query_scene" && toolResult.success) {
+    const total = toolResult.result?.total || 0;
+    return `Found ${total} matching object${total !== 1 ? 's' : ''} in your scene. 🔍`;
+  }
+  
   if (toolName === "asset_search_and_import") {
     if (toolResult.success) {
       const assetName = toolResult.assetResult?.name || "the 3D model";
@@ -2543,6 +2723,8 @@ function generateFriendlyResponse(toolName, toolResult, state, userRequest) {
               response += `     Objects: ${sceneInfo.object_names.join(', ')}\n`;
             }
           }
+        } else if (action.tool === 'query_scene') {
+          response += `   ✓ Queried scene: ${action.details.result?.total ?? 0} matching objects\n`;
         } else if (action.tool === 'analyze_image') {
           response += `   ✓ Analyzed uploaded image(s)\n`;
         } else if (action.tool === 'create_animation') {
@@ -2630,10 +2812,123 @@ function shouldContinue(state) {
   return "agent";
 }
 
-// Create the LangGraph workflow
-export function createAgentWorkflow() {
+// Keep streamed tool inputs small (attachments carry base64 image data)
+function summarizeToolInput(toolInput = {}) {
+  const summary = {};
+  for (const [key, value] of Object.entries(toolInput || {})) {
+    if (key === "attachments") {
+      summary.attachments = Array.isArray(value) ? value.length : 0;
+    } else if (typeof value === "string" && value.length > 500) {
+      summary[key] = `${value.slice(0, 500)}...`;
+    } else {
+      summary[key] = value;
+    }
+  }
+  return summary;
+}
+
+// Agent node wrapper that reports the agent's reasoning to the progress tracker
+async function agentNodeWithEvents(state, config) {
+  const update = await agentNode(state, config);
+  const progress = config?.configurable?.progress;
+  if (progress) {
+    for (const message of update.messages || []) {
+      if (message?.content) progress.emit("thought", { loop: update.loopCount ?? state.loopCount, content: message.content });
+    }
+  }
+  return update;
+}
+
+// Tools a plan subtask may use (decompose_task is the planner itself)
+const PLAN_TOOLS = [
+  "search_knowledge_base",
+  "get_scene_info",
+  "query_scene",
+  "execute_blender_code",
+  "asset_search_and_import",
+  "analyze_image",
+  "validate_with_vision",
+  "create_animation",
+  "finish_task",
+];
+
+/**
+ * Validate a (possibly user-edited) plan before resuming a run with it.
+ * Subtasks run in list order, so dependencies must point at earlier subtasks.
+ * @param {Object} plan - { mainTask, subtasks: [{ id, description, tool, parameters, dependencies }] }
+ * @returns {{ valid: boolean, errors: Array<string>, plan: Object|null }}
+ */
+export function validatePlan(plan) {
+  const errors = [];
+  const subtasks = Array.isArray(plan?.subtasks) ? plan.subtasks : null;
+  if (!subtasks || subtasks.length === 0) {
+    return { valid: false, errors: ["Plan must contain at least one subtask"], plan: null };
+  }
+
+  const seen = new Set();
+  const normalized = subtasks.map((subtask, index) => {
+    const label = `Subtask ${index + 1}`;
+    const id = Number(subtask?.id);
+    if (!Number.isInteger(id) || id <= 0) errors.push(`${label}: id must be a positive integer`);
+    else if (seen.has(id)) errors.push(`${label}: duplicate id ${id}`);
+
+    if (typeof subtask?.description !== "string" || !subtask.description.trim()) {
+      errors.push(`${label}: description is required`);
+    }
+    if (!PLAN_TOOLS.includes(subtask?.tool)) {
+      errors.push(`${label}: unknown tool "${subtask?.tool}" (allowed: ${PLAN_TOOLS.join(", ")})`);
+    }
+    const parameters = subtask?.parameters ?? {};
+    if (typeof parameters !== "object" || Array.isArray(parameters)) {
+      errors.push(`${label}: parameters must be an object`);
+    }
+    const dependencies = subtask?.dependencies ?? [];
+    if (!Array.isArray(dependencies)) {
+      errors.push(`${label}: dependencies must be an array of subtask ids`);
+    } else {
+      for (const dep of dependencies) {
+        if (!seen.has(Number(dep))) errors.push(`${label}: dependency ${dep} must be the id of an earlier subtask`);
+      }
+    }
+
+    seen.add(id);
+    return {
+      id,
+      description: typeof subtask?.description === "string" ? subtask.description.trim() : "",
+      tool: subtask?.tool,
+      parameters,
+      dependencies: Array.isArray(dependencies) ? dependencies.map(Number) : [],
+    };
+  });
+
+  if (errors.length > 0) return { valid: false, errors, plan: null };
+  return { valid: true, errors, plan: { mainTask: plan.mainTask || "", subtasks: normalized } };
+}
+
+// JSON-safe copy of the agent state, so a paused run can be resumed by a later request
+function serializeAgentState(state) {
+  const { messages = [], ...rest } = state;
+  return {
+    ...rest,
+    messages: messages.map((msg) => ({
+      type: msg instanceof HumanMessage ? "human" : msg instanceof SystemMessage ? "system" : "ai",
+      content: msg.content,
+    })),
+  };
+}
+
+function deserializeAgentState(snapshot) {
+  const messageTypes = { human: HumanMessage, system: SystemMessage, ai: AIMessage };
+  return {
+    ...snapshot,
+    messages: (snapshot.messages || []).map((msg) => new (messageTypes[msg.type] || AIMessage)(msg.content)),
+  };
+}
+
+// Create the LangGraph workflow (with a checkpointer, every invocation needs a thread_id)
+export function createAgentWorkflow({ checkpointer = null } = {}) {
   const workflow = new StateGraph(AgentStateAnnotation)
-    .addNode("agent", agentNode)
+    .addNode("agent", agentNodeWithEvents)
     .addNode("tools", toolNode)
     .addConditionalEdges(
       "agent", 
@@ -2647,7 +2942,50 @@ export function createAgentWorkflow() {
     .addEdge("tools", "agent")
     .setEntryPoint("agent");
 
-  return workflow.compile();
+  return workflow.compile(checkpointer ? { checkpointer } : undefined);
+}
+
+// Inspectable view of a checkpointed state: messages as plain objects, attachments as a count
+function summarizeStateSnapshot(snapshot) {
+  const { attachments = [], ...values } = serializeAgentState(snapshot.values);
+  return {
+    checkpointId: snapshot.config?.configurable?.checkpoint_id || null,
+    parentCheckpointId: snapshot.parentConfig?.configurable?.checkpoint_id || null,
+    step: snapshot.metadata?.step ?? null,
+    source: snapshot.metadata?.source || null,
+    createdAt: snapshot.createdAt || null,
+    next: snapshot.next || [],
+    errors: (snapshot.tasks || [])
+      .filter((task) => task.error)
+      .map((task) => ({ node: task.name, error: task.error?.message || String(task.error) })),
+    values: { ...values, attachments: attachments.length },
+  };
+}
+
+/**
+ * Latest checkpointed state of an agent run
+ * @param {string} runId - agent_runs id (the checkpoint thread id)
+ * @returns {Promise<Object|null>} null if the run has no checkpoint
+ */
+export async function getAgentRunState(runId) {
+  const workflow = createAgentWorkflow({ checkpointer: agentCheckpointer });
+  const snapshot = await workflow.getState({ configurable: { thread_id: runId } });
+  return snapshot?.config?.configurable?.checkpoint_id ? summarizeStateSnapshot(snapshot) : null;
+}
+
+/**
+ * Checkpoint history of an agent run, newest first
+ * @param {string} runId - agent_runs id (the checkpoint thread id)
+ * @param {number} [limit=50] - Max checkpoints
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAgentRunHistory(runId, limit = 50) {
+  const workflow = createAgentWorkflow({ checkpointer: agentCheckpointer });
+  const history = [];
+  for await (const snapshot of workflow.getStateHistory({ configurable: { thread_id: runId } }, { limit })) {
+    history.push(summarizeStateSnapshot(snapshot));
+  }
+  return history;
 }
 
 // Export the analyzeImageTool for testing
@@ -2661,6 +2999,18 @@ export async function runLangGraphAgent(prompt, options = {}) {
     model = "gemini",
     maxLoops = 10,
     attachments = [],
+    progress = null,
+    userId = null,
+    budget: budgetLimits = null,
+    budgetUsed = null, // budget usage of the runs this one continues (resume or plan approval)
+    approvePlan = false,
+    resume = null, // { snapshot, plan } of a run paused for plan approval
+    runId = null, // agent_runs id: checkpoint every node under this thread id
+    continueRun = false, // resume runId from its last checkpoint instead of starting over
+    codePolicy = null, // effective code policy (utils/code-policy.js); defaults when null
+    codeDecision = null, // { approved } for the code a continued run is waiting on
+    blenderVersion = null, // "major.minor" whose docs and API index the run uses; latest when null
+    signal = null, // AbortSignal that stops the run; it can be resumed from its last checkpoint
   } = options;
 
   logger.info(`🚀 [LangGraph] Starting agent`, { attachmentCount: attachments.length, maxLoops });
@@ -2669,7 +3019,23 @@ export async function runLangGraphAgent(prompt, options = {}) {
   const integrationStatus = await integrationModules.checkIntegrationStatus();
 
   // Initialize state
-  const initialState = {
+  const initialState = resume ? {
+    ...deserializeAgentState(resume.snapshot),
+    // Start the approved plan from its first subtask
+    sceneContext: sceneContext || resume.snapshot.sceneContext || null,
+    integrationStatus,
+    maxLoops: resume.snapshot.loopCount + maxLoops,
+    blenderAvailable: isBlenderConnected(),
+    taskDecomposition: resume.plan,
+    currentSubtaskIndex: 0,
+    completedSubtasks: [],
+    subtaskResults: {},
+    toolName: null,
+    toolInput: {},
+    finished: false,
+    awaitingApproval: false,
+    budgetExceeded: null,
+  } : {
     messages: [new HumanMessage(prompt)],
     sceneContext,
     ragContext: null,
@@ -2691,18 +3057,63 @@ export async function runLangGraphAgent(prompt, options = {}) {
   console.log(`🚀 [LangGraph] Initial state created with ${initialState.attachments.length} attachments`);
   console.log(`🔗 [LangGraph] Integration Status:`, initialState.integrationStatus);
 
+  const workflow = createAgentWorkflow({ checkpointer: runId ? agentCheckpointer : null });
+  const threadConfig = { configurable: { thread_id: runId } };
+  let priorMessageCount = initialState.messages.length;
+  let input = initialState;
+  let codeDecisions = initialState.codeDecisions || {};
+
+  if (continueRun) {
+    if (!runId) throw new Error("continueRun requires a runId");
+    const saved = await workflow.getState(threadConfig);
+    if (!saved?.values?.messages) throw new Error("Run has no checkpoint to resume");
+    codeDecisions = saved.values.codeDecisions || {};
+    if (saved.next.length === 0) {
+      // The run ended at the budget or loop limit, or paused for code confirmation:
+      // reopen it after its last node with a fresh loop allowance
+      const { budgetExceeded, awaitingConfirmation, loopCount, maxLoops: savedMaxLoops } = saved.values;
+      if (awaitingConfirmation) {
+        if (!codeDecision) throw new Error("Run is waiting for code confirmation");
+        codeDecisions = { ...codeDecisions, [awaitingConfirmation.codeHash]: codeDecision.approved ? "approved" : "declined" };
+      } else if (!budgetExceeded && loopCount < savedMaxLoops) {
+        throw new Error("Run already finished");
+      }
+      await workflow.updateState(threadConfig, {
+        finished: false,
+        budgetExceeded: null,
+        awaitingConfirmation: null,
+        codeDecisions,
+        maxLoops: loopCount + maxLoops,
+        integrationStatus,
+        blenderAvailable: isBlenderConnected(),
+      }, "tools");
+    }
+    // A null input continues from the last checkpoint (re-running the node that crashed, if any)
+    input = null;
+    priorMessageCount = saved.values.messages.length;
+    logger.info(`⏯️ [LangGraph] Resuming run from checkpoint`, { runId, next: saved.next, loopCount: saved.values.loopCount });
+  }
+
   // Pre-warm RAG context
-  if (initialState.blenderAvailable) {
+  if (initialState.blenderAvailable && !resume && !continueRun) {
     try {
-      initialState.ragContext = await searchKnowledgeBase(prompt, 5);
+      initialState.ragContext = await searchKnowledgeBase(prompt, { limit: 5, blenderVersion, userId });
     } catch (error) {
       console.warn("Failed to pre-warm RAG context:", error.message);
     }
   }
 
-  // Create and run workflow
-  const workflow = createAgentWorkflow();
-  const result = await workflow.invoke(initialState, { configurable: { model } });
+  // Run the workflow
+  // Join the caller's usage tracker (server requests) or start one for this run
+  const tracker = getCurrentUsageTracker() || createUsageTracker({ userId, conversationId });
+  const budget = createBudget(budgetLimits, tracker, budgetUsed);
+  const result = await runWithUsageTracker(tracker, () => runWithCodePolicy({ policy: codePolicy, decisions: codeDecisions }, () =>
+    runWithSandboxContext({ userId, conversationId, runId }, () =>
+      runWithBlenderVersion(blenderVersion, () => runWithKnowledgeUser(userId, () =>
+        workflow.invoke(input, { configurable: { ...threadConfig.configurable, model, progress, budget, approvePlan }, signal: signal || undefined })
+      ))
+    )
+  ));
 
   logger.info('🎉 [LangGraph] Workflow completed', { 
     messageCount: result.messages.length,
@@ -2710,8 +3121,9 @@ export async function runLangGraphAgent(prompt, options = {}) {
     loopCount: result.loopCount 
   });
 
-  // Compile all AI messages (excluding internal/technical ones) into a conversational response
+  // Compile all AI messages of this invocation (excluding internal/technical ones) into a conversational response
   const aiMessages = result.messages
+    .slice(priorMessageCount)
     .filter(msg => msg instanceof AIMessage && msg.content && msg.content.trim().length > 0)
     .map(msg => msg.content);
   
@@ -2722,7 +3134,10 @@ export async function runLangGraphAgent(prompt, options = {}) {
   
   // Generate final user-friendly response
   let finalResponse;
-  if (aiMessages.length > 0) {
+  if (result.budgetExceeded) {
+    // The budget stop message already summarizes what was done
+    finalResponse = aiMessages[aiMessages.length - 1];
+  } else if (aiMessages.length > 0) {
     // If we have a finish_task message with full summary, use that
     const finishMessage = aiMessages.find(msg => msg.includes("✅") && msg.includes("Here you go"));
     if (finishMessage) {
@@ -2746,5 +3161,16 @@ export async function runLangGraphAgent(prompt, options = {}) {
     sceneContext: result.sceneContext,
     loopCount: result.loopCount,
     finished: result.finished,
+    usage: { ...tracker.totals },
+    // "tokens" | "cost" | "time" when a budget limit ended the run, "max_loops" when maxLoops did
+    stoppedBy: result.budgetExceeded?.limit
+      || (result.loopCount > result.maxLoops || (!result.finished && result.loopCount >= result.maxLoops) ? "max_loops" : null),
+    budget: budget.report(),
+    awaitingApproval: !!result.awaitingApproval,
+    plan: result.awaitingApproval ? result.taskDecomposition : undefined,
+    snapshot: result.awaitingApproval ? serializeAgentState(result) : undefined,
+    // Code waiting for the user's confirmation ({ codeHash, category, findings, code, subtaskId })
+    awaitingConfirmation: result.awaitingConfirmation || null,
+    runId,
   };
 }
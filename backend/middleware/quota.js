@@ -0,0 +1,175 @@
+/*
+ * quota.js
+ *
+ * Per-user request limits and generation quotas.
+ * - Sliding-window request limit per user (in memory, per process)
+ * - Daily / monthly generation quotas (counted in the generation_usage table)
+ * - Per-generation token / cost / time budget defaults and ceilings
+ * Limits depend on the user's tier; tiers can be overridden with USER_TIERS.
+ */
+
+import { consumeGenerationQuota, getGenerationUsage } from "../db.js";
+import { normalizeBudget } from "../utils/budget.js";
+
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000);
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 30);
+
+// requestsPerWindow applies to every rate-limited route; daily/monthly count
+// generations only. generationBudget is both the default budget of a generation
+// and the most a request may ask for. null means unlimited.
+const DEFAULT_TIERS = {
+  free: {
+    requestsPerWindow: RATE_LIMIT_MAX,
+    dailyGenerations: 50,
+    monthlyGenerations: 500,
+    generationBudget: { maxTokens: 200_000, maxCostUsd: 0.25, maxDurationMs: 300_000 },
+  },
+  pro: {
+    requestsPerWindow: RATE_LIMIT_MAX * 4,
+    dailyGenerations: 500,
+    monthlyGenerations: 10000,
+    generationBudget: { maxTokens: 1_000_000, maxCostUsd: 2, maxDurationMs: 900_000 },
+  },
+  unlimited: {
+    requestsPerWindow: null,
+    dailyGenerations: null,
+    monthlyGenerations: null,
+    generationBudget: { maxTokens: null, maxCostUsd: null, maxDurationMs: null },
+  },
+};
+
+function loadTiers() {
+  if (!process.env.USER_TIERS) return DEFAULT_TIERS;
+  try {
+    const parsed = JSON.parse(process.env.USER_TIERS);
+    const tiers = { ...DEFAULT_TIERS };
+    for (const [name, limits] of Object.entries(parsed)) {
+      const base = DEFAULT_TIERS[name] || DEFAULT_TIERS.free;
+      tiers[name] = {
+        ...base,
+        ...limits,
+        generationBudget: { ...base.generationBudget, ...(limits.generationBudget || {}) },
+      };
+    }
+    return tiers;
+  } catch (e) {
+    console.warn("[quota] Failed to parse USER_TIERS env, using defaults:", e?.message || e);
+    return DEFAULT_TIERS;
+  }
+}
+
+const TIERS = loadTiers();
+
+// userId -> timestamps of requests inside the current window
+const rateState = new Map();
+
+/**
+ * Limits for a tier (unknown tiers fall back to "free")
+ * @param {string} tier - Tier name
+ * @returns {{ requestsPerWindow: number|null, dailyGenerations: number|null, monthlyGenerations: number|null, generationBudget: Object }}
+ */
+export function getTierLimits(tier) {
+  return TIERS[tier] || TIERS.free;
+}
+
+/**
+ * Sliding-window request limit for a user
+ * @param {Object} user - Authenticated user ({ id, tier })
+ * @returns {{ ok: boolean, retryAfterMs: number, limit: number|null, remaining: number|null, windowMs: number }}
+ */
+export function checkRateLimit(user) {
+  const { requestsPerWindow: limit } = getTierLimits(user?.tier);
+  if (limit == null) return { ok: true, retryAfterMs: 0, limit: null, remaining: null, windowMs: RATE_LIMIT_WINDOW_MS };
+
+  const now = Date.now();
+  const windowStart = now - RATE_LIMIT_WINDOW_MS;
+  const hits = (rateState.get(user.id) || []).filter((ts) => ts > windowStart);
+
+  if (hits.length >= limit) {
+    rateState.set(user.id, hits);
+    return { ok: false, retryAfterMs: hits[0] + RATE_LIMIT_WINDOW_MS - now, limit, remaining: 0, windowMs: RATE_LIMIT_WINDOW_MS };
+  }
+
+  hits.push(now);
+  rateState.set(user.id, hits);
+  return { ok: true, retryAfterMs: 0, limit, remaining: limit - hits.length, windowMs: RATE_LIMIT_WINDOW_MS };
+}
+
+/**
+ * Count one generation against the user's daily and monthly quotas
+ * @param {Object} user - Authenticated user ({ id, tier })
+ * @returns {Promise<Object>} - { ok, tier, daily, monthly, retryAfterMs }
+ */
+export async function consumeQuota(user) {
+  const limits = getTierLimits(user?.tier);
+  const usage = await consumeGenerationQuota(user.id, {
+    daily: limits.dailyGenerations,
+    monthly: limits.monthlyGenerations,
+  });
+  return buildQuotaStatus(user, limits, usage);
+}
+
+/**
+ * Current quota usage without consuming anything (for /api/auth/me)
+ * @param {Object} user - Authenticated user ({ id, tier })
+ * @returns {Promise<Object>} - { ok, tier, daily, monthly, retryAfterMs }
+ */
+export async function getQuotaStatus(user) {
+  const limits = getTierLimits(user?.tier);
+  const usage = await getGenerationUsage(user.id);
+  return buildQuotaStatus(user, limits, { ...usage, consumed: true });
+}
+
+function buildQuotaStatus(user, limits, usage) {
+  const remaining = (limit, used) => (limit == null ? null : Math.max(0, limit - used));
+  const daily = { limit: limits.dailyGenerations, used: usage.dailyUsed, remaining: remaining(limits.dailyGenerations, usage.dailyUsed) };
+  const monthly = { limit: limits.monthlyGenerations, used: usage.monthlyUsed, remaining: remaining(limits.monthlyGenerations, usage.monthlyUsed) };
+
+  let retryAfterMs = 0;
+  if (!usage.consumed) {
+    const now = new Date();
+    const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    retryAfterMs = (monthly.remaining === 0 ? nextMonth : nextDay) - now.getTime();
+  }
+
+  return { ok: usage.consumed, tier: user?.tier || "free", daily, monthly, retryAfterMs };
+}
+
+/**
+ * Budget for one generation: the request's own limits, capped by the tier
+ * (limits the request leaves out use the tier default)
+ * @param {Object} user - Authenticated user ({ id, tier })
+ * @param {Object} [requested] - { maxTokens, maxCostUsd, maxDurationMs } from the request body
+ * @returns {{ maxTokens: number|null, maxCostUsd: number|null, maxDurationMs: number|null }}
+ */
+export function resolveGenerationBudget(user, requested = {}) {
+  const ceiling = normalizeBudget(getTierLimits(user?.tier).generationBudget);
+  const asked = normalizeBudget(requested);
+  const pick = (key) => {
+    if (asked[key] == null) return ceiling[key];
+    return ceiling[key] == null ? asked[key] : Math.min(asked[key], ceiling[key]);
+  };
+  return { maxTokens: pick("maxTokens"), maxCostUsd: pick("maxCostUsd"), maxDurationMs: pick("maxDurationMs") };
+}
+
+/**
+ * Expose the per-user window limit and generation quota in response headers
+ * @param {Object} res - Express response
+ * @param {Object} [rate] - Result of checkRateLimit
+ * @param {Object} [quota] - Result of consumeQuota / getQuotaStatus
+ */
+export function setLimitHeaders(res, rate, quota) {
+  if (rate && rate.limit != null) {
+    res.set("X-RateLimit-Limit", String(rate.limit));
+    res.set("X-RateLimit-Remaining", String(rate.remaining));
+    res.set("X-RateLimit-Window", String(Math.ceil(rate.windowMs / 1000)));
+  }
+  if (quota) {
+    res.set("X-Quota-Tier", quota.tier);
+    if (quota.daily.remaining != null) res.set("X-Quota-Daily-Remaining", String(quota.daily.remaining));
+    if (quota.monthly.remaining != null) res.set("X-Quota-Monthly-Remaining", String(quota.monthly.remaining));
+  }
+}
+
+export { RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX };
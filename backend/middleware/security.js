@@ -1,4 +1,4 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 
 /**
  * General API rate limiter
@@ -28,12 +28,14 @@ export const authLimiter = rateLimit({
 
 /**
  * Generation endpoint rate limiter
- * Limits each IP to 20 generation requests per hour
+ * Limits each user (or IP when unauthenticated) to 20 generation requests per hour.
+ * Runs after `authenticate`; tiered per-user limits and quotas live in quota.js.
  */
 export const generationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 20, // 20 generation requests per hour
-  message: 'Too many generation requests from this IP, please try again later.',
+  keyGenerator: (req) => (req.user?.id ? `user:${req.user.id}` : ipKeyGenerator(req.ip)),
+  message: 'Too many generation requests, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -0,0 +1,90 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import AdmZip from "adm-zip";
+import * as cheerio from "cheerio";
+
+// Builds the Blender API index used by utils/python-analyzer.js from the same
+// docs zip embed_docs.js reads: every bpy.ops operator with its keyword
+// parameters, and the bpy.data collections.
+//
+// --version 3.6 reads blender_python_reference_3_6.zip and writes
+// blender_api_index_3_6.json, checked when a conversation targets Blender 3.6.
+// Without it the 4.5 reference becomes the default blender_api_index.json.
+
+// --- CONFIGURATION ---
+const { values: args } = parseArgs({ options: { version: { type: "string" } } });
+const BLENDER_VERSION = args.version || "4.5";
+if (!/^\d+\.\d+$/.test(BLENDER_VERSION)) {
+  console.error(`❌ --version must look like 4.5, got "${BLENDER_VERSION}"`);
+  process.exit(1);
+}
+const VERSION_SLUG = BLENDER_VERSION.replace(".", "_");
+const ZIP_FILE_PATH = path.join(
+  process.cwd(), // Assumes running from 'backend' root
+  "scripts",
+  "knowledge",
+  `blender_python_reference_${VERSION_SLUG}.zip`
+);
+const OUTPUT_PATH = path.join(
+  process.cwd(),
+  "scripts",
+  "knowledge",
+  args.version ? `blender_api_index_${VERSION_SLUG}.json` : "blender_api_index.json"
+);
+// --- END CONFIGURATION ---
+
+function main() {
+  console.log(`Loading zip file from: ${ZIP_FILE_PATH}`);
+  if (!fs.existsSync(ZIP_FILE_PATH)) {
+    throw new Error(`File not found: ${ZIP_FILE_PATH}`);
+  }
+
+  const zip = new AdmZip(ZIP_FILE_PATH);
+  const operators = {};
+  const dataCollections = new Set();
+
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || !entry.entryName.endsWith(".html")) continue;
+    const name = path.basename(entry.entryName);
+    if (!name.startsWith("bpy.ops.") && name !== "bpy.types.BlendData.html") continue;
+
+    const $ = cheerio.load(entry.getData().toString("utf8"));
+
+    // Operator signatures: <dt id="bpy.ops.mesh.primitive_cube_add"> ... <em class="sig-param">size=2.0</em>
+    $("dt[id^='bpy.ops.']").each((_, dt) => {
+      const id = $(dt).attr("id").slice("bpy.ops.".length);
+      if (id.split(".").length !== 2) return;
+      operators[id] = $(dt)
+        .find("em.sig-param")
+        .map((_, param) => $(param).text().split("=")[0].trim())
+        .get()
+        .filter((param) => /^\w+$/.test(param));
+    });
+
+    $("dt[id^='bpy.types.BlendData.']").each((_, dt) => {
+      dataCollections.add($(dt).attr("id").slice("bpy.types.BlendData.".length));
+    });
+  }
+
+  const operatorCount = Object.keys(operators).length;
+  if (operatorCount === 0) {
+    throw new Error("No bpy.ops operators found. Is this the Blender Python API reference?");
+  }
+
+  const index = {
+    blenderVersion: BLENDER_VERSION,
+    generatedAt: new Date().toISOString(),
+    operators: Object.fromEntries(Object.entries(operators).sort(([a], [b]) => a.localeCompare(b))),
+    dataCollections: [...dataCollections].sort(),
+  };
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(index, null, 2));
+  console.log(`✅ Wrote ${operatorCount} operators and ${dataCollections.size} bpy.data collections to ${OUTPUT_PATH}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("❌ Failed to build API index:", err.message);
+  process.exit(1);
+}
@@ -1,26 +1,52 @@
 import { pipeline } from "@xenova/transformers";
 import { pool } from "../db.js";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { parseArgs } from "util";
 import AdmZip from "adm-zip";
 import * as cheerio from "cheerio";
 import format from "pg-format";
 import pgvector from "pgvector/pg";
 
 // --- CONFIGURATION ---
+// --version 3.6 ingests blender_python_reference_3_6.zip; each version's chunks
+// are tagged with it and updated independently of the other versions
+// --dry-run reports what would be added, updated or deleted without writing
+const { values: args } = parseArgs({
+  options: {
+    version: { type: "string", default: "4.5" },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
 const EMBEDDING_MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
 const EXPECTED_EMBEDDING_DIM = 380; // Match the existing table dimension
+const BLENDER_VERSION = args.version;
 const ZIP_FILE_PATH = path.join(
   process.cwd(), // Assumes running from 'backend' root
   "scripts",
   "knowledge",
-  "blender_python_reference_4_5.zip"
+  `blender_python_reference_${BLENDER_VERSION.replace(".", "_")}.zip`
 );
 
-// RAG Chunking Strategy: Split by paragraph/logical sections.
-// We'll split the text by double newlines, a simple but effective
-// "paragraph-based chunking" strategy.
+const DOCS_BASE_URL = `https://docs.blender.org/api/${BLENDER_VERSION}/`;
+
+// RAG Chunking Strategy: follow the reference's structure. Every documented
+// module, class, function/method and property becomes its own chunk holding its
+// signature, parameter/type fields and description, tagged with module path,
+// symbol, kind and source URL so retrieval can be filtered (e.g. to bpy.types.Modifier).
+// Prose sections (guides, module overviews) are chunked per section.
 const CHUNK_MIN_LENGTH = 50; // Don't embed tiny strings
+const CHUNK_MAX_LENGTH = 2000; // Longer descriptions continue in further chunks
+const SKIPPED_PAGES = new Set(["genindex.html", "search.html", "py-modindex.html"]);
+
+const DRY_RUN = args["dry-run"];
+if (!/^\d+\.\d+$/.test(BLENDER_VERSION)) {
+  console.error(`❌ --version must look like 4.5, got "${BLENDER_VERSION}"`);
+  process.exit(1);
+}
+const DRY_RUN_SAMPLE_SIZE = 10; // Chunk keys listed per change type
+const ROW_COLUMNS = "content, embedding, module_path, symbol, kind, source_url, blender_version, chunk_key, content_hash";
 // --- END CONFIGURATION ---
 
 // Helper function to pause execution
@@ -34,6 +60,20 @@ async function tableExists(client, tableName) {
   return rows[0].exists;
 }
 
+// Same columns db.js initSchema adds at server start
+async function ensureMetadataColumns(client, tableName) {
+  await client.query(`
+    ALTER TABLE ${tableName}
+      ADD COLUMN IF NOT EXISTS module_path text,
+      ADD COLUMN IF NOT EXISTS symbol text,
+      ADD COLUMN IF NOT EXISTS kind text,
+      ADD COLUMN IF NOT EXISTS source_url text,
+      ADD COLUMN IF NOT EXISTS blender_version text,
+      ADD COLUMN IF NOT EXISTS chunk_key text,
+      ADD COLUMN IF NOT EXISTS content_hash text;
+  `);
+}
+
 async function ensureEmbeddingTable(client, dim) {
   // Check for both tables
   const originalTableExists = await tableExists(client, "blender_knowledge");
@@ -47,6 +87,7 @@ async function ensureEmbeddingTable(client, dim) {
       embedding vector(${dim})
     );
   `);
+  await ensureMetadataColumns(client, "blender_knowledge");
   
   // Next, check if we need the new table with correct dimensions
   if (!originalTableExists || !newTableExists) {
@@ -77,6 +118,7 @@ async function ensureEmbeddingTable(client, dim) {
         
         // Create index on the new table
         await client.query(`CREATE INDEX IF NOT EXISTS idx_blender_knowledge_new_embedding ON blender_knowledge_new USING ivfflat (embedding vector_cosine_ops);`);
+        await ensureMetadataColumns(client, "blender_knowledge_new");
         
         console.log(`[embed_docs] Will insert new embeddings into blender_knowledge_new`);
         return "blender_knowledge_new";
@@ -86,6 +128,7 @@ async function ensureEmbeddingTable(client, dim) {
   
   // If we already have the new table, use it
   if (newTableExists) {
+    await ensureMetadataColumns(client, "blender_knowledge_new");
     return "blender_knowledge_new";
   }
   
@@ -97,55 +140,447 @@ async function ensureEmbeddingTable(client, dim) {
  * Main function to run the embedding process
  */
 async function main() {
-  console.log("🚀 Starting documentation embedding process...");
+  console.log(
+    DRY_RUN
+      ? "🔍 Dry run: comparing the documentation with the knowledge base..."
+      : "🚀 Starting documentation embedding process..."
+  );
 
   try {
     // 1. Parse and chunk the documentation
-    const textChunks = await parseAndChunkDocs();
-    if (textChunks.length === 0) {
+    const chunks = identifyChunks(await parseAndChunkDocs());
+    if (chunks.length === 0) {
       console.warn(
         "⚠️ No text chunks found. Did you place the .zip file correctly?"
       );
       return;
     }
     console.log(
-      `✅ Parsed and chunked docs. Found ${textChunks.length} chunks.`
+      `✅ Parsed and chunked docs. Found ${chunks.length} chunks.`
     );
 
-    // 2. Embed and store the chunks in the database
+    // 2. Compare with the live table, then embed what changed into a staging
+    // table that replaces the live one in a single transaction
     const client = await pool.connect();
+    let locked = false;
     try {
+      if (DRY_RUN) {
+        const tableName = (await tableExists(client, "blender_knowledge_new")) ? "blender_knowledge_new" : "blender_knowledge";
+        reportPlan(planChanges(chunks, await loadChunkHashes(client, tableName)), tableName);
+        return;
+      }
+
+      const { rows: lockRows } = await client.query("SELECT pg_try_advisory_lock(hashtext('embed_docs')) AS locked");
+      locked = lockRows[0].locked;
+      if (!locked) {
+        throw new Error("Another embed_docs run is in progress");
+      }
+
       // Get the appropriate table name (original or new)
       const tableName = await ensureEmbeddingTable(client, EXPECTED_EMBEDDING_DIM);
-      
-      // Clear the table before inserting new data
-      await client.query(`TRUNCATE TABLE ${tableName};`);
-      console.log(`🧹 Cleared ${tableName} table before embedding.`);
-      
-      // Embed and store the chunks
-      await embedAndStoreLocally(client, textChunks, tableName);
+      const stagingName = `${tableName}_staging`;
+      const plan = planChanges(chunks, await loadChunkHashes(client, tableName));
+      reportPlan(plan, tableName);
+
+      const changed = plan.added.length + plan.updated.length + plan.deleted.length + plan.legacy > 0;
+      if (!changed && !(await tableExists(client, stagingName))) {
+        console.log(`✅ ${tableName} is up to date.`);
+        return;
+      }
+
+      await fillStagingTable(client, tableName, stagingName, chunks, plan);
+      await swapInStagingTable(client, tableName, stagingName);
+      console.log(`🔁 Replaced ${tableName} with the updated chunks.`);
     } finally {
+      if (locked) {
+        await client.query("SELECT pg_advisory_unlock(hashtext('embed_docs'))");
+      }
       client.release();
     }
 
-    console.log("🎉 Successfully embedded and stored all documentation.");
+    if (!DRY_RUN) {
+      console.log("🎉 Successfully embedded and stored all documentation.");
+    }
   } catch (error) {
     console.error(
       "❌ An error occurred during the embedding process:",
       error.message
     );
+    if (!DRY_RUN) {
+      console.error("   Chunks embedded so far are kept; run the script again to resume.");
+    }
+    process.exitCode = 1;
   } finally {
     await pool.end(); // Close the database connection
     console.log("Database pool closed.");
   }
 }
 
+// --- INCREMENTAL UPDATES ---
+// Each row stores a stable chunk_key and a content_hash. Unchanged chunks are
+// copied from the live table with their embeddings; only new and changed chunks
+// are embedded. Everything is written to <table>_staging, whose committed batches
+// are the checkpoint an interrupted run resumes from, and the staging table
+// replaces the live one in one transaction, so the server never sees a partial index.
+
+/**
+ * Give each chunk a stable key (its source URL, numbered when a URL has several
+ * chunks) and a hash of everything that goes into its row and embedding
+ * @param {Array<Object>} chunks - From parseAndChunkDocs
+ * @returns {Array<Object>} - Chunks with chunkKey and contentHash
+ */
+function identifyChunks(chunks) {
+  const occurrences = new Map();
+  return chunks.map((chunk) => {
+    const count = occurrences.get(chunk.sourceUrl) || 0;
+    occurrences.set(chunk.sourceUrl, count + 1);
+    const contentHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify([
+        EMBEDDING_MODEL_NAME,
+        chunk.content,
+        chunk.modulePath,
+        chunk.symbol,
+        chunk.kind,
+        chunk.sourceUrl,
+        chunk.blenderVersion,
+      ]))
+      .digest("hex");
+    return { ...chunk, chunkKey: count === 0 ? chunk.sourceUrl : `${chunk.sourceUrl}~${count}`, contentHash };
+  });
+}
+
+/**
+ * chunk_key -> content_hash of a knowledge table's rows for BLENDER_VERSION; rows
+ * embedded before chunk keys existed are counted as legacy and replaced, rows of
+ * other versions are left alone
+ */
+async function loadChunkHashes(client, tableName) {
+  const hashes = new Map();
+  if (!(await tableExists(client, tableName))) {
+    return { hashes, legacy: 0 };
+  }
+  const { rows: columns } = await client.query(
+    "SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = 'chunk_key'",
+    [tableName]
+  );
+  if (columns.length === 0) {
+    const { rows } = await client.query(`SELECT COUNT(1) AS c FROM ${tableName};`);
+    return { hashes, legacy: Number(rows[0].c) };
+  }
+
+  let legacy = 0;
+  const { rows } = await client.query(
+    `SELECT chunk_key, content_hash FROM ${tableName} WHERE chunk_key IS NULL OR blender_version = $1;`,
+    [BLENDER_VERSION]
+  );
+  for (const row of rows) {
+    if (row.chunk_key) {
+      hashes.set(row.chunk_key, row.content_hash);
+    } else {
+      legacy++;
+    }
+  }
+  return { hashes, legacy };
+}
+
+function planChanges(chunks, live) {
+  const plan = { added: [], updated: [], unchanged: [], deleted: [], legacy: live.legacy };
+  const keys = new Set();
+  for (const chunk of chunks) {
+    keys.add(chunk.chunkKey);
+    const hash = live.hashes.get(chunk.chunkKey);
+    if (hash === undefined) {
+      plan.added.push(chunk);
+    } else if (hash !== chunk.contentHash) {
+      plan.updated.push(chunk);
+    } else {
+      plan.unchanged.push(chunk);
+    }
+  }
+  plan.deleted = [...live.hashes.keys()].filter((key) => !keys.has(key));
+  return plan;
+}
+
+function reportPlan(plan, tableName) {
+  const deletedCount = plan.deleted.length + plan.legacy;
+  console.log(
+    `📋 ${tableName} (Blender ${BLENDER_VERSION}): ${plan.added.length} to add, ${plan.updated.length} to update, ${deletedCount} to delete, ${plan.unchanged.length} unchanged.`
+  );
+  if (!DRY_RUN) return;
+
+  const sample = (label, keys) => {
+    if (keys.length === 0) return;
+    console.log(`   ${label}:`);
+    keys.slice(0, DRY_RUN_SAMPLE_SIZE).forEach((key) => console.log(`     ${key}`));
+    if (keys.length > DRY_RUN_SAMPLE_SIZE) console.log(`     ... and ${keys.length - DRY_RUN_SAMPLE_SIZE} more`);
+  };
+  sample("Add", plan.added.map((chunk) => chunk.chunkKey));
+  sample("Update", plan.updated.map((chunk) => chunk.chunkKey));
+  sample("Delete", plan.deleted);
+  if (plan.legacy > 0) {
+    console.log(`   Delete: ${plan.legacy} rows embedded before chunk keys existed`);
+  }
+}
+
+// Same schema as db.js initSchema gives the knowledge tables
+async function createKnowledgeTable(client, tableName, dim) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${tableName} (
+      id bigserial PRIMARY KEY,
+      content text NOT NULL,
+      embedding vector(${dim}),
+      module_path text,
+      symbol text,
+      kind text,
+      source_url text,
+      blender_version text,
+      chunk_key text,
+      content_hash text,
+      search_tsv tsvector GENERATED ALWAYS AS (to_tsvector('english', regexp_replace(content, '[._]+', ' ', 'g'))) STORED
+    );
+  `);
+}
+
+async function fillStagingTable(client, tableName, stagingName, chunks, plan) {
+  await createKnowledgeTable(client, stagingName, EXPECTED_EMBEDDING_DIM);
+
+  // Rows left by an interrupted run are kept if they are still current (other
+  // versions' rows are copied again below)
+  const wanted = new Map(chunks.map((chunk) => [chunk.chunkKey, chunk.contentHash]));
+  const done = new Set();
+  const stale = [];
+  const { rows: existing } = await client.query(`SELECT id, chunk_key, content_hash FROM ${stagingName};`);
+  for (const row of existing) {
+    if (wanted.get(row.chunk_key) === row.content_hash && !done.has(row.chunk_key)) {
+      done.add(row.chunk_key);
+    } else {
+      stale.push(row.id);
+    }
+  }
+  if (stale.length > 0) {
+    await client.query(`DELETE FROM ${stagingName} WHERE id = ANY($1);`, [stale]);
+  }
+  if (done.size > 0) {
+    console.log(`⏯️ Resuming: ${done.size} chunks already in ${stagingName}.`);
+  }
+
+  // Other Blender versions carry over as they are
+  const { rowCount: carried } = await client.query(
+    `INSERT INTO ${stagingName} (${ROW_COLUMNS})
+     SELECT ${ROW_COLUMNS} FROM ${tableName} WHERE chunk_key IS NOT NULL AND blender_version IS DISTINCT FROM $1;`,
+    [BLENDER_VERSION]
+  );
+  if (carried > 0) {
+    console.log(`📚 Kept ${carried} chunks of other Blender versions.`);
+  }
+
+  // Unchanged chunks keep their embeddings
+  const reused = plan.unchanged.map((chunk) => chunk.chunkKey).filter((key) => !done.has(key));
+  if (reused.length > 0) {
+    await client.query(
+      `INSERT INTO ${stagingName} (${ROW_COLUMNS})
+       SELECT DISTINCT ON (chunk_key) ${ROW_COLUMNS} FROM ${tableName} WHERE chunk_key = ANY($1) AND blender_version = $2;`,
+      [reused, BLENDER_VERSION]
+    );
+    reused.forEach((key) => done.add(key));
+    console.log(`♻️ Reused ${reused.length} unchanged embeddings from ${tableName}.`);
+  }
+
+  await embedAndStoreLocally(client, chunks.filter((chunk) => !done.has(chunk.chunkKey)), stagingName);
+}
+
+// Indexes are built on the staging table and renamed with it
+const KNOWLEDGE_INDEXES = [
+  ["embedding", "USING ivfflat (embedding vector_cosine_ops)"],
+  ["search", "USING gin (search_tsv)"],
+  ["symbol", "(symbol text_pattern_ops)"],
+  ["module", "(module_path text_pattern_ops)"],
+];
+
+async function swapInStagingTable(client, tableName, stagingName) {
+  for (const [suffix, definition] of KNOWLEDGE_INDEXES) {
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_${stagingName}_${suffix} ON ${stagingName} ${definition};`);
+  }
+
+  await client.query("BEGIN");
+  try {
+    await client.query(`DROP TABLE IF EXISTS ${tableName};`);
+    await client.query(`ALTER TABLE ${stagingName} RENAME TO ${tableName};`);
+    for (const [suffix] of KNOWLEDGE_INDEXES) {
+      await client.query(`ALTER INDEX idx_${stagingName}_${suffix} RENAME TO idx_${tableName}_${suffix};`);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+// Sphinx definition lists (<dl class="py method">) and the kind stored for them
+const DEFINITION_KINDS = {
+  class: "class",
+  exception: "class",
+  function: "function",
+  method: "method",
+  classmethod: "method",
+  staticmethod: "method",
+  attribute: "property",
+  property: "property",
+  data: "data",
+};
+const DEFINITION_SELECTOR = Object.keys(DEFINITION_KINDS)
+  .map((kind) => `dl.py.${kind}`)
+  .join(", ");
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+
+const collapse = (text) => text.replace(/¶/g, "").replace(/\s+/g, " ").trim();
+
+// "bpy.types.Modifier" -> "bpy.types"
+const parentPath = (symbol) => symbol.split(".").slice(0, -1).join(".") || null;
+
+// Text of one block: code keeps its line breaks, lists keep one item per line
+function blockText($, el) {
+  const $el = $(el);
+  const pre = $el.is("pre") ? $el : $el.find("pre").first();
+  if (pre.length > 0) return pre.text().trimEnd();
+  if ($el.is("ul, ol")) {
+    return $el
+      .children("li")
+      .map((_, li) => `- ${collapse($(li).text())}`)
+      .get()
+      .join("\n");
+  }
+  return collapse($el.text());
+}
+
+// Parameters, return and type fields of a definition, one field per line
+function fieldText($, dd) {
+  return dd
+    .children("dl.field-list")
+    .children("dt")
+    .map((_, dt) => {
+      const label = collapse($(dt).text());
+      const value = $(dt).next("dd");
+      const items = value.find("li");
+      if (items.length > 0) {
+        return `${label}\n${items.map((_, li) => `- ${collapse($(li).text())}`).get().join("\n")}`;
+      }
+      return `${label} ${collapse(value.text())}`;
+    })
+    .get()
+    .join("\n");
+}
+
+// The head (title, signature, fields) always stays in the first chunk; description
+// paragraphs that overflow CHUNK_MAX_LENGTH continue under "<title> (continued)"
+function packChunks(head, paragraphs, title) {
+  const chunks = [];
+  let current = head;
+  let hasBody = false;
+  for (const paragraph of paragraphs) {
+    if (hasBody && current.length + paragraph.length + 2 > CHUNK_MAX_LENGTH) {
+      chunks.push(current);
+      current = `${title} (continued)`;
+    }
+    current = `${current}\n\n${paragraph}`;
+    hasBody = true;
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Chunk one reference page
+ * @param {Object} $ - Cheerio document
+ * @param {string} pageName - File name, e.g. "bpy.types.Modifier.html"
+ * @returns {Array<{ content: string, modulePath: string|null, symbol: string|null, kind: string, sourceUrl: string, blenderVersion: string }>}
+ */
+function chunkPage($, pageName) {
+  const selectors = ["div[role='main']", "div.document", "div.body", "article", "main", "body"];
+  const main = selectors.map((selector) => $(selector).first()).find((el) => el.length > 0 && el.text().trim());
+  if (!main) return [];
+
+  const pageModule = ($("[id^='module-']").first().attr("id") || "").slice("module-".length) || null;
+  const sourceUrl = (anchor) => `${DOCS_BASE_URL}${pageName}${anchor ? `#${anchor}` : ""}`;
+  const chunk = (content, metadata) => ({ content, blenderVersion: BLENDER_VERSION, ...metadata });
+  const chunks = [];
+
+  // API definitions: one chunk per module function, class, method and property
+  main.find(DEFINITION_SELECTOR).each((_, dl) => {
+    const $dl = $(dl);
+    const dt = $dl.children("dt").first();
+    const dd = $dl.children("dd").first();
+    const symbol = dt.attr("id");
+    if (!symbol) return;
+
+    const kind = DEFINITION_KINDS[Object.keys(DEFINITION_KINDS).find((name) => $dl.hasClass(name))];
+    const ownerId = $dl.parents("dl.py.class, dl.py.exception").first().children("dt").first().attr("id");
+    const modulePath = parentPath(ownerId || symbol) || pageModule;
+
+    const signatureEl = dt.clone();
+    signatureEl.find("a.headerlink").remove();
+    const signature = collapse(signatureEl.text());
+    const title = `${symbol} (${kind})`;
+    const head = [title, signature, fieldText($, dd)].filter(Boolean).join("\n");
+    // A class's own description; its members are chunked separately
+    const paragraphs = dd
+      .children()
+      .not(DEFINITION_SELECTOR)
+      .not("dl.field-list")
+      .map((_, el) => blockText($, el))
+      .get()
+      .filter(Boolean);
+
+    for (const content of packChunks(head, paragraphs, title)) {
+      chunks.push(chunk(content, { modulePath, symbol, kind, sourceUrl: sourceUrl(symbol) }));
+    }
+  });
+
+  // Prose: the text of each section outside the definitions; the first section of
+  // a module page is the module's own documentation
+  const sections = main.find("section, div.section");
+  sections.each((index, section) => {
+    const $section = $(section);
+    const title = collapse($section.children(HEADING_SELECTOR).first().text()) || pageName.replace(/\.html$/, "");
+    const paragraphs = $section
+      .children()
+      .not("section, div.section")
+      .not(HEADING_SELECTOR)
+      .not(DEFINITION_SELECTOR)
+      .map((_, el) => blockText($, el))
+      .get()
+      .filter(Boolean);
+    if (paragraphs.length === 0) return;
+
+    // Class pages open with the class's base class and subclasses
+    const classes = $section.children("dl.py.class, dl.py.exception");
+    const classId = classes.length === 1 ? classes.children("dt").first().attr("id") : null;
+    const isModule = index === 0 && pageName === `${pageModule}.html`;
+    const metadata = {
+      modulePath: pageModule || (classId ? parentPath(classId) : null),
+      symbol: classId || (isModule ? pageModule : null),
+      kind: classId ? "class" : isModule ? "module" : "section",
+      sourceUrl: sourceUrl(index === 0 ? null : $section.attr("id")),
+    };
+    for (const content of packChunks(title, paragraphs, title)) chunks.push(chunk(content, metadata));
+  });
+
+  if (sections.length === 0 && chunks.length === 0) {
+    const paragraphs = main.find("p, pre, ul, ol").map((_, el) => blockText($, el)).get().filter(Boolean);
+    const title = collapse($("title").first().text()) || pageName.replace(/\.html$/, "");
+    for (const content of packChunks(title, paragraphs, title)) {
+      chunks.push(chunk(content, { modulePath: pageModule, symbol: null, kind: "section", sourceUrl: sourceUrl(null) }));
+    }
+  }
+
+  return chunks.filter((item) => item.content.length > CHUNK_MIN_LENGTH);
+}
+
 /**
  * Reads the zip, parses all HTML files, and chunks the content.
  */
 async function parseAndChunkDocs() {
-  // ... (This function is unchanged, so I'm omitting it for brevity)
-  // ... (It correctly found 2044 chunks, so it works perfectly)
   console.log(`Loading zip file from: ${ZIP_FILE_PATH}`);
   if (!fs.existsSync(ZIP_FILE_PATH)) {
     throw new Error(`File not found: ${ZIP_FILE_PATH}`);
@@ -160,57 +595,13 @@ async function parseAndChunkDocs() {
   );
 
   for (const entry of zipEntries) {
-    if (entry.entryName.endsWith(".html") && !entry.isDirectory) {
-      const htmlContent = entry.getData().toString("utf8");
-
-      // Use Cheerio to load the HTML
-      const $ = cheerio.load(htmlContent);
-
-      // Extract text from likely content containers
-      const selectors = [
-        "div[role='main']",
-        "div.document",
-        "div.body",
-        "article",
-        "main",
-        "body",
-      ];
-
-      let mainContent = "";
-      for (const selector of selectors) {
-        const text = $(selector).text().trim();
-        if (text.length > 0) {
-          mainContent = text;
-          break;
-        }
-      }
-
-      if (!mainContent) {
-        // Fallback: join paragraph texts
-        mainContent = $("p")
-          .map((_, el) => $(el).text().trim())
-          .get()
-          .join("\n\n");
-      }
+    if (entry.isDirectory || !entry.entryName.endsWith(".html")) continue;
+    // Index pages only list symbols that are chunked from their own pages
+    const pageName = path.basename(entry.entryName);
+    if (SKIPPED_PAGES.has(pageName) || entry.entryName.includes("_sources/")) continue;
 
-      if (mainContent) {
-        // Clean the text: remove excessive whitespace and newlines
-        const cleanText = mainContent
-          .replace(/\s\s+/g, " ")
-          .replace(/\n\n+/g, "\n")
-          .trim();
-
-        if (cleanText.length > 0) {
-          // Chunking: Split by paragraphs (double newline)
-          const chunks = cleanText
-            .split("\n\n")
-            .map((chunk) => chunk.trim())
-            .filter((chunk) => chunk.length > CHUNK_MIN_LENGTH); // Filter out small, useless chunks
-
-          allChunks.push(...chunks);
-        }
-      }
-    }
+    const $ = cheerio.load(entry.getData().toString("utf8"));
+    allChunks.push(...chunkPage($, pageName));
   }
 
   return allChunks;
@@ -219,11 +610,17 @@ async function parseAndChunkDocs() {
 /**
  * --- LOCAL EMBEDDING VERSION ---
  * Takes text chunks, embeds them using local transformer model, and stores them in the specified table.
+ * Each batch is committed on its own, so an interrupted run keeps what it embedded.
  * @param {Object} client - Database client
- * @param {Array} chunks - Text chunks to embed
+ * @param {Array} chunks - Chunks from identifyChunks (content, metadata, chunkKey, contentHash)
  * @param {String} tableName - Name of the table to store embeddings in
  */
-async function embedAndStoreLocally(client, chunks, tableName = 'blender_knowledge') {
+async function embedAndStoreLocally(client, chunks, tableName) {
+  if (chunks.length === 0) {
+    console.log(`✅ Nothing left to embed.`);
+    return;
+  }
+
   console.log(`🤖 Loading local embedding model: ${EMBEDDING_MODEL_NAME}...`);
   
   const embedder = await pipeline('feature-extraction', EMBEDDING_MODEL_NAME);
@@ -231,7 +628,17 @@ async function embedAndStoreLocally(client, chunks, tableName = 'blender_knowled
   console.log(`✅ Model loaded successfully!`);
   
   const DB_BATCH_SIZE = 50;
+  const totalBatches = Math.ceil(chunks.length / DB_BATCH_SIZE);
   let rows = [];
+  let batchNum = 0;
+  
+  const storeBatch = async () => {
+    const query = format(`INSERT INTO ${tableName} (${ROW_COLUMNS}) VALUES %L`, rows);
+    await client.query(query);
+    batchNum++;
+    console.log(`...stored batch ${batchNum} / ${totalBatches} (${rows.length} chunks) in ${tableName}`);
+    rows = [];
+  };
   
   console.log(`📦 Embedding ${chunks.length} chunks locally and storing in ${tableName}...`);
   
@@ -239,7 +646,7 @@ async function embedAndStoreLocally(client, chunks, tableName = 'blender_knowled
     const chunk = chunks[i];
     
     // Generate embedding with mean pooling and normalization
-    const embedding = await embedder(chunk, { pooling: 'mean', normalize: true });
+    const embedding = await embedder(chunk.content, { pooling: 'mean', normalize: true });
     
     // Convert Tensor to JavaScript array
     const embeddingArray = Array.from(embedding.data);
@@ -252,32 +659,29 @@ async function embedAndStoreLocally(client, chunks, tableName = 'blender_knowled
       continue;
     }
     
-    // Convert to pgvector SQL format
-    const embeddingString = pgvector.toSql(embeddingArray);
-    
-    // Add to batch
-    rows.push([chunk, embeddingString]);
+    // Add to batch (order matches ROW_COLUMNS)
+    rows.push([
+      chunk.content,
+      pgvector.toSql(embeddingArray),
+      chunk.modulePath,
+      chunk.symbol,
+      chunk.kind,
+      chunk.sourceUrl,
+      chunk.blenderVersion,
+      chunk.chunkKey,
+      chunk.contentHash,
+    ]);
     
-    // Insert batch when ready
-    if (rows.length >= DB_BATCH_SIZE || i === chunks.length - 1) {
-      const query = format(
-        `INSERT INTO ${tableName} (content, embedding) VALUES %L`,
-        rows
-      );
-      await client.query(query);
-      
-      const batchNum = Math.floor(i / DB_BATCH_SIZE) + 1;
-      const totalBatches = Math.ceil(chunks.length / DB_BATCH_SIZE);
-      console.log(`...stored batch ${batchNum} / ${totalBatches} (${rows.length} chunks) in ${tableName}`);
-      
-      // Reset batch
-      rows = [];
+    if (rows.length >= DB_BATCH_SIZE) {
+      await storeBatch();
     }
   }
+  if (rows.length > 0) {
+    await storeBatch();
+  }
   
   console.log(`✅ All ${chunks.length} chunks embedded and stored in ${tableName}.`);
 }
 
 // Run the script
 main();
-
@@ -0,0 +1,718 @@
+/*
+ * mock-blender-server.js
+ *
+ * Fake Blender TCP server that speaks the addon.py protocol, for running the
+ * backend (and /api/generate end to end) without Blender.
+ *
+ * - Negotiates NDJSON framing like the addon, and falls back to bare JSON objects.
+ * - With legacyAddon (MOCK_BLENDER_LEGACY=1) acts like addon builds from before the
+ *   handshake: no negotiate_framing or get_blender_version, no ids in replies, and
+ *   the whole receive buffer must be one JSON document (back-to-back commands hang).
+ * - Keeps an in-memory scene that execute_code and the asset imports modify,
+ *   with in-memory snapshots for save_snapshot / restore_snapshot.
+ * - Returns addon-shaped results for scene, screenshot, PolyHaven, Sketchfab
+ *   and Hyper3D commands.
+ * - Supports scripted failures and latency per command.
+ *
+ * Usage (from 'backend'):
+ *   npm run mock:blender
+ *   MOCK_BLENDER_PORT=9876 MOCK_BLENDER_SCRIPT=./mock-script.json node scripts/mock-blender-server.js
+ *
+ * Then point the backend at it with BLENDER_TCP_HOST / BLENDER_TCP_PORT.
+ *
+ * A script file is a JSON array of rules, applied to matching commands in order:
+ *   { "command": "execute_code", "error": "Code execution error: boom", "times": 1 }
+ *   { "command": "get_scene_info", "latencyMs": 2000 }
+ *   { "command": "download_sketchfab_model", "result": { "error": "Model download failed" } }
+ *   { "command": "*", "drop": true, "times": 1 }   // never reply (triggers backend timeouts)
+ */
+
+import net from "net";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { fileURLToPath } from "url";
+
+const PROTOCOL_VERSION = 2;
+
+// 1x1 grey PNG, written for viewport screenshots
+const PLACEHOLDER_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNoaGgAAAMEAYFL09IQAAAAAElFTkSuQmCC",
+  "base64"
+);
+
+// Small PolyHaven catalogue used by search_polyhaven_assets
+const POLYHAVEN_ASSETS = {
+  models: {
+    wooden_chair_01: { name: "Wooden Chair 01", categories: ["furniture", "seating", "chair", "wooden"] },
+    round_table_01: { name: "Round Table 01", categories: ["furniture", "table", "wooden"] },
+    potted_plant_02: { name: "Potted Plant 02", categories: ["plant", "decorative", "indoor"] },
+    street_lamp_01: { name: "Street Lamp 01", categories: ["lamp", "street", "urban", "light"] },
+  },
+  textures: {
+    wood_floor_deck: { name: "Wood Floor Deck", categories: ["wood", "floor"] },
+    red_brick_03: { name: "Red Brick 03", categories: ["brick", "wall", "red"] },
+    metal_plate: { name: "Metal Plate", categories: ["metal", "industrial"] },
+  },
+  hdris: {
+    kloppenheim_06: { name: "Kloppenheim 06", categories: ["sky", "outdoor", "clear"] },
+    studio_small_03: { name: "Studio Small 03", categories: ["studio", "indoor"] },
+  },
+};
+
+const PRIMITIVES = {
+  cube: "Cube",
+  uv_sphere: "Sphere",
+  ico_sphere: "Icosphere",
+  cylinder: "Cylinder",
+  cone: "Cone",
+  torus: "Torus",
+  plane: "Plane",
+  circle: "Circle",
+  grid: "Grid",
+  monkey: "Suzanne",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * In-memory stand-in for bpy.context.scene
+ * @returns {Object} - Scene model
+ */
+function createSceneModel() {
+  const objects = [];
+  const materials = new Set();
+  // Stands in for ID.session_uid, which survives renames
+  let nextUid = 1;
+
+  const uniqueName = (base) => {
+    if (!objects.some((o) => o.name === base)) return base;
+    for (let i = 1; ; i++) {
+      const candidate = `${base}.${String(i).padStart(3, "0")}`;
+      if (!objects.some((o) => o.name === candidate)) return candidate;
+    }
+  };
+
+  const scene = {
+    name: "Scene",
+    objects,
+    materials,
+
+    addObject(baseName, type = "MESH", location = [0, 0, 0]) {
+      const obj = {
+        uid: nextUid++,
+        name: uniqueName(baseName),
+        type,
+        location: location.map(Number),
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        materials: [],
+        modifiers: [],
+      };
+      objects.push(obj);
+      return obj;
+    },
+
+    removeObject(name) {
+      const index = objects.findIndex((o) => o.name === name);
+      if (index !== -1) objects.splice(index, 1);
+      return index !== -1;
+    },
+
+    getObject(name) {
+      return objects.find((o) => o.name === name) || null;
+    },
+
+    // Deep copy of the scene, standing in for a saved .blend
+    serialize() {
+      return JSON.stringify({ objects, materials: [...materials] });
+    },
+
+    load(serialized) {
+      const state = JSON.parse(serialized);
+      objects.splice(0, objects.length, ...state.objects);
+      materials.clear();
+      state.materials.forEach((name) => materials.add(name));
+    },
+
+    reset() {
+      objects.length = 0;
+      materials.clear();
+      scene.addObject("Camera", "CAMERA", [7.36, -6.93, 4.96]);
+      scene.addObject("Cube", "MESH", [0, 0, 0]);
+      scene.addObject("Light", "LIGHT", [4.08, 1.01, 5.9]);
+    },
+  };
+
+  scene.reset();
+  return scene;
+}
+
+// addon.py SCENE_QUERY_FIELDS
+const SCENE_QUERY_FIELDS = ["rotation", "scale", "dimensions", "modifiers", "materials", "parent", "collections", "custom_properties"];
+
+/**
+ * Mirror of addon.py _describe_object; every object lives in "Collection"
+ * @param {Object} obj - Scene model object
+ * @param {Array<string>} fields - Extra fields from SCENE_QUERY_FIELDS
+ * @returns {Object}
+ */
+function describeObject(obj, fields) {
+  const info = { name: obj.name, type: obj.type, location: [...obj.location] };
+  if (fields.includes("rotation")) info.rotation = [...obj.rotation];
+  if (fields.includes("scale")) info.scale = [...obj.scale];
+  if (fields.includes("dimensions")) info.dimensions = obj.type === "MESH" ? obj.scale.map((v) => v * 2) : [0, 0, 0];
+  if (fields.includes("modifiers")) info.modifiers = (obj.modifiers || []).map((m) => ({ ...m }));
+  if (fields.includes("materials")) info.materials = [...obj.materials];
+  if (fields.includes("parent")) info.parent = null;
+  if (fields.includes("collections")) info.collections = ["Collection"];
+  if (fields.includes("custom_properties")) info.custom_properties = {};
+  return info;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.replace(/[.+^${}()|\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${source}$`);
+}
+
+function parseVector(text) {
+  if (!text) return [0, 0, 0];
+  const parts = text.split(",").map((v) => parseFloat(v));
+  return [0, 1, 2].map((i) => (Number.isFinite(parts[i]) ? parts[i] : 0));
+}
+
+/**
+ * Apply the common bpy calls in a code string to the scene model.
+ * This is pattern matching, not Python: it understands primitive/camera/light
+ * adds, renames and deletes, material creation, modifiers.new() and print() of
+ * string literals.
+ * @param {Object} scene - Scene model
+ * @param {string} code - Python source sent by the backend
+ * @returns {string} - Captured "stdout"
+ */
+function simulateCode(scene, code) {
+  const output = [];
+  let active = null;
+
+  if (/^\s*raise\s+/m.test(code)) {
+    const message = code.match(/raise\s+\w+\(\s*f?["'](.*?)["']/)?.[1] || "Exception raised";
+    throw new Error(`Code execution error: ${message}`);
+  }
+
+  for (const rawLine of code.split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const primitive = line.match(/bpy\.ops\.mesh\.primitive_(\w+?)_add\((.*)\)/);
+    if (primitive) {
+      const location = line.match(/location\s*=\s*\(([^)]*)\)/)?.[1];
+      active = scene.addObject(PRIMITIVES[primitive[1]] || primitive[1], "MESH", parseVector(location));
+      continue;
+    }
+
+    const other = line.match(/bpy\.ops\.object\.(camera|light)_add\((.*)\)/);
+    if (other) {
+      const location = line.match(/location\s*=\s*\(([^)]*)\)/)?.[1];
+      const type = other[1].toUpperCase();
+      active = scene.addObject(other[1] === "camera" ? "Camera" : "Light", type, parseVector(location));
+      continue;
+    }
+
+    const rename = line.match(/\.name\s*=\s*["']([^"']+)["']/);
+    if (rename && active && !line.includes("materials")) {
+      active.name = rename[1];
+      continue;
+    }
+
+    const scale = line.match(/\.scale\s*=\s*\(([^)]*)\)/);
+    if (scale && active) {
+      active.scale = parseVector(scale[1]);
+      continue;
+    }
+
+    const material = line.match(/bpy\.data\.materials\.new\(\s*(?:name\s*=\s*)?["']([^"']+)["']/);
+    if (material) {
+      scene.materials.add(material[1]);
+      if (active) active.materials.push(material[1]);
+      continue;
+    }
+
+    const modifier = line.match(/\.modifiers\.new\(\s*(?:name\s*=\s*)?["']([^"']+)["']\s*,\s*(?:type\s*=\s*)?["'](\w+)["']/);
+    if (modifier && active && active !== "ALL") {
+      active.modifiers.push({ name: modifier[1], type: modifier[2] });
+      continue;
+    }
+
+    const removeByName = line.match(/bpy\.data\.objects\[["']([^"']+)["']\]/);
+    if (removeByName && /remove\(|delete\(/.test(line)) {
+      scene.removeObject(removeByName[1]);
+      continue;
+    }
+
+    if (/bpy\.ops\.object\.select_all\(\s*action\s*=\s*["']SELECT["']/.test(line)) {
+      active = "ALL";
+      continue;
+    }
+
+    if (/bpy\.ops\.object\.delete\(/.test(line)) {
+      if (active === "ALL") {
+        scene.objects.length = 0;
+      } else if (active) {
+        scene.removeObject(active.name);
+      }
+      active = null;
+      continue;
+    }
+
+    const printed = line.match(/^print\(\s*["'](.*)["']\s*\)$/);
+    if (printed) output.push(printed[1]);
+  }
+
+  return output.length ? `${output.join("\n")}\n` : "";
+}
+
+/**
+ * Create a fake Blender server
+ * @param {Object} [options]
+ * @param {number} [options.port] - TCP port (0 picks a free one)
+ * @param {string} [options.host] - Bind address
+ * @param {number} [options.latencyMs] - Delay added to every command
+ * @param {Array<Object>} [options.script] - Scripted rules (see file header)
+ * @param {Object} [options.integrations] - Which integrations report as enabled
+ * @param {number} [options.rodinPolls] - Status polls before a Hyper3D job is "Done"
+ * @param {boolean} [options.quiet] - Suppress per-command logging
+ * @param {string} [options.blenderVersion] - Version reported by get_blender_version ("major.minor.patch")
+ * @param {boolean} [options.legacyAddon] - Behave like an addon build without the framing handshake
+ * @returns {Object} - Server API
+ */
+export function createMockBlenderServer(options = {}) {
+  const {
+    port = 9876,
+    host = "127.0.0.1",
+    latencyMs = 0,
+    integrations = { polyhaven: true, hyper3d: true, sketchfab: true },
+    rodinPolls = 2,
+    quiet = false,
+    blenderVersion = "4.5.0",
+    legacyAddon = false,
+  } = options;
+
+  const scene = createSceneModel();
+  const rules = (options.script || []).map((rule) => ({ ...rule }));
+  const commandLog = [];
+  const rodinJobs = new Map();
+  // Snapshot "files" saved by save_snapshot, by path
+  const snapshots = new Map();
+  const sockets = new Set();
+  let server = null;
+  // addon.py runs commands one at a time on Blender's main thread
+  let mainThread = Promise.resolve();
+
+  const log = (...args) => {
+    if (!quiet) console.log("[mock-blender]", ...args);
+  };
+
+  function takeRule(commandType) {
+    const index = rules.findIndex((r) => (r.command === "*" || r.command === commandType) && r.times !== 0);
+    if (index === -1) return null;
+    const rule = rules[index];
+    if (typeof rule.times === "number") rule.times -= 1;
+    return rule;
+  }
+
+  const handlers = {
+    get_blender_version: () => {
+      const [major = 0, minor = 0, patch = 0] = blenderVersion.split(".").map(Number);
+      return {
+        version: `${major}.${minor}`,
+        version_string: blenderVersion,
+        version_tuple: [major, minor, patch],
+        cycle: "release",
+      };
+    },
+
+    get_scene_info: () => ({
+      name: scene.name,
+      object_count: scene.objects.length,
+      objects: scene.objects.slice(0, 10).map((o) => ({
+        name: o.name,
+        type: o.type,
+        location: o.location.map((v) => Math.round(v * 100) / 100),
+      })),
+      materials_count: scene.materials.size,
+    }),
+
+    get_scene_state: () => ({
+      name: scene.name,
+      objects: scene.objects.map((o) => ({
+        uid: o.uid,
+        data: o.type === "EMPTY" ? null : o.name,
+        ...describeObject(o, ["rotation", "scale", "modifiers", "materials", "parent"]),
+      })),
+    }),
+
+    query_scene: ({ offset = 0, limit = 50, object_type, collection, name, material, fields = [] } = {}) => {
+      const unknown = fields.filter((field) => !SCENE_QUERY_FIELDS.includes(field));
+      if (unknown.length) throw new Error(`Unknown fields: ${unknown.sort().join(", ")}`);
+      const start = Math.max(0, Number(offset) || 0);
+      const size = Math.max(1, Math.min(Number(limit) || 50, 500));
+      const namePattern = name ? globToRegExp(name) : null;
+      const matches = scene.objects.filter((o) =>
+        (!object_type || o.type === object_type.toUpperCase())
+        && (!collection || collection === "Collection")
+        && (!namePattern || namePattern.test(o.name))
+        && (!material || o.materials.includes(material))
+      );
+      const page = matches.slice(start, start + size);
+      const end = start + page.length;
+      return {
+        total: matches.length,
+        offset: start,
+        limit: size,
+        next_offset: end < matches.length ? end : null,
+        objects: page.map((o) => describeObject(o, fields)),
+      };
+    },
+
+    get_object_info: ({ name }) => {
+      const obj = scene.getObject(name);
+      if (!obj) throw new Error(`Object not found: ${name}`);
+      const info = { ...obj, visible: true };
+      if (obj.type === "MESH") {
+        info.world_bounding_box = [
+          obj.location.map((v, i) => v - obj.scale[i]),
+          obj.location.map((v, i) => v + obj.scale[i]),
+        ];
+        info.mesh = { vertices: 8, edges: 12, polygons: 6 };
+      }
+      return info;
+    },
+
+    get_viewport_screenshot: ({ filepath, max_size = 800 } = {}) => {
+      if (!filepath) return { error: "No filepath provided" };
+      fs.writeFileSync(filepath, PLACEHOLDER_PNG);
+      return { success: true, width: max_size, height: Math.round(max_size * 0.5625), filepath };
+    },
+
+    execute_code: ({ code = "" }) => ({ executed: true, result: simulateCode(scene, code) }),
+
+    save_snapshot: ({ snapshot_id, directory }) => {
+      const filepath = path.join(directory || path.join(os.tmpdir(), "blendermcp_snapshots"), `${path.basename(snapshot_id)}.blend`);
+      const serialized = scene.serialize();
+      snapshots.set(filepath, serialized);
+      return { filepath, size: serialized.length };
+    },
+
+    restore_snapshot: ({ filepath }) => {
+      if (!snapshots.has(filepath)) throw new Error(`Snapshot not found: ${filepath}`);
+      scene.load(snapshots.get(filepath));
+      return { restored: true, filepath };
+    },
+
+    delete_snapshots: ({ filepaths = [] }) => ({
+      deleted: filepaths.filter((filepath) => snapshots.delete(filepath)).length,
+    }),
+
+    get_polyhaven_status: () => integrations.polyhaven
+      ? { enabled: true, message: "PolyHaven integration is enabled and ready to use." }
+      : { enabled: false, message: "PolyHaven integration is currently disabled." },
+
+    get_hyper3d_status: () => integrations.hyper3d
+      ? { enabled: true, message: "Hyper3D Rodin integration is enabled and ready to use. Mode: MAIN_SITE. Key: mock****key (free_trial)" }
+      : { enabled: false, message: "Hyper3D Rodin integration is currently disabled." },
+
+    get_sketchfab_status: () => integrations.sketchfab
+      ? { enabled: true, message: "Sketchfab integration is enabled and ready to use. Logged in as: mock-user" }
+      : { enabled: false, message: "Sketchfab integration is currently disabled." },
+  };
+
+  const polyhavenHandlers = {
+    get_polyhaven_categories: ({ asset_type }) => {
+      const types = asset_type === "all" ? Object.keys(POLYHAVEN_ASSETS) : [asset_type];
+      if (!types.every((t) => POLYHAVEN_ASSETS[t])) {
+        return { error: `Invalid asset type: ${asset_type}. Must be one of: hdris, textures, models, all` };
+      }
+      const categories = {};
+      for (const type of types) {
+        for (const asset of Object.values(POLYHAVEN_ASSETS[type])) {
+          for (const c of asset.categories) categories[c] = (categories[c] || 0) + 1;
+        }
+      }
+      return { categories };
+    },
+
+    search_polyhaven_assets: ({ asset_type = "all", categories } = {}) => {
+      const types = asset_type === "all" ? Object.keys(POLYHAVEN_ASSETS) : [asset_type];
+      if (!types.every((t) => POLYHAVEN_ASSETS[t])) {
+        return { error: `Invalid asset type: ${asset_type}. Must be one of: hdris, textures, models, all` };
+      }
+      const wanted = categories ? String(categories).split(",").map((c) => c.trim()).filter(Boolean) : [];
+      const assets = {};
+      for (const type of types) {
+        for (const [id, asset] of Object.entries(POLYHAVEN_ASSETS[type])) {
+          // The real API requires every category to match
+          if (wanted.every((c) => asset.categories.includes(c))) assets[id] = { ...asset, type };
+        }
+      }
+      const count = Object.keys(assets).length;
+      return { assets, total_count: count, returned_count: count };
+    },
+
+    download_polyhaven_asset: ({ asset_id, asset_type }) => {
+      const asset = POLYHAVEN_ASSETS[asset_type]?.[asset_id];
+      if (!asset) return { error: "Failed to get asset files: 404" };
+      if (asset_type === "hdris") {
+        return { success: true, message: `HDRI ${asset_id} imported successfully`, image_name: `${asset_id}_1k.hdr` };
+      }
+      if (asset_type === "textures") {
+        scene.materials.add(asset_id);
+        return { success: true, message: `Texture ${asset_id} imported as material`, material: asset_id, maps: ["diffuse", "rough", "nor_gl"] };
+      }
+      const obj = scene.addObject(asset_id);
+      return { success: true, message: `Model ${asset_id} imported successfully`, imported_objects: [obj.name] };
+    },
+
+    set_texture: ({ object_name, texture_id }) => {
+      const obj = scene.getObject(object_name);
+      if (!obj) return { error: `Object not found: ${object_name}` };
+      if (!scene.materials.has(texture_id)) return { error: `Texture ${texture_id} not found. Download it first.` };
+      obj.materials = [texture_id];
+      return { success: true, message: `Applied texture ${texture_id} to ${object_name}`, material: texture_id };
+    },
+  };
+
+  const hyper3dHandlers = {
+    create_rodin_job: ({ text_prompt }) => {
+      const uuid = `mock-task-${rodinJobs.size + 1}`;
+      const subscriptionKey = `mock-sub-${rodinJobs.size + 1}`;
+      rodinJobs.set(subscriptionKey, { uuid, prompt: text_prompt, polls: 0 });
+      return { uuid, jobs: { subscription_key: subscriptionKey, uuids: [uuid] } };
+    },
+
+    poll_rodin_job_status: ({ subscription_key }) => {
+      const job = rodinJobs.get(subscription_key);
+      if (!job) throw new Error("'jobs'");
+      job.polls += 1;
+      return { status_list: [job.polls >= rodinPolls ? "Done" : "Generating"] };
+    },
+
+    import_generated_asset: ({ task_uuid, name }) => {
+      const job = Array.from(rodinJobs.values()).find((j) => j.uuid === task_uuid);
+      if (!job || job.polls < rodinPolls) {
+        return { succeed: false, error: "Generation failed. Please first make sure that all jobs of the task are done and then try again later." };
+      }
+      const obj = scene.addObject(name || "Rodin_Asset");
+      return { succeed: true, name: obj.name, type: obj.type, location: obj.location };
+    },
+  };
+
+  const sketchfabHandlers = {
+    search_sketchfab_models: ({ query = "", count = 20 }) => ({
+      results: Array.from({ length: Math.min(count, 3) }, (_, i) => ({
+        uid: `mock${i + 1}${String(query).replace(/\W+/g, "").slice(0, 16)}`,
+        name: `${query} ${i + 1}`.trim(),
+        isDownloadable: true,
+        user: { username: "mock-artist" },
+      })),
+      next: null,
+    }),
+
+    download_sketchfab_model: ({ uid }) => {
+      const obj = scene.addObject(`Sketchfab_${uid}`.slice(0, 63));
+      return { success: true, message: "Model imported successfully", imported_objects: [obj.name] };
+    },
+  };
+
+  /**
+   * Run one command the way _execute_command_internal does
+   * @param {Object} command - { type, params }
+   * @returns {Object} - { status, result } or { status, message }
+   */
+  function execute(command) {
+    const available = { ...handlers };
+    if (integrations.polyhaven) Object.assign(available, polyhavenHandlers);
+    if (integrations.hyper3d) Object.assign(available, hyper3dHandlers);
+    if (integrations.sketchfab) Object.assign(available, sketchfabHandlers);
+
+    if (legacyAddon) delete available.get_blender_version;
+    const handler = available[command.type];
+    if (!handler) return { status: "error", message: `Unknown command type: ${command.type}` };
+    try {
+      return { status: "success", result: handler(command.params || {}) };
+    } catch (err) {
+      return { status: "error", message: err.message };
+    }
+  }
+
+  async function runCommand(command, rule) {
+    const delay = (rule?.latencyMs ?? 0) + latencyMs;
+    if (delay > 0) await sleep(delay);
+    if (rule?.error) return { status: "error", message: rule.error };
+    if (rule?.result !== undefined) return { status: "success", result: rule.result };
+    return execute(command);
+  }
+
+  function handleConnection(socket) {
+    sockets.add(socket);
+    const conn = { framing: "legacy", buffer: "" };
+    log("Client connected");
+
+    const send = (response) => {
+      if (socket.destroyed) return;
+      const payload = JSON.stringify(response);
+      socket.write(conn.framing === "ndjson" ? `${payload}\n` : payload);
+    };
+
+    const dispatch = (command) => {
+      if (!command || typeof command !== "object") return;
+      const id = legacyAddon ? null : command.id;
+
+      if (command.type === "negotiate_framing" && !legacyAddon) {
+        const requested = command.params?.framing || [];
+        const chosen = requested.includes("ndjson") ? "ndjson" : "legacy";
+        // Reply in the old framing, then switch (same as addon.py)
+        send({ status: "success", result: { framing: chosen, protocol_version: PROTOCOL_VERSION }, ...(id != null ? { id } : {}) });
+        conn.framing = chosen;
+        return;
+      }
+
+      commandLog.push({ type: command.type, params: command.params || {}, at: Date.now() });
+      const rule = takeRule(command.type);
+      log(`${command.type}${rule ? " (scripted)" : ""}`);
+      if (rule?.drop) return;
+
+      mainThread = mainThread.then(async () => {
+        const response = await runCommand(command, rule);
+        if (id != null) response.id = id;
+        send(response);
+      });
+    };
+
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      conn.buffer += chunk;
+      while (conn.buffer.length > 0) {
+        if (conn.framing === "ndjson") {
+          const newline = conn.buffer.indexOf("\n");
+          if (newline === -1) break;
+          const line = conn.buffer.slice(0, newline).trim();
+          conn.buffer = conn.buffer.slice(newline + 1);
+          if (!line) continue;
+          try {
+            dispatch(JSON.parse(line));
+          } catch (err) {
+            log(`Dropping malformed command: ${err.message}`);
+          }
+        } else if (legacyAddon) {
+          // json.loads(buffer) on everything received so far, like the old addon
+          let parsed;
+          try {
+            parsed = JSON.parse(conn.buffer);
+          } catch (err) {
+            break;
+          }
+          conn.buffer = "";
+          dispatch(parsed);
+        } else {
+          // Bare JSON objects: take the shortest prefix that parses
+          const text = conn.buffer.trimStart();
+          let parsed = null;
+          let end = -1;
+          for (let i = text.indexOf("}"); i !== -1; i = text.indexOf("}", i + 1)) {
+            try {
+              parsed = JSON.parse(text.slice(0, i + 1));
+              end = i + 1;
+              break;
+            } catch (err) {}
+          }
+          if (end === -1) break;
+          conn.buffer = text.slice(end);
+          dispatch(parsed);
+        }
+      }
+    });
+    socket.on("error", (err) => log(`Socket error: ${err.message}`));
+    socket.on("close", () => {
+      sockets.delete(socket);
+      log("Client disconnected");
+    });
+  }
+
+  return {
+    scene,
+    commandLog,
+
+    /**
+     * Start listening
+     * @returns {Promise<{host: string, port: number}>}
+     */
+    start() {
+      return new Promise((resolve, reject) => {
+        server = net.createServer(handleConnection);
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          log(`Listening on ${host}:${address.port}`);
+          resolve({ host, port: address.port });
+        });
+      });
+    },
+
+    /**
+     * Close every client and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      for (const socket of sockets) socket.destroy();
+      sockets.clear();
+      return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    /**
+     * Add a scripted rule at runtime
+     * @param {Object} rule - See file header
+     */
+    addRule(rule) {
+      rules.push({ ...rule });
+    },
+
+    /**
+     * Restore the default scene and clear scripted rules and the command log
+     */
+    reset() {
+      scene.reset();
+      rules.length = 0;
+      commandLog.length = 0;
+      rodinJobs.clear();
+    },
+  };
+}
+
+// Run as a standalone server: `node scripts/mock-blender-server.js`
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const scriptPath = process.env.MOCK_BLENDER_SCRIPT;
+  const disabled = (process.env.MOCK_BLENDER_DISABLE || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+  const mock = createMockBlenderServer({
+    port: parseInt(process.env.MOCK_BLENDER_PORT || process.env.BLENDER_TCP_PORT || "9876", 10),
+    host: process.env.MOCK_BLENDER_HOST || "127.0.0.1",
+    latencyMs: parseInt(process.env.MOCK_BLENDER_LATENCY_MS || "0", 10),
+    blenderVersion: process.env.MOCK_BLENDER_VERSION || "4.5.0",
+    legacyAddon: process.env.MOCK_BLENDER_LEGACY === "1",
+    script: scriptPath ? JSON.parse(fs.readFileSync(scriptPath, "utf8")) : [],
+    integrations: {
+      polyhaven: !disabled.includes("polyhaven"),
+      hyper3d: !disabled.includes("hyper3d"),
+      sketchfab: !disabled.includes("sketchfab"),
+    },
+  });
+
+  mock.start().catch((err) => {
+    console.error("❌ Mock Blender server failed to start:", err.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
@@ -10,15 +10,92 @@ import jwt from "jsonwebtoken";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import Groq from "groq-sdk";
 
-import { pipeline } from "@xenova/transformers";
-import pgvector from "pgvector/pg";
 
-import { pool, initSchema, mapConversation, mapMessage } from "./db.js";
+import {
+  pool,
+  initSchema,
+  mapConversation,
+  mapMessage,
+  insertJob,
+  claimNextJob,
+  setJobRun,
+  heartbeatJob,
+  completeJob,
+  getJobForUser,
+  listJobsForUser,
+  cancelJob,
+  recoverInterruptedJobs,
+  insertGenerationRun,
+  getGenerationSummary,
+  getGenerationBreakdown,
+  getGenerationFailures,
+  assignUsageToMessage,
+  getConversationCosts,
+  insertAgentPlan,
+  getAgentPlanForUser,
+  approveAgentPlan,
+  rejectAgentPlan,
+  insertAgentRun,
+  getAgentRunForUser,
+  listAgentRunsForConversation,
+  finishAgentRun,
+  claimAgentRunForResume,
+  claimAgentRunForConfirmation,
+  heartbeatAgentRun,
+  recoverInterruptedAgentRuns,
+  getCodePolicies,
+  setUserCodePolicy,
+  setConversationCodePolicy,
+  setConversationBlenderVersion,
+  createTeam,
+  listTeamsForUser,
+  getTeamRole,
+  listTeamMembers,
+  upsertTeamMember,
+  removeTeamMember,
+  insertKnowledgeCollection,
+  listKnowledgeCollectionsForUser,
+  getKnowledgeCollectionForUser,
+  deleteKnowledgeCollection,
+  listKnowledgeDocuments,
+  deleteKnowledgeDocument,
+  listSandboxAuditEntries,
+  getSceneSnapshotForRun,
+  attachSceneSnapshotToMessage,
+  getSceneSnapshotBeforeMessage,
+  getBranchSceneSnapshot,
+  listSceneSnapshotsForConversation,
+} from "./db.js";
 import { createProgressTracker } from "./utils/progress.js";
+import { resolveCodePolicy, validateCodePolicy } from "./utils/code-policy.js";
+import { SANDBOX_POLICY } from "./utils/sandbox.js";
+import { buildMessageTree, pathToMessage, latestLeaf, resolveActiveLeaf, withBranchInfo, listBranches } from "./utils/message-tree.js";
+import { captureSceneState, diffSceneStates } from "./utils/scene-diff.js";
+import { parseSceneQuery, queryScene } from "./utils/scene-query.js";
+import { EMBEDDING_MODEL_NAME, getEmbedder, searchKnowledgeBase, listKnowledgeVersions } from "./utils/knowledge-search.js";
+import { normalizeBlenderVersion } from "./utils/blender-version.js";
+import { parseDocumentUploads, ingestDocuments, reindexCollection } from "./utils/knowledge-collections.js";
+import { takeSceneSnapshot, restoreSceneSnapshot, deleteConversationSnapshots, startSnapshotCleanup } from "./utils/scene-snapshots.js";
+import { createUsageTracker, runWithUsageTracker, getUsageRecordIds, recordLLMUsage, geminiUsage, groqUsage } from "./utils/llm-usage.js";
+import { addBudgetUsage } from "./utils/budget.js";
 import { getRandomGeminiKey } from "./utils/simple-api-keys.js";
-import { integrationModules, initBlenderConnection, sendCommand, isBlenderConnected } from './integrations/index.js';
-import { runLangGraphAgent } from "./langgraph-agent.js";
+import {
+  integrationModules,
+  initBlenderConnection,
+  sendCommand,
+  isBlenderConnected,
+  listBlenderInstances,
+  registerBlenderInstance,
+  attachBlenderInstance,
+  detachBlenderInstance,
+  getCurrentBlenderInstance,
+  resolveBlenderInstance,
+  runWithBlenderInstance,
+  getConnectedBlenderVersion,
+} from './integrations/index.js';
+import { runLangGraphAgent, validatePlan, getAgentRunState, getAgentRunHistory } from "./langgraph-agent.js";
 import { apiLimiter, authLimiter, generationLimiter } from "./middleware/security.js";
+import { checkRateLimit, consumeQuota, getQuotaStatus, setLimitHeaders, resolveGenerationBudget } from "./middleware/quota.js";
 import logger from "./utils/logger.js";
 import path from "node:path";
 import os from "node:os";
@@ -39,6 +116,11 @@ const PORT = process.env.PORT || 5000;
 const BLENDER_TCP_PORT = parseInt(process.env.BLENDER_TCP_PORT || "9876", 10);
 const BLENDER_TCP_HOST = process.env.BLENDER_TCP_HOST || "127.0.0.1";
 const JWT_SECRET = process.env.JWT_SECRET;
+// Comma-separated emails allowed to use /api/admin routes
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
 
 if (!JWT_SECRET) {
   logger.error("JWT_SECRET environment variable is required for authentication.");
@@ -61,28 +143,6 @@ const MODEL_CONFIGS = {
 };
 const PROMPT_ENHANCER_MODEL = "llama-3.1-8b-instant";
 
-// RAG / embeddings
-const EMBEDDING_MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
-const EXPECTED_EMBEDDING_DIM = 380; // Match the existing table dimension
-
-let embedderPromise = null;
-async function getEmbedder() {
-  if (embedderPromise === null) {
-    logger.info("Loading local embedding model", { model: EMBEDDING_MODEL_NAME });
-    embedderPromise = pipeline("feature-extraction", EMBEDDING_MODEL_NAME);
-  }
-  return embedderPromise;
-}
-
-async function embedQuery(text) {
-  const embedder = await getEmbedder();
-  const embedding = await embedder(text, { pooling: "mean", normalize: true });
-  // embedding.data may be a typed array; convert to plain numbers
-  const data = embedding.data;
-  const arr = Array.isArray(data) ? data : Array.from(data);
-  return arr;
-}
-
 async function tableExists(tableName) {
   try {
     const { rows } = await pool.query(
@@ -96,55 +156,9 @@ async function tableExists(tableName) {
   }
 }
 
-async function searchKnowledgeBase(queryText, limit = 5) {
-  logger.info(`[RAG] Searching knowledge base`, { query: queryText.slice(0, 100), limit });
-  try {
-    const queryEmbedding = await embedQuery(queryText);
-    const vectorString = pgvector.toSql(queryEmbedding);
-    
-    // Check if we have the new table available
-    const hasNewTable = await tableExists("blender_knowledge_new");
-    
-    // Try the new table first if it exists
-    if (hasNewTable) {
-      try {
-        const newTableQuery = `
-          SELECT content, 1 - (embedding <=> $1) AS similarity
-          FROM blender_knowledge_new
-          WHERE 1 - (embedding <=> $1) > 0.2
-          ORDER BY similarity DESC
-          LIMIT $2
-        `;
-        const { rows: newRows } = await pool.query(newTableQuery, [vectorString, limit]);
-        if (newRows && newRows.length > 0) {
-          logger.info(`[RAG] Found ${newRows.length} relevant documents in new table`);
-          return newRows.map((r) => r.content);
-        }
-      } catch (newTableError) {
-        logger.warn(`[RAG] Error searching new table: ${newTableError.message}`);
-      }
-    }
-    
-    // Fall back to original table
-    const query = `
-      SELECT content, 1 - (embedding <=> $1) AS similarity
-      FROM blender_knowledge
-      WHERE 1 - (embedding <=> $1) > 0.2
-      ORDER BY similarity DESC
-      LIMIT $2
-    `;
-    const { rows } = await pool.query(query, [vectorString, limit]);
-    logger.info(`[RAG] Found ${rows.length} relevant documents in original table`);
-    return rows.map((r) => r.content);
-  } catch (error) {
-    logger.error(`[RAG] Knowledge base search failed`, { error: error?.message || error });
-    return [];
-  }
-}
-
 // AGENT TOOL DEFINITIONS
 const AGENT_TOOLS = [
-  { name: "search_knowledge_base", description: "Searches the Blender 4.x API documentation for a specific query. Use this before execute_blender_code." },
+  { name: "search_knowledge_base", description: "Searches the Blender API documentation of the target Blender version for a specific query. Use this before execute_blender_code." },
   { name: "execute_blender_code", description: "Executes a block of Blender Python (`bpy`) code in the 3D scene. Use this ONLY after you have searched the knowledge base and are confident the code is correct." },
   { name: "get_scene_info", description: "Gets the current scene state." },
   { name: "asset_search_and_import", description: "Searches for and imports a 3D asset from an online library." },
@@ -214,6 +228,7 @@ async function callAgentLLM(systemPrompt, agentHistory, model = "gemini") {
         generationConfig: { responseMimeType: "application/json", temperature: 0.3 },
       });
       const result = await modelClient.generateContent({ contents: llmHistory });
+      recordLLMUsage({ provider: "google", model: MODEL_CONFIGS.gemini.name, operation: "agent", ...geminiUsage(result) });
       rawResponseText = await result.response.text();
       break;
     }
@@ -226,6 +241,7 @@ async function callAgentLLM(systemPrompt, agentHistory, model = "gemini") {
         response_format: { type: "json_object" },
         temperature: 0.3,
       });
+      recordLLMUsage({ provider: "groq", model: MODEL_CONFIGS.groq.name, operation: "agent", ...groqUsage(response) });
       rawResponseText = response.choices[0].message.content;
       break;
     }
@@ -264,8 +280,8 @@ function shouldUseIntegrationForPrompt(prompt, integrationStatus) {
 
 async function ensureRagForPrompt(prompt, maxDocs = 5) {
   try {
-    const docs = await searchKnowledgeBase(prompt, maxDocs);
-    return docs && docs.length ? docs : [];
+    const docs = await searchKnowledgeBase(prompt, { limit: maxDocs });
+    return docs.map((doc) => doc.content);
   } catch (err) {
     logger.warn("RAG search failed in ensureRagForPrompt", { error: err?.message || err });
     return [];
@@ -346,49 +362,127 @@ function cacheSet(key, value) {
   }
 }
 
-const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000);
-const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 30);
-const rateState = new Map();
-function checkRateLimit(userId) {
-  // placeholder: always ok
-  return { ok: true, retryAfterMs: 0 };
-}
-
-const analytics = { totalGenerations: 0, success: 0, errors: 0, totalAttempts: 0, totalDurationMs: 0 };
 
-const jobs = new Map();
-const jobQueue = [];
+// Jobs live in the generation_jobs table; this process runs one at a time.
+// Progress of the job currently running here, so status polls see live steps
+const runningJobProgress = new Map();
+// Abort controllers of the jobs running here, so a cancel stops the run
+const runningJobControllers = new Map();
 let jobRunning = false;
-function enqueueJob(job) {
-  jobs.set(job.id, job);
-  jobQueue.push(job.id);
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "5000", 10);
+// Running jobs and agent runs heartbeat under this process's id; one without a heartbeat
+// for JOB_STALE_AFTER_MS belongs to a dead process and is recovered
+const JOB_HEARTBEAT_INTERVAL_MS = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS || "10000", 10);
+const JOB_STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS || "60000", 10);
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+// Job and plan ids are UUIDs; anything else is a 404 without hitting Postgres
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function enqueueJob(userId, payload) {
+  const job = await insertJob({ userId, payload });
   process.nextTick(processJobQueue);
+  return job;
+}
+
+// A job's first attempt starts its generation. A recovered job continues the run it started
+// from its last checkpoint instead, so the prompt is not saved twice and Blender steps that
+// already changed the scene are not run again
+async function runJob(job, user, { progress, signal }) {
+  if (!job.runId) {
+    return runGenerationCore(job.payload, user, { progress, signal, onAgentRun: (run) => setJobRun(job.id, run.id) });
+  }
+  const run = await claimAgentRunForResume(user.id, job.runId, WORKER_ID);
+  if (run) {
+    progress.add("job_recovery", "Continuing the interrupted run from its last checkpoint", { runId: run.id });
+    return runGenerationCore(
+      { ...run.request, prompt: run.prompt, conversationId: run.conversationId },
+      user,
+      { progress, signal, continueRun: run }
+    );
+  }
+  // The run ended before the worker died; its reply is already in the conversation
+  const previous = await getAgentRunForUser(user.id, job.runId);
+  if (previous && ["completed", "paused"].includes(previous.status)) {
+    return { runId: previous.id, conversationId: previous.conversationId, runStatus: previous.status, progress: progress.steps };
+  }
+  throw new Error(`Interrupted run cannot be continued (${previous?.status || "not found"})`);
 }
+
 async function processJobQueue() {
   if (jobRunning) return;
-  const nextId = jobQueue.shift();
-  if (!nextId) return;
-  const job = jobs.get(nextId);
-  if (!job) return process.nextTick(processJobQueue);
   jobRunning = true;
-  job.status = "running";
-  job.updatedAt = Date.now();
-  try {
-    const user = { id: job.userId };
-    const res = await runGenerationCore(job.payload, user);
-    job.result = res;
-    job.status = "succeeded";
-    job.updatedAt = Date.now();
-  } catch (err) {
-    job.error = err?.message || String(err);
-    job.status = "failed";
-    job.updatedAt = Date.now();
+  let job = null;
+  try {
+    job = await claimNextJob(WORKER_ID);
+    if (!job) return;
+
+    const progress = createProgressTracker();
+    const controller = new AbortController();
+    runningJobProgress.set(job.id, progress.steps);
+    runningJobControllers.set(job.id, controller);
+    // The heartbeat also notices a cancel made through another process
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await heartbeatJob(job.id, WORKER_ID))) controller.abort(new Error("Job cancelled"));
+      } catch (err) {
+        logger.warn("Job heartbeat failed", { jobId: job.id, error: err?.message || err });
+      }
+    }, JOB_HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    logger.info("Job started", { jobId: job.id, userId: job.userId, attempt: job.attempts });
+    try {
+      // The full user (tier included), so the job gets the same budget ceiling as a direct generation
+      const userRow = await getUserById(job.userId);
+      if (!userRow) throw new Error("User not found");
+      const result = await runJob(job, toPublicUser(userRow), { progress, signal: controller.signal });
+      const updated = await completeJob(job.id, { status: "succeeded", result, progress: progress.steps, workerId: WORKER_ID });
+      if (!updated) logger.info("Job finished after being cancelled", { jobId: job.id });
+    } catch (err) {
+      const updated = await completeJob(job.id, { status: "failed", error: err?.message || String(err), progress: progress.steps, workerId: WORKER_ID });
+      if (!updated) logger.info("Job stopped after being cancelled", { jobId: job.id });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  } catch (err) {
+    logger.error("Job queue error", { jobId: job?.id, error: err?.message || err });
   } finally {
+    if (job) {
+      runningJobProgress.delete(job.id);
+      runningJobControllers.delete(job.id);
+    }
     jobRunning = false;
-    process.nextTick(processJobQueue);
+    if (job) process.nextTick(processJobQueue);
+  }
+}
+
+// Requeue (or fail) jobs whose worker stopped heartbeating, e.g. a crashed process
+async function recoverStaleJobs() {
+  try {
+    const { requeued, failed } = await recoverInterruptedJobs({ staleAfterMs: JOB_STALE_AFTER_MS });
+    if (requeued || failed) logger.info("Recovered interrupted jobs", { requeued, failed });
+  } catch (err) {
+    logger.error("Job recovery failed", { error: err?.message || err });
+  }
+}
+
+// Mark agent runs of a dead process as interrupted, so they can be resumed
+async function recoverStaleAgentRuns() {
+  try {
+    const count = await recoverInterruptedAgentRuns({ staleAfterMs: JOB_STALE_AFTER_MS });
+    if (count) logger.info("Marked interrupted agent runs as resumable", { count });
+  } catch (err) {
+    logger.error("Agent run recovery failed", { error: err?.message || err });
   }
 }
 
+async function startJobWorker() {
+  await recoverStaleAgentRuns();
+  await recoverStaleJobs();
+  processJobQueue();
+  // Pick up jobs queued while this process was busy, by another process, or left by a dead worker
+  setInterval(() => recoverStaleAgentRuns().then(recoverStaleJobs).then(processJobQueue), JOB_POLL_INTERVAL_MS).unref();
+}
+
 // Polling for Hyper3D - now uses the integration module
 async function pollHyper3DJob(subscriptionKey, progress) {
   // Use the integration module's polling function
@@ -478,52 +572,6 @@ async function executeBlenderCode(code) {
   return sendCommandToBlender("execute_code", { code });
 }
 
-// sanitize blender code helper
-function sanitizeBlenderCode(code) {
-  if (typeof code !== "string") return "";
-  code = code.replace(/^\s*python\s*\n/i, "");
-  code = code.replace(/```(?:python|py)?\n?|```/gi, "");
-  code = code.replace(/,\s*use_undo\s*=\s*(True|False)/gi, "");
-  code = code.replace(/\buse_undo\s*=\s*(True|False)\s*,?\s*/gi, "");
-  code = code.replace(/,\s*use_global\s*=\s*(True|False)/gi, "");
-  code = code.replace(/\buse_global\s*=\s*(True|False)\s*,?\s*/gi, "");
-  code = code.replace(/,\s*constraint_axis\s*=\s*\[[^\]]+\]/gi, "");
-  code = code.replace(/\bconstraint_axis\s*=\s*\[[^\]]+\]\s*,?\s*/gi, "");
-  code = code.replace(/,\s*,/g, ",");
-  code = code.replace(/bpy\.ops\.wm\.obj_delete_all\s*\(\)/gi, `if bpy.data.objects:\n    bpy.ops.object.select_all(action='SELECT')\n    bpy.ops.object.delete()`);
-  code = code.replace(/^\s*bpy\.ops\.preferences\.addon_enable\([^)]*\)\s*$/gmi, "");
-  code = code.replace(/bpy\.ops\.mesh\.loopcut_and_slide\s*\(([^)]*)\)/gi, (m, inner) => {
-    const numMatch = inner.match(/number_cuts"?\s*:?\s*(\d+)/i);
-    const cuts = numMatch ? numMatch[1] : "1";
-    return `bpy.ops.mesh.loopcut(number_cuts=${cuts})`;
-  });
-  if (/\bbmesh\b/.test(code) && !/mode_set\s*\(\s*mode\s*=\s*['"]EDIT['"]\s*\)/.test(code)) {
-    code = "if bpy.context.object and bpy.context.object.mode != 'EDIT':\n    bpy.ops.object.mode_set(mode='EDIT')\n" + code;
-  }
-  if (!/\bimport\s+bpy\b/.test(code)) {
-    code = "import bpy\n" + code;
-  }
-  code = code.replace(/\r/g, "");
-  return code;
-}
-
-function preflightValidateCode(code) {
-  const issues = [];
-  if (!/\bimport\s+bpy\b/.test(code)) issues.push("Missing 'import bpy' at top of file");
-  if (/bpy\.ops\.preferences\.addon_enable\(/.test(code)) issues.push("Avoid enabling addons at runtime; remove bpy.ops.preferences.addon_enable(..)");
-  if (/bpy\.ops\.wm\.obj_delete_all\(\)/.test(code)) issues.push("Operator bpy.ops.wm.obj_delete_all() does not exist; use select_all + object.delete()");
-  if (/\buse_undo\s*=/.test(code)) issues.push("Deprecated flag use_undo detected; remove it for Blender 4.5");
-  if (/\buse_global\s*=/.test(code)) issues.push("Deprecated flag use_global detected; remove it for Blender 4.5");
-  if (/constraint_axis\s*=\s*\[/.test(code)) issues.push("Deprecated constraint_axis detected; remove it for Blender 4.5");
-  const pairs = [["\\(", "\\)"], ["\\[", "\\]"], ["\\{", "\\}"]];
-  for (const [o, c] of pairs) {
-    const open = (code.match(new RegExp(o, "g")) || []).length;
-    const close = (code.match(new RegExp(c, "g")) || []).length;
-    if (open !== close) issues.push(`Unbalanced ${o} ${c}`);
-  }
-  return issues;
-}
-
 function extractCodeFromText(text) {
   if (!text) return "";
   const match = text.match(/```(?:python|py)?\n([\s\S]*?)```/);
@@ -531,18 +579,23 @@ function extractCodeFromText(text) {
 }
 
 // ---- Integration availability cache + checker ----
-let integrationStatusCache = { value: { hyper3d: false, polyhaven: false, sketchfab: false }, at: 0 };
+// One entry per Blender instance: each addon has its own integrations enabled
+const integrationStatusCache = new Map();
 const INTEGRATION_TTL_MS = 30_000; // refresh every 30s
 
+// Status of the Blender instance of the current context (runWithBlenderInstance)
 async function fetchIntegrationStatusFromBlender(force = false) {
   const now = Date.now();
-  if (!force && integrationStatusCache.at && (now - integrationStatusCache.at) < INTEGRATION_TTL_MS) {
-    return integrationStatusCache.value;
+  const instanceId = getCurrentBlenderInstance();
+  const cached = integrationStatusCache.get(instanceId);
+  if (!force && cached && (now - cached.at) < INTEGRATION_TTL_MS) {
+    return cached.value;
   }
   
   if (!isBlenderConnected()) {
-    integrationStatusCache = { value: { hyper3d: false, polyhaven: false, sketchfab: false }, at: now };
-    return integrationStatusCache.value;
+    const value = { hyper3d: false, polyhaven: false, sketchfab: false };
+    integrationStatusCache.set(instanceId, { value, at: now });
+    return value;
   }
   
   try {
@@ -550,14 +603,14 @@ async function fetchIntegrationStatusFromBlender(force = false) {
     const status = await integrationModules.checkIntegrationStatus();
     
     // Update cache
-    integrationStatusCache = { value: status, at: now };
+    integrationStatusCache.set(instanceId, { value: status, at: now });
     return status;
   } catch (err) {
     // if Blender call fails, mark integrations as false but keep prior cache briefly
-    logger.warn("Integration status check failed", { error: err?.message || err });
-    integrationStatusCache.at = now; // avoid hammering
-    integrationStatusCache.value = integrationStatusCache.value || { hyper3d: false, polyhaven: false, sketchfab: false };
-    return integrationStatusCache.value;
+    logger.warn("Integration status check failed", { error: err?.message || err, instance: instanceId });
+    const value = cached?.value || { hyper3d: false, polyhaven: false, sketchfab: false };
+    integrationStatusCache.set(instanceId, { value, at: now }); // avoid hammering
+    return value;
   }
 }
 
@@ -573,6 +626,7 @@ function toPublicUser(row) {
     id: row.id,
     email: row.email,
     displayName: row.display_name || row.displayName || null,
+    tier: row.tier || "free",
     createdAt: row.created_at || row.createdAt,
   };
 }
@@ -582,16 +636,16 @@ function signToken(user) {
 }
 
 async function findUserByEmail(email) {
-  const { rows } = await pool.query("SELECT id, email, password_hash, display_name, created_at FROM users WHERE email = $1", [email]);
+  const { rows } = await pool.query("SELECT id, email, password_hash, display_name, tier, created_at FROM users WHERE email = $1", [email]);
   return rows[0] || null;
 }
 async function getUserById(id) {
-  const { rows } = await pool.query("SELECT id, email, display_name, created_at FROM users WHERE id = $1", [id]);
+  const { rows } = await pool.query("SELECT id, email, display_name, tier, created_at FROM users WHERE id = $1", [id]);
   return rows[0] || null;
 }
 async function createUser({ email, password, displayName }) {
   const passwordHash = await bcrypt.hash(password, 12);
-  const { rows } = await pool.query("INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email, display_name, created_at", [email, passwordHash, displayName || null]);
+  const { rows } = await pool.query("INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email, display_name, tier, created_at", [email, passwordHash, displayName || null]);
   return rows[0];
 }
 
@@ -612,9 +666,21 @@ async function authenticate(req, res, next) {
   }
 }
 
+function isAdminUser(user) {
+  const email = (user?.email || "").toLowerCase();
+  return !!email && ADMIN_EMAILS.includes(email);
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminUser(req.user)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+}
+
 async function listUserConversations(userId) {
   const { rows } = await pool.query(
-    `SELECT id, user_id, title, created_at, updated_at, last_scene_context
+    `SELECT id, user_id, title, created_at, updated_at, last_scene_context, blender_version
      FROM conversations
      WHERE user_id = $1
      ORDER BY updated_at DESC`,
@@ -625,7 +691,7 @@ async function listUserConversations(userId) {
 
 async function getConversationForUser(userId, conversationId) {
   const { rows } = await pool.query(
-    `SELECT id, user_id, title, created_at, updated_at, last_scene_context
+    `SELECT id, user_id, title, created_at, updated_at, last_scene_context, blender_version
      FROM conversations
      WHERE id = $1 AND user_id = $2`,
     [conversationId, userId]
@@ -637,7 +703,7 @@ async function createConversation(userId, title) {
   const trimmedTitle = (title || "").trim();
   const safeTitle = trimmedTitle.length > 0 ? trimmedTitle : "New Scene";
   const { rows } = await pool.query(
-    `INSERT INTO conversations (user_id, title) VALUES ($1, $2) RETURNING id, user_id, title, created_at, updated_at, last_scene_context`,
+    `INSERT INTO conversations (user_id, title) VALUES ($1, $2) RETURNING id, user_id, title, created_at, updated_at, last_scene_context, blender_version`,
     [userId, safeTitle]
   );
   return mapConversation(rows[0]);
@@ -654,7 +720,7 @@ async function touchConversation(conversationId, { sceneContext, title } = {}) {
     params.push(title);
     setters.push(`title = $${params.length}`);
   }
-  const { rows } = await pool.query(`UPDATE conversations SET ${setters.join(", ")} WHERE id = $1 RETURNING id, user_id, title, created_at, updated_at, last_scene_context`, params);
+  const { rows } = await pool.query(`UPDATE conversations SET ${setters.join(", ")} WHERE id = $1 RETURNING id, user_id, title, created_at, updated_at, last_scene_context, blender_version`, params);
   return rows[0] ? mapConversation(rows[0]) : null;
 }
 
@@ -663,33 +729,60 @@ async function deleteConversation(userId, conversationId) {
   return rowCount > 0;
 }
 
-async function saveMessage(conversationId, { role, content, provider, blenderResult, sceneContext, metadata }) {
+// Leaf of the branch the conversation shows (see utils/message-tree.js)
+async function getActiveLeafId(conversationId) {
   const { rows } = await pool.query(
-    `INSERT INTO messages (conversation_id, role, content, provider, blender_result, scene_context, metadata)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
-     RETURNING id, conversation_id, role, content, provider, blender_result, scene_context, metadata, created_at`,
-    [conversationId, role, content ?? null, provider || null, blenderResult || null, sceneContext || null, metadata || {}]
+    `SELECT COALESCE(c.active_leaf_id, (
+       SELECT m.id FROM messages m WHERE m.conversation_id = c.id ORDER BY m.created_at DESC LIMIT 1
+     )) AS leaf_id
+     FROM conversations c WHERE c.id = $1`,
+    [conversationId]
+  );
+  return rows[0]?.leaf_id || null;
+}
+
+async function setActiveLeaf(conversationId, leafId) {
+  await pool.query("UPDATE conversations SET active_leaf_id = $2 WHERE id = $1", [conversationId, leafId]);
+}
+
+// parentId defaults to the active leaf; the new message becomes the active leaf
+async function saveMessage(conversationId, { parentId, role, content, provider, blenderResult, sceneContext, metadata }) {
+  const parent = parentId === undefined ? await getActiveLeafId(conversationId) : parentId;
+  const { rows } = await pool.query(
+    `WITH inserted AS (
+       INSERT INTO messages (conversation_id, parent_id, role, content, provider, blender_result, scene_context, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, conversation_id, parent_id, role, content, provider, blender_result, scene_context, metadata, created_at
+     ), activated AS (
+       UPDATE conversations SET active_leaf_id = (SELECT id FROM inserted) WHERE id = $1
+     )
+     SELECT * FROM inserted`,
+    [conversationId, parent, role, content ?? null, provider || null, blenderResult || null, sceneContext || null, metadata || {}]
   );
   return mapMessage(rows[0]);
 }
 
-async function getConversationMessages(conversationId) {
+async function getMessageTree(conversationId) {
   const { rows } = await pool.query(
-    `SELECT id, conversation_id, role, content, provider, blender_result, scene_context, metadata, created_at
+    `SELECT id, conversation_id, parent_id, role, content, provider, blender_result, scene_context, metadata, created_at
      FROM messages
      WHERE conversation_id = $1
      ORDER BY created_at ASC`,
     [conversationId]
   );
-  return rows.map(mapMessage);
+  const tree = buildMessageTree(rows.map(mapMessage));
+  return { tree, activeLeafId: resolveActiveLeaf(tree, await getActiveLeafId(conversationId)) };
+}
+
+// Messages of the active branch, with the alternatives of each forked message
+async function getConversationMessages(conversationId) {
+  const { tree, activeLeafId } = await getMessageTree(conversationId);
+  return withBranchInfo(tree, pathToMessage(tree, activeLeafId));
 }
 
 async function getMessagesForHistory(conversationId, limit = 10) {
-  const { rows } = await pool.query(
-    `SELECT role, content FROM messages WHERE conversation_id = $1 ORDER BY created_at ASC`,
-    [conversationId]
-  );
-  return rows.map(msg => ({ role: msg.role, parts: [{ text: msg.content || "" }] })).slice(-limit);
+  const messages = await getConversationMessages(conversationId);
+  return messages.map(msg => ({ role: msg.role, parts: [{ text: msg.content || "" }] })).slice(-limit);
 }
 
 function deriveTitleFromPrompt(prompt) {
@@ -724,6 +817,7 @@ Enhanced prompt:
     const response = await model.generateContent({
       contents: [{ role: "user", parts: [{ text: enhancementPrompt }] }]
     });
+    recordLLMUsage({ provider: "google", model: "gemini-2.5-flash-lite", operation: "enhance_prompt", ...geminiUsage(response) });
 
     const enhanced = (await response.response.text()).trim();
     return enhanced || userPrompt;
@@ -737,12 +831,55 @@ Enhanced prompt:
 /* =========================
    LangGraph AGENT core - runGenerationCore
    ========================= */
-async function runGenerationCore(body, user) {
-  const { prompt, conversationId, attachments = [], captureScreenshot = false, debug = false, model = "gemini" } = body || {};
+// resume: { planId, plan, state } of an approved plan (see POST /api/plans/:planId/approve)
+// continueRun: agent_runs record to continue from its last checkpoint (see POST /api/runs/:runId/resume)
+// codeDecision: { approved } for the code a continued run was waiting on (see POST /api/runs/:runId/confirm)
+// body.editMessageId: user message the prompt replaces; the run forks a new branch from its parent
+async function runGenerationCore(body, user, { progress = createProgressTracker(), resume = null, continueRun = null, codeDecision = null, signal = null, onAgentRun = null } = {}) {
+  const {
+    prompt,
+    conversationId,
+    attachments = [],
+    captureScreenshot = false,
+    debug = false,
+    model = "gemini",
+    budget: requestedBudget,
+    approvePlan = false,
+    editMessageId = null,
+  } = body || {};
   logger.info(`[LangGraph Agent] Starting new generation task`, { model, userId: user.id, conversationId });
   const startedAt = Date.now();
-  const progress = createProgressTracker();
-  let analyticsRecorded = false;
+  let runConversationId = conversationId || null;
+  let agentResult = null;
+  let agentRun = continueRun;
+  let sceneSnapshot = null;
+  let sceneDiff = null;
+  let usageTracker = null;
+  let runHeartbeat = null;
+  // A resumed run or approved plan keeps counting against the budget from where it paused or stopped
+  const previousBudgetUsed = continueRun?.budgetUsed || resume?.budgetUsed || null;
+
+  // Tools and asset integrations used during this run, for generation_runs
+  const toolsUsed = [];
+  const integrationsUsed = new Set();
+  const stopToolTracking = progress.on("tool_result", ({ tool, success, integration }) => {
+    toolsUsed.push({ tool, success });
+    if (integration) integrationsUsed.add(integration);
+  });
+  const recordRun = (success, error = null) =>
+    insertGenerationRun({
+      userId: user.id,
+      conversationId: runConversationId,
+      model,
+      prompt,
+      success,
+      error,
+      durationMs: Date.now() - startedAt,
+      loopCount: agentResult?.loopCount ?? null,
+      toolsUsed,
+      integrationsUsed: Array.from(integrationsUsed),
+      usage: agentResult?.usage,
+    });
 
   const attachProgress = (error) => {
     if (error && typeof error === 'object' && !error.progress) error.progress = progress.steps;
@@ -766,66 +903,194 @@ async function runGenerationCore(body, user) {
       conversation = await createConversation(user.id, deriveTitleFromPrompt(rawPrompt));
       progress.merge("conversation_create", { message: "Conversation created", data: { conversationId: conversation.id } });
     }
+    runConversationId = conversation.id;
+
+    // Editing an earlier prompt forks the conversation: the new prompt becomes a sibling of it
+    let editedMessage = null;
+    let previousLeafId = null;
+    if (editMessageId && !resume && !continueRun) {
+      const { tree, activeLeafId } = await getMessageTree(conversation.id);
+      editedMessage = UUID_PATTERN.test(editMessageId) ? tree.byId.get(editMessageId) : null;
+      if (!editedMessage || editedMessage.role !== "user") throw attachProgress(new Error("Message not found"));
+      previousLeafId = activeLeafId;
+      progress.add("branch_fork", "Forking the conversation from the edited prompt", { editMessageId });
+    }
 
-    // Save user message
-    await saveMessage(conversation.id, { role: "user", content: rawPrompt });
+    // Save user message (a resumed plan or run already saved it)
+    let userMessage = null;
+    if (!resume && !continueRun) {
+      userMessage = await saveMessage(conversation.id, {
+        ...(editedMessage ? { parentId: editedMessage.parentId } : {}),
+        role: "user",
+        content: rawPrompt,
+      });
+    }
 
-    // Get initial scene context if Blender is connected
-    let sceneContext = conversation.lastSceneContext || null;
-    const blenderAvailable = isBlenderConnected();
+    // The agent checkpoints its state under this run, so it can be inspected and resumed if it fails
+    if (!agentRun) {
+      agentRun = await insertAgentRun({
+        userId: user.id,
+        conversationId: conversation.id,
+        prompt: rawPrompt,
+        request: { model, captureScreenshot, debug, budget: requestedBudget || null },
+        workerId: WORKER_ID,
+      });
+      if (onAgentRun) await onAgentRun(agentRun);
+    }
+    // Keeps other processes from marking the run interrupted while it executes here
+    runHeartbeat = setInterval(() => {
+      heartbeatAgentRun(agentRun.id, WORKER_ID).catch((err) => {
+        logger.warn("Agent run heartbeat failed", { error: err?.message || err, runId: agentRun.id });
+      });
+    }, JOB_HEARTBEAT_INTERVAL_MS);
+    runHeartbeat.unref();
+
+    // Destructive Blender code is confirmed or blocked per the user's and the conversation's policy
+    const storedPolicies = await getCodePolicies(user.id, conversation.id);
+    const codePolicy = resolveCodePolicy(storedPolicies.user, storedPolicies.conversation);
+
+    // LLM calls of this run are billed to the user and conversation, then to the assistant message
+    usageTracker = createUsageTracker({ userId: user.id, conversationId: conversation.id });
+
+    // Every Blender call below (including the agent tools) goes to the
+    // instance that owns this conversation
+    const blenderInstance = resolveBlenderInstance({ conversationId: conversation.id, userId: user.id });
+    const { screenshot } = await runWithUsageTracker(usageTracker, () => runWithBlenderInstance(blenderInstance, async () => {
+      // Get initial scene context if Blender is connected
+      let sceneContext = conversation.lastSceneContext || null;
+      const blenderAvailable = isBlenderConnected();
+
+      // Keep the scene of the branch being left, then go back to the scene the edited prompt started from
+      if (editedMessage && blenderAvailable) {
+        progress.add("branch_scene", "Restoring the scene before the edited prompt");
+        if (previousLeafId) {
+          await takeSceneSnapshot({ userId: user.id, conversationId: conversation.id, messageId: previousLeafId, kind: "branch", blenderInstance });
+        }
+        const forkSnapshot = await getSceneSnapshotBeforeMessage(user.id, editedMessage.id);
+        try {
+          if (!forkSnapshot) throw new Error("No snapshot of the scene before the edited prompt");
+          await restoreSceneSnapshot(forkSnapshot);
+          progress.merge("branch_scene", { message: "Scene restored" });
+        } catch (err) {
+          progress.addError("branch_scene", "Continuing from the current scene", err?.message || String(err));
+        }
+      }
 
-    if (blenderAvailable) {
-      progress.add("context_fetch", "Fetching context from Blender...");
-      try {
-        sceneContext = await sendCommandToBlender("get_scene_info", {}).catch(err => {
-          progress.addError("scene_context", "Failed to fetch scene context", err?.message || String(err));
-          return sceneContext;
-        });
-        progress.merge("context_fetch", { message: "Blender context updated" });
-      } catch (err) {
-        progress.addError("context_fetch", "Failed to fetch Blender context", err?.message || String(err));
+      if (blenderAvailable) {
+        progress.add("context_fetch", "Fetching context from Blender...");
+        try {
+          sceneContext = await sendCommandToBlender("get_scene_info", {}).catch(err => {
+            progress.addError("scene_context", "Failed to fetch scene context", err?.message || String(err));
+            return sceneContext;
+          });
+          progress.merge("context_fetch", { message: "Blender context updated" });
+        } catch (err) {
+          progress.addError("context_fetch", "Failed to fetch Blender context", err?.message || String(err));
+        }
+      } else {
+        progress.add("context_skipped", "Blender not connected, using cached context");
       }
-    } else {
-      progress.add("context_skipped", "Blender not connected, using cached context");
-    }
 
-    progress.add("agent_execution", "Running LangGraph agent workflow");
+      // Scene as it was before this run, for "undo this step" (a resumed run keeps its first snapshot)
+      if (continueRun) {
+        sceneSnapshot = await getSceneSnapshotForRun(agentRun.id);
+      } else if (blenderAvailable) {
+        progress.add("scene_snapshot", "Saving scene snapshot");
+        sceneSnapshot = await takeSceneSnapshot({ userId: user.id, conversationId: conversation.id, runId: agentRun.id, blenderInstance });
+        progress.merge("scene_snapshot", { message: sceneSnapshot ? "Scene snapshot saved" : "Scene snapshot unavailable" });
+      }
 
-    // Run the LangGraph agent
-    const agentResult = await runLangGraphAgent(rawPrompt, {
-      conversationId: conversation.id,
-      sceneContext,
-      model,
-      maxLoops: 10,
-      attachments,
-    });
+      // Full scene state before the run, compared with the state after it for metadata.sceneDiff
+      const sceneBefore = blenderAvailable ? await captureSceneState() : null;
 
-    progress.merge("agent_execution", { 
-      message: "LangGraph agent completed", 
-      data: { loopCount: agentResult.loopCount, finished: agentResult.finished }
-    });
+      progress.add("agent_execution", resume
+        ? "Resuming LangGraph agent with the approved plan"
+        : continueRun ? "Resuming LangGraph agent from its last checkpoint" : "Running LangGraph agent workflow");
 
-    // Update analytics
-    analytics.totalGenerations += 1;
-    analytics.totalDurationMs += Date.now() - startedAt;
-    analytics.success += agentResult.finished ? 1 : 0;
-    analytics.errors += agentResult.finished ? 0 : 1;
-    analyticsRecorded = true;
-
-    // Handle screenshot if requested
-    let screenshot = null;
-    if (captureScreenshot && blenderAvailable) {
-      progress.add("screenshot", "Capturing viewport screenshot");
-      try {
-        screenshot = await sendCommandToBlender("capture_viewport", {});
-        progress.merge("screenshot", { message: "Screenshot captured" });
-      } catch (err) {
-        progress.addError("screenshot", "Failed to capture screenshot", err?.message || String(err));
+      // Docs and API checks follow the conversation's Blender version, else the connected Blender's
+      const blenderVersion = conversation.blenderVersion || await getConnectedBlenderVersion();
+      if (blenderVersion) {
+        progress.add("blender_version", `Targeting Blender ${blenderVersion}${conversation.blenderVersion ? " (set for this conversation)" : ""}`);
+      }
+
+      // Run the LangGraph agent
+      agentResult = await runLangGraphAgent(rawPrompt, {
+        conversationId: conversation.id,
+        sceneContext,
+        model,
+        maxLoops: 10,
+        attachments,
+        progress,
+        userId: user.id,
+        budget: resolveGenerationBudget(user, requestedBudget),
+        budgetUsed: previousBudgetUsed,
+        signal,
+        approvePlan: !!approvePlan && !resume,
+        resume: resume ? { snapshot: resume.state, plan: resume.plan } : null,
+        runId: agentRun.id,
+        continueRun: !!continueRun,
+        codePolicy,
+        codeDecision,
+        blenderVersion,
+      });
+
+      progress.merge("agent_execution", { 
+        message: "LangGraph agent completed", 
+        data: { loopCount: agentResult.loopCount, finished: agentResult.finished, stoppedBy: agentResult.stoppedBy }
+      });
+
+      if (sceneBefore) {
+        sceneDiff = diffSceneStates(sceneBefore, await captureSceneState());
+        if (sceneDiff) progress.add("scene_diff", `${sceneDiff.changeCount} scene change${sceneDiff.changeCount === 1 ? "" : "s"}`, { changeCount: sceneDiff.changeCount });
       }
+
+      // Handle screenshot if requested
+      let screenshot = null;
+      if (captureScreenshot && blenderAvailable && !agentResult.awaitingApproval && !agentResult.awaitingConfirmation) {
+        progress.add("screenshot", "Capturing viewport screenshot");
+        try {
+          screenshot = await sendCommandToBlender("capture_viewport", {});
+          progress.merge("screenshot", { message: "Screenshot captured" });
+        } catch (err) {
+          progress.addError("screenshot", "Failed to capture screenshot", err?.message || String(err));
+        }
+      }
+
+      return { screenshot };
+    }));
+
+    // Paused for plan approval: keep the graph state until the user approves or rejects the plan
+    let pendingPlan = null;
+    if (agentResult.awaitingApproval) {
+      pendingPlan = await insertAgentPlan({
+        userId: user.id,
+        conversationId: conversation.id,
+        prompt: rawPrompt,
+        request: { model, captureScreenshot, debug, budget: requestedBudget || null },
+        plan: agentResult.plan,
+        state: agentResult.snapshot,
+        budgetUsed: agentResult.budget?.usage || null,
+      });
+      progress.add("plan_ready", "Plan ready for approval", { planId: pendingPlan.id, subtasks: agentResult.plan.subtasks.length });
+    }
+
+    // Paused for code confirmation: the run resumes from its checkpoint once the user decides
+    const pendingConfirmation = agentResult.awaitingConfirmation;
+    if (pendingConfirmation) {
+      progress.add("confirmation_pending", "Destructive code waiting for confirmation", { runId: agentRun.id, category: pendingConfirmation.category });
     }
 
+    const completed = agentResult.finished && !agentResult.stoppedBy;
+    await finishAgentRun(agentRun.id, {
+      status: pendingPlan || pendingConfirmation ? "paused" : completed ? "completed" : "stopped",
+      stoppedBy: agentResult.stoppedBy || null,
+      pendingConfirmation,
+      budgetUsed: agentResult.budget?.usage || null,
+    });
+
     // Save assistant message
-    await saveMessage(conversation.id, {
+    const assistantMessage = await saveMessage(conversation.id, {
+      ...(userMessage ? { parentId: userMessage.id } : {}),
       role: "assistant",
       content: agentResult.response,
       provider: model,
@@ -835,9 +1100,24 @@ async function runGenerationCore(body, user) {
         agentHistory: agentResult.messages, 
         loopCount: agentResult.loopCount, 
         progress: progress.steps,
+        cost: { ...usageTracker.totals },
+        stoppedBy: agentResult.stoppedBy,
+        ...(pendingPlan ? { planId: pendingPlan.id, plan: pendingPlan.plan, awaitingApproval: true } : {}),
+        ...(resume ? { resumedPlanId: resume.planId } : {}),
+        runId: agentRun.id,
+        ...(pendingConfirmation ? { awaitingConfirmation: true, confirmation: pendingConfirmation } : {}),
+        ...(continueRun ? { resumedRun: true } : {}),
+        ...(sceneSnapshot ? { snapshotId: sceneSnapshot.id } : {}),
+        ...(sceneDiff ? { sceneDiff } : {}),
         langGraph: true 
       },
     });
+    if (sceneSnapshot && !sceneSnapshot.messageId) {
+      await attachSceneSnapshotToMessage(sceneSnapshot.id, assistantMessage.id);
+    }
+    await assignUsageToMessage(assistantMessage.id, await getUsageRecordIds(usageTracker)).catch((err) => {
+      logger.warn("Failed to attribute LLM usage to message", { error: err?.message || err, messageId: assistantMessage.id });
+    });
 
     // Update conversation with scene context
     const updatedConversation = await touchConversation(conversation.id, {
@@ -848,6 +1128,11 @@ async function runGenerationCore(body, user) {
     // Get all messages for response
     const messages = await getConversationMessages(conversation.id);
 
+    // A run paused for approval or confirmation is recorded once it is resumed
+    if (!pendingPlan && !pendingConfirmation) {
+      await recordRun(completed, completed ? null : `Agent stopped before finishing the task${agentResult.stoppedBy ? ` (${agentResult.stoppedBy})` : ""}`);
+    }
+
     return {
       response: agentResult.response,
       blenderResult: null, // Handled internally by LangGraph
@@ -859,18 +1144,41 @@ async function runGenerationCore(body, user) {
       screenshot,
       agentHistory: agentResult.messages,
       loopCount: agentResult.loopCount,
+      stoppedBy: agentResult.stoppedBy,
+      budget: agentResult.budget,
+      awaitingApproval: !!pendingPlan,
+      planId: pendingPlan?.id,
+      plan: pendingPlan?.plan,
+      runId: agentRun.id,
+      awaitingConfirmation: !!pendingConfirmation,
+      confirmation: pendingConfirmation || undefined,
+      snapshotId: sceneSnapshot?.id,
+      sceneDiff,
       progress: progress.steps,
       debugArtifacts: debug ? { agentHistory: agentResult.messages, sceneContext: agentResult.sceneContext } : undefined,
       langGraph: true, // Flag to indicate LangGraph was used
     };
   } catch (err) {
-    logger.error("[LangGraph Agent] FATAL ERROR in runGenerationCore", { error: err?.message || err, stack: err?.stack });
-    if (!analyticsRecorded) {
-      analytics.totalGenerations += 1;
-      analytics.errors += 1;
-      analytics.totalDurationMs += Date.now() - startedAt;
+    if (signal?.aborted) {
+      logger.info("[LangGraph Agent] Run aborted", { error: err?.message || err, runId: agentRun?.id });
+    } else {
+      logger.error("[LangGraph Agent] FATAL ERROR in runGenerationCore", { error: err?.message || err, stack: err?.stack });
+    }
+    await recordRun(false, err?.message || String(err));
+    if (agentRun) {
+      // The last checkpoint stays behind, so the run can be resumed from there
+      // Usage up to the failure still counts when the run is resumed
+      const budgetUsed = usageTracker
+        ? addBudgetUsage(previousBudgetUsed, { tokens: usageTracker.totals.totalTokens, costUsd: usageTracker.totals.costUsd, elapsedMs: Date.now() - startedAt })
+        : null;
+      await finishAgentRun(agentRun.id, { status: "failed", error: err?.message || String(err), budgetUsed }).catch((finishErr) => {
+        logger.warn("Failed to mark agent run as failed", { error: finishErr?.message || finishErr, runId: agentRun.id });
+      });
     }
     throw attachProgress(err instanceof Error ? err : new Error(String(err)));
+  } finally {
+    stopToolTracking();
+    clearInterval(runHeartbeat);
   }
 }
 
@@ -910,12 +1218,20 @@ app.post("/api/auth/login", authLimiter, async (req, res) => {
 });
 
 app.get("/api/auth/me", authenticate, async (req, res) => {
-  res.json({ user: req.user });
+  try {
+    const quota = await getQuotaStatus(req.user);
+    setLimitHeaders(res, null, quota);
+    res.json({ user: req.user, quota: { tier: quota.tier, daily: quota.daily, monthly: quota.monthly } });
+  } catch (err) {
+    logger.warn("Quota lookup failed", { error: err?.message || err, userId: req.user.id });
+    res.json({ user: req.user });
+  }
 });
 
 // Conversations endpoints
 app.get("/api/conversations", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -930,7 +1246,8 @@ app.get("/api/conversations", authenticate, async (req, res) => {
 });
 
 app.post("/api/conversation/new", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -946,7 +1263,8 @@ app.post("/api/conversation/new", authenticate, async (req, res) => {
 });
 
 app.get("/api/conversation/:conversationId", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -955,8 +1273,16 @@ app.get("/api/conversation/:conversationId", authenticate, async (req, res) => {
     const { conversationId } = req.params;
     const conversation = await getConversationForUser(req.user.id, conversationId);
     if (!conversation) return res.status(404).json({ error: "Conversation not found" });
-    const messages = await getConversationMessages(conversationId);
-    res.json({ conversation, messages });
+    const [rawMessages, costs] = await Promise.all([
+      getConversationMessages(conversationId),
+      getConversationCosts(conversationId),
+    ]);
+    // api_usage is the source of truth for cost; metadata.cost is the snapshot taken at save time
+    const messages = rawMessages.map((message) => {
+      const cost = costs.byMessage.get(message.id) || message.metadata.cost;
+      return cost ? { ...message, metadata: { ...message.metadata, cost } } : message;
+    });
+    res.json({ conversation: { ...conversation, cost: costs.total }, messages });
   } catch (err) {
     logger.error("Get conversation error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
     res.status(500).json({ error: "Failed to load conversation" });
@@ -964,15 +1290,21 @@ app.get("/api/conversation/:conversationId", authenticate, async (req, res) => {
 });
 
 app.delete("/api/conversation/:conversationId", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
   }
   try {
     const { conversationId } = req.params;
+    // Snapshot files live on the Blender host; their rows go with the conversation
+    await deleteConversationSnapshots(req.user.id, conversationId).catch((err) => {
+      logger.warn("Failed to delete conversation snapshots", { error: err?.message || err, conversationId });
+    });
     const deleted = await deleteConversation(req.user.id, conversationId);
     if (!deleted) return res.status(404).json({ error: "Conversation not found" });
+    detachBlenderInstance({ conversationId });
     res.json({ success: true });
   } catch (err) {
     logger.error("Delete conversation error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
@@ -982,7 +1314,8 @@ app.delete("/api/conversation/:conversationId", authenticate, async (req, res) =
 
 // Enhance prompt
 app.post("/api/enhance-prompt", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -991,15 +1324,17 @@ app.post("/api/enhance-prompt", authenticate, async (req, res) => {
     const { prompt, conversationId } = req.body || {};
     if (!prompt || !prompt.trim()) return res.status(400).json({ error: "Prompt is required" });
     let conversationHistory = [];
+    let conversation = null;
     if (conversationId) {
-      const conversation = await getConversationForUser(req.user.id, conversationId);
+      conversation = await getConversationForUser(req.user.id, conversationId);
       if (conversation) {
         const messages = await getMessagesForHistory(conversation.id, 5);
         conversationHistory = messages.filter(m => m.role !== "system").map(m => ({ role: m.role, content: m.parts[0].text }));
       }
     }
-    const enhanced = await enhancePrompt(prompt.trim(), conversationHistory);
-    res.json({ enhancedPrompt: enhanced });
+    const usageTracker = createUsageTracker({ userId: req.user.id, conversationId: conversation?.id || null });
+    const enhanced = await runWithUsageTracker(usageTracker, () => enhancePrompt(prompt.trim(), conversationHistory));
+    res.json({ enhancedPrompt: enhanced, cost: usageTracker.totals });
   } catch (err) {
     logger.error("Enhance prompt error", { error: err?.message || err, userId: req.user.id });
     res.status(500).json({ error: "Failed to enhance prompt", details: err?.message || null });
@@ -1008,7 +1343,8 @@ app.post("/api/enhance-prompt", authenticate, async (req, res) => {
 
 // Feedback
 app.post("/api/feedback", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -1124,19 +1460,25 @@ app.post("/api/validate-key", authenticate, async (req, res) => {
 
 // Scene info
 app.post("/api/scene-info", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
   }
   try {
     const { conversationId } = req.body || {};
-    if (!isBlenderConnected()) return res.status(503).json({ error: "Blender not connected" });
-    const sceneInfo = await sendCommandToBlender("get_scene_info", {});
-    if (conversationId) {
-      const conversation = await getConversationForUser(req.user.id, conversationId);
-      if (conversation) await touchConversation(conversation.id, { sceneContext: sceneInfo });
+    // The conversation picks the Blender instance, so only its owner may name it
+    if (conversationId && (!UUID_PATTERN.test(String(conversationId)) || !(await getConversationForUser(req.user.id, conversationId)))) {
+      return res.status(404).json({ error: "Conversation not found" });
     }
+    const blenderInstance = resolveBlenderInstance({ conversationId, userId: req.user.id });
+    const sceneInfo = await runWithBlenderInstance(blenderInstance, async () => {
+      if (!isBlenderConnected()) return null;
+      return sendCommandToBlender("get_scene_info", {});
+    });
+    if (!sceneInfo) return res.status(503).json({ error: "Blender not connected" });
+    if (conversationId) await touchConversation(conversationId, { sceneContext: sceneInfo });
     res.json(sceneInfo);
   } catch (err) {
     logger.error("Scene info error", { error: err?.message || err, userId: req.user.id });
@@ -1144,11 +1486,85 @@ app.post("/api/scene-info", authenticate, async (req, res) => {
   }
 });
 
+// Scene objects, filtered and paginated (see utils/scene-query.js)
+app.get("/api/scene/objects", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const { conversationId, ...filters } = req.query;
+    const { valid, errors, query } = parseSceneQuery(filters);
+    if (!valid) return res.status(400).json({ error: "Invalid scene query", details: errors });
+    if (conversationId && (!UUID_PATTERN.test(String(conversationId)) || !(await getConversationForUser(req.user.id, conversationId)))) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    const blenderInstance = resolveBlenderInstance({ conversationId, userId: req.user.id });
+    const result = await runWithBlenderInstance(blenderInstance, async () => {
+      if (!isBlenderConnected()) return null;
+      return queryScene(query);
+    });
+    if (!result) return res.status(503).json({ error: "Blender not connected" });
+    res.json(result);
+  } catch (err) {
+    logger.error("Scene query error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to query scene", details: err?.message || null });
+  }
+});
+
+// Analytics scope: the caller's own runs, or everyone's for admins passing ?all=true
+function analyticsScope(req) {
+  const days = parseInt(req.query.days || "30", 10);
+  return {
+    userId: isAdminUser(req.user) && req.query.all === "true" ? null : req.user.id,
+    sinceDays: Number.isFinite(days) && days > 0 ? Math.min(days, 365) : 30,
+  };
+}
+
 // Analytics summary
 app.get("/api/analytics/summary", authenticate, async (req, res) => {
-  const avgAttempts = analytics.totalGenerations ? analytics.totalAttempts / analytics.totalGenerations : 0;
-  const avgDurationMs = analytics.totalGenerations ? analytics.totalDurationMs / analytics.totalGenerations : 0;
-  res.json({ windowMs: RATE_LIMIT_WINDOW_MS, totalGenerations: analytics.totalGenerations, success: analytics.success, errors: analytics.errors, avgAttempts, avgDurationMs });
+  try {
+    const scope = analyticsScope(req);
+    const summary = await getGenerationSummary(scope);
+    res.json({ ...summary, days: scope.sinceDays, allUsers: scope.userId === null });
+  } catch (err) {
+    logger.error("Analytics summary error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+// Time-series / per-model / per-user breakdown
+app.get("/api/analytics/breakdown", authenticate, async (req, res) => {
+  try {
+    const by = req.query.by || "day";
+    if (!["day", "model", "user"].includes(by)) {
+      return res.status(400).json({ error: "by must be one of day, model, user" });
+    }
+    if (by === "user" && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: "Admin access required" });
+    }
+    const scope = analyticsScope(req);
+    const rows = await getGenerationBreakdown({ groupBy: by, ...scope });
+    res.json({ by, days: scope.sinceDays, allUsers: scope.userId === null, rows });
+  } catch (err) {
+    logger.error("Analytics breakdown error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+// Tools, integrations and prompts that fail most
+app.get("/api/analytics/failures", authenticate, async (req, res) => {
+  try {
+    const scope = analyticsScope(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+    const failures = await getGenerationFailures({ ...scope, limit });
+    res.json({ days: scope.sinceDays, allUsers: scope.userId === null, ...failures });
+  } catch (err) {
+    logger.error("Analytics failures error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load analytics" });
+  }
 });
 
 // Health monitoring endpoint
@@ -1165,7 +1581,8 @@ app.get("/api/health", async (req, res) => {
     health.services.blender = {
       connected: isBlenderConnected(),
       host: BLENDER_TCP_HOST,
-      port: BLENDER_TCP_PORT
+      port: BLENDER_TCP_PORT,
+      instances: listBlenderInstances().map(({ id, host, port, connected }) => ({ id, host, port, connected }))
     };
 
     // Check database connectivity
@@ -1253,7 +1670,8 @@ app.get("/api/health", async (req, res) => {
 
 // Suggest
 app.get("/api/suggest", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
@@ -1277,90 +1695,918 @@ app.get("/api/suggest", authenticate, async (req, res) => {
 
 // Checkpoint (safe save)
 app.post("/api/checkpoint", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
   }
   try {
-    if (!isBlenderConnected()) return res.status(503).json({ error: "Blender not connected" });
+    const { conversationId } = req.body || {};
+    if (conversationId && (!UUID_PATTERN.test(String(conversationId)) || !(await getConversationForUser(req.user.id, conversationId)))) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    const blenderInstance = resolveBlenderInstance({ conversationId, userId: req.user.id });
     const ts = Date.now();
     const tmpPath = path.join(os.tmpdir(), `cursor4d_${ts}.blend`);
     const code = `import bpy\n\n# Save current scene to temporary file\ntry:\n    bpy.ops.wm.save_mainfile(filepath=r"${tmpPath}")\n    print('Saved to ${tmpPath}')\nexcept Exception as e:\n    raise Exception(f"Checkpoint failed: {str(e)}")`;
-    const result = await executeBlenderCode(code);
-    res.json({ status: "ok", path: tmpPath, result });
+    const result = await runWithBlenderInstance(blenderInstance, async () => {
+      if (!isBlenderConnected()) return null;
+      return executeBlenderCode(code);
+    });
+    if (!result) return res.status(503).json({ error: "Blender not connected" });
+    res.json({ status: "ok", path: tmpPath, instance: blenderInstance, result });
   } catch (err) {
     res.status(500).json({ error: "Checkpoint failed", details: err?.message || String(err) });
   }
 });
 
+// Scene snapshots of a conversation (one per agent run), newest first
+app.get("/api/conversation/:conversationId/snapshots", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    res.json({ snapshots: await listSceneSnapshotsForConversation(req.user.id, conversationId) });
+  } catch (err) {
+    logger.error("List snapshots error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
+    res.status(500).json({ error: "Failed to list snapshots" });
+  }
+});
+
+// Undo: revert Blender to the scene as it was before a message
+app.post("/api/messages/:messageId/restore", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const messageId = String(req.params.messageId);
+    if (!UUID_PATTERN.test(messageId)) return res.status(404).json({ error: "Message not found" });
+    const snapshot = await getSceneSnapshotBeforeMessage(req.user.id, messageId);
+    if (!snapshot) return res.status(404).json({ error: "No scene snapshot before this message" });
+
+    let restored;
+    try {
+      restored = await restoreSceneSnapshot(snapshot);
+    } catch (err) {
+      const disconnected = /not connected/i.test(err?.message || "");
+      return res.status(disconnected ? 503 : 502).json({ error: "Failed to restore snapshot", details: err?.message || String(err) });
+    }
+
+    const sceneContext = await runWithBlenderInstance(snapshot.blenderInstance, () => sendCommandToBlender("get_scene_info", {})).catch(() => null);
+    if (sceneContext) await touchConversation(snapshot.conversationId, { sceneContext });
+    res.json({ snapshot: restored, sceneContext });
+  } catch (err) {
+    logger.error("Restore snapshot error", { error: err?.message || err, userId: req.user.id, messageId: req.params.messageId });
+    res.status(500).json({ error: "Failed to restore snapshot" });
+  }
+});
+
+// Branches: editing a prompt forks the conversation; each leaf message ends one branch
+app.get("/api/conversation/:conversationId/branches", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const conversation = await getConversationForUser(req.user.id, conversationId);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+    const { tree, activeLeafId } = await getMessageTree(conversationId);
+    res.json({ activeLeafId, branches: listBranches(tree, activeLeafId) });
+  } catch (err) {
+    logger.error("List branches error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
+    res.status(500).json({ error: "Failed to list branches" });
+  }
+});
+
+// Create a branch: run a new prompt in place of an earlier user message
+// (same as /api/generate with editMessageId)
+app.post("/api/conversation/:conversationId/branches", authenticate, generationLimiter, async (req, res) => {
+  try {
+    const rl = checkRateLimit(req.user);
+    setLimitHeaders(res, rl);
+    if (!rl.ok) {
+      res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+      return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+    }
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const { messageId, ...body } = req.body || {};
+    if (!messageId) return res.status(400).json({ error: "messageId is required" });
+    if (!(await enforceGenerationQuota(req, res))) return;
+    const result = await runGenerationCore({ ...body, conversationId, editMessageId: String(messageId) }, req.user);
+    res.status(201).json(toFriendlyGenerationResult(result));
+  } catch (err) {
+    logger.error("GENERATION ERROR", { error: err?.message || err, userId: req.user.id, stack: err?.stack });
+    const { status, body } = toFriendlyGenerationError(err);
+    res.status(status).json(body);
+  }
+});
+
+// Switch branch: show the latest branch through a message and reopen the scene it was left with
+app.post("/api/conversation/:conversationId/branches/switch", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const conversation = await getConversationForUser(req.user.id, conversationId);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+    const { tree, activeLeafId } = await getMessageTree(conversationId);
+    const leafId = latestLeaf(tree, String(req.body?.messageId || ""));
+    if (!leafId) return res.status(404).json({ error: "Message not found" });
+
+    let sceneRestored = false;
+    let sceneError = null;
+    let sceneContext = null;
+    if (leafId !== activeLeafId) {
+      const blenderInstance = resolveBlenderInstance({ conversationId, userId: req.user.id });
+      await runWithBlenderInstance(blenderInstance, async () => {
+        if (isBlenderConnected() && activeLeafId) {
+          await takeSceneSnapshot({ userId: req.user.id, conversationId, messageId: activeLeafId, kind: "branch", blenderInstance });
+        }
+        await setActiveLeaf(conversationId, leafId);
+
+        const snapshot = await getBranchSceneSnapshot(conversationId, leafId);
+        if (!snapshot) {
+          sceneError = "No scene snapshot for this branch";
+          return;
+        }
+        try {
+          await restoreSceneSnapshot(snapshot);
+          sceneRestored = true;
+          sceneContext = await sendCommandToBlender("get_scene_info", {}).catch(() => null);
+        } catch (err) {
+          sceneError = err?.message || String(err);
+        }
+      });
+      if (sceneContext) await touchConversation(conversationId, { sceneContext });
+    }
+
+    res.json({
+      activeLeafId: leafId,
+      messages: withBranchInfo(tree, pathToMessage(tree, leafId)),
+      sceneRestored,
+      sceneError,
+      sceneContext,
+    });
+  } catch (err) {
+    logger.error("Switch branch error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
+    res.status(500).json({ error: "Failed to switch branch" });
+  }
+});
+
+// Admin: Blender instance pool
+app.get("/api/admin/blender/instances", authenticate, requireAdmin, async (req, res) => {
+  res.json({ instances: listBlenderInstances() });
+});
+
+app.post("/api/admin/blender/instances", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { id, host, port } = req.body || {};
+    const instance = registerBlenderInstance({ id, host, port: parseInt(port, 10) });
+    // Connect in the background; the health probe keeps retrying if it fails
+    initBlenderConnection().catch(err => {
+      logger.warn("Default Blender instance unavailable", { error: err.message });
+    });
+    res.status(201).json({ instance });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/admin/blender/instances/:id/attach", authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { conversationId, userId } = req.body || {};
+    attachBlenderInstance(req.params.id, { conversationId, userId });
+    res.json({ instances: listBlenderInstances() });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Count one generation against the user's daily/monthly quota.
+// Sends a 429 and returns false when the quota is used up.
+async function enforceGenerationQuota(req, res) {
+  const quota = await consumeQuota(req.user);
+  setLimitHeaders(res, null, quota);
+  if (quota.ok) return true;
+  res.set("Retry-After", Math.ceil(quota.retryAfterMs / 1000));
+  res.status(429).json({
+    error: "Generation quota exceeded",
+    quota: { tier: quota.tier, daily: quota.daily, monthly: quota.monthly },
+    retryAfterMs: quota.retryAfterMs,
+  });
+  return false;
+}
+
 // Jobs
 app.post("/api/jobs/submit", authenticate, async (req, res) => {
-  const rl = checkRateLimit(req.user.id);
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
   if (!rl.ok) {
     res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
     return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
   }
   try {
-    const payload = req.body || {};
-    const id = `${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-    const job = { id, userId: req.user.id, status: "queued", createdAt: Date.now(), updatedAt: Date.now(), payload };
-    enqueueJob(job);
-    res.json({ jobId: id, status: job.status });
+    if (!(await enforceGenerationQuota(req, res))) return;
+    const job = await enqueueJob(req.user.id, req.body || {});
+    res.json({ jobId: job.id, status: job.status });
   } catch (err) {
     res.status(500).json({ error: "Job submit failed", details: err?.message || String(err) });
   }
 });
 
+app.get("/api/jobs", authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const status = req.query.status ? String(req.query.status) : null;
+    const jobs = await listJobsForUser(req.user.id, { limit, status });
+    res.json({ jobs });
+  } catch (err) {
+    res.status(500).json({ error: "Job list failed", details: err?.message || String(err) });
+  }
+});
+
 app.get("/api/jobs/:id/status", authenticate, async (req, res) => {
   try {
     const id = String(req.params.id);
-    const job = jobs.get(id);
-    if (!job || job.userId !== req.user.id) return res.status(404).json({ error: "Job not found" });
-    res.json({ id: job.id, status: job.status, result: job.result, error: job.error, createdAt: job.createdAt, updatedAt: job.updatedAt });
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Job not found" });
+    const job = await getJobForUser(req.user.id, id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    const progress = runningJobProgress.get(job.id) || job.progress;
+    res.json({ id: job.id, status: job.status, attempts: job.attempts, runId: job.runId, progress, result: job.result, error: job.error, createdAt: job.createdAt, updatedAt: job.updatedAt, startedAt: job.startedAt, finishedAt: job.finishedAt });
   } catch (err) {
     res.status(500).json({ error: "Job status failed", details: err?.message || String(err) });
   }
 });
 
+app.delete("/api/jobs/:id", authenticate, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Job not found" });
+    const cancelled = await cancelJob(req.user.id, id);
+    if (cancelled) {
+      // Running here: stop now instead of at the next heartbeat
+      runningJobControllers.get(id)?.abort(new Error("Job cancelled"));
+      return res.json({ id: cancelled.id, status: cancelled.status });
+    }
+    const job = await getJobForUser(req.user.id, id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  } catch (err) {
+    res.status(500).json({ error: "Job cancel failed", details: err?.message || String(err) });
+  }
+});
+
+// Convert technical error messages in a generation result to user-friendly ones
+function toFriendlyGenerationResult(result) {
+  if (result.response) {
+    if (result.response.includes("Branch condition returned unknown") || 
+        result.response.includes("null destination") ||
+        result.response.includes("FATAL ERROR")) {
+      result.response = "I've completed your request, but encountered some internal processing issues. Your 3D model should be created in Blender. Please check the viewport.";
+    }
+  }
+  return result;
+}
+
+// Map a generation failure to { status, body } with a user-friendly message
+function toFriendlyGenerationError(err) {
+  const status = err?.message === "Prompt required" ? 400
+    : err?.message === "Conversation not found" || err?.message === "Message not found" ? 404 : 500;
+  let userFriendlyError = err?.message || "Model generation failed";
+  
+  if (userFriendlyError.includes("Branch condition") || 
+      userFriendlyError.includes("null destination") ||
+      userFriendlyError.includes("FATAL ERROR")) {
+    userFriendlyError = "I encountered an issue while processing your request. Please try again or rephrase your prompt.";
+  } else if (userFriendlyError.includes("timeout") || userFriendlyError.includes("Timeout")) {
+    userFriendlyError = "The request took too long to process. Please try a simpler prompt or check your Blender connection.";
+  } else if (userFriendlyError.includes("not connected") || userFriendlyError.includes("Connection")) {
+    userFriendlyError = "Unable to connect to Blender. Please ensure Blender is running with the MCP addon enabled on port 9876.";
+  }
+  
+  return { status, body: { error: userFriendlyError, details: err?.details || null, progress: err?.progress || [] } };
+}
+
 // Generate endpoint (agent)
 app.post("/api/generate", authenticate, generationLimiter, async (req, res) => {
   try {
-    const rl = checkRateLimit(req.user.id);
+    const rl = checkRateLimit(req.user);
+    setLimitHeaders(res, rl);
     if (!rl.ok) {
       res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
       return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
     }
+    if (!(await enforceGenerationQuota(req, res))) return;
     const result = await runGenerationCore(req.body || {}, req.user);
-    
-    // Convert technical error messages in response to user-friendly ones
-    if (result.response) {
-      if (result.response.includes("Branch condition returned unknown") || 
-          result.response.includes("null destination") ||
-          result.response.includes("FATAL ERROR")) {
-        result.response = "I've completed your request, but encountered some internal processing issues. Your 3D model should be created in Blender. Please check the viewport.";
-      }
-    }
-    
-    res.json(result);
+    res.json(toFriendlyGenerationResult(result));
   } catch (err) {
-    const status = err?.message === "Prompt required" ? 400 : err?.message === "Conversation not found" ? 404 : 500;
     logger.error("GENERATION ERROR", { error: err?.message || err, userId: req.user.id, stack: err?.stack });
-    
-    // Convert technical errors to user-friendly messages
-    let userFriendlyError = err?.message || "Model generation failed";
-    
-    if (userFriendlyError.includes("Branch condition") || 
-        userFriendlyError.includes("null destination") ||
-        userFriendlyError.includes("FATAL ERROR")) {
-      userFriendlyError = "I encountered an issue while processing your request. Please try again or rephrase your prompt.";
-    } else if (userFriendlyError.includes("timeout") || userFriendlyError.includes("Timeout")) {
-      userFriendlyError = "The request took too long to process. Please try a simpler prompt or check your Blender connection.";
-    } else if (userFriendlyError.includes("not connected") || userFriendlyError.includes("Connection")) {
-      userFriendlyError = "Unable to connect to Blender. Please ensure Blender is running with the MCP addon enabled on port 9876.";
+    const { status, body } = toFriendlyGenerationError(err);
+    res.status(status).json(body);
+  }
+});
+
+// Streaming generate endpoint (Server-Sent Events).
+// Emits "step", "thought", "tool_call" and "tool_result" events while the agent
+// runs, then a single "result" (same payload as /api/generate) or "error" event.
+// A client that disconnects aborts the run; it is left failed and resumable from its last checkpoint.
+app.post("/api/generate/stream", authenticate, generationLimiter, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  if (!(await enforceGenerationQuota(req, res))) return;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  const send = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const progress = createProgressTracker();
+  const unsubscribe = ["step", "thought", "tool_call", "tool_result"].map((event) =>
+    progress.on(event, (payload) => send(event, payload))
+  );
+  // Comment lines keep proxies from closing an idle stream during long tool calls
+  const heartbeat = setInterval(() => { if (!clientGone) res.write(": ping\n\n"); }, 15000);
+  const controller = new AbortController();
+  res.on("close", () => {
+    clientGone = true;
+    controller.abort(new Error("Client disconnected"));
+  });
+
+  try {
+    const result = await runGenerationCore(req.body || {}, req.user, { progress, signal: controller.signal });
+    send("result", toFriendlyGenerationResult(result));
+  } catch (err) {
+    if (clientGone) {
+      logger.info("Generation stream closed by the client", { userId: req.user.id, error: err?.message || err });
+      return;
     }
-    
-    res.status(status).json({ error: userFriendlyError, details: err?.details || null, progress: err?.progress || [] });
+    logger.error("GENERATION ERROR", { error: err?.message || err, userId: req.user.id, stack: err?.stack });
+    const { status, body } = toFriendlyGenerationError(err);
+    send("error", { status, ...body });
+  } finally {
+    clearInterval(heartbeat);
+    unsubscribe.forEach((off) => off());
+    if (!clientGone) res.end();
+  }
+});
+
+// Plan approval: generate with { "approvePlan": true } to stop after decomposition,
+// then review the plan here and approve (optionally edited) or reject it
+app.get("/api/plans/:planId", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const id = String(req.params.planId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Plan not found" });
+    const plan = await getAgentPlanForUser(req.user.id, id);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    res.json({ plan });
+  } catch (err) {
+    logger.error("Get plan error", { error: err?.message || err, userId: req.user.id, planId: req.params.planId });
+    res.status(500).json({ error: "Failed to load plan" });
+  }
+});
+
+// Body: { "subtasks": [...] } to run an edited, reordered or shortened plan; omit to run it as proposed
+app.post("/api/plans/:planId/approve", authenticate, generationLimiter, async (req, res) => {
+  try {
+    const rl = checkRateLimit(req.user);
+    setLimitHeaders(res, rl);
+    if (!rl.ok) {
+      res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+      return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+    }
+    const id = String(req.params.planId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Plan not found" });
+    const pending = await getAgentPlanForUser(req.user.id, id);
+    if (!pending) return res.status(404).json({ error: "Plan not found" });
+    if (pending.status !== "pending") return res.status(409).json({ error: `Plan already ${pending.status}`, status: pending.status });
+
+    const { subtasks, mainTask } = req.body || {};
+    const { valid, errors, plan } = validatePlan({
+      mainTask: mainTask ?? pending.plan.mainTask,
+      subtasks: subtasks ?? pending.plan.subtasks,
+    });
+    if (!valid) return res.status(400).json({ error: "Invalid plan", details: errors });
+
+    // Claim the plan so a double submit cannot run it twice. Not charged again: the
+    // generation that proposed the plan paid its quota and its budget usage carries over
+    const approved = await approveAgentPlan(req.user.id, id, plan);
+    if (!approved) return res.status(409).json({ error: "Plan is no longer pending" });
+
+    const result = await runGenerationCore(
+      { ...approved.plan.request, prompt: approved.plan.prompt, conversationId: approved.plan.conversationId },
+      req.user,
+      { resume: { planId: id, plan, state: approved.state, budgetUsed: approved.plan.budgetUsed } }
+    );
+    res.json(toFriendlyGenerationResult(result));
+  } catch (err) {
+    logger.error("PLAN RESUME ERROR", { error: err?.message || err, userId: req.user.id, planId: req.params.planId, stack: err?.stack });
+    const { status, body } = toFriendlyGenerationError(err);
+    res.status(status).json(body);
+  }
+});
+
+app.post("/api/plans/:planId/reject", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const id = String(req.params.planId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Plan not found" });
+    const rejected = await rejectAgentPlan(req.user.id, id);
+    if (rejected) return res.json({ id: rejected.id, status: rejected.status });
+    const plan = await getAgentPlanForUser(req.user.id, id);
+    if (!plan) return res.status(404).json({ error: "Plan not found" });
+    res.status(409).json({ error: `Plan already ${plan.status}`, status: plan.status });
+  } catch (err) {
+    logger.error("Reject plan error", { error: err?.message || err, userId: req.user.id, planId: req.params.planId });
+    res.status(500).json({ error: "Failed to reject plan" });
+  }
+});
+
+// Agent runs: every generation checkpoints its graph state after each node.
+// Inspect a run's intermediate state, or resume a failed, stopped or interrupted run from its last checkpoint
+app.get("/api/conversation/:conversationId/runs", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const limit = Math.min(parseInt(req.query.limit || "20", 10) || 20, 100);
+    const runs = await listAgentRunsForConversation(req.user.id, conversationId, limit);
+    res.json({ runs });
+  } catch (err) {
+    logger.error("List runs error", { error: err?.message || err, userId: req.user.id, conversationId: req.params.conversationId });
+    res.status(500).json({ error: "Failed to list runs" });
+  }
+});
+
+app.get("/api/runs/:runId", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const id = String(req.params.runId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Run not found" });
+    const run = await getAgentRunForUser(req.user.id, id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    res.json({ run, state: await getAgentRunState(run.id) });
+  } catch (err) {
+    logger.error("Get run error", { error: err?.message || err, userId: req.user.id, runId: req.params.runId });
+    res.status(500).json({ error: "Failed to load run" });
+  }
+});
+
+app.get("/api/runs/:runId/checkpoints", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const id = String(req.params.runId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Run not found" });
+    const run = await getAgentRunForUser(req.user.id, id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+    const limit = Math.min(parseInt(req.query.limit || "50", 10) || 50, 200);
+    res.json({ checkpoints: await getAgentRunHistory(run.id, limit) });
+  } catch (err) {
+    logger.error("Get run checkpoints error", { error: err?.message || err, userId: req.user.id, runId: req.params.runId });
+    res.status(500).json({ error: "Failed to load run checkpoints" });
+  }
+});
+
+// Body (optional): { "budget": { ... } } to continue a budget-stopped run with a higher budget
+app.post("/api/runs/:runId/resume", authenticate, generationLimiter, async (req, res) => {
+  try {
+    const rl = checkRateLimit(req.user);
+    setLimitHeaders(res, rl);
+    if (!rl.ok) {
+      res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+      return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+    }
+    const id = String(req.params.runId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Run not found" });
+    const existing = await getAgentRunForUser(req.user.id, id);
+    if (!existing) return res.status(404).json({ error: "Run not found" });
+    if (!["failed", "stopped", "interrupted"].includes(existing.status)) {
+      return res.status(409).json({ error: `Run is ${existing.status} and cannot be resumed`, status: existing.status });
+    }
+
+    // Claim the run so a double submit cannot resume it twice. Not charged again: the
+    // generation that started the run paid its quota and its budget usage carries over
+    const run = await claimAgentRunForResume(req.user.id, id, WORKER_ID);
+    if (!run) return res.status(409).json({ error: "Run is no longer resumable" });
+
+    const { budget } = req.body || {};
+    const result = await runGenerationCore(
+      { ...run.request, ...(budget ? { budget } : {}), prompt: run.prompt, conversationId: run.conversationId },
+      req.user,
+      { continueRun: run }
+    );
+    res.json(toFriendlyGenerationResult(result));
+  } catch (err) {
+    logger.error("RUN RESUME ERROR", { error: err?.message || err, userId: req.user.id, runId: req.params.runId, stack: err?.stack });
+    const { status, body } = toFriendlyGenerationError(err);
+    res.status(status).json(body);
+  }
+});
+
+// Body: { "approve": true } to run the code the run paused on, { "approve": false } to skip that step
+app.post("/api/runs/:runId/confirm", authenticate, generationLimiter, async (req, res) => {
+  try {
+    const rl = checkRateLimit(req.user);
+    setLimitHeaders(res, rl);
+    if (!rl.ok) {
+      res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+      return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+    }
+    const { approve } = req.body || {};
+    if (typeof approve !== "boolean") return res.status(400).json({ error: "approve (boolean) is required" });
+    const id = String(req.params.runId);
+    if (!UUID_PATTERN.test(id)) return res.status(404).json({ error: "Run not found" });
+    const existing = await getAgentRunForUser(req.user.id, id);
+    if (!existing) return res.status(404).json({ error: "Run not found" });
+    if (!existing.pendingConfirmation) {
+      return res.status(409).json({ error: "Run is not waiting for confirmation", status: existing.status });
+    }
+
+    // Claim the run so a double submit cannot resume it twice. Not charged again: the
+    // generation that paused for confirmation paid its quota
+    const run = await claimAgentRunForConfirmation(req.user.id, id, WORKER_ID);
+    if (!run) return res.status(409).json({ error: "Run is no longer waiting for confirmation" });
+
+    const result = await runGenerationCore(
+      { ...run.request, prompt: run.prompt, conversationId: run.conversationId },
+      req.user,
+      { continueRun: run, codeDecision: { approved: approve } }
+    );
+    res.json(toFriendlyGenerationResult(result));
+  } catch (err) {
+    logger.error("RUN CONFIRM ERROR", { error: err?.message || err, userId: req.user.id, runId: req.params.runId, stack: err?.stack });
+    const { status, body } = toFriendlyGenerationError(err);
+    res.status(status).json(body);
+  }
+});
+
+// Code policy: what execute_blender_code may run without asking.
+// Categories: read_only, additive, modifying, destructive; rules: delete_objects, file_write, preferences, ...
+// Actions: allow, confirm, block. Conversation overrides take precedence over the user's.
+app.get("/api/settings/code-policy", authenticate, async (req, res) => {
+  try {
+    const { user: overrides } = await getCodePolicies(req.user.id);
+    res.json({ defaults: resolveCodePolicy(), overrides, policy: resolveCodePolicy(overrides) });
+  } catch (err) {
+    logger.error("Get code policy error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load code policy" });
+  }
+});
+
+// Body: { "categories": { ... }, "rules": { ... } }, or { "policy": null } to reset to the defaults
+app.put("/api/settings/code-policy", authenticate, async (req, res) => {
+  try {
+    const body = req.body || {};
+    let overrides = null;
+    if (body.policy !== null) {
+      const { valid, errors, policy } = validateCodePolicy(body);
+      if (!valid) return res.status(400).json({ error: "Invalid code policy", details: errors });
+      overrides = policy;
+    }
+    await setUserCodePolicy(req.user.id, overrides);
+    res.json({ overrides, policy: resolveCodePolicy(overrides) });
+  } catch (err) {
+    logger.error("Update code policy error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to update code policy" });
+  }
+});
+
+app.get("/api/conversation/:conversationId/code-policy", authenticate, async (req, res) => {
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const conversation = await getConversationForUser(req.user.id, conversationId);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+    const stored = await getCodePolicies(req.user.id, conversationId);
+    res.json({ overrides: stored.conversation, policy: resolveCodePolicy(stored.user, stored.conversation) });
+  } catch (err) {
+    logger.error("Get conversation code policy error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load code policy" });
+  }
+});
+
+app.put("/api/conversation/:conversationId/code-policy", authenticate, async (req, res) => {
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const body = req.body || {};
+    let overrides = null;
+    if (body.policy !== null) {
+      const { valid, errors, policy } = validateCodePolicy(body);
+      if (!valid) return res.status(400).json({ error: "Invalid code policy", details: errors });
+      overrides = policy;
+    }
+    const updated = await setConversationCodePolicy(req.user.id, conversationId, overrides);
+    if (!updated) return res.status(404).json({ error: "Conversation not found" });
+    const stored = await getCodePolicies(req.user.id, conversationId);
+    res.json({ overrides, policy: resolveCodePolicy(stored.user, stored.conversation) });
+  } catch (err) {
+    logger.error("Update conversation code policy error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to update code policy" });
+  }
+});
+
+// Blender version a conversation targets: "selected" is pinned for the conversation,
+// "detected" comes from its Blender instance, "available" lists the ingested docs
+app.get("/api/conversation/:conversationId/blender-version", authenticate, async (req, res) => {
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const conversation = await getConversationForUser(req.user.id, conversationId);
+    if (!conversation) return res.status(404).json({ error: "Conversation not found" });
+    const blenderInstance = resolveBlenderInstance({ conversationId, userId: req.user.id });
+    const detected = await runWithBlenderInstance(blenderInstance, getConnectedBlenderVersion);
+    res.json({
+      selected: conversation.blenderVersion,
+      detected,
+      effective: conversation.blenderVersion || detected,
+      available: await listKnowledgeVersions(),
+    });
+  } catch (err) {
+    logger.error("Get conversation Blender version error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load Blender version" });
+  }
+});
+
+// Body: { "version": "3.6" }, or { "version": null } to follow the connected Blender
+app.put("/api/conversation/:conversationId/blender-version", authenticate, async (req, res) => {
+  try {
+    const conversationId = String(req.params.conversationId);
+    if (!UUID_PATTERN.test(conversationId)) return res.status(404).json({ error: "Conversation not found" });
+    const requested = req.body?.version ?? null;
+    const version = requested === null ? null : normalizeBlenderVersion(requested);
+    if (requested !== null && !version) return res.status(400).json({ error: "version must look like \"4.5\" or be null" });
+    const updated = await setConversationBlenderVersion(req.user.id, conversationId, version);
+    if (!updated) return res.status(404).json({ error: "Conversation not found" });
+    res.json({ selected: version, available: await listKnowledgeVersions() });
+  } catch (err) {
+    logger.error("Update conversation Blender version error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to update Blender version" });
+  }
+});
+
+// Teams share private knowledge collections. Members can read a team's collections
+// and upload to them; owners also manage members and delete collections
+const TEAM_ROLES = ["owner", "member"];
+const cleanName = (value) => (typeof value === "string" ? value.trim() : "");
+
+app.get("/api/teams", authenticate, async (req, res) => {
+  try {
+    res.json({ teams: await listTeamsForUser(req.user.id) });
+  } catch (err) {
+    logger.error("List teams error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load teams" });
+  }
+});
+
+// Body: { "name": "Lighting" }; the creator becomes its owner
+app.post("/api/teams", authenticate, async (req, res) => {
+  try {
+    const name = cleanName(req.body?.name);
+    if (!name || name.length > 100) return res.status(400).json({ error: "name must be 1-100 characters" });
+    res.status(201).json({ team: await createTeam(req.user.id, name) });
+  } catch (err) {
+    logger.error("Create team error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to create team" });
+  }
+});
+
+app.get("/api/teams/:teamId/members", authenticate, async (req, res) => {
+  try {
+    const teamId = String(req.params.teamId);
+    if (!UUID_PATTERN.test(teamId) || !(await getTeamRole(req.user.id, teamId))) return res.status(404).json({ error: "Team not found" });
+    res.json({ members: await listTeamMembers(teamId) });
+  } catch (err) {
+    logger.error("List team members error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load team members" });
+  }
+});
+
+// Body: { "email": "artist@studio.com", "role": "member" }; also changes an existing member's role.
+// The last owner cannot be demoted
+app.post("/api/teams/:teamId/members", authenticate, async (req, res) => {
+  try {
+    const teamId = String(req.params.teamId);
+    const role = UUID_PATTERN.test(teamId) ? await getTeamRole(req.user.id, teamId) : null;
+    if (!role) return res.status(404).json({ error: "Team not found" });
+    if (role !== "owner") return res.status(403).json({ error: "Only team owners can manage members" });
+    const email = cleanName(req.body?.email);
+    const memberRole = req.body?.role ?? "member";
+    if (!email) return res.status(400).json({ error: "email is required" });
+    if (!TEAM_ROLES.includes(memberRole)) return res.status(400).json({ error: `role must be one of ${TEAM_ROLES.join(", ")}` });
+    const member = await upsertTeamMember(teamId, email, memberRole);
+    if (member === "not_found") return res.status(404).json({ error: "No user with that email" });
+    if (member === "last_owner") return res.status(400).json({ error: "A team needs at least one owner" });
+    res.json({ member });
+  } catch (err) {
+    logger.error("Add team member error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to add team member" });
+  }
+});
+
+// Owners remove anyone; members can remove themselves. The last owner cannot leave
+app.delete("/api/teams/:teamId/members/:userId", authenticate, async (req, res) => {
+  try {
+    const teamId = String(req.params.teamId);
+    const memberId = String(req.params.userId);
+    const role = UUID_PATTERN.test(teamId) ? await getTeamRole(req.user.id, teamId) : null;
+    if (!role) return res.status(404).json({ error: "Team not found" });
+    if (role !== "owner" && memberId !== req.user.id) return res.status(403).json({ error: "Only team owners can manage members" });
+    if (!UUID_PATTERN.test(memberId)) return res.status(404).json({ error: "Member not found" });
+    const result = await removeTeamMember(teamId, memberId);
+    if (result === "not_found") return res.status(404).json({ error: "Member not found" });
+    if (result === "last_owner") return res.status(400).json({ error: "A team needs at least one owner" });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error("Remove team member error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to remove team member" });
+  }
+});
+
+// Private knowledge collections searched by search_knowledge_base alongside the Blender docs
+// (see utils/knowledge-collections.js). Collections belong to a user or to a team
+
+// Collection the caller can read, or a 404 response
+async function loadCollection(req, res) {
+  const collectionId = String(req.params.collectionId);
+  const collection = UUID_PATTERN.test(collectionId) ? await getKnowledgeCollectionForUser(req.user.id, collectionId) : null;
+  if (!collection) res.status(404).json({ error: "Collection not found" });
+  return collection;
+}
+
+app.get("/api/knowledge/collections", authenticate, async (req, res) => {
+  try {
+    res.json({ collections: await listKnowledgeCollectionsForUser(req.user.id) });
+  } catch (err) {
+    logger.error("List knowledge collections error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load collections" });
+  }
+});
+
+// Body: { "name": "Rigging", "description": "...", "teamId": "uuid" }; without teamId the collection is personal
+app.post("/api/knowledge/collections", authenticate, async (req, res) => {
+  try {
+    const name = cleanName(req.body?.name);
+    const description = cleanName(req.body?.description) || null;
+    const teamId = req.body?.teamId ?? null;
+    if (!name || name.length > 100) return res.status(400).json({ error: "name must be 1-100 characters" });
+    if (description && description.length > 1000) return res.status(400).json({ error: "description must be at most 1000 characters" });
+    if (teamId !== null && !(UUID_PATTERN.test(String(teamId)) && await getTeamRole(req.user.id, String(teamId)))) {
+      return res.status(404).json({ error: "Team not found" });
+    }
+    res.status(201).json({ collection: await insertKnowledgeCollection({ userId: req.user.id, teamId, name, description }) });
+  } catch (err) {
+    logger.error("Create knowledge collection error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to create collection" });
+  }
+});
+
+app.delete("/api/knowledge/collections/:collectionId", authenticate, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+    if (collection.access !== "owner") return res.status(403).json({ error: "Only the collection's owner can delete it" });
+    await deleteKnowledgeCollection(collection.id);
+    res.json({ success: true });
+  } catch (err) {
+    logger.error("Delete knowledge collection error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to delete collection" });
+  }
+});
+
+app.get("/api/knowledge/collections/:collectionId/documents", authenticate, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+    res.json({ collection, documents: await listKnowledgeDocuments(collection.id) });
+  } catch (err) {
+    logger.error("List knowledge documents error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load documents" });
+  }
+});
+
+// Body: { "documents": [{ "name": "naming.md", "content": "# Naming..." }, { "name": "rig.pdf", "dataUrl": "data:application/pdf;base64,..." }] }
+// Documents are embedded before the response; one with the same name is replaced
+app.post("/api/knowledge/collections/:collectionId/documents", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+    const { valid, errors, documents } = parseDocumentUploads(req.body?.documents);
+    if (!valid) return res.status(400).json({ error: "Invalid documents", details: errors });
+    const results = await ingestDocuments(collection.id, documents, req.user.id);
+    const failed = results.filter((result) => result.status === "failed").length;
+    res.status(failed === results.length ? 422 : 200).json({ results });
+  } catch (err) {
+    logger.error("Upload knowledge documents error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to upload documents" });
+  }
+});
+
+app.delete("/api/knowledge/collections/:collectionId/documents/:documentId", authenticate, async (req, res) => {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+    const documentId = String(req.params.documentId);
+    if (!UUID_PATTERN.test(documentId) || !(await deleteKnowledgeDocument(collection.id, documentId))) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    logger.error("Delete knowledge document error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to delete document" });
+  }
+});
+
+// Re-chunk and re-embed every document from its stored text (after a model or chunking change)
+app.post("/api/knowledge/collections/:collectionId/reindex", authenticate, async (req, res) => {
+  const rl = checkRateLimit(req.user);
+  setLimitHeaders(res, rl);
+  if (!rl.ok) {
+    res.set("Retry-After", Math.ceil(rl.retryAfterMs / 1000));
+    return res.status(429).json({ error: "Rate limit exceeded", retryAfterMs: rl.retryAfterMs });
+  }
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+    res.json(await reindexCollection(collection.id));
+  } catch (err) {
+    logger.error("Re-index knowledge collection error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to re-index collection" });
+  }
+});
+
+// Sandbox policy for generated code and the user's recent rejections
+app.get("/api/settings/sandbox", authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const entries = await listSandboxAuditEntries(req.user.id, limit);
+    res.json({ policy: SANDBOX_POLICY, entries });
+  } catch (err) {
+    logger.error("Get sandbox audit log error", { error: err?.message || err, userId: req.user.id });
+    res.status(500).json({ error: "Failed to load sandbox audit log" });
   }
 });
 
@@ -1391,6 +2637,9 @@ app.get("/api/models", authenticate, async (req, res) => {
     logger.info("Initializing database schema");
     await initSchema();
     logger.info("Database schema initialized successfully");
+
+    await startJobWorker();
+    startSnapshotCleanup();
     
     // Pre-load the embedding model for RAG
     getEmbedder().then(() => {
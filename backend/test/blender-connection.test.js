@@ -0,0 +1,276 @@
+// Blender TCP bridge (integrations/blender-connection.js) against the mock
+// Blender server and small hand-written peers
+import { test, describe, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { createMockBlenderServer } from "../scripts/mock-blender-server.js";
+import { createBlenderConnection } from "../integrations/blender-connection.js";
+
+const connections = [];
+
+function connectTo(port, options = {}) {
+  const connection = createBlenderConnection({ id: "test", host: "127.0.0.1", port, ...options });
+  connections.push(connection);
+  return connection;
+}
+
+/**
+ * Raw TCP peer: onCommand(command, reply) is called for every command after the
+ * framing handshake and version probe (bare JSON objects with ndjson: false)
+ */
+function startPeer({ ndjson = true, onCommand }) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    // Late replies may be written after the client dropped the socket
+    socket.on("error", () => {});
+    let framing = "legacy";
+    let buffer = "";
+    const reply = (message) => socket.write(framing === "ndjson" ? `${JSON.stringify(message)}\n` : JSON.stringify(message));
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        let text;
+        if (framing === "ndjson") {
+          const newline = buffer.indexOf("\n");
+          if (newline === -1) return;
+          text = buffer.slice(0, newline);
+          buffer = buffer.slice(newline + 1);
+        } else {
+          // Peers under test send one object at a time in legacy framing
+          try {
+            JSON.parse(buffer);
+          } catch {
+            return;
+          }
+          text = buffer;
+          buffer = "";
+        }
+        const command = JSON.parse(text);
+        if (command.type === "negotiate_framing") {
+          if (ndjson) {
+            reply({ id: command.id, status: "success", result: { framing: "ndjson" } });
+            framing = "ndjson";
+          } else {
+            reply({ status: "error", message: "Unknown command type: negotiate_framing" });
+          }
+          continue;
+        }
+        if (command.type === "get_blender_version") {
+          // Behave like an addon build without the version command
+          reply({ id: command.id, status: "error", message: "Unknown command type: get_blender_version" });
+          continue;
+        }
+        onCommand(command, reply);
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({
+      port: server.address().port,
+      stop: () => {
+        for (const socket of sockets) socket.destroy();
+        return new Promise((done) => server.close(() => done()));
+      },
+    }));
+  });
+}
+
+afterEach(() => {
+  while (connections.length > 0) connections.pop().close();
+});
+
+describe("against the mock Blender server", () => {
+  let mock;
+  let port;
+
+  before(async () => {
+    mock = createMockBlenderServer({ port: 0, quiet: true, blenderVersion: "4.2.1" });
+    ({ port } = await mock.start());
+  });
+  after(() => mock.stop());
+  afterEach(() => mock.reset());
+
+  test("negotiates NDJSON framing", async () => {
+    const connection = connectTo(port);
+    await connection.connect();
+    assert.equal(connection.getStats().framing, "ndjson");
+    // The version probe finishes before connect() resolves
+    assert.equal(connection.getBlenderVersion()?.version_string, "4.2.1");
+    const info = await connection.sendCommand("get_scene_info");
+    assert.equal(typeof info.object_count, "number");
+  });
+
+  test("routes concurrent replies to their own commands", async () => {
+    const connection = connectTo(port);
+    await connection.connect();
+    const [version, scene, again] = await Promise.all([
+      connection.sendCommand("get_blender_version"),
+      connection.sendCommand("get_scene_info"),
+      connection.sendCommand("get_blender_version"),
+    ]);
+    assert.equal(version.version, "4.2");
+    assert.equal(again.version_string, "4.2.1");
+    assert.ok("objects" in scene);
+  });
+
+  test("works with legacy framing forced", async () => {
+    const connection = connectTo(port, { framingMode: "legacy" });
+    await connection.connect();
+    assert.equal(connection.getStats().framing, "legacy");
+    const version = await connection.sendCommand("get_blender_version");
+    assert.equal(version.version, "4.2");
+  });
+
+  test("rejects scripted errors with the addon's message", async () => {
+    mock.addRule({ command: "execute_code", error: "Code execution error: boom", times: 1 });
+    const connection = connectTo(port);
+    await connection.connect();
+    await assert.rejects(connection.sendCommand("execute_code", { code: "x = 1" }), /boom/);
+    // The rule only applied once
+    const result = await connection.sendCommand("execute_code", { code: "x = 1" });
+    assert.equal(result.executed, true);
+  });
+
+  test("returns scripted results", async () => {
+    mock.addRule({ command: "get_polyhaven_status", result: { enabled: false, message: "scripted" } });
+    const connection = connectTo(port);
+    await connection.connect();
+    assert.deepEqual(await connection.sendCommand("get_polyhaven_status"), { enabled: false, message: "scripted" });
+  });
+
+  test("times out a dropped command and keeps serving the next one", async () => {
+    mock.addRule({ command: "get_scene_info", drop: true, times: 1 });
+    const connection = connectTo(port, { commandTimeoutMs: 300 });
+    await connection.connect();
+    await assert.rejects(connection.sendCommand("get_scene_info"), /Timeout/);
+    assert.equal(connection.getStats().inFlight, 0);
+    const version = await connection.sendCommand("get_blender_version");
+    assert.equal(version.version, "4.2");
+  });
+});
+
+describe("against an addon build without the framing handshake", () => {
+  let mock;
+  let port;
+
+  before(async () => {
+    mock = createMockBlenderServer({ port: 0, quiet: true, legacyAddon: true });
+    ({ port } = await mock.start());
+  });
+  after(() => mock.stop());
+
+  test("falls back to legacy framing and sends one command at a time", async () => {
+    const connection = connectTo(port, { commandTimeoutMs: 2000 });
+    await connection.connect();
+    assert.equal(connection.getStats().framing, "legacy");
+    assert.equal(connection.getStats().maxInFlight, 1);
+    const [scene, result] = await Promise.all([
+      connection.sendCommand("get_scene_info"),
+      connection.sendCommand("execute_code", { code: "x = 1" }),
+    ]);
+    assert.equal(typeof scene.object_count, "number");
+    assert.equal(result.executed, true);
+    // The addon does not know get_blender_version, so it is not asked
+    assert.equal(connection.getBlenderVersion(), null);
+    assert.ok(!mock.commandLog.some((command) => command.type === "get_blender_version"));
+  });
+
+  test("recovers from a timeout without losing queued commands", async () => {
+    mock.addRule({ command: "get_scene_info", drop: true, times: 1 });
+    const connection = connectTo(port, { commandTimeoutMs: 300 });
+    await connection.connect();
+    const [dropped, next] = await Promise.allSettled([
+      connection.sendCommand("get_scene_info"),
+      connection.sendCommand("execute_code", { code: "x = 1" }),
+    ]);
+    assert.match(dropped.reason.message, /Timeout/);
+    assert.equal(next.value.executed, true);
+  });
+});
+
+describe("against hand-written peers", () => {
+  let peer;
+  afterEach(() => peer?.stop());
+
+  test("matches replies sent out of order by id", async () => {
+    const waiting = [];
+    peer = await startPeer({
+      onCommand(command, reply) {
+        waiting.push([command, reply]);
+        // Answer both commands once they are in, newest first
+        if (waiting.length === 2) {
+          for (const [queued, send] of waiting.reverse()) {
+            send({ id: queued.id, status: "success", result: { echo: queued.params.value } });
+          }
+        }
+      },
+    });
+    const connection = connectTo(peer.port);
+    await connection.connect();
+    const [first, second] = await Promise.all([
+      connection.sendCommand("echo", { value: "first" }),
+      connection.sendCommand("echo", { value: "second" }),
+    ]);
+    assert.deepEqual([first.echo, second.echo], ["first", "second"]);
+  });
+
+  test("drops replies for unknown ids", async () => {
+    peer = await startPeer({
+      onCommand(command, reply) {
+        reply({ id: "not-a-request", status: "success", result: { stray: true } });
+        reply({ id: command.id, status: "success", result: { ok: true } });
+      },
+    });
+    const connection = connectTo(peer.port);
+    await connection.connect();
+    assert.deepEqual(await connection.sendCommand("ping"), { ok: true });
+  });
+
+  test("falls back to legacy framing when the peer does not know the handshake", async () => {
+    peer = await startPeer({
+      ndjson: false,
+      onCommand(command, reply) {
+        reply({ status: "success", result: { type: command.type } });
+      },
+    });
+    const connection = connectTo(peer.port);
+    await connection.connect();
+    assert.equal(connection.getStats().framing, "legacy");
+    assert.deepEqual(await connection.sendCommand("get_scene_info"), { type: "get_scene_info" });
+  });
+
+  test("does not hand a late id-less reply to the next command", async () => {
+    peer = await startPeer({
+      ndjson: false,
+      onCommand(command, reply) {
+        // The slow reply lands while the next command waits for its own
+        const answer = () => reply({ status: "success", result: { type: command.type } });
+        setTimeout(answer, command.type === "slow" ? 600 : 250);
+      },
+    });
+    const connection = connectTo(peer.port, { commandTimeoutMs: 400 });
+    await connection.connect();
+    const [slow, next] = await Promise.allSettled([
+      connection.sendCommand("slow"),
+      connection.sendCommand("get_scene_info"),
+    ]);
+    assert.match(slow.reason.message, /Timeout/);
+    assert.deepEqual(next.value, { type: "get_scene_info" });
+    assert.deepEqual(await connection.sendCommand("ping"), { type: "ping" });
+  });
+
+  test("drops id-less replies over NDJSON framing", async () => {
+    peer = await startPeer({
+      onCommand(command, reply) {
+        reply({ status: "success", result: { stray: true } });
+        reply({ id: command.id, status: "success", result: { ok: true } });
+      },
+    });
+    const connection = connectTo(peer.port);
+    await connection.connect();
+    assert.deepEqual(await connection.sendCommand("ping"), { ok: true });
+  });
+});
@@ -0,0 +1,34 @@
+// Instance pool pins (integrations/index.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  attachBlenderInstance,
+  detachBlenderInstance,
+  getCurrentBlenderInstance,
+  listBlenderInstances,
+  registerBlenderInstance,
+  resolveBlenderInstance,
+  runWithBlenderInstance,
+} from "../integrations/index.js";
+
+test("routes a pinned conversation to its instance until the pin is dropped", () => {
+  // Never connected, so nothing is opened
+  registerBlenderInstance({ id: "second", host: "127.0.0.1", port: 1 });
+  const conversationId = "3f6c1d2e-0000-4000-8000-000000000001";
+
+  attachBlenderInstance("second", { conversationId });
+  assert.equal(resolveBlenderInstance({ conversationId }), "second");
+  assert.deepEqual(listBlenderInstances().find((instance) => instance.id === "second").assigned, [`conversation:${conversationId}`]);
+
+  detachBlenderInstance({ conversationId });
+  assert.equal(resolveBlenderInstance({ conversationId }), "default");
+  assert.deepEqual(listBlenderInstances().find((instance) => instance.id === "second").assigned, []);
+});
+
+test("reports the instance of the current context", async () => {
+  assert.equal(getCurrentBlenderInstance(), "default");
+  await runWithBlenderInstance("second", async () => {
+    await Promise.resolve();
+    assert.equal(getCurrentBlenderInstance(), "second");
+  });
+});
@@ -0,0 +1,61 @@
+// Target Blender version of a run (utils/blender-version.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compareBlenderVersions,
+  getBlenderVersion,
+  normalizeBlenderVersion,
+  pickClosestVersion,
+  runWithBlenderVersion,
+} from "../utils/blender-version.js";
+
+describe("normalizeBlenderVersion", () => {
+  test("keeps major.minor", () => {
+    assert.equal(normalizeBlenderVersion("4.2.3 LTS"), "4.2");
+    assert.equal(normalizeBlenderVersion(" 04.05 "), "4.5");
+    assert.equal(normalizeBlenderVersion(3.6), "3.6");
+  });
+
+  test("rejects non-versions", () => {
+    assert.equal(normalizeBlenderVersion("latest"), null);
+    assert.equal(normalizeBlenderVersion("4"), null);
+    assert.equal(normalizeBlenderVersion(null), null);
+  });
+});
+
+describe("compareBlenderVersions", () => {
+  test("compares numerically", () => {
+    assert.deepEqual(["4.10", "3.6", "4.2"].sort(compareBlenderVersions), ["3.6", "4.2", "4.10"]);
+  });
+});
+
+describe("pickClosestVersion", () => {
+  const available = ["4.2", "3.6", "4.5", "4.2"];
+
+  test("prefers the same version, then the newest older one", () => {
+    assert.equal(pickClosestVersion("4.2.1", available), "4.2");
+    assert.equal(pickClosestVersion("4.4", available), "4.2");
+    assert.equal(pickClosestVersion("5.0", available), "4.5");
+  });
+
+  test("falls back to the oldest newer version", () => {
+    assert.equal(pickClosestVersion("2.93", available), "3.6");
+  });
+
+  test("uses the newest without a request and nothing without versions", () => {
+    assert.equal(pickClosestVersion(null, available), "4.5");
+    assert.equal(pickClosestVersion("4.2", ["unknown"]), null);
+  });
+});
+
+describe("runWithBlenderVersion", () => {
+  test("binds the normalized version for the run only", async () => {
+    const seen = await runWithBlenderVersion("4.2.3", async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return getBlenderVersion();
+    });
+    assert.equal(seen, "4.2");
+    assert.equal(getBlenderVersion(), null);
+    assert.equal(runWithBlenderVersion("nightly", getBlenderVersion), null);
+  });
+});
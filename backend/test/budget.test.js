@@ -0,0 +1,43 @@
+// Per-generation budget (utils/budget.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { addBudgetUsage, createBudget, normalizeBudget } from "../utils/budget.js";
+
+const tracker = (totalTokens = 0, costUsd = 0) => ({ totals: { totalTokens, costUsd } });
+
+describe("normalizeBudget", () => {
+  test("treats missing, zero and invalid limits as no limit", () => {
+    assert.deepEqual(normalizeBudget({ maxTokens: 0, maxCostUsd: "x" }), { maxTokens: null, maxCostUsd: null, maxDurationMs: null });
+  });
+});
+
+describe("createBudget", () => {
+  test("only counts usage after it was created", () => {
+    const usage = tracker(500, 0.01);
+    const budget = createBudget({ maxTokens: 1000 }, usage);
+    usage.totals.totalTokens += 400;
+    assert.equal(budget.usage().tokens, 400);
+    assert.equal(budget.check(), null);
+    usage.totals.totalTokens += 600;
+    assert.equal(budget.check().limit, "tokens");
+  });
+
+  test("starts a resumed run from the usage of the run it continues", () => {
+    const usage = tracker();
+    const budget = createBudget({ maxTokens: 1000, maxCostUsd: 0.05 }, usage, { tokens: 900, costUsd: 0.01, elapsedMs: 5000 });
+    assert.equal(budget.check(), null);
+    assert.ok(budget.usage().elapsedMs >= 5000);
+    usage.totals.totalTokens += 100;
+    assert.deepEqual(budget.check(), { limit: "tokens", label: "token budget", used: 1000, max: 1000 });
+  });
+});
+
+describe("addBudgetUsage", () => {
+  test("adds up usages and skips missing ones", () => {
+    assert.deepEqual(addBudgetUsage({ tokens: 10, costUsd: 0.1, elapsedMs: 5 }, null, { tokens: 5, costUsd: 0.2 }), {
+      tokens: 15,
+      costUsd: 0.3,
+      elapsedMs: 5,
+    });
+  });
+});
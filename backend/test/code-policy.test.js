@@ -0,0 +1,82 @@
+// Code classification and policy decisions (utils/code-policy.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyBlenderCode,
+  evaluateCodePolicy,
+  hashCode,
+  resolveCodePolicy,
+  reviewBlenderCode,
+  runWithCodePolicy,
+  validateCodePolicy,
+} from "../utils/code-policy.js";
+
+describe("classifyBlenderCode", () => {
+  test("treats code without scene changes as read-only", () => {
+    assert.equal(classifyBlenderCode("import bpy\nprint(len(bpy.data.objects))\n").category, "read_only");
+  });
+
+  test("picks the strictest category found", () => {
+    const code = "import bpy\nbpy.ops.mesh.primitive_cube_add()\nbpy.data.objects['Cube'].location.x = 1\n";
+    assert.equal(classifyBlenderCode(code).category, "modifying");
+    assert.equal(classifyBlenderCode(`${code}bpy.ops.object.delete()\n`).category, "destructive");
+  });
+
+  test("ignores comments", () => {
+    assert.equal(classifyBlenderCode("# bpy.ops.object.delete()\n").category, "read_only");
+  });
+
+  test("reports the line of each finding", () => {
+    const { findings } = classifyBlenderCode("import bpy\n\nbpy.data.meshes.remove(m)\n");
+    assert.deepEqual(findings.map((f) => [f.rule, f.line]), [["delete_objects", 3]]);
+  });
+});
+
+describe("evaluateCodePolicy", () => {
+  test("asks for confirmation before deleting under the default policy", () => {
+    const review = evaluateCodePolicy("import bpy\nbpy.ops.object.delete()\n");
+    assert.equal(review.action, "confirm");
+    assert.equal(review.category, "destructive");
+    assert.deepEqual(review.findings.map((f) => f.rule), ["delete_objects"]);
+  });
+
+  test("blocks preference changes under the default policy", () => {
+    assert.equal(evaluateCodePolicy("import bpy\nbpy.context.preferences.view.show_splash = False\n").action, "block");
+  });
+
+  test("rules override their category", () => {
+    const policy = resolveCodePolicy({ categories: { destructive: "allow" } }, { rules: { file_write: "block" } });
+    assert.equal(evaluateCodePolicy("import bpy\nbpy.ops.object.delete()\n", policy).action, "confirm");
+    assert.equal(evaluateCodePolicy("import bpy\nbpy.ops.wm.save_mainfile()\n", policy).action, "block");
+  });
+
+  test("hashes the code it reviewed", () => {
+    assert.equal(evaluateCodePolicy("x = 1").codeHash, hashCode("x = 1"));
+    assert.notEqual(hashCode("x = 1"), hashCode("x = 2"));
+  });
+});
+
+describe("validateCodePolicy", () => {
+  test("accepts a partial policy", () => {
+    const result = validateCodePolicy({ rules: { delete_objects: "block" } });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.policy.rules, { delete_objects: "block" });
+  });
+
+  test("rejects unknown categories, rules and actions", () => {
+    const result = validateCodePolicy({ categories: { dangerous: "block" }, rules: { delete_objects: "maybe" } });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 2);
+  });
+});
+
+describe("reviewBlenderCode", () => {
+  test("uses the policy and decisions bound to the run", () => {
+    const code = "import bpy\nbpy.ops.object.delete()\n";
+    const policy = resolveCodePolicy({ rules: { delete_objects: "confirm" } });
+    const review = runWithCodePolicy({ policy, decisions: { [hashCode(code)]: "approved" } }, () => reviewBlenderCode(code));
+    assert.equal(review.action, "confirm");
+    assert.equal(review.decision, "approved");
+    assert.equal(reviewBlenderCode(code).decision, null);
+  });
+});
@@ -0,0 +1,249 @@
+// db.js SQL, plus the usage records and the checkpointer built on it.
+// Needs a disposable Postgres with pgvector:
+//   TEST_DATABASE_URL=postgres://... npm test
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe("db", { skip: databaseUrl ? false : "TEST_DATABASE_URL is not set" }, () => {
+  let db;
+  const userIds = [];
+  const teamIds = [];
+
+  before(async () => {
+    process.env.DATABASE_URL = databaseUrl;
+    db = await import("../db.js");
+    await db.initSchema();
+  });
+
+  after(async () => {
+    if (teamIds.length > 0) await db.pool.query(`DELETE FROM teams WHERE id = ANY($1::uuid[])`, [teamIds]);
+    if (userIds.length > 0) await db.pool.query(`DELETE FROM users WHERE id = ANY($1::uuid[])`, [userIds]);
+    await db.pool.end();
+  });
+
+  async function createUser() {
+    const { rows } = await db.pool.query(
+      `INSERT INTO users (email, password_hash) VALUES ($1, 'x') RETURNING id`,
+      [`test-${crypto.randomUUID()}@example.com`]
+    );
+    userIds.push(rows[0].id);
+    return rows[0].id;
+  }
+
+  describe("consumeGenerationQuota", () => {
+    test("counts generations up to the daily limit", async () => {
+      const userId = await createUser();
+      const first = await db.consumeGenerationQuota(userId, { daily: 2 });
+      const second = await db.consumeGenerationQuota(userId, { daily: 2 });
+      const third = await db.consumeGenerationQuota(userId, { daily: 2 });
+      assert.deepEqual([first.consumed, second.consumed, third.consumed], [true, true, false]);
+      assert.equal(third.dailyUsed, 2);
+      assert.deepEqual(await db.getGenerationUsage(userId), { dailyUsed: 2, monthlyUsed: 2 });
+    });
+
+    test("never goes over the limit under concurrent requests", async () => {
+      const userId = await createUser();
+      const results = await Promise.all(Array.from({ length: 10 }, () => db.consumeGenerationQuota(userId, { daily: 3 })));
+      assert.equal(results.filter((result) => result.consumed).length, 3);
+      assert.equal((await db.getGenerationUsage(userId)).dailyUsed, 3);
+    });
+
+    test("is unlimited without limits", async () => {
+      const userId = await createUser();
+      for (let i = 0; i < 3; i++) assert.equal((await db.consumeGenerationQuota(userId)).consumed, true);
+    });
+  });
+
+  describe("job queue", () => {
+    // Claims take the oldest queued job of any user, so leave nothing queued behind
+    async function claimJob(jobId, workerId = null) {
+      for (;;) {
+        const job = await db.claimNextJob(workerId);
+        assert.ok(job, "queued job was not claimed");
+        if (job.id === jobId) return job;
+        await db.completeJob(job.id, { status: "failed", error: "claimed by a test" });
+      }
+    }
+
+    test("claims, completes and lists a job", async () => {
+      const userId = await createUser();
+      const queued = await db.insertJob({ userId, payload: { prompt: "cube" } });
+      assert.equal(queued.status, "queued");
+
+      const running = await claimJob(queued.id);
+      assert.equal(running.status, "running");
+      assert.equal(running.attempts, 1);
+
+      assert.equal(await db.completeJob(queued.id, { status: "succeeded", result: { ok: true } }), true);
+      const done = await db.getJobForUser(userId, queued.id);
+      assert.equal(done.status, "succeeded");
+      assert.deepEqual(done.result, { ok: true });
+      assert.equal((await db.listJobsForUser(userId)).length, 1);
+    });
+
+    test("does not let a finished run overwrite a cancel", async () => {
+      const userId = await createUser();
+      const queued = await db.insertJob({ userId, payload: {} });
+      await claimJob(queued.id);
+      assert.equal((await db.cancelJob(userId, queued.id)).status, "cancelled");
+      assert.equal(await db.completeJob(queued.id, { status: "succeeded" }), false);
+      assert.equal((await db.getJobForUser(userId, queued.id)).status, "cancelled");
+    });
+
+    test("stops the heartbeat of a cancelled job", async () => {
+      const userId = await createUser();
+      const queued = await db.insertJob({ userId, payload: {} });
+      await claimJob(queued.id, "worker-a");
+      assert.equal(await db.heartbeatJob(queued.id, "worker-a"), true);
+      assert.equal(await db.heartbeatJob(queued.id, "worker-b"), false);
+      await db.cancelJob(userId, queued.id);
+      assert.equal(await db.heartbeatJob(queued.id, "worker-a"), false);
+    });
+
+    test("only recovers jobs whose worker stopped heartbeating", async () => {
+      const userId = await createUser();
+      const queued = await db.insertJob({ userId, payload: {} });
+      await claimJob(queued.id, "worker-a");
+      const { rows } = await db.pool.query(`INSERT INTO conversations (user_id, title) VALUES ($1, 'job') RETURNING id`, [userId]);
+      const run = await db.insertAgentRun({ userId, conversationId: rows[0].id, prompt: "cube", workerId: "worker-a" });
+      await db.setJobRun(queued.id, run.id);
+      await db.recoverInterruptedJobs({ staleAfterMs: 60000 });
+      assert.equal((await db.getJobForUser(userId, queued.id)).status, "running");
+
+      await db.pool.query(`UPDATE generation_jobs SET heartbeat_at = now() - interval '2 minutes' WHERE id = $1`, [queued.id]);
+      await db.recoverInterruptedJobs({ staleAfterMs: 60000 });
+      const recovered = await db.getJobForUser(userId, queued.id);
+      assert.equal(recovered.status, "queued");
+      assert.equal(recovered.runId, run.id);
+      // The next attempt continues the run from its checkpoint
+      assert.equal((await db.getAgentRunForUser(userId, run.id)).status, "interrupted");
+      // The dead worker can no longer record an outcome for it
+      assert.equal(await db.completeJob(queued.id, { status: "succeeded", workerId: "worker-a" }), false);
+    });
+
+    test("only lets the owner cancel", async () => {
+      const owner = await createUser();
+      const other = await createUser();
+      const queued = await db.insertJob({ userId: owner, payload: {} });
+      assert.equal(await db.cancelJob(other, queued.id), null);
+      assert.equal((await db.cancelJob(owner, queued.id)).status, "cancelled");
+    });
+  });
+
+  describe("agent runs", () => {
+    test("only marks runs interrupted once their process stopped heartbeating", async () => {
+      const userId = await createUser();
+      const { rows } = await db.pool.query(`INSERT INTO conversations (user_id, title) VALUES ($1, 'runs') RETURNING id`, [userId]);
+      const run = await db.insertAgentRun({ userId, conversationId: rows[0].id, prompt: "cube", workerId: "worker-a" });
+      assert.equal(await db.heartbeatAgentRun(run.id, "worker-a"), true);
+      assert.equal(await db.heartbeatAgentRun(run.id, "worker-b"), false);
+
+      await db.recoverInterruptedAgentRuns({ staleAfterMs: 60000 });
+      assert.equal((await db.getAgentRunForUser(userId, run.id)).status, "running");
+
+      await db.pool.query(`UPDATE agent_runs SET heartbeat_at = now() - interval '2 minutes' WHERE id = $1`, [run.id]);
+      await db.recoverInterruptedAgentRuns({ staleAfterMs: 60000 });
+      assert.equal((await db.getAgentRunForUser(userId, run.id)).status, "interrupted");
+    });
+  });
+
+  describe("llm usage", () => {
+    test("adds calls to the current tracker and writes them to api_usage", async () => {
+      const { createUsageTracker, runWithUsageTracker, recordLLMUsage, getUsageRecordIds } = await import("../utils/llm-usage.js");
+      const userId = await createUser();
+      const tracker = createUsageTracker({ userId });
+      runWithUsageTracker(tracker, () => {
+        recordLLMUsage({ provider: "groq", model: "test-model", operation: "agent", promptTokens: 100, completionTokens: 20 });
+        recordLLMUsage({ provider: "groq", model: "test-model", operation: "replan", promptTokens: 10 });
+      });
+      assert.deepEqual([tracker.totals.promptTokens, tracker.totals.completionTokens, tracker.totals.totalTokens, tracker.totals.calls], [110, 20, 130, 2]);
+
+      const ids = await getUsageRecordIds(tracker);
+      const { rows } = await db.pool.query(`SELECT user_id, operation FROM api_usage WHERE id = ANY($1::bigint[]) ORDER BY id`, [ids]);
+      await db.pool.query(`DELETE FROM api_usage WHERE id = ANY($1::bigint[])`, [ids]);
+      assert.deepEqual(rows.map((row) => [row.user_id, row.operation]), [[userId, "agent"], [userId, "replan"]]);
+    });
+  });
+
+  describe("checkpointer", () => {
+    test("saves, lists and deletes the checkpoints of a run", async () => {
+      const { PostgresCheckpointSaver } = await import("../utils/checkpointer.js");
+      const { emptyCheckpoint } = await import("@langchain/langgraph-checkpoint");
+      const saver = new PostgresCheckpointSaver();
+      const userId = await createUser();
+      const { rows } = await db.pool.query(`INSERT INTO conversations (user_id, title) VALUES ($1, 'checkpoints') RETURNING id`, [userId]);
+      const run = await db.insertAgentRun({ userId, conversationId: rows[0].id, prompt: "cube" });
+      const thread = { configurable: { thread_id: run.id, checkpoint_ns: "" } };
+
+      const first = await saver.put(thread, { ...emptyCheckpoint(), id: "0001", channel_values: { step: 1 } }, { source: "loop", step: 1 });
+      await saver.putWrites(first, [["step", 2]], "task-a");
+      await saver.put(first, { ...emptyCheckpoint(), id: "0002", channel_values: { step: 2 } }, { source: "loop", step: 2 });
+
+      const latest = await saver.getTuple(thread);
+      assert.equal(latest.checkpoint.id, "0002");
+      assert.deepEqual(latest.checkpoint.channel_values, { step: 2 });
+      assert.equal(latest.parentConfig.configurable.checkpoint_id, "0001");
+      assert.deepEqual((await saver.getTuple(first)).pendingWrites, [["task-a", "step", 2]]);
+
+      const list = async (options) => {
+        const ids = [];
+        for await (const tuple of saver.list(thread, options)) ids.push(tuple.checkpoint.id);
+        return ids;
+      };
+      assert.deepEqual(await list(), ["0002", "0001"]);
+      assert.deepEqual(await list({ limit: 1 }), ["0002"]);
+      assert.deepEqual(await list({ before: { configurable: { checkpoint_id: "0002" } } }), ["0001"]);
+      assert.deepEqual(await list({ filter: { step: 1 } }), ["0001"]);
+
+      await saver.deleteThread(run.id);
+      assert.equal(await saver.getTuple(thread), undefined);
+    });
+  });
+
+  describe("scene snapshots", () => {
+    test("caps run snapshots per conversation but keeps branch snapshots", async () => {
+      const userId = await createUser();
+      const { rows } = await db.pool.query(`INSERT INTO conversations (user_id, title) VALUES ($1, 'snapshots') RETURNING id`, [userId]);
+      const conversationId = rows[0].id;
+      const snapshot = (kind) => db.insertSceneSnapshot({ userId, conversationId, kind, blenderInstance: "default", filepath: `/tmp/${crypto.randomUUID()}.blend` });
+      const branch = await snapshot("branch");
+      const oldRun = await snapshot("run");
+      await snapshot("run");
+      await snapshot("run");
+
+      const expired = (await db.listExpiredSceneSnapshots({ maxAgeDays: 7, maxPerConversation: 2 }))
+        .filter((s) => s.conversationId === conversationId)
+        .map((s) => s.id);
+      assert.deepEqual(expired, [oldRun.id]);
+      assert.ok(!expired.includes(branch.id));
+    });
+  });
+
+  describe("team members", () => {
+    async function createTeam(ownerId) {
+      const team = await db.createTeam(ownerId, `team-${crypto.randomUUID()}`);
+      teamIds.push(team.id);
+      return team;
+    }
+    const emailOf = async (userId) => (await db.pool.query(`SELECT email FROM users WHERE id = $1`, [userId])).rows[0].email;
+
+    test("does not demote the last owner", async () => {
+      const owner = await createUser();
+      const team = await createTeam(owner);
+      assert.equal(await db.upsertTeamMember(team.id, await emailOf(owner), "member"), "last_owner");
+      assert.equal(await db.getTeamRole(owner, team.id), "owner");
+    });
+
+    test("demotes an owner once another owner is left", async () => {
+      const owner = await createUser();
+      const other = await createUser();
+      const team = await createTeam(owner);
+      assert.equal((await db.upsertTeamMember(team.id, await emailOf(other), "owner")).role, "owner");
+      assert.equal((await db.upsertTeamMember(team.id, await emailOf(owner), "member")).role, "member");
+      assert.equal(await db.upsertTeamMember(team.id, "nobody@example.com", "member"), "not_found");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// Private knowledge collection uploads and chunking (utils/knowledge-collections.js)
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+let detectDocumentFormat;
+let parseDocumentUploads;
+let htmlToText;
+let extractDocumentText;
+let chunkDocument;
+
+before(async () => {
+  // knowledge-collections.js imports db.js, which needs a connection string (no connection is opened here)
+  process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+  ({ detectDocumentFormat, parseDocumentUploads, htmlToText, extractDocumentText, chunkDocument } = await import(
+    "../utils/knowledge-collections.js"
+  ));
+});
+
+describe("detectDocumentFormat", () => {
+  test("prefers the explicit format, then the MIME type, then the extension", () => {
+    assert.equal(detectDocumentFormat({ name: "rig.md", format: "html" }), "html");
+    assert.equal(detectDocumentFormat({ name: "rig.md", mimeType: "application/pdf" }), "pdf");
+    assert.equal(detectDocumentFormat({ name: "Rig.MD" }), "markdown");
+    assert.equal(detectDocumentFormat({ name: "notes", mimeType: "text/csv; charset=utf-8" }), "text");
+    assert.equal(detectDocumentFormat({ name: "scene.blend" }), null);
+  });
+});
+
+describe("parseDocumentUploads", () => {
+  test("decodes inline text and base64 data URLs", () => {
+    const { valid, documents } = parseDocumentUploads([
+      { name: " rig.md ", content: "# Rig" },
+      { name: "guide.pdf", dataUrl: `data:application/pdf;base64,${Buffer.from("%PDF").toString("base64")}` },
+    ]);
+    assert.equal(valid, true);
+    assert.deepEqual(documents.map((d) => [d.name, d.format, d.buffer.toString()]), [
+      ["rig.md", "markdown", "# Rig"],
+      ["guide.pdf", "pdf", "%PDF"],
+    ]);
+  });
+
+  test("rejects empty lists", () => {
+    assert.deepEqual(parseDocumentUploads([]).errors, ["documents must be a non-empty array"]);
+    assert.equal(parseDocumentUploads({ name: "rig.md" }).valid, false);
+  });
+
+  test("reports every invalid document", () => {
+    const { valid, errors, documents } = parseDocumentUploads([
+      { name: "a.md", content: "ok" },
+      { name: "a.md", content: "again" },
+      { name: "", content: "x" },
+      { name: "scene.blend", content: "x" },
+      { name: "guide.pdf", content: "text" },
+      { name: "b.txt" },
+      { name: "c.txt", content: "" },
+    ]);
+    assert.equal(valid, false);
+    assert.equal(documents.length, 1);
+    assert.deepEqual(errors, [
+      'documents[1].name "a.md" appears twice',
+      "documents[2].name must be 1-255 characters",
+      "documents[3]: unsupported format (use markdown, html, pdf, text)",
+      "documents[4]: PDFs must be sent as a base64 dataUrl",
+      "documents[5]: content or dataUrl is required",
+      "documents[6] is empty",
+    ]);
+  });
+});
+
+describe("htmlToText", () => {
+  test("keeps headings, lists and code, and drops page chrome", () => {
+    const html = `<html><body>
+      <nav>Home | Docs</nav>
+      <h1>Rigging</h1>
+      <p>Use the   <b>studio</b> rig.</p>
+      <ul><li><p>Bones</p></li></ul>
+      <pre>rig = bpy.data.objects["Rig"]\n</pre>
+      <script>track()</script>
+    </body></html>`;
+    assert.equal(htmlToText(html), '# Rigging\n\nUse the studio rig.\n\n- Bones\n\n```\nrig = bpy.data.objects["Rig"]\n```');
+  });
+
+  test("falls back to the body text without block elements", () => {
+    assert.equal(htmlToText("<div>Just <span>text</span></div>"), "Just text");
+  });
+});
+
+describe("extractDocumentText", () => {
+  test("normalizes line endings, blank lines and a byte order mark", async () => {
+    assert.equal(await extractDocumentText(Buffer.from("\uFEFFone\r\ntwo\r\n\r\n\r\n\r\nthree\n"), "text"), "one\ntwo\n\nthree");
+  });
+});
+
+describe("chunkDocument", () => {
+  test("titles chunks with the document name and heading path", () => {
+    const text = "Intro\n\n# Rig\n\n## Bones\n\nDeform bones.\n\n```\n# not a heading\n\nstill code\n```\n\n# Export\n\nUse FBX.";
+    assert.deepEqual(chunkDocument(text, "markdown", "guide.md"), [
+      { title: "guide.md", content: "guide.md\n\nIntro" },
+      { title: "guide.md > Rig > Bones", content: "guide.md > Rig > Bones\n\nDeform bones.\n\n```\n# not a heading\n\nstill code\n```" },
+      { title: "guide.md > Export", content: "guide.md > Export\n\nUse FBX." },
+    ]);
+  });
+
+  test("reads headings from Markdown and HTML only", () => {
+    assert.deepEqual(chunkDocument("# Not a heading\n\nText", "text", "notes.txt").map((c) => c.title), ["notes.txt"]);
+  });
+
+  test("splits long sections at paragraph and sentence boundaries", () => {
+    const sentence = "The rig uses a root bone. ";
+    const chunks = chunkDocument(`${sentence.repeat(60)}\n\n${sentence.repeat(60)}`, "text", "rig.txt");
+    assert.ok(chunks.length >= 2);
+    for (const chunk of chunks) {
+      assert.ok(chunk.content.length <= 2000);
+      assert.match(chunk.content, /^rig\.txt\n\nThe rig/);
+      assert.match(chunk.content, /bone\.$/);
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// Knowledge base query parsing and deduplication (utils/knowledge-search.js)
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+let parseKnowledgeQuery;
+let deduplicateResults;
+
+before(async () => {
+  // knowledge-search.js imports db.js, which needs a connection string (no connection is opened here)
+  process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+  ({ parseKnowledgeQuery, deduplicateResults } = await import("../utils/knowledge-search.js"));
+});
+
+describe("parseKnowledgeQuery", () => {
+  test("quotes identifiers as phrases and ORs the remaining words", () => {
+    assert.deepEqual(parseKnowledgeQuery("How do I call bpy.ops.mesh.primitive_torus_add with major_radius?"), {
+      identifiers: ["bpy.ops.mesh.primitive_torus_add", "major_radius"],
+      lexicalQuery: '"bpy ops mesh primitive torus add" or "major radius" or how or do or call or with',
+    });
+  });
+
+  test("drops repeated and one-letter words", () => {
+    assert.equal(parseKnowledgeQuery("Add a torus, a TORUS").lexicalQuery, "add or torus");
+  });
+
+  test("handles empty queries", () => {
+    assert.deepEqual(parseKnowledgeQuery(null), { identifiers: [], lexicalQuery: "" });
+  });
+});
+
+describe("deduplicateResults", () => {
+  const text = "The bevel modifier rounds the edges of a mesh. Set the width and the number of segments to control the shape.";
+
+  test("keeps the higher-ranked of two near-duplicates", () => {
+    const results = [
+      { id: 1, content: text },
+      { id: 2, content: `${text} ` },
+      { id: 3, content: "Array modifiers repeat a mesh along an offset, a curve or an object." },
+    ];
+    assert.deepEqual(deduplicateResults(results).map((r) => r.id), [1, 3]);
+  });
+
+  test("keeps partial overlaps below the threshold", () => {
+    const results = [
+      { id: 1, content: text },
+      { id: 2, content: "The bevel modifier rounds the edges of a mesh. Use the clamp overlap option on dense geometry." },
+    ];
+    assert.equal(deduplicateResults(results).length, 2);
+    assert.equal(deduplicateResults(results, 0).length, 1);
+  });
+});
@@ -0,0 +1,43 @@
+// LLM token accounting (utils/llm-usage.js); recordLLMUsage is covered in db.test.js
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+
+let createUsageTracker;
+let runWithUsageTracker;
+let getCurrentUsageTracker;
+let geminiUsage;
+let groqUsage;
+
+before(async () => {
+  // llm-usage.js imports db.js, which needs a connection string (no connection is opened here)
+  process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+  ({ createUsageTracker, runWithUsageTracker, getCurrentUsageTracker, geminiUsage, groqUsage } = await import(
+    "../utils/llm-usage.js"
+  ));
+});
+
+describe("usage tracker context", () => {
+  test("is visible to async work inside the run only", async () => {
+    const tracker = createUsageTracker({ userId: "u1" });
+    assert.deepEqual(tracker.totals, { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, calls: 0 });
+    const seen = await runWithUsageTracker(tracker, async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return getCurrentUsageTracker();
+    });
+    assert.equal(seen, tracker);
+    assert.equal(getCurrentUsageTracker(), null);
+  });
+});
+
+describe("provider usage", () => {
+  test("reads Gemini usage metadata", () => {
+    const result = { response: { usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30, totalTokenCount: 150 } } };
+    assert.deepEqual(geminiUsage(result), { promptTokens: 120, completionTokens: 30 });
+    assert.deepEqual(geminiUsage({ response: {} }), { promptTokens: 0, completionTokens: 0 });
+  });
+
+  test("reads Groq usage", () => {
+    assert.deepEqual(groqUsage({ usage: { prompt_tokens: 80, completion_tokens: 20 } }), { promptTokens: 80, completionTokens: 20 });
+    assert.deepEqual(groqUsage(null), { promptTokens: 0, completionTokens: 0 });
+  });
+});
@@ -0,0 +1,86 @@
+// Conversation branches (utils/message-tree.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { buildMessageTree, latestLeaf, listBranches, pathToMessage, resolveActiveLeaf, withBranchInfo } from "../utils/message-tree.js";
+
+let minute = 0;
+const message = (id, parentId, role, content = id) => ({ id, parentId, role, content, createdAt: new Date(Date.UTC(2024, 0, 1, 0, minute++)).toISOString() });
+
+// u1 → a1 → u2 → a2, then u2 was edited into u2b → a2b
+const messages = [
+  message("u1", null, "user", "Make a cube"),
+  message("a1", "u1", "assistant"),
+  message("u2", "a1", "user", "Make it red"),
+  message("a2", "u2", "assistant"),
+  message("u2b", "a1", "user", "Make it blue"),
+  message("a2b", "u2b", "assistant"),
+];
+const tree = buildMessageTree(messages);
+const ids = (list) => list.map((m) => m.id);
+
+describe("buildMessageTree", () => {
+  test("orders replies oldest first and treats unknown parents as roots", () => {
+    assert.deepEqual(ids(tree.children.get("a1")), ["u2", "u2b"]);
+    const orphanTree = buildMessageTree([message("x", "missing", "user")]);
+    assert.deepEqual(ids(orphanTree.children.get(null)), ["x"]);
+  });
+});
+
+describe("pathToMessage", () => {
+  test("walks from the root to the message", () => {
+    assert.deepEqual(ids(pathToMessage(tree, "a2b")), ["u1", "a1", "u2b", "a2b"]);
+  });
+
+  test("is empty for unknown or missing ids", () => {
+    assert.deepEqual(pathToMessage(tree, "nope"), []);
+    assert.deepEqual(pathToMessage(tree, null), []);
+  });
+
+  test("stops on a parent cycle", () => {
+    const cyclic = buildMessageTree([{ ...message("c1", "c2", "user") }, { ...message("c2", "c1", "assistant") }]);
+    assert.deepEqual(ids(pathToMessage(cyclic, "c2")), ["c1", "c2"]);
+  });
+});
+
+describe("latestLeaf", () => {
+  test("finds the newest leaf under a message", () => {
+    assert.equal(latestLeaf(tree, "a1"), "a2b");
+    assert.equal(latestLeaf(tree, "u2"), "a2");
+    assert.equal(latestLeaf(tree, "a2"), "a2");
+    assert.equal(latestLeaf(tree, "nope"), null);
+  });
+});
+
+describe("resolveActiveLeaf", () => {
+  test("keeps a known active leaf, else falls back to the newest message", () => {
+    assert.equal(resolveActiveLeaf(tree, "a2"), "a2");
+    assert.equal(resolveActiveLeaf(tree, "deleted"), "a2b");
+    assert.equal(resolveActiveLeaf(tree, null), "a2b");
+    assert.equal(resolveActiveLeaf(buildMessageTree([]), null), null);
+  });
+});
+
+describe("withBranchInfo", () => {
+  test("marks messages that have alternatives", () => {
+    const path = withBranchInfo(tree, pathToMessage(tree, "a2"));
+    assert.equal(path[0].branch, undefined);
+    assert.deepEqual(path[2].branch, { index: 0, count: 2, siblingIds: ["u2", "u2b"] });
+  });
+});
+
+describe("listBranches", () => {
+  test("lists one branch per leaf, newest first, with the fork it starts at", () => {
+    const branches = listBranches(tree, "a2");
+    assert.deepEqual(branches.map((b) => [b.leafId, b.forkMessageId, b.preview, b.messageCount, b.active]), [
+      ["a2b", "u2b", "Make it blue", 4, false],
+      ["a2", "u2", "Make it red", 4, true],
+    ]);
+  });
+
+  test("previews the first prompt of an unforked conversation, truncated", () => {
+    const long = "x".repeat(100);
+    const [branch] = listBranches(buildMessageTree([message("only", null, "user", long)]), "only");
+    assert.equal(branch.forkMessageId, null);
+    assert.equal(branch.preview, `${"x".repeat(77)}...`);
+  });
+});
@@ -0,0 +1,107 @@
+// Static checks on generated Blender Python (utils/python-analyzer.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeBlenderCode, findSandboxViolations, sanitizeBlenderCode } from "../utils/python-analyzer.js";
+
+// Small API index in the shape loadApiIndex returns
+const index = {
+  blenderVersion: null,
+  operators: {
+    "mesh.primitive_cube_add": ["size", "location", "rotation", "scale"],
+    "mesh.primitive_uv_sphere_add": ["radius", "segments", "ring_count", "location"],
+    "object.delete": ["use_global", "confirm"],
+  },
+  operatorModules: new Set(["mesh", "object"]),
+  dataCollections: new Set(["objects", "materials", "meshes"]),
+};
+
+const rules = (result) => result.diagnostics.map((d) => d.rule);
+
+describe("analyzeBlenderCode", () => {
+  test("accepts valid code", () => {
+    const result = analyzeBlenderCode("import bpy\nbpy.ops.mesh.primitive_cube_add(size=2, location=(0, 0, 1))\n", { index });
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.diagnostics, []);
+  });
+
+  test("reports the first syntax error with its line", () => {
+    const result = analyzeBlenderCode("import bpy\nfor i in range(3)\n    pass\n", { index });
+    assert.equal(result.ok, false);
+    assert.deepEqual(rules(result), ["syntax"]);
+    assert.equal(result.diagnostics[0].line, 2);
+  });
+
+  test("reports Python 2 print statements", () => {
+    const result = analyzeBlenderCode('print "hello"\n', { index });
+    assert.equal(result.ok, false);
+    assert.match(result.diagnostics[0].message, /Missing parentheses/);
+  });
+
+  test("suggests the closest parameter name", () => {
+    const result = analyzeBlenderCode("import bpy\nbpy.ops.mesh.primitive_uv_sphere_add(radus=1)\n", { index });
+    assert.deepEqual(rules(result), ["unknown_parameter"]);
+    assert.equal(result.diagnostics[0].suggestion, "did you mean 'radius'?");
+  });
+
+  test("reports unknown operators, operator modules and data collections", () => {
+    const code = [
+      "import bpy",
+      "bpy.ops.mesh.primitive_cub_add()",
+      "bpy.ops.meshes.primitive_cube_add()",
+      "bpy.data.material.new('x')",
+    ].join("\n");
+    const result = analyzeBlenderCode(code, { index });
+    assert.equal(result.ok, false);
+    assert.deepEqual(rules(result), ["unknown_operator", "unknown_operator", "unknown_data"]);
+    assert.equal(result.diagnostics[0].suggestion, "did you mean bpy.ops.mesh.primitive_cube_add?");
+    assert.equal(result.diagnostics[2].suggestion, "did you mean bpy.data.materials?");
+  });
+
+  test("resolves import aliases", () => {
+    const result = analyzeBlenderCode("from bpy import ops as o\no.mesh.primitive_cube_add(sise=1)\n", { index });
+    assert.deepEqual(rules(result), ["unknown_parameter"]);
+  });
+
+  test("warns about parameters removed in Blender 4.x", () => {
+    const result = analyzeBlenderCode("import bpy\nbpy.ops.object.delete(use_undo=True)\n", { index });
+    assert.equal(result.ok, true);
+    assert.deepEqual(rules(result), ["deprecated_parameter"]);
+  });
+});
+
+describe("findSandboxViolations", () => {
+  const policy = {
+    allowedModules: ["bpy", "math"],
+    forbiddenBuiltins: ["open", "exec", "eval", "__import__"],
+    forbiddenAttributes: ["__builtins__", "__globals__", "__subclasses__"],
+  };
+  const violations = (code) => findSandboxViolations(code, policy).map((v) => `${v.rule}:${v.name}`);
+
+  test("allows plain bpy code", () => {
+    assert.deepEqual(violations("import bpy, math\nbpy.ops.mesh.primitive_cube_add(size=math.pi)\n"), []);
+  });
+
+  test("rejects imports outside the allowlist", () => {
+    assert.deepEqual(violations("import os\nfrom subprocess import run\nimport bpy.types\n"), ["import:os", "import:subprocess"]);
+  });
+
+  test("rejects forbidden builtins but not keyword arguments named like them", () => {
+    assert.deepEqual(violations("f = open('/etc/passwd')\nexec('x = 1')\n"), ["builtin:open", "builtin:exec"]);
+    assert.deepEqual(violations("import bpy\nbpy.ops.wm.call_menu(open=True)\n"), []);
+  });
+
+  test("rejects forbidden attributes, also through getattr", () => {
+    assert.deepEqual(violations("().__class__.__subclasses__()\n"), ["attribute:__subclasses__"]);
+    assert.deepEqual(violations("getattr(f, '__globals__')\n"), ["attribute:__globals__"]);
+  });
+
+  test("rejects code that does not parse", () => {
+    assert.ok(violations("def f(:\n").includes("syntax:"));
+  });
+});
+
+describe("sanitizeBlenderCode", () => {
+  test("strips markdown fences", () => {
+    assert.equal(sanitizeBlenderCode("```python\nimport bpy\n```").trim(), "import bpy");
+  });
+});
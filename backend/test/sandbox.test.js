@@ -0,0 +1,82 @@
+// Default execute_code sandbox policy (utils/sandbox.js)
+import { test, describe, before } from "node:test";
+import assert from "node:assert/strict";
+import { findSandboxViolations } from "../utils/python-analyzer.js";
+
+let SANDBOX_POLICY;
+let validateSandboxPolicy;
+
+before(async () => {
+  // sandbox.js imports db.js, which needs a connection string (no connection is opened here)
+  process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+  delete process.env.SANDBOX_POLICY;
+  ({ SANDBOX_POLICY, validateSandboxPolicy } = await import("../utils/sandbox.js"));
+});
+
+const violations = (code) => findSandboxViolations(code, SANDBOX_POLICY).map((v) => `${v.rule}:${v.name}`);
+
+describe("default sandbox policy", () => {
+  test("allows ordinary scene code", () => {
+    const code = [
+      "import bpy, bmesh, math",
+      "from mathutils import Vector",
+      "bpy.ops.mesh.primitive_cube_add(size=2)",
+      "obj = bpy.context.active_object",
+      "obj.location = Vector((0, 0, math.sin(1)))",
+      "mat = bpy.data.materials.new('Red')",
+    ].join("\n");
+    assert.deepEqual(violations(code), []);
+  });
+
+  test("rejects globals()['__builtins__']", () => {
+    assert.deepEqual(violations("globals()['__builtins__']['open']('/etc/passwd')\n"), ["builtin:globals", "attribute:__builtins__"]);
+  });
+
+  test("rejects vars()['__builtins__']", () => {
+    assert.deepEqual(violations("vars()['__builtins__']\n"), ["builtin:vars", "attribute:__builtins__"]);
+  });
+
+  test("rejects locals() and compile()", () => {
+    assert.deepEqual(violations("locals()\ncompile('1', 'x', 'eval')\n"), ["builtin:locals", "builtin:compile"]);
+  });
+
+  test("rejects dunder subscripts on any object, also split across literals", () => {
+    assert.deepEqual(violations("f.__dict__\nx = d['__builtins__']\ny = d['__' 'builtins__']\n"), [
+      "attribute:__builtins__",
+      "attribute:__builtins__",
+    ]);
+  });
+
+  test("rejects bpy.utils.execfile", () => {
+    assert.deepEqual(violations("import bpy\nbpy.utils.execfile('/tmp/x.py')\n"), ["attribute:execfile"]);
+    assert.deepEqual(violations("from bpy.utils import execfile as run\nrun('/tmp/x.py')\n"), ["attribute:execfile"]);
+  });
+
+  test("rejects Text.as_module", () => {
+    const code = "import bpy\ntext = bpy.data.texts.new('t')\ntext.write('import os')\ntext.as_module()\n";
+    assert.deepEqual(violations(code), ["attribute:as_module"]);
+  });
+
+  test("rejects bpy.app.driver_namespace", () => {
+    assert.deepEqual(violations("import bpy\nbpy.app.driver_namespace['f'] = print\n"), ["attribute:driver_namespace"]);
+  });
+
+  test("rejects forbidden names passed to getattr", () => {
+    assert.deepEqual(violations("import bpy\ngetattr(bpy.utils, 'execfile')('/tmp/x.py')\n"), ["attribute:execfile"]);
+  });
+});
+
+describe("validateSandboxPolicy", () => {
+  test("fills in defaults for a partial policy", () => {
+    const { valid, policy } = validateSandboxPolicy({ mode: "audit" });
+    assert.equal(valid, true);
+    assert.equal(policy.mode, "audit");
+    assert.deepEqual(policy.forbiddenAttributes, SANDBOX_POLICY.forbiddenAttributes);
+  });
+
+  test("rejects unknown keys and modes", () => {
+    const { valid, errors } = validateSandboxPolicy({ mode: "off", allowOs: true });
+    assert.equal(valid, false);
+    assert.equal(errors.length, 2);
+  });
+});
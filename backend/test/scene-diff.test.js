@@ -0,0 +1,71 @@
+// Scene changes of an agent run (utils/scene-diff.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { diffSceneStates } from "../utils/scene-diff.js";
+
+const object = (name, extra = {}) => ({
+  name,
+  type: "MESH",
+  data: `${name}Mesh`,
+  location: [0, 0, 0],
+  rotation: [0, 0, 0],
+  scale: [1, 1, 1],
+  materials: [],
+  modifiers: [],
+  ...extra,
+});
+const scene = (...objects) => ({ name: "Scene", objects });
+
+describe("diffSceneStates", () => {
+  test("returns null without both states", () => {
+    assert.equal(diffSceneStates(null, scene()), null);
+    assert.equal(diffSceneStates(scene(), {}), null);
+  });
+
+  test("reports nothing for an unchanged scene, ignoring float noise", () => {
+    const diff = diffSceneStates(scene(object("Cube")), scene(object("Cube", { location: [0.0004, 0, 0] })));
+    assert.equal(diff.changeCount, 0);
+  });
+
+  test("reports added and removed objects with their materials and modifiers", () => {
+    const bevel = { name: "Bevel", type: "BEVEL" };
+    const diff = diffSceneStates(
+      scene(object("Cube")),
+      scene(object("Sphere", { data: "SphereMesh", materials: ["Red"], modifiers: [bevel] }))
+    );
+    assert.deepEqual(diff.added, [{ name: "Sphere", type: "MESH" }]);
+    assert.deepEqual(diff.removed, [{ name: "Cube", type: "MESH" }]);
+    assert.deepEqual(diff.materials, [{ name: "Sphere", from: [], to: ["Red"] }]);
+    assert.deepEqual(diff.modifiers, [{ name: "Sphere", added: [bevel], removed: [] }]);
+    assert.equal(diff.changeCount, 4);
+  });
+
+  test("matches objects by uid across renames", () => {
+    const diff = diffSceneStates(scene(object("Cube", { uid: 7 })), scene(object("Box", { uid: 7, data: "Other" })));
+    assert.deepEqual(diff.renamed, [{ from: "Cube", to: "Box" }]);
+    assert.deepEqual(diff.added, []);
+  });
+
+  test("matches a renamed object without uid by its data block", () => {
+    const diff = diffSceneStates(scene(object("Cube")), scene(object("Box", { data: "CubeMesh" })));
+    assert.deepEqual(diff.renamed, [{ from: "Cube", to: "Box" }]);
+    assert.equal(diff.changeCount, 1);
+  });
+
+  test("treats the same name with another uid as a replacement", () => {
+    const diff = diffSceneStates(scene(object("Cube", { uid: 1 })), scene(object("Cube", { uid: 2 })));
+    assert.equal(diff.added.length, 1);
+    assert.equal(diff.removed.length, 1);
+  });
+
+  test("reports transform, material slot and modifier changes", () => {
+    const diff = diffSceneStates(
+      scene(object("Cube", { materials: ["Red"], modifiers: [{ name: "Bevel", type: "BEVEL" }] })),
+      scene(object("Cube", { location: [1, 0, 0], scale: [2, 2, 2], materials: ["Blue"], modifiers: [{ name: "Array", type: "ARRAY" }] }))
+    );
+    assert.deepEqual(diff.transformed, [{ name: "Cube", location: { from: [0, 0, 0], to: [1, 0, 0] }, scale: { from: [1, 1, 1], to: [2, 2, 2] } }]);
+    assert.deepEqual(diff.materials, [{ name: "Cube", from: ["Red"], to: ["Blue"] }]);
+    assert.deepEqual(diff.modifiers, [{ name: "Cube", added: [{ name: "Array", type: "ARRAY" }], removed: [{ name: "Bevel", type: "BEVEL" }] }]);
+    assert.equal(diff.changeCount, 3);
+  });
+});
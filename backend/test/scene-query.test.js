@@ -0,0 +1,50 @@
+// Scene query validation (utils/scene-query.js)
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseSceneQuery } from "../utils/scene-query.js";
+
+describe("parseSceneQuery", () => {
+  test("fills in defaults", () => {
+    assert.deepEqual(parseSceneQuery({}), {
+      valid: true,
+      errors: [],
+      query: { type: null, collection: null, name: null, material: null, fields: [], offset: 0, limit: 50 },
+    });
+  });
+
+  test("parses query string values", () => {
+    const { valid, query } = parseSceneQuery({
+      type: " mesh ",
+      name: "Cube*",
+      material: "",
+      fields: "scale, materials,scale",
+      offset: "20",
+      limit: "10",
+    });
+    assert.equal(valid, true);
+    assert.deepEqual(query, { type: "MESH", collection: null, name: "Cube*", material: null, fields: ["scale", "materials"], offset: 20, limit: 10 });
+  });
+
+  test("accepts fields as an array", () => {
+    assert.deepEqual(parseSceneQuery({ fields: ["parent", "modifiers"] }).query.fields, ["parent", "modifiers"]);
+  });
+
+  test("rejects bad offsets and limits", () => {
+    assert.deepEqual(parseSceneQuery({ offset: -1, limit: 0 }).errors, [
+      "offset must be a non-negative integer",
+      "limit must be an integer between 1 and 500",
+    ]);
+    assert.equal(parseSceneQuery({ offset: "1.5" }).valid, false);
+    assert.equal(parseSceneQuery({ limit: "abc" }).valid, false);
+    assert.equal(parseSceneQuery({ limit: 501 }).valid, false);
+    assert.equal(parseSceneQuery({ limit: 500 }).valid, true);
+  });
+
+  test("rejects unknown fields and non-string filters", () => {
+    const { valid, errors, query } = parseSceneQuery({ fields: "scale,vertices", type: 3 });
+    assert.equal(valid, false);
+    assert.equal(query, null);
+    assert.match(errors[0], /^Unknown fields: vertices \(allowed: /);
+    assert.equal(errors[1], "type must be a string");
+  });
+});
@@ -0,0 +1,80 @@
+// Blender bridge session recording and replay (integrations/session-recorder.js)
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createSessionRecorder, createSessionReplayer } from "../integrations/session-recorder.js";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-recorder-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function recordSession(name, calls) {
+  const recorder = createSessionRecorder(path.join(dir, name));
+  for (const [type, params, send] of calls) {
+    await recorder.record("default", type, params, send).catch(() => {});
+  }
+  await recorder.close();
+  return recorder.filePath;
+}
+
+describe("createSessionRecorder", () => {
+  test("appends a session header and one line per command", async () => {
+    const filePath = await recordSession("lines.ndjson", [
+      ["get_scene_info", {}, async () => ({ objects: 1 })],
+      ["execute_code", { code: "boom" }, async () => { throw new Error("NameError"); }],
+    ]);
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((line) => [line.kind, line.seq, line.type, line.status]), [
+      ["session", undefined, undefined, undefined],
+      ["command", 1, "get_scene_info", "success"],
+      ["command", 2, "execute_code", "error"],
+    ]);
+    assert.deepEqual(lines[1].result, { objects: 1 });
+    assert.equal(lines[2].error, "NameError");
+  });
+
+  test("passes results and errors through", async () => {
+    const recorder = createSessionRecorder(path.join(dir, "passthrough.ndjson"));
+    assert.deepEqual(await recorder.record("default", "get_scene_info", {}, async () => ({ ok: true })), { ok: true });
+    await assert.rejects(recorder.record("default", "execute_code", {}, async () => { throw new Error("failed"); }), /failed/);
+    await recorder.close();
+  });
+});
+
+describe("createSessionReplayer", () => {
+  test("serves responses per command type in recorded order, including errors", async () => {
+    const filePath = await recordSession("replay.ndjson", [
+      ["get_scene_info", {}, async () => ({ objects: 1 })],
+      ["execute_code", { code: "x" }, async () => { throw new Error("NameError"); }],
+      ["get_scene_info", {}, async () => ({ objects: 2 })],
+    ]);
+    const replayer = createSessionReplayer(filePath);
+    assert.equal(replayer.remaining(), 3);
+    assert.deepEqual(await replayer.sendCommand("get_scene_info"), { objects: 1 });
+    assert.deepEqual(await replayer.sendCommand("get_scene_info", {}), { objects: 2 });
+    // Differing params are served anyway
+    await assert.rejects(replayer.sendCommand("execute_code", { code: "y" }), /NameError/);
+    await assert.rejects(replayer.sendCommand("get_scene_info"), /no recorded response left for get_scene_info/);
+    assert.equal(replayer.remaining(), 0);
+  });
+
+  test("recreates recorded screenshots at the requested path", async () => {
+    const shot = path.join(dir, "shot.png");
+    fs.writeFileSync(shot, "png bytes");
+    const filePath = await recordSession("screenshot.ndjson", [
+      ["get_viewport_screenshot", { filepath: shot }, async () => ({ filepath: shot, width: 800 })],
+    ]);
+    const target = path.join(dir, "replayed.png");
+    const result = await createSessionReplayer(filePath).sendCommand("get_viewport_screenshot", { filepath: target });
+    assert.deepEqual(result, { filepath: target, width: 800 });
+    assert.equal(fs.readFileSync(target, "utf8"), "png bytes");
+  });
+});
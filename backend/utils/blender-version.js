@@ -0,0 +1,66 @@
+/*
+ * blender-version.js
+ *
+ * The Blender API version an agent run targets: the version chosen for the
+ * conversation, otherwise the version of the connected Blender (addon.py
+ * get_blender_version). runWithBlenderVersion binds it for the run, so knowledge
+ * base retrieval (utils/knowledge-search.js) and the static code check
+ * (utils/python-analyzer.js) use the docs of that version.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const versionContext = new AsyncLocalStorage();
+
+/**
+ * "major.minor" of a version string ("4.2.3 LTS" -> "4.2")
+ * @param {string|number|null} value - Version
+ * @returns {string|null} - null if the value is not a version
+ */
+export function normalizeBlenderVersion(value) {
+  const match = /^(\d+)\.(\d+)/.exec(String(value ?? "").trim());
+  return match ? `${Number(match[1])}.${Number(match[2])}` : null;
+}
+
+/**
+ * Sort comparator for "major.minor" versions, oldest first
+ */
+export function compareBlenderVersions(a, b) {
+  const [aMajor, aMinor] = a.split(".").map(Number);
+  const [bMajor, bMinor] = b.split(".").map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * The available version to use for a requested one: the same version, else the
+ * newest older one, else the oldest newer one. Without a request, the newest.
+ * @param {string|null} requested - "major.minor"
+ * @param {Array<string>} available - "major.minor" versions
+ * @returns {string|null} - null if nothing is available
+ */
+export function pickClosestVersion(requested, available) {
+  const sorted = [...new Set(available.map(normalizeBlenderVersion).filter(Boolean))].sort(compareBlenderVersions);
+  if (sorted.length === 0) return null;
+  const target = normalizeBlenderVersion(requested);
+  if (!target) return sorted[sorted.length - 1];
+  const older = sorted.filter((version) => compareBlenderVersions(version, target) <= 0);
+  return older.length > 0 ? older[older.length - 1] : sorted[0];
+}
+
+/**
+ * Run fn with getBlenderVersion() returning the given version (including inside agent tools)
+ * @param {string|null} version - Target Blender version; null when unknown
+ * @param {Function} fn - Work to run
+ * @returns {any} - Whatever fn returns
+ */
+export function runWithBlenderVersion(version, fn) {
+  return versionContext.run(normalizeBlenderVersion(version), fn);
+}
+
+/**
+ * Target Blender version of the current run
+ * @returns {string|null} - "major.minor", null outside a run or when unknown
+ */
+export function getBlenderVersion() {
+  return versionContext.getStore() ?? null;
+}
@@ -0,0 +1,100 @@
+/*
+ * budget.js
+ *
+ * Per-generation budget: token, cost and wall-clock limits for one agent run.
+ * Token and cost usage is read from the run's LLM usage tracker (llm-usage.js);
+ * the agent graph calls check() before each LLM or tool step and stops the run
+ * with a partial summary when a limit is reached. A resumed run starts from the
+ * usage of the runs it continues, so resuming does not reset the budget.
+ */
+
+const LIMIT_LABELS = {
+  tokens: "token budget",
+  cost: "cost budget",
+  time: "time limit",
+};
+
+function positiveOrNull(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Normalize budget limits (missing, zero or invalid values mean "no limit")
+ * @param {Object} [limits]
+ * @param {number} [limits.maxTokens] - Max prompt + completion tokens
+ * @param {number} [limits.maxCostUsd] - Max LLM cost in USD
+ * @param {number} [limits.maxDurationMs] - Max wall-clock time in milliseconds
+ * @returns {{ maxTokens: number|null, maxCostUsd: number|null, maxDurationMs: number|null }}
+ */
+export function normalizeBudget(limits = {}) {
+  return {
+    maxTokens: positiveOrNull(limits?.maxTokens),
+    maxCostUsd: positiveOrNull(limits?.maxCostUsd),
+    maxDurationMs: positiveOrNull(limits?.maxDurationMs),
+  };
+}
+
+/**
+ * Add up budget usage
+ * @param {...Object} usages - { tokens, costUsd, elapsedMs }, missing ones are skipped
+ * @returns {{ tokens: number, costUsd: number, elapsedMs: number }}
+ */
+export function addBudgetUsage(...usages) {
+  const total = { tokens: 0, costUsd: 0, elapsedMs: 0 };
+  for (const usage of usages) {
+    total.tokens += Number(usage?.tokens) || 0;
+    total.costUsd += Number(usage?.costUsd) || 0;
+    total.elapsedMs += Number(usage?.elapsedMs) || 0;
+  }
+  total.costUsd = Number(total.costUsd.toFixed(6));
+  return total;
+}
+
+/**
+ * Create a budget for one run
+ * @param {Object} limits - See normalizeBudget
+ * @param {Object} tracker - LLM usage tracker of the run (totals are read live)
+ * @param {Object} [previousUsage] - Usage of the earlier runs a resumed run continues
+ * @returns {Object} - Budget API
+ */
+export function createBudget(limits, tracker, previousUsage = null) {
+  const { maxTokens, maxCostUsd, maxDurationMs } = normalizeBudget(limits);
+  const startedAt = Date.now();
+  // The tracker may already hold usage from before this run
+  const baseTokens = tracker?.totals.totalTokens || 0;
+  const baseCostUsd = tracker?.totals.costUsd || 0;
+  let exceeded = null;
+
+  function usage() {
+    return addBudgetUsage(previousUsage, {
+      tokens: (tracker?.totals.totalTokens || 0) - baseTokens,
+      costUsd: (tracker?.totals.costUsd || 0) - baseCostUsd,
+      elapsedMs: Date.now() - startedAt,
+    });
+  }
+
+  /**
+   * Check every limit; the first limit hit is remembered for the rest of the run
+   * @returns {Object|null} - { limit, label, used, max } when a limit is reached
+   */
+  function check() {
+    if (exceeded) return exceeded;
+    const used = usage();
+    if (maxTokens != null && used.tokens >= maxTokens) {
+      exceeded = { limit: "tokens", label: LIMIT_LABELS.tokens, used: used.tokens, max: maxTokens };
+    } else if (maxCostUsd != null && used.costUsd >= maxCostUsd) {
+      exceeded = { limit: "cost", label: LIMIT_LABELS.cost, used: used.costUsd, max: maxCostUsd };
+    } else if (maxDurationMs != null && used.elapsedMs >= maxDurationMs) {
+      exceeded = { limit: "time", label: LIMIT_LABELS.time, used: used.elapsedMs, max: maxDurationMs };
+    }
+    return exceeded;
+  }
+
+  return {
+    limits: { maxTokens, maxCostUsd, maxDurationMs },
+    check,
+    usage,
+    report: () => ({ limits: { maxTokens, maxCostUsd, maxDurationMs }, usage: usage(), exceeded }),
+  };
+}
@@ -0,0 +1,140 @@
+/*
+ * checkpointer.js
+ *
+ * Postgres-backed LangGraph checkpoint saver.
+ * The agent graph saves its state after every node into agent_checkpoints,
+ * with the run id as thread id, so a crashed or stopped run can be inspected
+ * and resumed from its last good node.
+ */
+
+import { BaseCheckpointSaver, WRITES_IDX_MAP, TASKS, copyCheckpoint, getCheckpointId } from "@langchain/langgraph-checkpoint";
+import {
+  putAgentCheckpoint,
+  listAgentCheckpoints,
+  putAgentCheckpointWrites,
+  getAgentCheckpointWrites,
+  deleteAgentCheckpoints,
+} from "../db.js";
+
+export class PostgresCheckpointSaver extends BaseCheckpointSaver {
+  /**
+   * Build a checkpoint tuple from an agent_checkpoints row
+   * @param {Object} row - Raw row
+   * @returns {Promise<Object>} CheckpointTuple
+   */
+  async _toTuple(row) {
+    const { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpointId, parent_checkpoint_id: parentId } = row;
+    const checkpoint = await this.serde.loadsTyped(row.type, row.checkpoint);
+    const writes = await getAgentCheckpointWrites(threadId, checkpointNs, checkpointId);
+
+    // Checkpoints older than v4 kept pending sends as writes on their parent
+    if (checkpoint.v < 4 && parentId) {
+      const parentWrites = await getAgentCheckpointWrites(threadId, checkpointNs, parentId);
+      checkpoint.channel_values ??= {};
+      checkpoint.channel_values[TASKS] = await Promise.all(
+        parentWrites.filter((write) => write.channel === TASKS).map((write) => this.serde.loadsTyped(write.type, write.value))
+      );
+    }
+
+    const tuple = {
+      config: { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpointId } },
+      checkpoint,
+      metadata: await this.serde.loadsTyped(row.type, row.metadata),
+      pendingWrites: await Promise.all(
+        writes.map(async (write) => [write.task_id, write.channel, await this.serde.loadsTyped(write.type, write.value)])
+      ),
+    };
+    if (parentId) {
+      tuple.parentConfig = { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: parentId } };
+    }
+    return tuple;
+  }
+
+  async getTuple(config) {
+    const threadId = config.configurable?.thread_id;
+    if (!threadId) return undefined;
+    const [row] = await listAgentCheckpoints(threadId, {
+      checkpointNs: config.configurable?.checkpoint_ns ?? "",
+      checkpointId: getCheckpointId(config) || undefined,
+      limit: 1,
+    });
+    return row ? this._toTuple(row) : undefined;
+  }
+
+  async *list(config, options = {}) {
+    const { before, limit, filter } = options;
+    const threadId = config.configurable?.thread_id;
+    if (!threadId) return;
+    const rows = await listAgentCheckpoints(threadId, {
+      checkpointNs: config.configurable?.checkpoint_ns,
+      checkpointId: config.configurable?.checkpoint_id,
+      before: before?.configurable?.checkpoint_id,
+      // Metadata filters are applied after deserializing, so they cannot be limited in SQL
+      limit: filter ? undefined : limit,
+    });
+
+    let remaining = limit;
+    for (const row of rows) {
+      const tuple = await this._toTuple(row);
+      if (filter && !Object.entries(filter).every(([key, value]) => tuple.metadata?.[key] === value)) continue;
+      if (remaining !== undefined) {
+        if (remaining <= 0) break;
+        remaining -= 1;
+      }
+      yield tuple;
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointNs = config.configurable?.checkpoint_ns ?? "";
+    if (!threadId) {
+      throw new Error(`Failed to put checkpoint. The passed RunnableConfig is missing a required "thread_id" field in its "configurable" property.`);
+    }
+    const [[type, serializedCheckpoint], [, serializedMetadata]] = await Promise.all([
+      this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+      this.serde.dumpsTyped(metadata),
+    ]);
+    await putAgentCheckpoint({
+      threadId,
+      checkpointNs,
+      checkpointId: checkpoint.id,
+      parentCheckpointId: config.configurable?.checkpoint_id || null,
+      type,
+      checkpoint: serializedCheckpoint,
+      metadata: serializedMetadata,
+    });
+    return { configurable: { thread_id: threadId, checkpoint_ns: checkpointNs, checkpoint_id: checkpoint.id } };
+  }
+
+  async putWrites(config, writes, taskId) {
+    const threadId = config.configurable?.thread_id;
+    const checkpointId = config.configurable?.checkpoint_id;
+    if (!threadId || !checkpointId) {
+      throw new Error(`Failed to put writes. The passed RunnableConfig is missing a required "thread_id" or "checkpoint_id" field in its "configurable" property.`);
+    }
+    const rows = await Promise.all(
+      writes.map(async ([channel, value], idx) => {
+        const [type, serialized] = await this.serde.dumpsTyped(value);
+        return {
+          threadId,
+          checkpointNs: config.configurable?.checkpoint_ns ?? "",
+          checkpointId,
+          taskId,
+          idx: WRITES_IDX_MAP[channel] ?? idx,
+          channel,
+          type,
+          value: serialized,
+        };
+      })
+    );
+    await putAgentCheckpointWrites(rows);
+  }
+
+  async deleteThread(threadId) {
+    await deleteAgentCheckpoints(threadId);
+  }
+}
+
+// Shared saver for the agent graph
+export const agentCheckpointer = new PostgresCheckpointSaver();
@@ -0,0 +1,190 @@
+/*
+ * code-policy.js
+ *
+ * Confirmation policy for Blender code run by execute_blender_code.
+ * Generated code is classified as read_only, additive, modifying or destructive;
+ * the policy maps each category (and specific destructive rules such as deleting
+ * objects, writing files or changing preferences) to "allow", "confirm" or "block".
+ * Policies are layered: defaults (CODE_POLICY env) <- user <- conversation.
+ * The policy and the user's decisions for the current run are bound to the async
+ * context of the agent run, like the usage tracker in llm-usage.js.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+export const CODE_CATEGORIES = ["read_only", "additive", "modifying", "destructive"];
+export const POLICY_ACTIONS = ["allow", "confirm", "block"];
+
+// Checked line by line (comments stripped); the strictest category found wins
+const CODE_RULES = [
+  // destructive
+  { id: "delete_objects", category: "destructive", description: "deletes objects from the scene", pattern: /\bbpy\.ops\.(object|outliner)\.delete\s*\(/ },
+  { id: "delete_objects", category: "destructive", description: "removes data blocks", pattern: /\bbpy\.data\.\w+\.remove\s*\(/ },
+  { id: "delete_objects", category: "destructive", description: "unlinks objects from a collection", pattern: /\.objects\.unlink\s*\(/ },
+  { id: "delete_objects", category: "destructive", description: "resets the scene", pattern: /\bbpy\.ops\.wm\.(read_homefile|read_factory_settings)\s*\(/ },
+  { id: "file_write", category: "destructive", description: "saves or overwrites the .blend file", pattern: /\bbpy\.ops\.wm\.(save_mainfile|save_as_mainfile)\s*\(/ },
+  { id: "file_write", category: "destructive", description: "exports to a file", pattern: /\bbpy\.ops\.export_\w+\.\w+\s*\(/ },
+  { id: "file_write", category: "destructive", description: "writes files on disk", pattern: /\bopen\s*\([^)]*['"][wax]b?\+?['"]|\.(save|save_render)\s*\(\s*(filepath\s*=|['"])/ },
+  { id: "file_write", category: "destructive", description: "deletes or moves files on disk", pattern: /\bos\.(remove|unlink|rename|replace|rmdir|removedirs)\s*\(|\bshutil\.\w+\s*\(/ },
+  { id: "preferences", category: "destructive", description: "changes Blender preferences", pattern: /\bbpy\.context\.preferences\b|\bbpy\.ops\.preferences\.\w+\s*\(|\bbpy\.ops\.wm\.save_userpref\s*\(/ },
+  // modifying
+  { id: "edit_existing", category: "modifying", description: "edits existing objects", pattern: /\bbpy\.data\.objects\s*(\[|\.get\s*\()|\bbpy\.context\.selected_objects\b/ },
+  { id: "transform", category: "modifying", description: "transforms objects", pattern: /\bbpy\.ops\.transform\.\w+\s*\(/ },
+  { id: "apply_changes", category: "modifying", description: "applies or merges geometry", pattern: /\bbpy\.ops\.object\.(modifier_apply|join|convert|transform_apply|origin_set|shade_smooth|shade_flat)\s*\(|\bbpy\.ops\.mesh\.(?!primitive_)\w+\s*\(/ },
+  { id: "scene_settings", category: "modifying", description: "changes scene settings", pattern: /\bbpy\.context\.scene\.(render|world|camera|unit_settings|frame_start|frame_end|frame_current)\b[^=\n]*=(?!=)/ },
+  // additive
+  { id: "add_objects", category: "additive", description: "adds objects", pattern: /\bbpy\.ops\.\w+\.\w*_add\s*\(|\.objects\.link\s*\(|\bbpy\.ops\.import_\w+\.\w+\s*\(/ },
+  { id: "add_data", category: "additive", description: "creates data blocks", pattern: /\bbpy\.data\.\w+\.new\s*\(/ },
+  { id: "animate", category: "additive", description: "inserts keyframes", pattern: /\.keyframe_insert\s*\(/ },
+];
+
+const DEFAULT_CODE_POLICY = {
+  categories: { read_only: "allow", additive: "allow", modifying: "allow", destructive: "confirm" },
+  rules: { delete_objects: "confirm", file_write: "confirm", preferences: "block" },
+};
+
+const RULE_IDS = [...new Set(CODE_RULES.map((rule) => rule.id))];
+const ACTION_RANK = { allow: 0, confirm: 1, block: 2 };
+const CATEGORY_RANK = { read_only: 0, additive: 1, modifying: 2, destructive: 3 };
+
+const policyContext = new AsyncLocalStorage();
+
+/**
+ * Validate a policy layer (any subset of categories and rules)
+ * @param {Object} policy - { categories: { [category]: action }, rules: { [ruleId]: action } }
+ * @returns {{ valid: boolean, errors: Array<string>, policy: Object|null }}
+ */
+export function validateCodePolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return { valid: false, errors: ["Policy must be an object with categories and/or rules"], policy: null };
+  }
+  const normalized = { categories: {}, rules: {} };
+  const check = (group, allowedKeys, label) => {
+    const entries = policy[group] ?? {};
+    if (typeof entries !== "object" || Array.isArray(entries)) {
+      errors.push(`${group} must be an object`);
+      return;
+    }
+    for (const [key, action] of Object.entries(entries)) {
+      if (!allowedKeys.includes(key)) errors.push(`Unknown ${label} "${key}" (allowed: ${allowedKeys.join(", ")})`);
+      else if (!POLICY_ACTIONS.includes(action)) errors.push(`${key}: action must be one of ${POLICY_ACTIONS.join(", ")}`);
+      else normalized[group][key] = action;
+    }
+  };
+  check("categories", CODE_CATEGORIES, "category");
+  check("rules", RULE_IDS, "rule");
+
+  if (errors.length > 0) return { valid: false, errors, policy: null };
+  return { valid: true, errors, policy: normalized };
+}
+
+function loadDefaultPolicy() {
+  if (!process.env.CODE_POLICY) return DEFAULT_CODE_POLICY;
+  try {
+    const { valid, errors, policy } = validateCodePolicy(JSON.parse(process.env.CODE_POLICY));
+    if (!valid) throw new Error(errors.join("; "));
+    return mergeCodePolicies(DEFAULT_CODE_POLICY, policy);
+  } catch (e) {
+    console.warn("[code-policy] Failed to parse CODE_POLICY env, using defaults:", e?.message || e);
+    return DEFAULT_CODE_POLICY;
+  }
+}
+
+function mergeCodePolicies(...layers) {
+  return layers.filter(Boolean).reduce(
+    (merged, layer) => ({
+      categories: { ...merged.categories, ...(layer.categories || {}) },
+      rules: { ...merged.rules, ...(layer.rules || {}) },
+    }),
+    { categories: {}, rules: {} }
+  );
+}
+
+const BASE_POLICY = loadDefaultPolicy();
+
+/**
+ * Effective policy: defaults, then the user's overrides, then the conversation's
+ * @param {...Object|null} layers - Stored policy layers, least specific first
+ * @returns {{ categories: Object, rules: Object }}
+ */
+export function resolveCodePolicy(...layers) {
+  return mergeCodePolicies(BASE_POLICY, ...layers);
+}
+
+/**
+ * Stable id for a piece of code, used to remember the user's decision about it
+ * @param {string} code - Code as it will run
+ * @returns {string}
+ */
+export function hashCode(code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Classify Blender Python code by what it does to the scene
+ * @param {string} code - Code to classify
+ * @returns {{ category: string, findings: Array<{ rule: string, category: string, description: string, line: number, snippet: string }> }}
+ */
+export function classifyBlenderCode(code) {
+  const findings = [];
+  String(code || "").split("\n").forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, "");
+    if (!line.trim()) return;
+    for (const rule of CODE_RULES) {
+      if (rule.pattern.test(line)) {
+        findings.push({ rule: rule.id, category: rule.category, description: rule.description, line: index + 1, snippet: rawLine.trim().slice(0, 200) });
+      }
+    }
+  });
+  const category = findings.reduce(
+    (worst, finding) => (CATEGORY_RANK[finding.category] > CATEGORY_RANK[worst] ? finding.category : worst),
+    "read_only"
+  );
+  return { category, findings };
+}
+
+/**
+ * Decide whether code may run under a policy
+ * @param {string} code - Code as it will run
+ * @param {Object} policy - Effective policy (resolveCodePolicy)
+ * @returns {{ action: string, category: string, findings: Array<Object>, codeHash: string }}
+ *   findings only lists what triggered a "confirm" or "block"
+ */
+export function evaluateCodePolicy(code, policy = BASE_POLICY) {
+  const { category, findings } = classifyBlenderCode(code);
+  const actionFor = (finding) => policy.rules?.[finding.rule] ?? policy.categories?.[finding.category] ?? "allow";
+
+  let action = policy.categories?.[category] ?? "allow";
+  const flagged = [];
+  for (const finding of findings) {
+    const findingAction = actionFor(finding);
+    if (findingAction !== "allow") flagged.push({ ...finding, action: findingAction });
+    if (ACTION_RANK[findingAction] > ACTION_RANK[action]) action = findingAction;
+  }
+  return { action, category, findings: flagged, codeHash: hashCode(code) };
+}
+
+/**
+ * Run fn with a code policy and the user's decisions bound to the current async context
+ * @param {Object} context
+ * @param {Object} context.policy - Effective policy
+ * @param {Object} [context.decisions] - { [codeHash]: "approved" | "declined" }
+ * @param {Function} fn - Sync or async function
+ * @returns {*} - Whatever fn returns
+ */
+export function runWithCodePolicy({ policy, decisions = {} }, fn) {
+  return policyContext.run({ policy, decisions }, fn);
+}
+
+/**
+ * Policy review of code in the current context (defaults outside an agent run)
+ * @param {string} code - Code as it will run
+ * @returns {{ action: string, category: string, findings: Array<Object>, codeHash: string, decision: string|null }}
+ */
+export function reviewBlenderCode(code) {
+  const context = policyContext.getStore();
+  const review = evaluateCodePolicy(code, context?.policy || BASE_POLICY);
+  return { ...review, decision: context?.decisions?.[review.codeHash] || null };
+}
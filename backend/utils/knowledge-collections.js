@@ -0,0 +1,347 @@
+/*
+ * knowledge-collections.js
+ *
+ * Private knowledge collections: studio conventions, rig docs, in-house add-on
+ * APIs uploaded by a user or a team. Markdown, HTML, PDF and plain text uploads
+ * are converted to text, split into heading-scoped chunks and embedded with the
+ * same local model as the Blender docs (utils/knowledge-search.js), which
+ * searches them alongside the docs for every collection the user can read.
+ *
+ * A document's extracted text is kept, so a collection can be re-indexed (after
+ * a chunking or model change) without uploading it again; re-uploading a
+ * document under the same name replaces it, and unchanged uploads are skipped.
+ */
+
+import crypto from "crypto";
+import * as cheerio from "cheerio";
+import pgvector from "pgvector/pg";
+import { getKnowledgeDocumentHash, saveKnowledgeDocument, listKnowledgeDocumentTexts } from "../db.js";
+import { EMBEDDING_MODEL_NAME, embedQuery } from "./knowledge-search.js";
+import logger from "./logger.js";
+
+export const DOCUMENT_FORMATS = ["markdown", "html", "pdf", "text"];
+
+const MAX_DOCUMENT_BYTES = Math.max(1, Number(process.env.KNOWLEDGE_MAX_DOCUMENT_MB || 10)) * 1024 * 1024;
+const MAX_DOCUMENTS_PER_UPLOAD = 20;
+const MAX_CHUNKS_PER_DOCUMENT = 2000;
+// Same budget as the Blender docs chunks (scripts/embed_docs.js)
+const CHUNK_MAX_LENGTH = 2000;
+
+const EXTENSION_FORMATS = {
+  md: "markdown",
+  markdown: "markdown",
+  html: "html",
+  htm: "html",
+  pdf: "pdf",
+  txt: "text",
+  text: "text",
+  rst: "text",
+  py: "text",
+};
+
+const MIME_FORMATS = {
+  "text/markdown": "markdown",
+  "text/x-markdown": "markdown",
+  "text/html": "html",
+  "application/xhtml+xml": "html",
+  "application/pdf": "pdf",
+  "text/plain": "text",
+};
+
+/**
+ * Format of an upload, from its explicit format, MIME type or file extension
+ * @param {{ name: string, format?: string, mimeType?: string }} document
+ * @returns {string|null} - One of DOCUMENT_FORMATS
+ */
+export function detectDocumentFormat({ name, format, mimeType }) {
+  if (DOCUMENT_FORMATS.includes(format)) return format;
+  const mime = String(mimeType || "").split(";")[0].trim().toLowerCase();
+  if (MIME_FORMATS[mime]) return MIME_FORMATS[mime];
+  const extension = /\.([a-z0-9]+)$/i.exec(name || "")?.[1]?.toLowerCase();
+  return EXTENSION_FORMATS[extension] || (mime.startsWith("text/") ? "text" : null);
+}
+
+/**
+ * Validate uploaded documents. Each is { name, content } with the text inline, or
+ * { name, dataUrl } (base64, required for PDFs); format and mimeType are optional.
+ * @param {Array<Object>} documents - Request body documents
+ * @returns {{ valid: boolean, errors: Array<string>, documents: Array<{ name: string, format: string, buffer: Buffer }> }}
+ */
+export function parseDocumentUploads(documents) {
+  const errors = [];
+  const parsed = [];
+  if (!Array.isArray(documents) || documents.length === 0) {
+    return { valid: false, errors: ["documents must be a non-empty array"], documents: [] };
+  }
+  if (documents.length > MAX_DOCUMENTS_PER_UPLOAD) {
+    return { valid: false, errors: [`At most ${MAX_DOCUMENTS_PER_UPLOAD} documents per upload`], documents: [] };
+  }
+  const names = new Set();
+  documents.forEach((document, i) => {
+    const label = `documents[${i}]`;
+    const name = typeof document?.name === "string" ? document.name.trim() : "";
+    if (!name || name.length > 255) return errors.push(`${label}.name must be 1-255 characters`);
+    if (names.has(name)) return errors.push(`${label}.name "${name}" appears twice`);
+    names.add(name);
+
+    const format = detectDocumentFormat({ name, format: document.format, mimeType: document.mimeType });
+    if (!format) return errors.push(`${label}: unsupported format (use ${DOCUMENT_FORMATS.join(", ")})`);
+
+    let buffer;
+    if (typeof document.content === "string") {
+      if (format === "pdf") return errors.push(`${label}: PDFs must be sent as a base64 dataUrl`);
+      buffer = Buffer.from(document.content, "utf8");
+    } else if (typeof document.dataUrl === "string") {
+      const base64 = document.dataUrl.includes(",") ? document.dataUrl.slice(document.dataUrl.indexOf(",") + 1) : document.dataUrl;
+      buffer = Buffer.from(base64, "base64");
+    } else {
+      return errors.push(`${label}: content or dataUrl is required`);
+    }
+    if (buffer.length === 0) return errors.push(`${label} is empty`);
+    if (buffer.length > MAX_DOCUMENT_BYTES) return errors.push(`${label} exceeds ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`);
+    parsed.push({ name, format, buffer });
+  });
+  return { valid: errors.length === 0, errors, documents: parsed };
+}
+
+// --- Text extraction ---
+
+const collapse = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * Markdown-like text of an HTML page: headings become "#" lines, code blocks are
+ * fenced, everything else becomes paragraphs
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $("script, style, noscript, nav, header, footer, svg, iframe").remove();
+  const blockSelector = "h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dt, dd, td, th, figcaption";
+  const blocks = [];
+  $("body").find(blockSelector).each((_, element) => {
+    const node = $(element);
+    // Nested blocks (a <p> inside an <li>) are part of their outermost block
+    if (node.parents(blockSelector).length > 0) return;
+    const tag = element.tagName.toLowerCase();
+    if (/^h[1-6]$/.test(tag)) {
+      const heading = collapse(node.text());
+      if (heading) blocks.push(`${"#".repeat(Number(tag[1]))} ${heading}`);
+    } else if (tag === "pre") {
+      const code = node.text().replace(/\s+$/, "");
+      if (code.trim()) blocks.push("```\n" + code + "\n```");
+    } else {
+      const text = collapse(node.text());
+      if (text) blocks.push(tag === "li" ? `- ${text}` : text);
+    }
+  });
+  if (blocks.length === 0) {
+    const text = collapse($("body").text() || $.root().text());
+    if (text) blocks.push(text);
+  }
+  return blocks.join("\n\n");
+}
+
+async function pdfToText(buffer) {
+  // Loaded on first use: pdf.js is large and most servers never see a PDF
+  const { PDFParse } = await import("pdf-parse");
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText({ pageJoiner: "" });
+    return result.pages.map((page) => page.text.trim()).filter(Boolean).join("\n\n");
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+/**
+ * Text of an uploaded document; Markdown and HTML keep their headings as "#" lines
+ * @param {Buffer} buffer - Upload
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @returns {Promise<string>}
+ */
+export async function extractDocumentText(buffer, format) {
+  let text;
+  if (format === "pdf") {
+    text = await pdfToText(buffer);
+  } else if (format === "html") {
+    text = htmlToText(buffer.toString("utf8"));
+  } else {
+    text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  }
+  return text.replace(/\r\n?/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// --- Chunking ---
+
+/**
+ * Paragraphs grouped under their heading path. Headings are only read from
+ * Markdown and HTML; fenced code stays one paragraph.
+ * @param {string} text - Extracted text
+ * @param {boolean} withHeadings - Treat "#" lines as headings
+ * @returns {Array<{ headings: Array<string>, paragraphs: Array<string> }>}
+ */
+function splitSections(text, withHeadings) {
+  const sections = [{ headings: [], paragraphs: [] }];
+  let headings = [];
+  let paragraph = [];
+  let fence = null;
+  const flush = () => {
+    const content = paragraph.join("\n").trim();
+    if (content) sections[sections.length - 1].paragraphs.push(content);
+    paragraph = [];
+  };
+  for (const line of text.split("\n")) {
+    const fenceMatch = /^\s*(```|~~~)/.exec(line);
+    if (fence) {
+      paragraph.push(line);
+      if (fenceMatch && fenceMatch[1] === fence) {
+        fence = null;
+        flush();
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      paragraph.push(line);
+      continue;
+    }
+    const heading = withHeadings ? /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line) : null;
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings = [...headings.slice(0, level - 1), heading[2]];
+      while (headings.length < level) headings.unshift("");
+      sections.push({ headings: headings.filter(Boolean), paragraphs: [] });
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return sections.filter((section) => section.paragraphs.length > 0);
+}
+
+// A paragraph longer than a chunk is cut at line, then sentence, then word boundaries
+function splitLongParagraph(paragraph, maxLength) {
+  if (paragraph.length <= maxLength) return [paragraph];
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength);
+    const cut = [window.lastIndexOf("\n"), window.lastIndexOf(". ") + 1, window.lastIndexOf(" ")]
+      .find((index) => index > maxLength / 2) ?? maxLength;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split a document into chunks of at most CHUNK_MAX_LENGTH characters. Each chunk
+ * starts with its title (document name and heading path) so it is understandable
+ * on its own in retrieval results.
+ * @param {string} text - Extracted text
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @param {string} documentName - Document name
+ * @returns {Array<{ title: string, content: string }>}
+ */
+export function chunkDocument(text, format, documentName) {
+  const chunks = [];
+  for (const { headings, paragraphs } of splitSections(text, format === "markdown" || format === "html")) {
+    const title = [documentName, ...headings].join(" > ");
+    const room = Math.max(200, CHUNK_MAX_LENGTH - title.length - 2);
+    let body = [];
+    let length = 0;
+    const emit = () => {
+      if (body.length > 0) chunks.push({ title, content: `${title}\n\n${body.join("\n\n")}` });
+      body = [];
+      length = 0;
+    };
+    for (const paragraph of paragraphs.flatMap((p) => splitLongParagraph(p, room))) {
+      if (length > 0 && length + paragraph.length + 2 > room) emit();
+      body.push(paragraph);
+      length += paragraph.length + 2;
+    }
+    emit();
+  }
+  return chunks;
+}
+
+// --- Indexing ---
+
+const documentHash = (format, text) =>
+  crypto.createHash("sha256").update(JSON.stringify([EMBEDDING_MODEL_NAME, format, text])).digest("hex");
+
+async function indexDocument({ collectionId, name, format, text, sizeBytes = null, uploadedBy = null }) {
+  const chunks = chunkDocument(text, format, name);
+  if (chunks.length === 0) throw new Error(`No text found in "${name}"`);
+  if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) {
+    throw new Error(`"${name}" is too long (${chunks.length} chunks, at most ${MAX_CHUNKS_PER_DOCUMENT})`);
+  }
+  const embedded = [];
+  for (const chunk of chunks) {
+    embedded.push({ ...chunk, embedding: pgvector.toSql(await embedQuery(chunk.content)) });
+  }
+  return saveKnowledgeDocument({
+    collectionId,
+    name,
+    format,
+    text,
+    contentHash: documentHash(format, text),
+    sizeBytes,
+    uploadedBy,
+    chunks: embedded,
+  });
+}
+
+/**
+ * Extract, chunk and embed uploaded documents into a collection, one at a time.
+ * A failing document does not stop the others.
+ * @param {string} collectionId - Collection ID
+ * @param {Array<{ name: string, format: string, buffer: Buffer }>} documents - From parseDocumentUploads
+ * @param {string} userId - Uploader
+ * @returns {Promise<Array<{ name: string, status: "indexed"|"unchanged"|"failed", document?: Object, error?: string }>>}
+ */
+export async function ingestDocuments(collectionId, documents, userId) {
+  const results = [];
+  for (const { name, format, buffer } of documents) {
+    try {
+      const text = await extractDocumentText(buffer, format);
+      if (await getKnowledgeDocumentHash(collectionId, name) === documentHash(format, text)) {
+        results.push({ name, status: "unchanged" });
+        continue;
+      }
+      const document = await indexDocument({ collectionId, name, format, text, sizeBytes: buffer.length, uploadedBy: userId });
+      logger.info("[RAG] Indexed collection document", { collectionId, name, format, chunks: document.chunkCount });
+      results.push({ name, status: "indexed", document });
+    } catch (error) {
+      logger.warn("[RAG] Failed to index collection document", { collectionId, name, error: error.message });
+      results.push({ name, status: "failed", error: error.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Re-chunk and re-embed every document of a collection from its stored text
+ * @param {string} collectionId - Collection ID
+ * @returns {Promise<{ documents: number, chunks: number, failed: Array<{ name: string, error: string }> }>}
+ */
+export async function reindexCollection(collectionId) {
+  const summary = { documents: 0, chunks: 0, failed: [] };
+  for (const { name, format, text } of await listKnowledgeDocumentTexts(collectionId)) {
+    try {
+      const document = await indexDocument({ collectionId, name, format, text });
+      summary.documents++;
+      summary.chunks += document.chunkCount;
+    } catch (error) {
+      summary.failed.push({ name, error: error.message });
+    }
+  }
+  logger.info("[RAG] Re-indexed collection", { collectionId, documents: summary.documents, chunks: summary.chunks, failed: summary.failed.length });
+  return summary;
+}
@@ -0,0 +1,400 @@
+/*
+ * knowledge-search.js
+ *
+ * Hybrid retrieval over the Blender docs knowledge base (blender_knowledge, or
+ * blender_knowledge_new after an embedding dimension change). Each query fetches
+ * two candidate lists:
+ *   - vector: pgvector cosine similarity on MiniLM embeddings
+ *   - lexical: Postgres full-text search on search_tsv, a tsvector of the chunk with
+ *     "." and "_" split out, so bpy.ops.mesh.primitive_torus_add is matched as an
+ *     exact phrase (the embeddings blur symbol names like this)
+ * The lists are fused with weighted reciprocal rank fusion, reranked with a boost
+ * for chunks containing a queried identifier verbatim, and near-duplicates are
+ * dropped by comparing MinHash signatures of word shingles. Every result carries
+ * its score breakdown; the weights can be tuned with RAG_* env variables.
+ *
+ * Chunks carry metadata from scripts/embed_docs.js (module path, symbol, kind,
+ * source URL, Blender version), and both lists can be limited to a symbol, a
+ * module or kinds of chunk. The knowledge base can hold several Blender versions;
+ * searches use the one closest to the run's target version (utils/blender-version.js).
+ *
+ * Private collections (utils/knowledge-collections.js) readable by the run's user
+ * (runWithKnowledgeUser) are searched alongside the docs: their candidates join the
+ * same vector and lexical lists, so they are ranked together with the docs.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import pgvector from "pgvector/pg";
+import { pool, listReadableCollectionIds } from "../db.js";
+import logger from "./logger.js";
+import { getBlenderVersion, pickClosestVersion } from "./blender-version.js";
+
+export const EMBEDDING_MODEL_NAME = "Xenova/all-MiniLM-L6-v2";
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== "" ? value : fallback;
+};
+
+const VECTOR_WEIGHT = envNumber("RAG_VECTOR_WEIGHT", 1);
+const LEXICAL_WEIGHT = envNumber("RAG_LEXICAL_WEIGHT", 1);
+const IDENTIFIER_BOOST = envNumber("RAG_IDENTIFIER_BOOST", 0.5);
+// Vector-only candidates below this similarity are dropped
+const MIN_SIMILARITY = envNumber("RAG_MIN_SIMILARITY", 0.3);
+const RRF_K = 60;
+const CANDIDATE_MULTIPLIER = 4;
+const SHINGLE_SIZE = 3;
+const MINHASH_PERMUTATIONS = 64;
+const DUPLICATE_THRESHOLD = 0.8;
+const VERSION_CACHE_MS = 60000;
+
+// Chunk kinds written by scripts/embed_docs.js
+export const KNOWLEDGE_KINDS = ["module", "class", "function", "method", "property", "data", "section"];
+// "docs": the Blender docs only, "collections": the user's private collections only
+export const KNOWLEDGE_SOURCES = ["all", "docs", "collections"];
+
+const knowledgeUserContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with searches also covering the collections the user can read (including inside agent tools)
+ * @param {string|null} userId - User ID; null searches the Blender docs only
+ * @param {Function} fn - Work to run
+ * @returns {any} - Whatever fn returns
+ */
+export function runWithKnowledgeUser(userId, fn) {
+  return knowledgeUserContext.run(userId, fn);
+}
+
+let embedderPromise = null;
+export async function getEmbedder() {
+  if (embedderPromise === null) {
+    logger.info("Loading local embedding model", { model: EMBEDDING_MODEL_NAME });
+    // Imported on first use: the library pulls in native image modules that the
+    // lexical side, the collections parser and their tests don't need
+    embedderPromise = import("@xenova/transformers").then(({ pipeline }) =>
+      pipeline("feature-extraction", EMBEDDING_MODEL_NAME)
+    );
+  }
+  return embedderPromise;
+}
+
+export async function embedQuery(text) {
+  const embedder = await getEmbedder();
+  const embedding = await embedder(text, { pooling: "mean", normalize: true });
+  // embedding.data may be a typed array; convert to plain numbers
+  const data = embedding.data;
+  return Array.isArray(data) ? data : Array.from(data);
+}
+
+async function resolveKnowledgeTable() {
+  const { rows } = await pool.query(
+    "SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'blender_knowledge_new') AS exists"
+  );
+  return rows[0].exists ? "blender_knowledge_new" : "blender_knowledge";
+}
+
+let versionCache = null;
+
+/**
+ * Blender versions ingested into the knowledge base (cached for a minute)
+ * @returns {Promise<Array<string>>} - e.g. ["3.6", "4.2", "4.5"]; empty for rows without versions
+ */
+export async function listKnowledgeVersions() {
+  if (versionCache && versionCache.expiresAt > Date.now()) return versionCache.versions;
+  try {
+    const table = await resolveKnowledgeTable();
+    const { rows } = await pool.query(
+      `SELECT DISTINCT blender_version FROM ${table} WHERE blender_version IS NOT NULL`
+    );
+    const versions = rows.map((row) => row.blender_version);
+    versionCache = { versions, expiresAt: Date.now() + VERSION_CACHE_MS };
+    return versions;
+  } catch (error) {
+    logger.warn("[RAG] Could not list knowledge base versions", { error: error.message });
+    return [];
+  }
+}
+
+// Dotted names (bpy.types.Object) and snake_case words (primitive_torus_add)
+const IDENTIFIER_PATTERN = /[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+|[A-Za-z]\w*_\w+/g;
+
+/**
+ * Split a query into identifiers and plain words, and build the full-text query:
+ * identifiers become quoted phrases, everything is OR'ed (websearch_to_tsquery syntax)
+ * @param {string} queryText - Search query
+ * @returns {{ identifiers: Array<string>, lexicalQuery: string }}
+ */
+export function parseKnowledgeQuery(queryText) {
+  const text = String(queryText || "");
+  const identifiers = [...new Set(text.match(IDENTIFIER_PATTERN) || [])];
+  const words = text.replace(IDENTIFIER_PATTERN, " ").toLowerCase().match(/[a-z0-9]{2,}/g) || [];
+  const terms = [
+    ...identifiers.map((identifier) => `"${identifier.replace(/[._]+/g, " ")}"`),
+    ...new Set(words),
+  ];
+  return { identifiers, lexicalQuery: terms.join(" or ") };
+}
+
+// --- MinHash deduplication ---
+
+// Fixed multipliers and offsets so signatures are comparable across calls
+const MINHASH_SEEDS = (() => {
+  const seeds = [];
+  let state = 0x9e3779b9;
+  for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    const a = state | 1;
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    seeds.push([a, state]);
+  }
+  return seeds;
+})();
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function minhashSignature(text) {
+  const words = String(text).toLowerCase().match(/\w+/g) || [];
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  if (shingles.size === 0) shingles.add(words.join(" "));
+
+  const signature = new Uint32Array(MINHASH_PERMUTATIONS).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const hash = fnv1a(shingle);
+    for (let i = 0; i < MINHASH_PERMUTATIONS; i++) {
+      const [a, b] = MINHASH_SEEDS[i];
+      const value = (Math.imul(a, hash) + b) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+function estimatedJaccard(a, b) {
+  let equal = 0;
+  for (let i = 0; i < MINHASH_PERMUTATIONS; i++) if (a[i] === b[i]) equal++;
+  return equal / MINHASH_PERMUTATIONS;
+}
+
+/**
+ * Drop results whose content is a near-duplicate of a higher-ranked one
+ * @param {Array<Object>} results - Ranked results with content
+ * @param {number} [threshold] - Estimated Jaccard similarity of word shingles
+ * @returns {Array<Object>}
+ */
+export function deduplicateResults(results, threshold = DUPLICATE_THRESHOLD) {
+  const kept = [];
+  const signatures = [];
+  for (const result of results) {
+    const signature = minhashSignature(result.content);
+    if (signatures.some((existing) => estimatedJaccard(existing, signature) >= threshold)) continue;
+    kept.push(result);
+    signatures.push(signature);
+  }
+  return kept;
+}
+
+// --- Search ---
+
+const METADATA_COLUMNS = "module_path, symbol, kind, source_url, blender_version";
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * SQL conditions for a metadata filter; a symbol or module also matches
+ * everything under it (bpy.types.Modifier matches bpy.types.Modifier.show_viewport)
+ * @param {Object} filter - { symbol, module, kind, blenderVersion }; kind may be a string or an array
+ * @param {number} firstParam - Index of the first placeholder to use
+ * @returns {{ conditions: Array<string>, params: Array }}
+ */
+function metadataConditions(filter, firstParam) {
+  const conditions = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+  for (const [key, column] of [["symbol", "symbol"], ["module", "module_path"]]) {
+    const value = typeof filter[key] === "string" ? filter[key].trim() : "";
+    if (value) conditions.push(`(${column} = ${param(value)} OR ${column} LIKE ${param(`${escapeLike(value)}.%`)})`);
+  }
+  const kinds = [filter.kind].flat().filter((kind) => KNOWLEDGE_KINDS.includes(kind));
+  if (kinds.length > 0) conditions.push(`kind = ANY(${param(kinds)})`);
+  if (filter.blenderVersion) conditions.push(`blender_version = ${param(filter.blenderVersion)}`);
+  return { conditions, params };
+}
+
+async function vectorCandidates(table, vectorString, limit, filter) {
+  const { conditions, params } = metadataConditions(filter, 3);
+  const { rows } = await pool.query(
+    `SELECT id, content, ${METADATA_COLUMNS}, 1 - (embedding <=> $1) AS similarity
+     FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY embedding <=> $1
+     LIMIT $2`,
+    [vectorString, limit, ...params]
+  );
+  return rows;
+}
+
+async function lexicalCandidates(table, lexicalQuery, limit, filter) {
+  if (!lexicalQuery) return [];
+  const { conditions, params } = metadataConditions(filter, 3);
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, content, ${METADATA_COLUMNS}, ts_rank_cd(search_tsv, query, 1) AS rank
+       FROM ${table}, websearch_to_tsquery('english', $1) query
+       WHERE ${["search_tsv @@ query", ...conditions].join(" AND ")}
+       ORDER BY rank DESC
+       LIMIT $2`,
+      [lexicalQuery, limit, ...params]
+    );
+    return rows;
+  } catch (error) {
+    // e.g. a knowledge table created before search_tsv existed; vector results still apply
+    logger.warn("[RAG] Full-text search unavailable, using vector search only", { table, error: error.message });
+    return [];
+  }
+}
+
+const COLLECTION_CHUNK_SQL = `
+  SELECT ch.id, ch.content, d.name AS document_name, c.id AS collection_id, c.name AS collection_name, %SCORE%
+  FROM knowledge_collection_chunks ch
+  JOIN knowledge_documents d ON d.id = ch.document_id
+  JOIN knowledge_collections c ON c.id = ch.collection_id`;
+
+async function collectionCandidates(collectionIds, vectorString, lexicalQuery, limit) {
+  if (collectionIds.length === 0) return { vectorRows: [], lexicalRows: [] };
+  try {
+    const [vectorResult, lexicalResult] = await Promise.all([
+      pool.query(
+        `${COLLECTION_CHUNK_SQL.replace("%SCORE%", "1 - (ch.embedding <=> $1) AS similarity")}
+         WHERE ch.collection_id = ANY($3)
+         ORDER BY ch.embedding <=> $1
+         LIMIT $2`,
+        [vectorString, limit, collectionIds]
+      ),
+      lexicalQuery
+        ? pool.query(
+          `${COLLECTION_CHUNK_SQL.replace("%SCORE%", "ts_rank_cd(ch.search_tsv, query, 1) AS rank")},
+             websearch_to_tsquery('english', $1) query
+           WHERE ch.collection_id = ANY($3) AND ch.search_tsv @@ query
+           ORDER BY rank DESC
+           LIMIT $2`,
+          [lexicalQuery, limit, collectionIds]
+        )
+        : { rows: [] },
+    ]);
+    return { vectorRows: vectorResult.rows, lexicalRows: lexicalResult.rows };
+  } catch (error) {
+    // e.g. chunks embedded by another model; re-indexing the collection fixes them
+    logger.warn("[RAG] Collection search failed, using the Blender docs only", { error: error.message });
+    return { vectorRows: [], lexicalRows: [] };
+  }
+}
+
+/**
+ * Hybrid search of the knowledge base
+ * @param {string} queryText - Search query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of results
+ * @param {Object} [options.filter] - { symbol, module, kind } (see metadataConditions); these
+ *   only exist on the Blender docs, so a filter leaves the collections out
+ * @param {string|null} [options.blenderVersion] - Target version (defaults to the run's);
+ *   the closest ingested version is searched
+ * @param {string|null} [options.userId] - Also search this user's collections (defaults to the run's user)
+ * @param {string} [options.source] - One of KNOWLEDGE_SOURCES
+ * @returns {Promise<Array<{ id: string, content: string, modulePath: string|null, symbol: string|null, kind: string|null, sourceUrl: string|null, blenderVersion: string|null, collection: { id: string, name: string, documentName: string }|null, similarity: number, score: number, scores: Object }>>}
+ *   scores: { vector, vectorRank, lexical, lexicalRank, fused, identifierMatches, identifierBoost };
+ *   ranks are 1-based and null when the leg did not return the chunk
+ */
+export async function searchKnowledgeBase(queryText, {
+  limit = 5,
+  filter = {},
+  blenderVersion = getBlenderVersion(),
+  userId = knowledgeUserContext.getStore() ?? null,
+  source = "all",
+} = {}) {
+  logger.info(`[RAG] Searching knowledge base`, { query: String(queryText).slice(0, 100), limit, filter, blenderVersion, source });
+  try {
+    const table = await resolveKnowledgeTable();
+    const searchedVersion = pickClosestVersion(blenderVersion, await listKnowledgeVersions());
+    const hasMetadataFilter = Boolean(filter.symbol || filter.module || filter.kind);
+    if (searchedVersion) filter = { ...filter, blenderVersion: searchedVersion };
+    const { identifiers, lexicalQuery } = parseKnowledgeQuery(queryText);
+    const candidateLimit = limit * CANDIDATE_MULTIPLIER;
+    const vectorString = pgvector.toSql(await embedQuery(queryText));
+    const collectionIds = userId && source !== "docs" && !hasMetadataFilter ? await listReadableCollectionIds(userId) : [];
+    const [docVectorRows, docLexicalRows, collectionRows] = await Promise.all([
+      source === "collections" ? [] : vectorCandidates(table, vectorString, candidateLimit, filter),
+      source === "collections" ? [] : lexicalCandidates(table, lexicalQuery, candidateLimit, filter),
+      collectionCandidates(collectionIds, vectorString, lexicalQuery, candidateLimit),
+    ]);
+    // One list per leg: cosine similarities and ts_rank_cd ranks compare across tables
+    const vectorRows = [...docVectorRows, ...collectionRows.vectorRows]
+      .sort((a, b) => Number(b.similarity) - Number(a.similarity)).slice(0, candidateLimit);
+    const lexicalRows = [...docLexicalRows, ...collectionRows.lexicalRows]
+      .sort((a, b) => Number(b.rank) - Number(a.rank)).slice(0, candidateLimit);
+
+    const candidates = new Map();
+    const candidate = (row) => {
+      const id = row.collection_id ? `collection:${row.id}` : String(row.id);
+      if (!candidates.has(id)) {
+        candidates.set(id, {
+          id,
+          content: row.content,
+          modulePath: row.module_path ?? null,
+          symbol: row.symbol ?? null,
+          kind: row.kind ?? null,
+          sourceUrl: row.source_url ?? null,
+          blenderVersion: row.blender_version ?? null,
+          collection: row.collection_id ? { id: row.collection_id, name: row.collection_name, documentName: row.document_name } : null,
+          scores: { vector: null, vectorRank: null, lexical: null, lexicalRank: null },
+        });
+      }
+      return candidates.get(id);
+    };
+    vectorRows.forEach((row, i) => Object.assign(candidate(row).scores, { vector: Number(row.similarity), vectorRank: i + 1 }));
+    lexicalRows.forEach((row, i) => Object.assign(candidate(row).scores, { lexical: Number(row.rank), lexicalRank: i + 1 }));
+
+    // Weighted RRF, normalized so a chunk ranked first by both legs scores 1
+    const maxFused = (VECTOR_WEIGHT + LEXICAL_WEIGHT) / (RRF_K + 1);
+    const ranked = [];
+    for (const result of candidates.values()) {
+      const { scores, ...chunk } = result;
+      if (scores.lexicalRank === null && (scores.vector ?? 0) < MIN_SIMILARITY) continue;
+      const fused = ((scores.vectorRank ? VECTOR_WEIGHT / (RRF_K + scores.vectorRank) : 0)
+        + (scores.lexicalRank ? LEXICAL_WEIGHT / (RRF_K + scores.lexicalRank) : 0)) / maxFused;
+      const identifierMatches = identifiers.filter((identifier) => result.content.includes(identifier)).length;
+      const identifierBoost = identifiers.length > 0 ? IDENTIFIER_BOOST * (identifierMatches / identifiers.length) : 0;
+      ranked.push({
+        ...chunk,
+        similarity: scores.vector ?? 0,
+        score: fused + identifierBoost,
+        scores: { ...scores, fused, identifierMatches, identifierBoost },
+      });
+    }
+    ranked.sort((a, b) => b.score - a.score);
+
+    const results = deduplicateResults(ranked).slice(0, limit);
+    logger.info(`[RAG] Found ${results.length} relevant documents`, {
+      table,
+      vectorCandidates: vectorRows.length,
+      lexicalCandidates: lexicalRows.length,
+      collections: collectionIds.length,
+      identifiers,
+      blenderVersion: searchedVersion,
+    });
+    return results;
+  } catch (error) {
+    logger.error(`[RAG] Knowledge base search failed`, { error: error?.message || error });
+    return [];
+  }
+}
@@ -0,0 +1,115 @@
+/*
+ * llm-usage.js
+ *
+ * Token and cost accounting for LLM calls.
+ * A usage tracker is bound to the async context of a request (user, conversation);
+ * every recordLLMUsage() call inside it is priced, added to the tracker totals and
+ * written to api_usage, so callers never have to thread the user through.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { insertApiUsage, computeUsageCost } from "../db.js";
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Create a usage tracker
+ * @param {Object} [attribution]
+ * @param {string|null} [attribution.userId] - User the calls are billed to
+ * @param {string|null} [attribution.conversationId] - Conversation the calls belong to
+ * @returns {Object} - Tracker ({ userId, conversationId, totals, pending })
+ */
+export function createUsageTracker({ userId = null, conversationId = null } = {}) {
+  return {
+    userId,
+    conversationId,
+    totals: { promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, calls: 0 },
+    // insertApiUsage promises, resolved to { id, created_at } or null
+    pending: [],
+  };
+}
+
+/**
+ * Run fn with tracker as the current usage tracker
+ * @param {Object} tracker - From createUsageTracker
+ * @param {Function} fn - Sync or async function
+ * @returns {*} - Whatever fn returns
+ */
+export function runWithUsageTracker(tracker, fn) {
+  return usageContext.run(tracker, fn);
+}
+
+/**
+ * The tracker of the current async context, if any
+ * @returns {Object|null}
+ */
+export function getCurrentUsageTracker() {
+  return usageContext.getStore() || null;
+}
+
+/**
+ * Ids of the api_usage rows written for a tracker (waits for pending inserts)
+ * @param {Object} tracker - From createUsageTracker
+ * @returns {Promise<Array<number>>}
+ */
+export async function getUsageRecordIds(tracker) {
+  const rows = await Promise.all(tracker.pending);
+  return rows.filter(Boolean).map((row) => row.id);
+}
+
+/**
+ * Token counts from a Gemini generateContent result
+ * @param {Object} result - GenerateContentResult
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+export function geminiUsage(result) {
+  const meta = result?.response?.usageMetadata || {};
+  return { promptTokens: meta.promptTokenCount || 0, completionTokens: meta.candidatesTokenCount || 0 };
+}
+
+/**
+ * Token counts from a Groq chat completion
+ * @param {Object} response - Chat completion response
+ * @returns {{ promptTokens: number, completionTokens: number }}
+ */
+export function groqUsage(response) {
+  const usage = response?.usage || {};
+  return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Price one LLM call, add it to the current tracker and persist it to api_usage
+ * @param {Object} call
+ * @param {string} call.provider - "google" or "groq"
+ * @param {string} call.model - Model name
+ * @param {string} call.operation - What the call was for (agent, decompose, replan, vision_analysis, ...)
+ * @param {number} call.promptTokens - Input tokens
+ * @param {number} call.completionTokens - Output tokens
+ * @returns {number} - Cost in USD
+ */
+export function recordLLMUsage({ provider, model, operation, promptTokens = 0, completionTokens = 0 }) {
+  const totalTokens = promptTokens + completionTokens;
+  const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: totalTokens };
+  const costUsd = computeUsageCost(provider, model, usage) ?? 0;
+  const tracker = getCurrentUsageTracker();
+
+  const insert = insertApiUsage({
+    userId: tracker?.userId || null,
+    conversationId: tracker?.conversationId || null,
+    operation,
+    provider,
+    model,
+    usage,
+    costUsd,
+  }).catch(() => null);
+
+  if (tracker) {
+    tracker.totals.promptTokens += promptTokens;
+    tracker.totals.completionTokens += completionTokens;
+    tracker.totals.totalTokens += totalTokens;
+    tracker.totals.costUsd = Number((tracker.totals.costUsd + costUsd).toFixed(6));
+    tracker.totals.calls += 1;
+    tracker.pending.push(insert);
+  }
+  return costUsd;
+}
@@ -0,0 +1,121 @@
+/*
+ * message-tree.js
+ *
+ * Conversations are trees of messages (messages.parent_id): editing an earlier
+ * prompt adds a sibling of that prompt, which forks the conversation. The chat
+ * shows one branch at a time, the path from the root to the conversation's
+ * active leaf (conversations.active_leaf_id).
+ */
+
+/**
+ * Index messages by id and by parent
+ * @param {Array<Object>} messages - Mapped messages with id, parentId and createdAt
+ * @returns {{ byId: Map<string, Object>, children: Map<string|null, Array<Object>> }}
+ *   children lists are ordered oldest first; root messages are under null
+ */
+export function buildMessageTree(messages) {
+  const byId = new Map(messages.map((message) => [message.id, message]));
+  const children = new Map();
+  const sorted = [...messages].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  for (const message of sorted) {
+    // A parent outside the list (should not happen) makes the message a root
+    const parentId = message.parentId && byId.has(message.parentId) ? message.parentId : null;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(message);
+  }
+  return { byId, children };
+}
+
+/**
+ * Messages from the root down to a message
+ * @param {Object} tree - From buildMessageTree
+ * @param {string|null} messageId - Last message of the path
+ * @returns {Array<Object>}
+ */
+export function pathToMessage(tree, messageId) {
+  const path = [];
+  const seen = new Set();
+  let current = messageId ? tree.byId.get(messageId) : null;
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = current.parentId ? tree.byId.get(current.parentId) : null;
+  }
+  return path;
+}
+
+/**
+ * The most recent leaf under a message (the message itself if it has no replies)
+ * @param {Object} tree - From buildMessageTree
+ * @param {string} messageId - Message ID
+ * @returns {string|null} - Leaf message ID, null if the message is unknown
+ */
+export function latestLeaf(tree, messageId) {
+  if (!tree.byId.has(messageId)) return null;
+  let latest = tree.byId.get(messageId);
+  const stack = [latest];
+  while (stack.length > 0) {
+    const message = stack.pop();
+    const replies = tree.children.get(message.id) || [];
+    if (replies.length === 0 && new Date(message.createdAt) >= new Date(latest.createdAt)) latest = message;
+    stack.push(...replies);
+  }
+  return latest.id;
+}
+
+/**
+ * The leaf a conversation shows: its stored active leaf, or its newest message
+ * @param {Object} tree - From buildMessageTree
+ * @param {string|null} activeLeafId - conversations.active_leaf_id
+ * @returns {string|null}
+ */
+export function resolveActiveLeaf(tree, activeLeafId) {
+  if (activeLeafId && tree.byId.has(activeLeafId)) return activeLeafId;
+  let newest = null;
+  for (const message of tree.byId.values()) {
+    if (!newest || new Date(message.createdAt) > new Date(newest.createdAt)) newest = message;
+  }
+  return newest?.id || null;
+}
+
+/**
+ * Annotate a path with its alternatives: messages that have siblings get
+ * branch = { index, count, siblingIds }, so the chat can page between them
+ * @param {Object} tree - From buildMessageTree
+ * @param {Array<Object>} path - From pathToMessage
+ * @returns {Array<Object>}
+ */
+export function withBranchInfo(tree, path) {
+  return path.map((message) => {
+    const siblings = tree.children.get(message.parentId && tree.byId.has(message.parentId) ? message.parentId : null) || [];
+    if (siblings.length < 2) return message;
+    const siblingIds = siblings.map((sibling) => sibling.id);
+    return { ...message, branch: { index: siblingIds.indexOf(message.id), count: siblings.length, siblingIds } };
+  });
+}
+
+/**
+ * Every branch of a conversation, one per leaf
+ * @param {Object} tree - From buildMessageTree
+ * @param {string|null} activeLeafId - Resolved active leaf
+ * @returns {Array<{ leafId: string, forkMessageId: string|null, preview: string, messageCount: number, updatedAt: string, active: boolean }>}
+ *   forkMessageId is the deepest message of the branch that has alternatives
+ */
+export function listBranches(tree, activeLeafId) {
+  const branches = [];
+  for (const message of tree.byId.values()) {
+    if ((tree.children.get(message.id) || []).length > 0) continue;
+    const path = withBranchInfo(tree, pathToMessage(tree, message.id));
+    const fork = [...path].reverse().find((step) => step.branch) || null;
+    const firstPrompt = (fork || path[0])?.content || "";
+    branches.push({
+      leafId: message.id,
+      forkMessageId: fork?.id || null,
+      preview: firstPrompt.length > 80 ? `${firstPrompt.slice(0, 77)}...` : firstPrompt,
+      messageCount: path.length,
+      updatedAt: message.createdAt,
+      active: message.id === activeLeafId,
+    });
+  }
+  return branches.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
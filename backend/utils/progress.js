@@ -1,5 +1,14 @@
+import { EventEmitter } from "events";
+
+/**
+ * Progress log for a generation run.
+ * Every add/addError/merge is also emitted as a "step" event, and agent code can
+ * emit its own events ("thought", "tool_call", "tool_result") through emit(),
+ * so SSE responses and the job queue can follow a run while it is in progress.
+ */
 export function createProgressTracker() {
   const steps = [];
+  const emitter = new EventEmitter();
 
   function buildEntry(step, message, data = undefined, error = undefined) {
     const entry = {
@@ -15,6 +24,7 @@ export function createProgressTracker() {
       entry.error = typeof error === "string" ? error : String(error);
     }
     steps.push(entry);
+    emitter.emit("step", entry);
     return entry;
   }
 
@@ -39,13 +49,25 @@ export function createProgressTracker() {
       data: entryPatch?.data !== undefined ? entryPatch.data : existing.data,
       error: entryPatch?.error !== undefined ? entryPatch.error : existing.error,
     };
+    emitter.emit("step", steps[actualIndex]);
     return steps[actualIndex];
   }
 
+  function emit(event, payload) {
+    emitter.emit(event, { ...payload, ts: Date.now() });
+  }
+
+  function on(event, listener) {
+    emitter.on(event, listener);
+    return () => emitter.off(event, listener);
+  }
+
   return {
     steps,
     add,
     addError,
     merge,
+    emit,
+    on,
   };
 }
@@ -0,0 +1,612 @@
+/*
+ * python-analyzer.js
+ *
+ * Static analysis of generated Blender Python before it is sent to Blender.
+ * Code is parsed with a real Python parser (@lezer/python), so strings, comments
+ * and multi-line expressions are handled correctly:
+ * - syntax errors are reported with line and column
+ * - bpy.ops.* operators, their keyword arguments and bpy.data.* collections are
+ *   resolved against the API index built from the docs (scripts/build_api_index.js)
+ *   for the run's Blender version; symbols found only in other versions' indexes
+ *   are reported as missing from that version
+ * - known deprecated or nonexistent API is rewritten (sanitizeBlenderCode) or flagged
+ * Diagnostics are formatted for the agent's fix loop (formatDiagnostics).
+ * findSandboxViolations backs the execute_code sandbox (utils/sandbox.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parser } from "@lezer/python";
+import logger from "./logger.js";
+import { getBlenderVersion, normalizeBlenderVersion } from "./blender-version.js";
+
+const API_INDEX_PATH = process.env.BLENDER_API_INDEX
+  || fileURLToPath(new URL("../scripts/knowledge/blender_api_index.json", import.meta.url));
+// Per-version indexes (build_api_index.js --version 3.6) live next to the default one
+const API_INDEX_DIR = path.dirname(API_INDEX_PATH);
+const VERSIONED_INDEX_PATTERN = /^blender_api_index_(\d+)_(\d+)\.json$/;
+
+// Flags removed from operator calls; they no longer exist in Blender 4.x
+const DEPRECATED_PARAMETERS = ["use_undo", "use_global", "constraint_axis"];
+// Operators models often invent, with what to use instead
+const KNOWN_MISSING_OPERATORS = {
+  "wm.obj_delete_all": "use bpy.ops.object.select_all(action='SELECT') + bpy.ops.object.delete()",
+  "mesh.loopcut_and_slide": "use bpy.ops.mesh.loopcut(number_cuts=N)",
+};
+const BRACKETS = { "(": ")", "[": "]", "{": "}" };
+const BRACKETED_NODES = new Set([
+  "ArgList", "ParamList", "TupleExpression", "ParenthesizedExpression", "ListExpression",
+  "DictionaryExpression", "SetExpression", "ArrayExpression", "ComprehensionExpression",
+]);
+
+// Loaded indexes by file path (null when the file is missing or invalid)
+const apiIndexes = new Map();
+
+function readApiIndex(filePath) {
+  if (apiIndexes.has(filePath)) return apiIndexes.get(filePath);
+  let index = null;
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    index = {
+      blenderVersion: normalizeBlenderVersion(raw.blenderVersion),
+      operators: raw.operators || {},
+      operatorModules: new Set(Object.keys(raw.operators || {}).map((name) => name.split(".")[0])),
+      dataCollections: new Set(raw.dataCollections || []),
+    };
+    logger.info("[Analyzer] Blender API index loaded", {
+      path: filePath,
+      operators: Object.keys(index.operators).length,
+      dataCollections: index.dataCollections.size,
+      blenderVersion: index.blenderVersion,
+    });
+  } catch (error) {
+    if (filePath === API_INDEX_PATH) {
+      logger.warn("[Analyzer] No Blender API index, checking syntax only (run npm run build:api-index)", {
+        path: filePath,
+        error: error?.code || error?.message,
+      });
+    }
+  }
+  apiIndexes.set(filePath, index);
+  return index;
+}
+
+/**
+ * API index built from the docs, loaded once per file ({ blenderVersion, operators, dataCollections }).
+ * A version without its own index (blender_api_index_<major>_<minor>.json) uses the default one.
+ * Without any index only syntax and the built-in deprecation rules are checked.
+ * @param {string|null} [version] - Blender version, e.g. "3.6"
+ * @returns {Object|null}
+ */
+export function loadApiIndex(version = null) {
+  const target = normalizeBlenderVersion(version);
+  if (target) {
+    const versioned = readApiIndex(path.join(API_INDEX_DIR, `blender_api_index_${target.replace(".", "_")}.json`));
+    if (versioned) return versioned;
+  }
+  return readApiIndex(API_INDEX_PATH);
+}
+
+// Indexes of every version other than the one being checked against
+function otherApiIndexes(index) {
+  if (!index?.blenderVersion) return [];
+  let files = [];
+  try {
+    files = fs.readdirSync(API_INDEX_DIR).filter((file) => VERSIONED_INDEX_PATTERN.test(file));
+  } catch {
+    return [];
+  }
+  const others = new Map();
+  for (const other of [readApiIndex(API_INDEX_PATH), ...files.map((file) => readApiIndex(path.join(API_INDEX_DIR, file)))]) {
+    if (other?.blenderVersion && other.blenderVersion !== index.blenderVersion) others.set(other.blenderVersion, other);
+  }
+  return [...others.values()];
+}
+
+function lineIndex(code) {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) if (code[i] === "\n") starts.push(i + 1);
+  return (pos) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= pos) lo = mid;
+      else hi = mid - 1;
+    }
+    return { line: lo + 1, column: pos - starts[lo] + 1 };
+  };
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = dp[0];
+    dp[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = dp[j];
+      dp[j] = Math.min(dp[j] + 1, dp[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return dp[b.length];
+}
+
+// Closest known name, if any is close enough to be a likely typo
+function closest(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function children(node) {
+  const list = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) list.push(child);
+  return list;
+}
+
+// Names bound by import statements that refer to bpy modules ("b" -> "bpy", "ops" -> "bpy.ops")
+function collectAliases(tree, code) {
+  const aliases = { bpy: "bpy" };
+  const text = (node) => code.slice(node.from, node.to);
+  tree.iterate({
+    enter(ref) {
+      if (ref.name !== "ImportStatement") return;
+      const parts = children(ref.node).filter((child) => child.name !== "," && child.name !== ".");
+      if (parts[0]?.name === "from") {
+        const importAt = parts.findIndex((child) => child.name === "import");
+        const module = parts.slice(1, importAt).map(text).join(".");
+        if (module !== "bpy" && !module.startsWith("bpy.")) return false;
+        for (let i = importAt + 1; i < parts.length; i++) {
+          if (parts[i].name !== "VariableName") continue;
+          const hasAlias = parts[i + 1]?.name === "as";
+          aliases[hasAlias ? text(parts[i + 2]) : text(parts[i])] = `${module}.${text(parts[i])}`;
+          if (hasAlias) i += 2;
+        }
+      } else {
+        for (let i = 1; i < parts.length; i++) {
+          if (parts[i].name !== "VariableName" || text(parts[i]) !== "bpy") continue;
+          if (parts[i + 1]?.name === "as") aliases[text(parts[i + 2])] = "bpy";
+        }
+      }
+      return false;
+    },
+  });
+  return aliases;
+}
+
+// Dotted path of a name / attribute chain ("bpy.ops.mesh.primitive_cube_add"), or null
+function dottedPath(node, code, aliases) {
+  if (node.name === "VariableName") {
+    const name = code.slice(node.from, node.to);
+    return aliases[name] || name;
+  }
+  if (node.name !== "MemberExpression") return null;
+  const [object, dot, property] = children(node);
+  if (dot?.name !== "." || property?.name !== "PropertyName") return null;
+  const base = dottedPath(object, code, aliases);
+  return base ? `${base}.${code.slice(property.from, property.to)}` : null;
+}
+
+// Keyword arguments of a call: [{ name, node, from, to }] (from/to cover "name=value")
+function keywordArguments(argList, code) {
+  const args = [];
+  const parts = children(argList);
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].name === "VariableName" && parts[i + 1]?.name === "AssignOp" && parts[i + 2]) {
+      args.push({ name: code.slice(parts[i].from, parts[i].to), node: parts[i], from: parts[i].from, to: parts[i + 2].to });
+      i += 2;
+    }
+  }
+  return args;
+}
+
+function describeSyntaxError(errorNode, code, position) {
+  const parent = errorNode.parent;
+  if (parent && BRACKETED_NODES.has(parent.name)) {
+    const open = parent.firstChild;
+    const openText = open ? code.slice(open.from, open.to) : "";
+    const close = parent.lastChild;
+    if (BRACKETS[openText] && code.slice(close.from, close.to) !== BRACKETS[openText]) {
+      const opened = position(open.from);
+      return { at: open.from, message: `'${openText}' opened on line ${opened.line} was never closed` };
+    }
+  }
+  const near = code.slice(errorNode.from, errorNode.to) || code.slice(errorNode.from).split("\n")[0];
+  if (!near.trim()) return { at: errorNode.from, message: "invalid syntax: unexpected end of statement" };
+  return { at: errorNode.from, message: `invalid syntax near "${near.trim().slice(0, 40)}"` };
+}
+
+/**
+ * Check generated Blender Python without running it
+ * @param {string} code - Python source
+ * @param {Object} [options]
+ * @param {Object|null} [options.index] - API index (defaults to the one for the run's Blender version)
+ * @returns {{ ok: boolean, diagnostics: Array<{ severity: string, rule: string, line: number, column: number, message: string, suggestion?: string }> }}
+ *   ok is false when there is at least one error (warnings do not block)
+ */
+export function analyzeBlenderCode(code, { index = loadApiIndex(getBlenderVersion()) } = {}) {
+  const source = String(code || "");
+  const tree = parser.parse(source);
+  const position = lineIndex(source);
+  const diagnostics = [];
+  const report = (severity, rule, at, message, suggestion) => {
+    const diagnostic = { severity, rule, ...position(at), message };
+    if (suggestion) diagnostic.suggestion = suggestion;
+    diagnostics.push(diagnostic);
+  };
+
+  // Like Python, report the first syntax error only; later ones are usually follow-on errors
+  let syntaxError = null;
+  tree.iterate({
+    enter(ref) {
+      if (syntaxError) return false;
+      if (ref.type.isError) syntaxError = describeSyntaxError(ref.node, source, position);
+      // The grammar still accepts Python 2 print statements
+      else if (ref.name === "PrintStatement") syntaxError = { at: ref.from, message: "Missing parentheses in call to 'print'" };
+    },
+  });
+  if (syntaxError) {
+    report("error", "syntax", syntaxError.at, syntaxError.message);
+    return { ok: false, diagnostics };
+  }
+
+  // A symbol another version has is reported as missing from this version
+  const others = otherApiIndexes(index);
+  const versionNote = (exists) => {
+    const versions = others.filter(exists).map((other) => other.blenderVersion);
+    return versions.length > 0 ? `in Blender ${index.blenderVersion} (exists in Blender ${versions.join(", ")})` : null;
+  };
+
+  const aliases = collectAliases(tree, source);
+  tree.iterate({
+    enter(ref) {
+      if (ref.name === "CallExpression") {
+        const callee = ref.node.firstChild;
+        const path = callee && dottedPath(callee, source, aliases);
+        const match = path && /^bpy\.ops\.(\w+)\.(\w+)$/.exec(path);
+        if (!match) return;
+        const operator = `${match[1]}.${match[2]}`;
+        const argList = ref.node.getChild("ArgList");
+        const kwargs = argList ? keywordArguments(argList, source) : [];
+        const params = index?.operators[operator];
+        for (const arg of kwargs) {
+          if (DEPRECATED_PARAMETERS.includes(arg.name) && !params?.includes(arg.name)) {
+            report("warning", "deprecated_parameter", arg.from, `${arg.name} was removed from bpy.ops in Blender 4.x`, `remove ${arg.name}=...`);
+          }
+        }
+        if (!params) return;
+        for (const arg of kwargs) {
+          if (params.includes(arg.name) || DEPRECATED_PARAMETERS.includes(arg.name)) continue;
+          const suggestion = closest(arg.name, params);
+          const note = versionNote((other) => other.operators[operator]?.includes(arg.name));
+          report(
+            "error",
+            note ? "version_mismatch" : "unknown_parameter",
+            arg.from,
+            `bpy.ops.${operator} has no parameter '${arg.name}'${note ? ` ${note}` : ""}`,
+            suggestion ? `did you mean '${suggestion}'?` : `valid parameters: ${params.join(", ") || "(none)"}`
+          );
+        }
+        return;
+      }
+
+      if (ref.name !== "MemberExpression") return;
+      const path = dottedPath(ref.node, source, aliases);
+      if (!path) return;
+
+      let match = /^bpy\.ops\.(\w+)\.(\w+)$/.exec(path);
+      if (match) {
+        const [, module, name] = match;
+        const operator = `${module}.${name}`;
+        if (KNOWN_MISSING_OPERATORS[operator]) {
+          report("error", "unknown_operator", ref.from, `bpy.ops.${operator} does not exist`, KNOWN_MISSING_OPERATORS[operator]);
+        } else if (module === "view3d") {
+          report("warning", "context_operator", ref.from, `bpy.ops.${operator} needs a 3D viewport and usually fails in scripts`);
+        } else if (index && index.operatorModules.has(module) && !index.operators[operator]) {
+          const suggestion = closest(name, Object.keys(index.operators).filter((op) => op.startsWith(`${module}.`)).map((op) => op.slice(module.length + 1)));
+          const note = versionNote((other) => other.operators[operator]);
+          report(
+            "error",
+            note ? "version_mismatch" : "unknown_operator",
+            ref.from,
+            note ? `bpy.ops.${operator} is not available ${note}` : `bpy.ops.${operator} does not exist`,
+            suggestion ? `did you mean bpy.ops.${module}.${suggestion}?` : undefined
+          );
+        }
+        return;
+      }
+
+      match = /^bpy\.ops\.(\w+)$/.exec(path);
+      if (match && index && !index.operatorModules.has(match[1])) {
+        const suggestion = closest(match[1], index.operatorModules);
+        const note = versionNote((other) => other.operatorModules.has(match[1]));
+        report(
+          "error",
+          note ? "version_mismatch" : "unknown_operator",
+          ref.from,
+          note ? `bpy.ops.${match[1]} is not available ${note}` : `bpy.ops.${match[1]} is not an operator module`,
+          suggestion ? `did you mean bpy.ops.${suggestion}?` : undefined
+        );
+        return;
+      }
+
+      match = /^bpy\.data\.(\w+)$/.exec(path);
+      if (match && index && index.dataCollections.size > 0 && !index.dataCollections.has(match[1])) {
+        const suggestion = closest(match[1], index.dataCollections);
+        const note = versionNote((other) => other.dataCollections.has(match[1]));
+        report(
+          "error",
+          note ? "version_mismatch" : "unknown_data",
+          ref.from,
+          note ? `bpy.data.${match[1]} is not available ${note}` : `bpy.data.${match[1]} does not exist`,
+          suggestion ? `did you mean bpy.data.${suggestion}?` : undefined
+        );
+      }
+    },
+  });
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { ok: !diagnostics.some((d) => d.severity === "error"), diagnostics };
+}
+
+// Modules an import statement loads: [{ module, from }] ("import a.b, c" -> a.b, c; "from .x import y" -> .x)
+function importedModules(node, code) {
+  const parts = children(node);
+  if (parts[0]?.name === "from") {
+    const importAt = parts.findIndex((child) => child.name === "import");
+    const last = parts[importAt - 1];
+    const module = importAt > 1 ? code.slice(parts[1].from, last.to).replace(/\s+/g, "") : "";
+    return [{ module, from: node.from }];
+  }
+  const modules = [];
+  let current = null;
+  let aliased = false;
+  for (const part of parts.slice(1)) {
+    if (part.name === ",") {
+      if (current) modules.push(current);
+      current = null;
+      aliased = false;
+    } else if (part.name === "as") {
+      aliased = true;
+    } else if (part.name === "VariableName" && !aliased) {
+      const name = code.slice(part.from, part.to);
+      current = current ? { ...current, module: `${current.module}.${name}` } : { module: name, from: part.from };
+    }
+  }
+  if (current) modules.push(current);
+  return modules;
+}
+
+// Names a "from x import a as b, c" statement takes from the module: [{ name, from }]
+function importedNames(node, code) {
+  const parts = children(node);
+  if (parts[0]?.name !== "from") return [];
+  const names = [];
+  let aliased = false;
+  for (const part of parts.slice(parts.findIndex((child) => child.name === "import") + 1)) {
+    if (part.name === ",") aliased = false;
+    else if (part.name === "as") aliased = true;
+    else if (part.name === "VariableName" && !aliased) names.push({ name: code.slice(part.from, part.to), from: part.from });
+  }
+  return names;
+}
+
+// Value of a string literal without prefix and quotes; adjacent literals ('a' 'b') are joined
+function stringValue(node, code) {
+  if (node.name === "ContinuedString") return node.getChildren("String").map((part) => stringValue(part, code)).join("");
+  return code.slice(node.from, node.to).replace(/^[a-zA-Z]*(['"]{1,3})([\s\S]*)\1$/, "$2");
+}
+
+const STRING_NODES = ["String", "ContinuedString", "FormatString"];
+
+/**
+ * Sandbox check: imports outside the allowlist, forbidden builtins and attributes
+ * that reach the interpreter internals (e.g. __builtins__, __subclasses__), also
+ * when named in a from-import, a getattr call or a subscript (globals()["__builtins__"])
+ * @param {string} code - Python source
+ * @param {Object} policy
+ * @param {Array<string>} policy.allowedModules - Importable top-level modules
+ * @param {Array<string>} policy.forbiddenBuiltins - Names that may not be referenced
+ * @param {Array<string>} policy.forbiddenAttributes - Attributes that may not be accessed
+ * @returns {Array<{ rule: string, name: string, line: number, column: number, message: string }>}
+ *   Code that does not parse cannot be checked and yields a single "syntax" violation
+ */
+export function findSandboxViolations(code, { allowedModules, forbiddenBuiltins, forbiddenAttributes }) {
+  const source = String(code || "");
+  const tree = parser.parse(source);
+  const position = lineIndex(source);
+  const violations = [];
+  const report = (rule, name, at, message) => violations.push({ rule, name, ...position(at), message });
+  const forbiddenNames = new Set([...forbiddenBuiltins, ...forbiddenAttributes]);
+
+  tree.iterate({
+    enter(ref) {
+      if (ref.type.isError) {
+        report("syntax", "", ref.from, "code does not parse, so it cannot be checked");
+        return false;
+      }
+      if (ref.name === "ImportStatement") {
+        for (const { module, from } of importedModules(ref.node, source)) {
+          const topLevel = module.split(".")[0];
+          if (!topLevel || !allowedModules.includes(topLevel)) {
+            report("import", module, from, `import of '${module}' is not allowed (allowed: ${allowedModules.join(", ")})`);
+          }
+        }
+        // from bpy.utils import execfile
+        for (const { name, from } of importedNames(ref.node, source)) {
+          if (forbiddenNames.has(name)) report(forbiddenBuiltins.includes(name) ? "builtin" : "attribute", name, from, `import of '${name}' is not allowed`);
+        }
+        return false;
+      }
+      if (ref.name === "VariableName") {
+        const name = source.slice(ref.from, ref.to);
+        // Keyword argument names (f(open=True)) are not references
+        if (ref.node.nextSibling?.name === "AssignOp" && ref.node.parent?.name === "ArgList") return;
+        if (forbiddenBuiltins.includes(name)) report("builtin", name, ref.from, `use of '${name}' is not allowed`);
+        else if (forbiddenAttributes.includes(name)) report("attribute", name, ref.from, `access to '${name}' is not allowed`);
+        return;
+      }
+      if (ref.name === "PropertyName") {
+        const name = source.slice(ref.from, ref.to);
+        if (forbiddenAttributes.includes(name)) report("attribute", name, ref.from, `access to '${name}' is not allowed`);
+        return;
+      }
+      // getattr(x, "__import__") and friends
+      if (ref.name === "CallExpression") {
+        const callee = ref.node.firstChild;
+        const calleeName = callee?.name === "VariableName" ? source.slice(callee.from, callee.to) : null;
+        if (!["getattr", "setattr", "hasattr", "delattr"].includes(calleeName)) return;
+        const argList = ref.node.getChild("ArgList");
+        for (const arg of argList ? children(argList).filter((child) => STRING_NODES.includes(child.name)) : []) {
+          const name = stringValue(arg, source);
+          if (forbiddenNames.has(name)) report("attribute", name, arg.from, `access to '${name}' through ${calleeName} is not allowed`);
+        }
+        return;
+      }
+      // globals()["__builtins__"], vars(x)['__dict__']: dunder keys reach the same internals
+      if (STRING_NODES.includes(ref.name) && ref.node.parent?.name === "MemberExpression" && ref.node.prevSibling?.name === "[") {
+        const name = stringValue(ref.node, source);
+        if (/^__\w+__$/.test(name)) report("attribute", name, ref.from, `access to '${name}' through a subscript is not allowed`);
+        return false;
+      }
+    },
+  });
+  return violations;
+}
+
+/**
+ * Diagnostics as plain text for logs, tool errors and the fix prompt
+ * @param {Array<Object>} diagnostics - From analyzeBlenderCode
+ * @returns {string}
+ */
+export function formatDiagnostics(diagnostics) {
+  return diagnostics
+    .map((d) => `Line ${d.line}:${d.column} ${d.severity}: ${d.message}${d.suggestion ? ` (${d.suggestion})` : ""}`)
+    .join("\n");
+}
+
+function lineIndent(code, pos) {
+  const lineStart = code.lastIndexOf("\n", pos - 1) + 1;
+  return code.slice(lineStart, pos).match(/^\s*/)[0];
+}
+
+// Edits removing the flagged arguments of a call together with their separating commas
+function removeArgumentEdits(argList, isRemoved) {
+  const items = [];
+  let current = null;
+  for (const child of children(argList)) {
+    if (child.name === "(" || child.name === ")" || child.name === ",") {
+      if (current) items.push(current);
+      current = null;
+    } else if (current) {
+      current.to = child.to;
+    } else {
+      current = { from: child.from, to: child.to, node: child };
+    }
+  }
+  if (current) items.push(current);
+
+  const edits = [];
+  for (let i = 0; i < items.length; i++) {
+    if (!isRemoved(items[i])) continue;
+    let j = i;
+    while (j + 1 < items.length && isRemoved(items[j + 1])) j++;
+    if (j + 1 < items.length) edits.push({ from: items[i].from, to: items[j + 1].from, text: "" });
+    else if (i > 0) edits.push({ from: items[i - 1].to, to: items[j].to, text: "" });
+    else edits.push({ from: items[i].from, to: items[j].to, text: "" });
+    i = j;
+  }
+  return edits;
+}
+
+/**
+ * Strip markdown and rewrite deprecated or invented API the models keep producing.
+ * Rewrites are located with the parser, so text inside strings and comments is never touched.
+ * @param {string} code - Model output
+ * @returns {string} - Code ready for analysis and execution
+ */
+export function sanitizeBlenderCode(code) {
+  if (typeof code !== "string") return "";
+  let source = code.replace(/^\s*python\s*\n/i, "").replace(/```(?:python|py)?\n?|```/gi, "").replace(/\r/g, "");
+
+  const tree = parser.parse(source);
+  const aliases = collectAliases(tree, source);
+  const edits = [];
+  let importsBpy = false;
+  let usesBmesh = false;
+  let setsEditMode = false;
+
+  tree.iterate({
+    enter(ref) {
+      if (ref.name === "ImportStatement") {
+        const names = children(ref.node).filter((child) => child.name === "VariableName").map((child) => source.slice(child.from, child.to));
+        if (names[0] === "bpy" || names.includes("bpy")) importsBpy = true;
+        if (names.includes("bmesh")) usesBmesh = true;
+        return false;
+      }
+      if (ref.name === "VariableName" && source.slice(ref.from, ref.to) === "bmesh") usesBmesh = true;
+      if (ref.name !== "CallExpression") return;
+
+      const callee = ref.node.firstChild;
+      const path = callee && dottedPath(callee, source, aliases);
+      const argList = ref.node.getChild("ArgList");
+      if (!path || !argList || !path.startsWith("bpy.ops.")) return;
+      const kwargs = keywordArguments(argList, source);
+      const statement = ref.node.parent?.name === "ExpressionStatement" ? ref.node.parent : null;
+
+      if (path === "bpy.ops.object.mode_set" && /mode\s*=\s*['"]EDIT['"]/.test(source.slice(argList.from, argList.to))) {
+        setsEditMode = true;
+      }
+
+      if (path === "bpy.ops.wm.obj_delete_all" && statement) {
+        const indent = lineIndent(source, statement.from);
+        edits.push({
+          from: statement.from,
+          to: statement.to,
+          text: `if bpy.data.objects:\n${indent}    bpy.ops.object.select_all(action='SELECT')\n${indent}    bpy.ops.object.delete()`,
+        });
+        return false;
+      }
+      // Enabling addons at runtime is not allowed; keep the block valid with "pass"
+      if (path === "bpy.ops.preferences.addon_enable" && statement) {
+        edits.push({ from: statement.from, to: statement.to, text: "pass" });
+        return false;
+      }
+      if (path === "bpy.ops.mesh.loopcut_and_slide") {
+        const cuts = /number_cuts['"]?\s*:\s*(\d+)/.exec(source.slice(argList.from, argList.to));
+        edits.push({ from: ref.from, to: ref.to, text: `bpy.ops.mesh.loopcut(number_cuts=${cuts ? cuts[1] : "1"})` });
+        return false;
+      }
+
+      const deprecated = new Set(kwargs.filter((arg) => DEPRECATED_PARAMETERS.includes(arg.name)).map((arg) => arg.from));
+      if (deprecated.size > 0) {
+        edits.push(...removeArgumentEdits(argList, (item) => deprecated.has(item.from)));
+      }
+    },
+  });
+
+  edits.sort((a, b) => b.from - a.from);
+  let lastFrom = Infinity;
+  for (const edit of edits) {
+    if (edit.to > lastFrom) continue; // overlapping rewrite, keep the outer one
+    source = source.slice(0, edit.from) + edit.text + source.slice(edit.to);
+    lastFrom = edit.from;
+  }
+
+  if (usesBmesh && !setsEditMode) {
+    source = "if bpy.context.object and bpy.context.object.mode != 'EDIT':\n    bpy.ops.object.mode_set(mode='EDIT')\n" + source;
+  }
+  if (!importsBpy) {
+    source = "import bpy\n" + source;
+  }
+  return source;
+}
@@ -0,0 +1,115 @@
+/*
+ * sandbox.js
+ *
+ * Allowlist sandbox for model-generated code sent to Blender's execute_code.
+ * addon.py runs the code with exec and full builtins, so the backend rejects
+ * code that imports modules outside the allowlist, references forbidden builtins
+ * (open, exec, eval, compile, globals, ...) or reaches interpreter internals and
+ * Blender's own ways to run code (Text.as_module, bpy.utils.execfile), before dispatch.
+ * The policy comes from the SANDBOX_POLICY env; "audit" mode only records violations.
+ * Every rejection is logged and written to sandbox_audit_log with the user, conversation
+ * and run bound to the async context of the agent run (runWithSandboxContext).
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { findSandboxViolations } from "./python-analyzer.js";
+import { hashCode } from "./code-policy.js";
+import { insertSandboxAuditEntry } from "../db.js";
+import logger from "./logger.js";
+
+export const SANDBOX_MODES = ["enforce", "audit"];
+
+const DEFAULT_SANDBOX_POLICY = {
+  mode: "enforce",
+  allowedModules: ["bpy", "bmesh", "mathutils", "math", "random"],
+  forbiddenBuiltins: ["open", "exec", "eval", "compile", "__import__", "globals", "vars", "locals"],
+  forbiddenAttributes: [
+    "__builtins__", "__globals__", "__subclasses__", "__code__", "__import__", "__loader__",
+    // Blender APIs that run arbitrary Python or expose a shared namespace
+    "execfile", "as_module", "driver_namespace",
+  ],
+};
+
+const sandboxContext = new AsyncLocalStorage();
+
+/**
+ * Validate a sandbox policy (any subset of the default's keys)
+ * @param {Object} policy - { mode, allowedModules, forbiddenBuiltins, forbiddenAttributes }
+ * @returns {{ valid: boolean, errors: Array<string>, policy: Object|null }}
+ */
+export function validateSandboxPolicy(policy) {
+  const errors = [];
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return { valid: false, errors: ["Policy must be an object"], policy: null };
+  }
+  for (const key of Object.keys(policy)) {
+    if (!(key in DEFAULT_SANDBOX_POLICY)) errors.push(`Unknown key "${key}"`);
+  }
+  if (policy.mode !== undefined && !SANDBOX_MODES.includes(policy.mode)) {
+    errors.push(`mode must be one of ${SANDBOX_MODES.join(", ")}`);
+  }
+  for (const key of ["allowedModules", "forbiddenBuiltins", "forbiddenAttributes"]) {
+    const value = policy[key];
+    if (value !== undefined && (!Array.isArray(value) || !value.every((name) => typeof name === "string" && /^[\w.]+$/.test(name)))) {
+      errors.push(`${key} must be an array of names`);
+    }
+  }
+  if (errors.length > 0) return { valid: false, errors, policy: null };
+  return { valid: true, errors, policy: { ...DEFAULT_SANDBOX_POLICY, ...policy } };
+}
+
+function loadSandboxPolicy() {
+  if (!process.env.SANDBOX_POLICY) return DEFAULT_SANDBOX_POLICY;
+  try {
+    const { valid, errors, policy } = validateSandboxPolicy(JSON.parse(process.env.SANDBOX_POLICY));
+    if (!valid) throw new Error(errors.join("; "));
+    return policy;
+  } catch (e) {
+    console.warn("[sandbox] Failed to parse SANDBOX_POLICY env, using defaults:", e?.message || e);
+    return DEFAULT_SANDBOX_POLICY;
+  }
+}
+
+export const SANDBOX_POLICY = loadSandboxPolicy();
+
+/**
+ * Run fn with the identity used for audit entries bound to the current async context
+ * @param {Object} context
+ * @param {string|null} [context.userId]
+ * @param {string|null} [context.conversationId]
+ * @param {string|null} [context.runId]
+ * @param {Function} fn - Sync or async function
+ * @returns {*} - Whatever fn returns
+ */
+export function runWithSandboxContext({ userId = null, conversationId = null, runId = null }, fn) {
+  return sandboxContext.run({ userId, conversationId, runId }, fn);
+}
+
+/**
+ * Check code against the sandbox policy, recording an audit entry when it violates it
+ * @param {string} code - Code as it will run
+ * @param {Object} [policy] - Defaults to SANDBOX_POLICY
+ * @returns {Promise<{ allowed: boolean, violations: Array<Object>, error: string|null }>}
+ *   allowed stays true for violations in "audit" mode
+ */
+export async function enforceSandbox(code, policy = SANDBOX_POLICY) {
+  const violations = findSandboxViolations(code, policy);
+  if (violations.length === 0) return { allowed: true, violations, error: null };
+
+  const action = policy.mode === "enforce" ? "rejected" : "flagged";
+  const context = sandboxContext.getStore() || {};
+  const codeHash = hashCode(code);
+  logger.warn(`[Sandbox] Generated code ${action}`, { ...context, codeHash, violations });
+  try {
+    await insertSandboxAuditEntry({ ...context, action, codeHash, code, violations });
+  } catch (error) {
+    logger.error("[Sandbox] Failed to write audit entry", { codeHash, error: error.message });
+  }
+
+  const summary = violations.map((v) => `line ${v.line}: ${v.message}`).join("; ");
+  return {
+    allowed: action === "flagged",
+    violations,
+    error: `Rejected by sandbox: ${summary}`,
+  };
+}
@@ -0,0 +1,131 @@
+/*
+ * scene-diff.js
+ *
+ * What an agent run changed in Blender. The full state of every object
+ * (addon.py get_scene_state) is captured before and after the run and compared:
+ * objects added, removed or renamed, transforms changed, material slots changed
+ * and modifiers added or removed. The diff is stored on the assistant message
+ * as metadata.sceneDiff.
+ */
+
+import { sendCommand, isBlenderConnected } from "../integrations/index.js";
+import logger from "./logger.js";
+
+// get_scene_state rounds to 4 decimals; smaller moves are float noise
+const TRANSFORM_EPSILON = 1e-3;
+const TRANSFORM_KEYS = ["location", "rotation", "scale"];
+
+/**
+ * Capture the full scene state from the Blender instance of the current context
+ * @returns {Promise<Object|null>} - { name, objects }, or null if disconnected or failed
+ */
+export async function captureSceneState() {
+  if (!isBlenderConnected()) return null;
+  try {
+    const state = await sendCommand("get_scene_state", {});
+    return Array.isArray(state?.objects) ? state : null;
+  } catch (err) {
+    logger.warn("Failed to capture scene state", { error: err?.message || err });
+    return null;
+  }
+}
+
+function vectorChanged(a = [], b = []) {
+  return a.length !== b.length || a.some((value, i) => Math.abs(value - b[i]) > TRANSFORM_EPSILON);
+}
+
+// Pair objects that exist before and after: by session uid, then by name, then
+// treat a removed and an added object of the same type using the same data
+// block as a rename (renaming an object keeps its mesh's name)
+function matchObjects(beforeObjects, afterObjects) {
+  const pairs = [];
+  const unmatchedBefore = new Set(beforeObjects);
+  const unmatchedAfter = new Set(afterObjects);
+  const pair = (before, after) => {
+    pairs.push([before, after]);
+    unmatchedBefore.delete(before);
+    unmatchedAfter.delete(after);
+  };
+
+  const afterByUid = new Map(afterObjects.filter((obj) => obj.uid != null).map((obj) => [obj.uid, obj]));
+  for (const before of beforeObjects) {
+    const after = before.uid != null ? afterByUid.get(before.uid) : null;
+    if (after) pair(before, after);
+  }
+
+  const afterByName = new Map([...unmatchedAfter].map((obj) => [obj.name, obj]));
+  for (const before of [...unmatchedBefore]) {
+    const after = afterByName.get(before.name);
+    // Same name but a different uid is a replacement, not the same object
+    if (after && (before.uid == null || after.uid == null)) pair(before, after);
+  }
+
+  for (const before of [...unmatchedBefore]) {
+    const after = [...unmatchedAfter].find((candidate) =>
+      candidate.type === before.type && before.data && candidate.data === before.data
+      && (before.uid == null || candidate.uid == null)
+    );
+    if (after) pair(before, after);
+  }
+
+  return { pairs, removed: [...unmatchedBefore], added: [...unmatchedAfter] };
+}
+
+function listDifference(a = [], b = [], key = (item) => item) {
+  const keys = new Set(b.map(key));
+  return a.filter((item) => !keys.has(key(item)));
+}
+
+/**
+ * Compare two scene states
+ * @param {Object} before - From captureSceneState
+ * @param {Object} after - From captureSceneState
+ * @returns {Object|null} - { added, removed, renamed, transformed, materials, modifiers, changeCount },
+ *   null if either state is missing
+ */
+export function diffSceneStates(before, after) {
+  if (!Array.isArray(before?.objects) || !Array.isArray(after?.objects)) return null;
+
+  const { pairs, removed, added } = matchObjects(before.objects, after.objects);
+  const diff = {
+    added: added.map(({ name, type }) => ({ name, type })),
+    removed: removed.map(({ name, type }) => ({ name, type })),
+    renamed: [],
+    transformed: [],
+    materials: [],
+    modifiers: [],
+  };
+
+  for (const [previous, current] of pairs) {
+    if (previous.name !== current.name) diff.renamed.push({ from: previous.name, to: current.name });
+
+    const changes = {};
+    for (const key of TRANSFORM_KEYS) {
+      if (vectorChanged(previous[key], current[key])) changes[key] = { from: previous[key], to: current[key] };
+    }
+    if (Object.keys(changes).length > 0) diff.transformed.push({ name: current.name, ...changes });
+
+    const previousMaterials = previous.materials || [];
+    const currentMaterials = current.materials || [];
+    if (previousMaterials.length !== currentMaterials.length || previousMaterials.some((name, i) => name !== currentMaterials[i])) {
+      diff.materials.push({ name: current.name, from: previousMaterials, to: currentMaterials });
+    }
+
+    const modifierKey = (mod) => `${mod.name}\u0000${mod.type}`;
+    const addedModifiers = listDifference(current.modifiers, previous.modifiers, modifierKey);
+    const removedModifiers = listDifference(previous.modifiers, current.modifiers, modifierKey);
+    if (addedModifiers.length > 0 || removedModifiers.length > 0) {
+      diff.modifiers.push({ name: current.name, added: addedModifiers, removed: removedModifiers });
+    }
+  }
+
+  // Materials and modifiers of new objects are part of what the run changed
+  for (const obj of added) {
+    if ((obj.materials || []).some(Boolean)) diff.materials.push({ name: obj.name, from: [], to: obj.materials });
+    if ((obj.modifiers || []).length > 0) diff.modifiers.push({ name: obj.name, added: obj.modifiers, removed: [] });
+  }
+
+  diff.changeCount = diff.added.length + diff.removed.length + diff.renamed.length
+    + diff.transformed.length + diff.materials.length + diff.modifiers.length;
+  return diff;
+}
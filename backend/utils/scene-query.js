@@ -0,0 +1,91 @@
+/*
+ * scene-query.js
+ *
+ * Paginated, filterable listing of scene objects (addon.py query_scene), shared
+ * by GET /api/scene/objects and the agent's query_scene tool. get_scene_info only
+ * shows the first 10 objects; this pages through all of them and returns only
+ * the fields asked for.
+ */
+
+import { sendCommand } from "../integrations/index.js";
+
+// addon.py SCENE_QUERY_FIELDS; name, type and location are always returned
+export const SCENE_QUERY_FIELDS = [
+  "rotation",
+  "scale",
+  "dimensions",
+  "modifiers",
+  "materials",
+  "parent",
+  "collections",
+  "custom_properties",
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function toInteger(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Validate a scene query from a query string or tool input
+ * @param {Object} input - { type, collection, name, material, fields, offset, limit };
+ *   fields may be an array or a comma-separated string
+ * @returns {{ valid: boolean, errors: Array<string>, query: Object|null }}
+ */
+export function parseSceneQuery(input = {}) {
+  const errors = [];
+  const offset = toInteger(input.offset, 0);
+  const limit = toInteger(input.limit, DEFAULT_LIMIT);
+  const fields = toList(input.fields);
+
+  if (!Number.isInteger(offset) || offset < 0) errors.push("offset must be a non-negative integer");
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  const unknown = fields.filter((field) => !SCENE_QUERY_FIELDS.includes(field));
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(", ")} (allowed: ${SCENE_QUERY_FIELDS.join(", ")})`);
+  for (const key of ["type", "collection", "name", "material"]) {
+    if (input[key] !== undefined && input[key] !== null && typeof input[key] !== "string") errors.push(`${key} must be a string`);
+  }
+  if (errors.length > 0) return { valid: false, errors, query: null };
+
+  const filter = (key) => (typeof input[key] === "string" && input[key].trim() ? input[key].trim() : null);
+  return {
+    valid: true,
+    errors,
+    query: {
+      type: filter("type")?.toUpperCase() || null,
+      collection: filter("collection"),
+      name: filter("name"),
+      material: filter("material"),
+      fields: [...new Set(fields)],
+      offset,
+      limit,
+    },
+  };
+}
+
+/**
+ * Run a parsed query against the Blender instance of the current context
+ * @param {Object} query - From parseSceneQuery
+ * @returns {Promise<{ total: number, offset: number, limit: number, next_offset: number|null, objects: Array<Object> }>}
+ */
+export function queryScene(query) {
+  return sendCommand("query_scene", {
+    offset: query.offset,
+    limit: query.limit,
+    fields: query.fields,
+    ...(query.type ? { object_type: query.type } : {}),
+    ...(query.collection ? { collection: query.collection } : {}),
+    ...(query.name ? { name: query.name } : {}),
+    ...(query.material ? { material: query.material } : {}),
+  });
+}
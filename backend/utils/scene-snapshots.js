@@ -0,0 +1,151 @@
+/*
+ * scene-snapshots.js
+ *
+ * Undo for agent runs. Before each run Blender saves a copy of the scene
+ * (addon.py save_snapshot) on its own host; the snapshot is recorded in
+ * scene_snapshots and on the assistant message, and restoring it reopens that
+ * copy. Branching saves the scene at the tip of the branch being left the same
+ * way (kind "branch"), so switching back can reopen it. Run snapshots are kept
+ * per conversation up to SCENE_SNAPSHOT_MAX_PER_CONVERSATION (branch snapshots
+ * are not counted) and all snapshots for SCENE_SNAPSHOT_RETENTION_DAYS; older
+ * files are deleted through the instance that holds them.
+ */
+
+import crypto from "crypto";
+import { sendCommand, isBlenderConnected, runWithBlenderInstance } from "../integrations/index.js";
+import {
+  insertSceneSnapshot,
+  listExpiredSceneSnapshots,
+  listSceneSnapshotsForConversation,
+  markSceneSnapshotRestored,
+  deleteSceneSnapshots,
+} from "../db.js";
+import logger from "./logger.js";
+
+const SNAPSHOTS_ENABLED = process.env.SCENE_SNAPSHOTS !== "false";
+// Directory on the Blender host; addon.py uses its temp dir when unset
+const SNAPSHOT_DIR = process.env.SCENE_SNAPSHOT_DIR || null;
+const MAX_PER_CONVERSATION = Math.max(1, parseInt(process.env.SCENE_SNAPSHOT_MAX_PER_CONVERSATION || "20", 10));
+const RETENTION_DAYS = Math.max(1, parseInt(process.env.SCENE_SNAPSHOT_RETENTION_DAYS || "7", 10));
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+/**
+ * Save the current scene before an agent run, or at the tip of a branch.
+ * Runs against the Blender instance of the current context (runWithBlenderInstance).
+ * @param {Object} owner
+ * @param {string} owner.userId
+ * @param {string} owner.conversationId
+ * @param {string|null} owner.runId - Agent run the snapshot precedes
+ * @param {string|null} [owner.messageId] - Leaf message, for "branch" snapshots
+ * @param {string} [owner.kind] - "run" (default) | "branch"
+ * @param {string} owner.blenderInstance - Instance id of the current context
+ * @returns {Promise<Object|null>} - Snapshot, or null if disabled, disconnected or failed
+ */
+export async function takeSceneSnapshot({ userId, conversationId, runId = null, messageId = null, kind = "run", blenderInstance }) {
+  if (!SNAPSHOTS_ENABLED || !isBlenderConnected()) return null;
+  try {
+    const result = await sendCommand("save_snapshot", {
+      snapshot_id: crypto.randomUUID(),
+      ...(SNAPSHOT_DIR ? { directory: SNAPSHOT_DIR } : {}),
+    });
+    if (!result?.filepath) throw new Error(result?.error || "Blender did not return a snapshot path");
+    const snapshot = await insertSceneSnapshot({
+      userId,
+      conversationId,
+      runId,
+      messageId,
+      kind,
+      blenderInstance,
+      filepath: result.filepath,
+      sizeBytes: result.size ?? null,
+    });
+    // Keep the conversation within its limit without waiting for the hourly cleanup
+    pruneSceneSnapshots().catch((err) => {
+      logger.warn("Scene snapshot cleanup failed", { error: err?.message || err });
+    });
+    return snapshot;
+  } catch (err) {
+    logger.warn("Scene snapshot failed", { error: err?.message || err, conversationId, runId, kind });
+    return null;
+  }
+}
+
+/**
+ * Reopen a snapshot in the Blender instance that saved it
+ * @param {Object} snapshot - Snapshot row
+ * @returns {Promise<Object>} - The snapshot with restoredAt set
+ * @throws {Error} - If the instance is not connected or the file is gone
+ */
+export async function restoreSceneSnapshot(snapshot) {
+  await runWithBlenderInstance(snapshot.blenderInstance, async () => {
+    if (!isBlenderConnected()) throw new Error("Blender not connected");
+    await sendCommand("restore_snapshot", { filepath: snapshot.filepath });
+  });
+  return markSceneSnapshotRestored(snapshot.id);
+}
+
+// Delete snapshot files grouped by instance; rows are only dropped once their file is gone
+async function deleteSnapshotFiles(snapshots) {
+  const byInstance = new Map();
+  for (const snapshot of snapshots) {
+    if (!byInstance.has(snapshot.blenderInstance)) byInstance.set(snapshot.blenderInstance, []);
+    byInstance.get(snapshot.blenderInstance).push(snapshot);
+  }
+
+  let deleted = 0;
+  for (const [instanceId, group] of byInstance) {
+    try {
+      await runWithBlenderInstance(instanceId, async () => {
+        if (!isBlenderConnected()) throw new Error("Blender not connected");
+        const result = await sendCommand("delete_snapshots", { filepaths: group.map((snapshot) => snapshot.filepath) });
+        // The addon keeps the open file and anything outside its snapshot directories
+        if (result?.rejected?.length) {
+          logger.warn("Blender kept scene snapshot files", { instance: instanceId, filepaths: result.rejected });
+        }
+      });
+      await deleteSceneSnapshots(group.map((snapshot) => snapshot.id));
+      deleted += group.length;
+    } catch (err) {
+      logger.warn("Failed to delete scene snapshots, retrying on the next cleanup", { instance: instanceId, count: group.length, error: err?.message || err });
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Delete snapshots past the retention limits
+ * @returns {Promise<number>} - Number of snapshots deleted
+ */
+export async function pruneSceneSnapshots() {
+  const expired = await listExpiredSceneSnapshots({ maxAgeDays: RETENTION_DAYS, maxPerConversation: MAX_PER_CONVERSATION });
+  if (expired.length === 0) return 0;
+  const deleted = await deleteSnapshotFiles(expired);
+  if (deleted) logger.info("Pruned scene snapshots", { deleted, pending: expired.length - deleted });
+  return deleted;
+}
+
+/**
+ * Delete the snapshot files of a conversation that is about to be deleted
+ * (its rows go with the conversation)
+ * @param {string} userId - Owner
+ * @param {string} conversationId - Conversation ID
+ */
+export async function deleteConversationSnapshots(userId, conversationId) {
+  const snapshots = await listSceneSnapshotsForConversation(userId, conversationId);
+  if (snapshots.length > 0) await deleteSnapshotFiles(snapshots);
+}
+
+/**
+ * Prune now and then every hour
+ */
+export function startSnapshotCleanup() {
+  if (!SNAPSHOTS_ENABLED || cleanupTimer) return;
+  const run = () => pruneSceneSnapshots().catch((err) => {
+    logger.warn("Scene snapshot cleanup failed", { error: err?.message || err });
+  });
+  run();
+  cleanupTimer = setInterval(run, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+}
@@ -11,12 +11,48 @@ import {
   FiPlus,
   FiFolder,
   FiArchive,
+  FiRotateCcw,
+  FiChevronLeft,
+  FiChevronRight,
 } from "react-icons/fi";
 
 
 const ATTACHMENT_CACHE_KEY = "cursorfor3d:attachment-cache";
 const MESSAGE_ATTACHMENT_CACHE_KEY = "cursorfor3d:message-attachment-cache";
 
+const formatVector = (values = []) => `(${values.map((v) => Number(v).toFixed(2)).join(", ")})`;
+
+// One line per change in a run's metadata.sceneDiff
+const describeSceneDiff = (diff) => {
+  if (!diff) return [];
+  const lines = [];
+  diff.added?.forEach((obj) => lines.push({ kind: "added", text: `Added ${obj.name} (${obj.type.toLowerCase()})` }));
+  diff.removed?.forEach((obj) => lines.push({ kind: "removed", text: `Removed ${obj.name}` }));
+  diff.renamed?.forEach(({ from, to }) => lines.push({ kind: "changed", text: `Renamed ${from} → ${to}` }));
+  diff.transformed?.forEach(({ name, location, rotation, scale }) => {
+    const parts = [
+      location && `moved ${formatVector(location.from)} → ${formatVector(location.to)}`,
+      rotation && "rotated",
+      scale && `scaled ${formatVector(scale.from)} → ${formatVector(scale.to)}`,
+    ].filter(Boolean);
+    lines.push({ kind: "changed", text: `${name}: ${parts.join(", ")}` });
+  });
+  diff.materials?.forEach(({ name, to }) => {
+    const assigned = (to || []).filter(Boolean);
+    lines.push({ kind: "changed", text: assigned.length ? `${name}: material ${assigned.join(", ")}` : `${name}: materials cleared` });
+  });
+  diff.modifiers?.forEach(({ name, added = [], removed = [] }) => {
+    const parts = [
+      added.length && `added ${added.map((mod) => mod.name).join(", ")}`,
+      removed.length && `removed ${removed.map((mod) => mod.name).join(", ")}`,
+    ].filter(Boolean);
+    lines.push({ kind: "changed", text: `${name} modifiers: ${parts.join("; ")}` });
+  });
+  return lines;
+};
+
+const SCENE_DIFF_MARKERS = { added: "+", removed: "−", changed: "~" };
+
 const ChatInterface = () => {
   const { token, user, logout, apiBase } = useAuth();
   const { theme, toggleTheme } = useTheme();
@@ -64,6 +100,8 @@ const ChatInterface = () => {
   const attachmentsCacheRef = useRef(new Map());
   const messageAttachmentCacheRef = useRef(new Map());
   const [editingMessage, setEditingMessage] = useState(null);
+  const [restoringMessageId, setRestoringMessageId] = useState(null);
+  const [switchingBranch, setSwitchingBranch] = useState(false);
 
   const persistAttachmentDataUrl = useCallback((id, dataUrl) => {
     if (!id || !dataUrl || typeof window === "undefined") return;
@@ -203,6 +241,8 @@ const ChatInterface = () => {
 
       return {
         id: message.id,
+        parentId: message.parentId || null,
+        branch: message.branch || null,
         role: message.role,
         content: message.content || "",
         timestamp: message.createdAt || message.created_at || new Date().toISOString(),
@@ -501,7 +541,13 @@ const ChatInterface = () => {
         ...att,
       })),
     };
-    setMessages((prev) => [...prev, tempMessage]);
+    // Sending an edited prompt forks the conversation before that prompt
+    const editMessageId =
+      editingMessage && !String(editingMessage.id).startsWith("temp-") ? editingMessage.id : null;
+    setMessages((prev) => {
+      const editIndex = editMessageId ? prev.findIndex((msg) => msg.id === editMessageId) : -1;
+      return [...(editIndex >= 0 ? prev.slice(0, editIndex) : prev), tempMessage];
+    });
     setLoading(true);
     
     // Clear input and attachments immediately after sending
@@ -555,6 +601,7 @@ const ChatInterface = () => {
           enhancePrompt: false,
           model: selectedModel,
           attachments: payloadAttachments,
+          ...(editMessageId ? { editMessageId } : {}),
         }),
       });
 
@@ -623,6 +670,10 @@ const ChatInterface = () => {
       if (attachmentsAtSend.length > 0) {
         setAttachments(attachmentsAtSend);
       }
+      // Bring back the messages hidden while the edited prompt was sent
+      if (editMessageId) {
+        loadConversation(conversationId, { silent: true });
+      }
       setMessages((prev) => [
         ...prev.filter((msg) => !String(msg.id).startsWith("temp-")),
         {
@@ -643,8 +694,10 @@ const ChatInterface = () => {
     conversationId,
     createConversation,
     deriveTitleFromPrompt,
+    editingMessage,
     fetchConversations,
     input,
+    loadConversation,
     loading,
     normalizeMessage,
     persistAttachmentDataUrl,
@@ -856,6 +909,62 @@ const ChatInterface = () => {
     [persistAttachmentDataUrl, setError]
   );
 
+  // Revert Blender to the scene snapshot taken before this reply's agent run
+  const handleUndoStep = useCallback(
+    async (message) => {
+      if (!message?.metadata?.snapshotId || restoringMessageId) return;
+      if (!window.confirm("Revert the Blender scene to how it was before this step? Unsaved changes made since then will be lost.")) return;
+      setRestoringMessageId(message.id);
+      setError("");
+      try {
+        const res = await authorizedFetch(`/api/messages/${message.id}/restore`, { method: "POST" });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.details || data.error || "Failed to undo this step");
+        }
+      } catch (err) {
+        console.error("Failed to restore scene snapshot", err);
+        setError(err.message || "Unable to undo this step");
+      } finally {
+        setRestoringMessageId(null);
+      }
+    },
+    [authorizedFetch, restoringMessageId]
+  );
+
+  // Show the sibling branch of a forked message; the backend reopens the scene that branch was left with
+  const handleSwitchBranch = useCallback(
+    async (message, offset) => {
+      const siblingIds = message?.branch?.siblingIds || [];
+      const targetId = siblingIds[message.branch.index + offset];
+      if (!targetId || !conversationId || switchingBranch || loading) return;
+      setSwitchingBranch(true);
+      setError("");
+      try {
+        const res = await authorizedFetch(`/api/conversation/${conversationId}/branches/switch`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ messageId: targetId }),
+        });
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.error || "Failed to switch branch");
+        }
+        setMessages((data.messages || []).map(normalizeMessage));
+        setEditingMessage(null);
+        if (data.sceneError) {
+          setError(`Switched branch, but the Blender scene was not restored: ${data.sceneError}`);
+        }
+      } catch (err) {
+        console.error("Failed to switch branch", err);
+        setError(err.message || "Unable to switch branch");
+      } finally {
+        setSwitchingBranch(false);
+      }
+    },
+    [authorizedFetch, conversationId, loading, normalizeMessage, switchingBranch]
+  );
+
   const handleDeleteConversation = useCallback(
     async (id) => {
       try {
@@ -1445,6 +1554,31 @@ const ChatInterface = () => {
                           </p>
                         </div>
                       )}
+                      {message.metadata?.sceneDiff?.changeCount > 0 && (
+                        <details className="mb-3 border border-slate-200 dark:border-gray-700 rounded-lg overflow-hidden">
+                          <summary className="px-3 py-2 bg-slate-100 dark:bg-gray-800 cursor-pointer hover:bg-slate-200 dark:hover:bg-gray-700 text-xs font-medium text-slate-700 dark:text-gray-300">
+                            {message.metadata.sceneDiff.changeCount} scene change{message.metadata.sceneDiff.changeCount !== 1 ? "s" : ""}
+                          </summary>
+                          <ul className="px-3 py-2 space-y-1 text-xs border-t border-slate-200 dark:border-gray-700 text-slate-700 dark:text-gray-300">
+                            {describeSceneDiff(message.metadata.sceneDiff).map((line, index) => (
+                              <li key={index} className="flex gap-2">
+                                <span
+                                  className={
+                                    line.kind === "added"
+                                      ? "text-emerald-600 dark:text-green-400"
+                                      : line.kind === "removed"
+                                        ? "text-red-600 dark:text-red-400"
+                                        : "text-amber-600 dark:text-amber-400"
+                                  }
+                                >
+                                  {SCENE_DIFF_MARKERS[line.kind]}
+                                </span>
+                                <span>{line.text}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
                       {message.content && (
                         <div className="prose prose-sm dark:prose-invert max-w-none">
                           {formatAssistantMessage(message.content)}
@@ -1452,9 +1586,47 @@ const ChatInterface = () => {
                       )}
                     </div>
                   )}
-                  <p className="text-xs mt-2 opacity-60">
-                    {new Date(message.timestamp).toLocaleTimeString()}
-                  </p>
+                  <div className="flex items-center justify-between gap-3 mt-2">
+                    <div className="flex items-center gap-2">
+                      <p className="text-xs opacity-60">
+                        {new Date(message.timestamp).toLocaleTimeString()}
+                      </p>
+                      {message.branch && (
+                        <div className="flex items-center gap-1 text-xs opacity-70" title="Branches from edits of this prompt">
+                          <button
+                            onClick={() => handleSwitchBranch(message, -1)}
+                            disabled={switchingBranch || loading || message.branch.index === 0}
+                            className="p-0.5 rounded hover:bg-black/10 disabled:opacity-40 dark:hover:bg-white/10"
+                            aria-label="Previous branch"
+                          >
+                            <FiChevronLeft size={12} />
+                          </button>
+                          <span>
+                            {message.branch.index + 1}/{message.branch.count}
+                          </span>
+                          <button
+                            onClick={() => handleSwitchBranch(message, 1)}
+                            disabled={switchingBranch || loading || message.branch.index === message.branch.count - 1}
+                            className="p-0.5 rounded hover:bg-black/10 disabled:opacity-40 dark:hover:bg-white/10"
+                            aria-label="Next branch"
+                          >
+                            <FiChevronRight size={12} />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    {message.role === "assistant" && message.metadata?.snapshotId && (
+                      <button
+                        onClick={() => handleUndoStep(message)}
+                        disabled={!!restoringMessageId}
+                        className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-800 disabled:opacity-50 transition-colors dark:text-gray-400 dark:hover:text-white"
+                        title="Revert the scene to how it was before this step"
+                      >
+                        <FiRotateCcw size={12} />
+                        {restoringMessageId === message.id ? "Undoing..." : "Undo this step"}
+                      </button>
+                    )}
+                  </div>
                 </div>
                 {message.role === "user" && (
                   <div className="w-8 h-8 rounded-full bg-slate-200 text-slate-600 dark:bg-gray-700 dark:text-gray-300 flex items-center justify-center flex-shrink-0">
@@ -1512,7 +1684,7 @@ const ChatInterface = () => {
             {editingMessage && (
               <div className="mb-3 flex items-center justify-between gap-3 px-3 py-2 rounded-lg bg-pink-50 border border-pink-200 text-xs text-pink-700 dark:bg-pink-500/10 dark:border-pink-500/30 dark:text-pink-200">
                 <span className="truncate">
-                  Editing previous prompt
+                  Editing previous prompt (sending starts a new branch)
                   {editingMessage.content
                     ? `: "${editingMessage.content.slice(0, 60)}${editingMessage.content.length > 60 ? "..." : ""}"`
                     : ""}